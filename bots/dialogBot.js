@@ -1,6 +1,8 @@
 // dialogBot.js - Versión optimizada y robusta
 
 const { TeamsActivityHandler } = require('botbuilder');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('dialogBot');
 
 /**
  * DialogBot - Clase base optimizada para manejo de diálogos en Teams
@@ -29,7 +31,7 @@ class DialogBot extends TeamsActivityHandler {
         this.onMessage(this.handleMessage.bind(this));
         this.onMembersAdded(this.handleMembersAdded.bind(this));
         
-        console.log('DialogBot inicializado correctamente');
+        logger.info('DialogBot inicializado correctamente');
     }
 
     /**
@@ -39,23 +41,23 @@ class DialogBot extends TeamsActivityHandler {
         try {
             // Validación básica del contexto
             if (!context || !context.activity) {
-                console.warn('DialogBot: Contexto o actividad inválida');
+                logger.warn('DialogBot: Contexto o actividad inválida');
                 return await next();
             }
 
             // Validar que la actividad sea procesable
             if (!this.isValidActivity(context.activity)) {
-                console.warn('DialogBot: Actividad no válida, ignorando');
+                logger.warn('DialogBot: Actividad no válida, ignorando');
                 return await next();
             }
 
             // DialogBot ya no maneja autenticación, eso lo hace TeamsBot
             // Solo ejecutamos diálogo cuando TeamsBot explícitamente lo solicite
-            console.log(`[${context.activity.from.id}] DialogBot.handleMessage - Delegando manejo a TeamsBot`);
+            logger.info(`[${context.activity.from.id}] DialogBot.handleMessage - Delegando manejo a TeamsBot`);
             // El diálogo se ejecutará desde TeamsBot cuando sea necesario
 
         } catch (error) {
-            console.error('DialogBot: Error en handleMessage:', error.message);
+            logger.error('DialogBot: Error en handleMessage:', error.message);
             await this.handleError(context, error);
         }
 
@@ -89,7 +91,7 @@ class DialogBot extends TeamsActivityHandler {
 
             // Verificar límite de caracteres
             if (activity.text && activity.text.length > 4000) {
-                console.warn('DialogBot: Mensaje excede límite de caracteres');
+                logger.warn('DialogBot: Mensaje excede límite de caracteres');
                 return false;
             }
         }
@@ -111,7 +113,7 @@ class DialogBot extends TeamsActivityHandler {
                 }
             }
         } catch (error) {
-            console.error('DialogBot: Error en handleMembersAdded:', error.message);
+            logger.error('DialogBot: Error en handleMembersAdded:', error.message);
             await this.handleError(context, error);
         }
         
@@ -122,7 +124,7 @@ class DialogBot extends TeamsActivityHandler {
      * Maneja errores de forma centralizada
      */
     async handleError(context, error) {
-        console.error('DialogBot: Error:', {
+        logger.error('DialogBot: Error:', {
             error: error.message,
             activityType: context.activity?.type,
             activityId: context.activity?.id,
@@ -140,7 +142,7 @@ class DialogBot extends TeamsActivityHandler {
             }
 
         } catch (handlingError) {
-            console.error('DialogBot: Error manejando error:', handlingError.message);
+            logger.error('DialogBot: Error manejando error:', handlingError.message);
         }
     }
 
@@ -179,22 +181,22 @@ class DialogBot extends TeamsActivityHandler {
         const errorMessage = error.message.toLowerCase();
         
         try {
-            console.warn('DialogBot: Intentando recuperación de estado');
+            logger.warn('DialogBot: Intentando recuperación de estado');
             
             if (errorMessage.includes('dialog')) {
                 // Limpiar estado de diálogo
                 await this.dialogState.delete(context);
-                console.warn('DialogBot: Estado de diálogo limpiado');
+                logger.warn('DialogBot: Estado de diálogo limpiado');
             }
             
             if (errorMessage.includes('conversation')) {
                 // Limpiar estado de conversación
                 await this.conversationState.delete(context);
-                console.warn('DialogBot: Estado de conversación limpiado');
+                logger.warn('DialogBot: Estado de conversación limpiado');
             }
             
         } catch (recoveryError) {
-            console.error('DialogBot: Error en recuperación:', recoveryError.message);
+            logger.error('DialogBot: Error en recuperación:', recoveryError.message);
         }
     }
 
@@ -218,7 +220,7 @@ class DialogBot extends TeamsActivityHandler {
             await this.saveStates(context);
 
         } catch (error) {
-            console.error('DialogBot: Error en run:', error.message);
+            logger.error('DialogBot: Error en run:', error.message);
             
             // Intentar recuperación
             await this.handleError(context, error);
@@ -254,7 +256,7 @@ class DialogBot extends TeamsActivityHandler {
             savePromises.push(
                 this.conversationState.saveChanges(context, false)
                     .catch(error => {
-                        console.error('DialogBot: Error guardando estado de conversación:', error.message);
+                        logger.error('DialogBot: Error guardando estado de conversación:', error.message);
                     })
             );
         }
@@ -264,7 +266,7 @@ class DialogBot extends TeamsActivityHandler {
             savePromises.push(
                 this.userState.saveChanges(context, false)
                     .catch(error => {
-                        console.error('DialogBot: Error guardando estado de usuario:', error.message);
+                        logger.error('DialogBot: Error guardando estado de usuario:', error.message);
                     })
             );
         }
@@ -280,14 +282,14 @@ class DialogBot extends TeamsActivityHandler {
         try {
             return await this.dialogState.get(context, {});
         } catch (error) {
-            console.error('DialogBot: Error obteniendo estado de diálogo:', error.message);
+            logger.error('DialogBot: Error obteniendo estado de diálogo:', error.message);
             
             // Intentar limpiar y devolver estado vacío
             try {
                 await this.dialogState.delete(context);
                 return {};
             } catch (recoveryError) {
-                console.error('DialogBot: Error en recuperación de estado:', recoveryError.message);
+                logger.error('DialogBot: Error en recuperación de estado:', recoveryError.message);
                 return {};
             }
         }
@@ -299,9 +301,9 @@ class DialogBot extends TeamsActivityHandler {
     async clearDialogState(context) {
         try {
             await this.dialogState.delete(context);
-            console.log('DialogBot: Estado de diálogo limpiado');
+            logger.info('DialogBot: Estado de diálogo limpiado');
         } catch (error) {
-            console.error('DialogBot: Error limpiando estado de diálogo:', error.message);
+            logger.error('DialogBot: Error limpiando estado de diálogo:', error.message);
         }
     }
 
@@ -317,7 +319,7 @@ class DialogBot extends TeamsActivityHandler {
         );
         
         if (!initialized) {
-            console.warn('DialogBot: Bot no está completamente inicializado');
+            logger.warn('DialogBot: Bot no está completamente inicializado');
         }
         
         return initialized;
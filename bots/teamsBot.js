@@ -1,10 +1,20 @@
 // teamsBot.js - Versión simplificada y optimizada para producción
 
+const { TurnContext } = require('botbuilder');
 const { DialogBot } = require('./dialogBot');
 const openaiService = require('../services/openaiService');
 const conversationService = require('../services/conversationService');
 const { handleCardSubmit } = require('../utilities/procesar_card');
 const { isTokenValid } = require('../utilities/http_utils');
+const { UserMessageQueue } = require('../utilities/messageQueue');
+const { RateLimiter } = require('../utilities/rateLimiter');
+const sirhClient = require('../services/sirhClient');
+const conversationReferenceService = require('../services/conversationReferenceService');
+const fileDeliveryService = require('../services/fileDeliveryService');
+const feedbackService = require('../services/feedbackService');
+const { createLogger, runWithContext, getCorrelationId } = require('../utilities/logger');
+const { tracer } = require('../utilities/tracing');
+const logger = createLogger('teamsBot');
 
 /**
  * TeamsBot - Versión optimizada con manejo simplificado de autenticación
@@ -20,18 +30,20 @@ class TeamsBot extends DialogBot {
         this.authenticatedUsers = new Map();
         this.authState = this.userState.createProperty('AuthState');
         
-        // Control simple de procesos activos (sin cache complejo)
-        this.activeProcesses = new Set();
+        // Cola ordenada por usuario (los mensajes concurrentes esperan su turno)
+        this.messageQueue = new UserMessageQueue(this.processQueuedBatch.bind(this));
+        
+        // Límite de frecuencia por usuario (turnos LLM, tarjetas y escrituras en SIRH)
+        this.rateLimiter = new RateLimiter();
+        sirhClient.useRateLimiter(this.rateLimiter);
         
         // Configurar manejadores
+        this.onTurn(this.handleConversationReference.bind(this));
         this.onMembersAdded(this.handleMembersAdded.bind(this));
         this.onMessage(this.handleMessageWithAuth.bind(this));
 
         // Inicializar servicios
         this.initializeServices();
-        
-        // Auto-limpieza cada 5 minutos
-        setInterval(() => this.cleanupStaleProcesses(), 5 * 60 * 1000);
     }
 
     /**
@@ -53,6 +65,18 @@ class TeamsBot extends DialogBot {
         };
     }
 
+    /**
+     * Guarda la referencia de conversación del usuario en cada turno
+     */
+    async handleConversationReference(context, next) {
+        try {
+            await conversationReferenceService.saveFromActivity(context.activity);
+        } catch (error) {
+            logger.warn('Error actualizando referencia de conversación:', error.message);
+        }
+        await next();
+    }
+
     /**
      * Maneja nuevos miembros
      */
@@ -69,47 +93,148 @@ class TeamsBot extends DialogBot {
     }
 
     /**
-     * Maneja mensajes con autenticación simplificada
+     * Maneja mensajes con autenticación simplificada. Cada mensaje entra a la
+     * cola del usuario; si la cola está libre el turno espera a que su lote se
+     * procese, y si hay trabajo previo se confirma la recepción y el turno
+     * termina (el lote se atiende después en un turno reanudado).
      */
     async handleMessageWithAuth(context, next) {
         const userId = context.activity.from.id;
         const text = (context.activity.text || '').trim().toLowerCase();
 
-        console.log(`[${userId}] Mensaje: "${text}"`);
+        logger.info(`[${userId}] Mensaje: "${text}"`);
 
         try {
-            // Evitar procesos duplicados
-            if (this.activeProcesses.has(userId)) {
-                console.log(`[${userId}] Proceso activo, ignorando mensaje`);
+            const throttled = this.checkRateLimit(context, text, userId);
+            if (throttled) {
+                await context.sendActivity(throttled);
                 return await next();
             }
 
-            this.activeProcesses.add(userId);
+            const isCommand = this.isLoginCommand(text) || this.isLogoutCommand(text) || !!context.activity.value;
+            const ticket = this.messageQueue.enqueue(userId, {
+                kind: isCommand ? 'command' : 'text',
+                text,
+                context,
+                // Si el turno no espera su lote, el contexto queda revocado al terminar
+                detached: this.messageQueue.isBusy(userId),
+                adapter: context.adapter,
+                activity: context.activity,
+                correlationId: getCorrelationId(),
+                span: tracer.getActiveSpan()
+            });
+
+            if (!ticket.accepted) {
+                await context.sendActivity(
+                    '⚠️ Tienes varios mensajes en espera. ' +
+                    'Espera a que termine de responderlos antes de enviar más.'
+                );
+                return await next();
+            }
 
-            try {
-                // Comandos específicos
-                if (this.isLoginCommand(text)) {
+            if (ticket.waiting) {
+                await context.sendActivity('⏳ Recibí tu mensaje, lo atenderé en cuanto termine con el anterior.');
+            } else {
+                await ticket.done;
+            }
+
+        } catch (error) {
+            logger.error(`[${userId}] Error en handleMessageWithAuth:`, error);
+            await context.sendActivity('❌ Error procesando mensaje. Intenta nuevamente.');
+        }
+
+        await next();
+    }
+
+    /**
+     * Aplica el límite de frecuencia antes de encolar el mensaje. Login y
+     * logout no se limitan; las escrituras en SIRH se limitan una por una en
+     * sirhClient
+     * @returns {string|null} - Mensaje para el usuario si se limitó, null si puede continuar
+     */
+    checkRateLimit(context, text, userId) {
+        const submitData = context.activity.value;
+        let buckets;
+
+        if (submitData) {
+            buckets = ['card'];
+        } else if (this.isLoginCommand(text) || this.isLogoutCommand(text)) {
+            buckets = [];
+        } else {
+            buckets = ['llm'];
+        }
+
+        for (const bucket of buckets) {
+            const result = this.rateLimiter.consume(userId, bucket);
+            if (!result.allowed) {
+                return this.rateLimiter.getMessage(bucket, result.retryAfterSeconds, context.activity.locale);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Procesa un lote de la cola del usuario. Los comandos llegan solos; los
+     * textos consecutivos se combinan en un solo turno usando el contexto más reciente.
+     */
+    async processQueuedBatch(userId, entries) {
+        const latest = entries[entries.length - 1];
+
+        // La cola puede drenarse desde el turno de otro mensaje: usar la correlación y la traza del más reciente
+        return runWithContext({ correlationId: latest.correlationId, userId }, () =>
+            tracer.withActiveSpan(latest.span, () => (latest.detached
+                ? this.resumeTurn(latest, context => this.processBatchEntries(userId, entries, context))
+                : this.processBatchEntries(userId, entries, latest.context))));
+    }
+
+    /**
+     * Ejecuta logic con un TurnContext nuevo para la actividad de una entrada
+     * cuyo turno HTTP ya terminó, y guarda los estados al final
+     */
+    async resumeTurn(entry, logic) {
+        const { adapter, activity } = entry;
+        const reference = TurnContext.getConversationReference(activity);
+
+        await adapter.continueConversation(reference, async (proactiveContext) => {
+            const context = new TurnContext(adapter, activity);
+            [adapter.ConnectorClientKey, adapter.OAuthScopeKey].forEach(key =>
+                context.turnState.set(key, proactiveContext.turnState.get(key)));
+            this.ensureBotInContext(context);
+
+            await logic(context);
+            await this.saveStates(context);
+        });
+    }
+
+    async processBatchEntries(userId, entries, context) {
+        const latest = entries[entries.length - 1];
+
+        try {
+            if (latest.kind === 'command') {
+                if (this.isLoginCommand(latest.text)) {
                     await this.handleLogin(context, userId);
-                } else if (this.isLogoutCommand(text)) {
+                } else if (this.isLogoutCommand(latest.text)) {
                     await this.handleLogout(context, userId);
-                } else if (context.activity.value) {
-                    await this.handleCardSubmit(context);
                 } else {
-                    // Mensajes regulares - procesar directamente (autenticación bajo demanda)
-                    console.log(`[${userId}] TeamsBot - Procesando mensaje (autenticación bajo demanda)`);
-                    await this.processAuthenticatedMessage(context, text, userId);
+                    await this.handleCardSubmit(context);
                 }
-            } finally {
-                this.activeProcesses.delete(userId);
+                return;
+            }
+
+            const text = entries.map(entry => entry.text).filter(Boolean).join('\n');
+            if (entries.length > 1) {
+                logger.info(`[${userId}] ${entries.length} mensajes combinados en un solo turno`);
             }
 
+            // Mensajes regulares - procesar directamente (autenticación bajo demanda)
+            logger.info(`[${userId}] TeamsBot - Procesando mensaje (autenticación bajo demanda)`);
+            await this.processAuthenticatedMessage(context, text, userId);
+
         } catch (error) {
-            console.error(`[${userId}] Error en handleMessageWithAuth:`, error);
+            logger.error(`[${userId}] Error procesando lote de mensajes:`, error);
             await context.sendActivity('❌ Error procesando mensaje. Intenta nuevamente.');
-            this.activeProcesses.delete(userId);
         }
-
-        await next();
     }
 
     /**
@@ -148,18 +273,18 @@ class TeamsBot extends DialogBot {
      */
     async handleLogout(context, userId) {
         try {
-            console.log(`[${userId}] Iniciando logout completo...`);
+            logger.info(`[${userId}] Iniciando logout completo...`);
             
             // 1. Limpiar estado de memoria
             this.authenticatedUsers.delete(userId);
-            console.log(`[${userId}] Estado de memoria limpiado`);
+            logger.info(`[${userId}] Estado de memoria limpiado`);
             
             // 2. Limpiar estado persistente
             const authData = await this.authState.get(context, {});
             delete authData[userId];
             await this.authState.set(context, authData);
             await this.userState.saveChanges(context);
-            console.log(`[${userId}] Estado persistente limpiado`);
+            logger.info(`[${userId}] Estado persistente limpiado`);
             
             // 3. Limpiar token del UserTokenClient (Bot Framework) - FORZAR LIMPIEZA
             try {
@@ -170,20 +295,20 @@ class TeamsBot extends DialogBot {
                 
                 if (userTokenClient && connectionName) {
                     await userTokenClient.signOutUser(userId, connectionName, context.activity.channelId);
-                    console.log(`[${userId}] Token OAuth limpiado del UserTokenClient`);
+                    logger.info(`[${userId}] Token OAuth limpiado del UserTokenClient`);
                 } else {
-                    console.warn(`[${userId}] UserTokenClient o connectionName no disponible para logout`);
+                    logger.warn(`[${userId}] UserTokenClient o connectionName no disponible para logout`);
                 }
             } catch (tokenError) {
-                console.error(`[${userId}] Error limpiando token OAuth:`, tokenError.message);
+                logger.error(`[${userId}] Error limpiando token OAuth:`, tokenError.message);
                 // Continuar con el logout aunque falle la limpieza del token
             }
             
             await context.sendActivity('✅ **Sesión cerrada exitosamente**');
-            console.log(`[${userId}] Logout completado exitosamente`);
+            logger.info(`[${userId}] Logout completado exitosamente`);
             
         } catch (error) {
-            console.error(`[${userId}] Error en logout:`, error);
+            logger.error(`[${userId}] Error en logout:`, error);
             await context.sendActivity('❌ Error al cerrar sesión.');
         }
     }
@@ -215,7 +340,7 @@ class TeamsBot extends DialogBot {
             try {
                 await this.conversationService.saveMessage(text, conversationId, userId);
             } catch (error) {
-                console.warn(`[${userId}] Error guardando mensaje:`, error.message);
+                logger.warn(`[${userId}] Error guardando mensaje:`, error.message);
             }
 
             // Obtener historial
@@ -223,23 +348,29 @@ class TeamsBot extends DialogBot {
             try {
                 history = await this.conversationService.getConversationHistory(conversationId);
             } catch (error) {
-                console.warn(`[${userId}] Error obteniendo historial:`, error.message);
+                logger.warn(`[${userId}] Error obteniendo historial:`, error.message);
             }
 
             // Formatear historial para OpenAI
             const formattedHistory = history.map(item => ({
                 type: item.userId === userId ? 'user' : 'assistant',
-                message: item.message
+                message: item.message,
+                timestamp: item.timestamp
             }));
 
             // Procesar con OpenAI (pasar context y userId para herramientas)
             const response = await this.openaiService.procesarMensaje(text, formattedHistory, context, userId);
 
+            if (response && response.trace) {
+                const herramientas = response.trace.calls.map(call => `${call.tool}:${call.status}`).join(', ');
+                logger.info(`[${userId}] Traza del agente - fin: ${response.trace.stopReason}, iteraciones: ${response.trace.iterations}, herramientas: [${herramientas}]`);
+            }
+
             // Enviar respuesta
             await this.sendOpenAIResponse(context, response, conversationId);
 
         } catch (error) {
-            console.error(`[${userId}] Error procesando mensaje:`, error);
+            logger.error(`[${userId}] Error procesando mensaje:`, error);
             await context.sendActivity('❌ Error al procesar tu mensaje.');
         }
     }
@@ -268,14 +399,27 @@ class TeamsBot extends DialogBot {
                 await this.conversationService.saveMessage(botMessage, conversationId, 'bot');
             } else {
                 const responseContent = response.content || response;
-                await context.sendActivity(responseContent);
-                await this.conversationService.saveMessage(responseContent, conversationId, 'bot');
+                const attachments = [];
+                if (Array.isArray(response.fuentes) && response.fuentes.length > 0) {
+                    // Respuesta basada en documentos: adjuntar tarjeta compacta de fuentes
+                    attachments.push(this.openaiService.crearTarjetaFuentes(response.fuentes));
+                }
+
+                // Botones 👍/👎 ligados al mensaje guardado con su traza
+                const messageId = feedbackService.createMessageId();
+                attachments.push(feedbackService.createFeedbackCard(messageId));
+
+                await context.sendActivity({ text: responseContent, attachments });
+                await this.conversationService.saveMessage(responseContent, conversationId, 'bot', {
+                    messageId,
+                    trace: feedbackService.summarizeTrace(response.trace, response.fuentes)
+                });
             }
 
             await this.conversationService.updateLastActivity(conversationId);
 
         } catch (error) {
-            console.error('Error enviando respuesta OpenAI:', error);
+            logger.error('Error enviando respuesta OpenAI:', error);
         }
     }
 
@@ -286,30 +430,37 @@ class TeamsBot extends DialogBot {
         try {
             // 1. Verificar memoria
             const memoryAuth = this.authenticatedUsers.has(userId);
-            console.log(`[${userId}] isUserAuthenticated - Memoria: ${memoryAuth}`);
+            logger.info(`[${userId}] isUserAuthenticated - Memoria: ${memoryAuth}`);
             
             // 2. Verificar estado persistente
             const authData = await this.authState.get(context, {});
             const persistentAuth = authData[userId]?.authenticated === true;
-            console.log(`[${userId}] isUserAuthenticated - Persistente: ${persistentAuth}`);
+            logger.info(`[${userId}] isUserAuthenticated - Persistente: ${persistentAuth}`);
+
+            // Quitar tokens guardados por versiones anteriores
+            if (authData[userId]?.token) {
+                delete authData[userId].token;
+                await this.authState.set(context, authData);
+                await this.userState.saveChanges(context);
+            }
             
             // 3. Sincronizar si hay inconsistencia
             if (memoryAuth && !persistentAuth) {
-                console.log(`[${userId}] isUserAuthenticated - Sincronizando persistente desde memoria`);
+                logger.info(`[${userId}] isUserAuthenticated - Sincronizando persistente desde memoria`);
                 await this.syncPersistentAuth(userId, context);
                 return true;
             } else if (!memoryAuth && persistentAuth) {
-                console.log(`[${userId}] isUserAuthenticated - Sincronizando memoria desde persistente`);
+                logger.info(`[${userId}] isUserAuthenticated - Sincronizando memoria desde persistente`);
                 await this.syncMemoryAuth(userId, context, authData[userId]);
                 return true;
             }
             
             const finalResult = memoryAuth && persistentAuth;
-            console.log(`[${userId}] isUserAuthenticated - Resultado final: ${finalResult}`);
+            logger.info(`[${userId}] isUserAuthenticated - Resultado final: ${finalResult}`);
             return finalResult;
             
         } catch (error) {
-            console.error(`[${userId}] Error verificando autenticación:`, error);
+            logger.error(`[${userId}] Error verificando autenticación:`, error);
             return false;
         }
     }
@@ -326,14 +477,13 @@ class TeamsBot extends DialogBot {
                     authenticated: true,
                     email: userInfo.email,
                     name: userInfo.name,
-                    token: userInfo.token,
                     lastAuthenticated: new Date().toISOString()
                 };
                 await this.authState.set(context, authData);
                 await this.userState.saveChanges(context);
             }
         } catch (error) {
-            console.error(`[${userId}] Error sincronizando persistente:`, error);
+            logger.error(`[${userId}] Error sincronizando persistente:`, error);
         }
     }
 
@@ -343,15 +493,15 @@ class TeamsBot extends DialogBot {
     async syncMemoryAuth(userId, context, authData) {
         try {
             if (authData && authData.authenticated) {
+                // El token no se persiste: se obtiene del UserTokenClient cuando se necesite
                 this.authenticatedUsers.set(userId, {
                     email: authData.email,
                     name: authData.name,
-                    token: authData.token,
                     context: context
                 });
             }
         } catch (error) {
-            console.error(`[${userId}] Error sincronizando memoria:`, error);
+            logger.error(`[${userId}] Error sincronizando memoria:`, error);
         }
     }
 
@@ -362,18 +512,17 @@ class TeamsBot extends DialogBot {
         try {
             const { email, name, token, context } = userData;
 
-            console.log(`[${userId}] Estableciendo autenticación - Email: ${email}`);
+            logger.info(`[${userId}] Estableciendo autenticación - Email: ${email}`);
             
             // Almacenar en memoria
             this.authenticatedUsers.set(userId, { email, name, token, context });
 
-            // Almacenar persistentemente
+            // Almacenar persistentemente (sin el token: vive en el servicio de tokens de Bot Framework)
             const authData = await this.authState.get(context, {});
             authData[userId] = {
                 authenticated: true,
                 email,
                 name,
-                token,
                 lastAuthenticated: new Date().toISOString()
             };
             await this.authState.set(context, authData);
@@ -383,14 +532,14 @@ class TeamsBot extends DialogBot {
             try {
                 await this.conversationService.createConversation(conversationId, userId);
             } catch (error) {
-                console.warn(`[${userId}] Error creando conversación:`, error.message);
+                logger.warn(`[${userId}] Error creando conversación:`, error.message);
             }
 
-            console.log(`[${userId}] Autenticación completada exitosamente`);
+            logger.info(`[${userId}] Autenticación completada exitosamente`);
             return true;
             
         } catch (error) {
-            console.error(`[${userId}] Error en setUserAuthenticated:`, error);
+            logger.error(`[${userId}] Error en setUserAuthenticated:`, error);
             return false;
         }
     }
@@ -399,16 +548,27 @@ class TeamsBot extends DialogBot {
      * Obtiene token OAuth del usuario
      */
     async getUserOAuthToken(context, userId) {
+        return await tracer.withSpan('oauth.getUserToken', { kind: 'client' }, async (span) => {
+            const token = await this.findUserOAuthToken(context, userId);
+            span.setAttribute('oauth.token_found', !!token);
+            return token;
+        });
+    }
+
+    /**
+     * Busca el token en memoria y en el servicio de tokens de Bot Framework
+     */
+    async findUserOAuthToken(context, userId) {
         try {
-            console.log(`[${userId}] getUserOAuthToken - Iniciando búsqueda de token...`);
+            logger.info(`[${userId}] getUserOAuthToken - Iniciando búsqueda de token...`);
             
             // Obtener de memoria
             const userInfo = this.authenticatedUsers.get(userId);
             if (userInfo && userInfo.token) {
-                console.log(`[${userId}] getUserOAuthToken - Token encontrado en MEMORIA`);
+                logger.info(`[${userId}] getUserOAuthToken - Token encontrado en MEMORIA`);
                 return userInfo.token;
             }
-            console.log(`[${userId}] getUserOAuthToken - Sin token en memoria`);
+            logger.info(`[${userId}] getUserOAuthToken - Sin token en memoria`);
 
             // Obtener del UserTokenClient (intentar múltiples formas)
             let userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey) ||
@@ -416,24 +576,24 @@ class TeamsBot extends DialogBot {
                                 context.adapter.getUserToken;
             
             const connectionName = process.env.connectionName || process.env.OAUTH_CONNECTION_NAME;
-            console.log(`[${userId}] getUserOAuthToken - UserTokenClient disponible: ${!!userTokenClient}, connectionName: ${connectionName}`);
-            console.log(`[${userId}] getUserOAuthToken - Adapter keys:`, Object.keys(context.adapter));
-            console.log(`[${userId}] getUserOAuthToken - TurnState keys:`, Array.from(context.turnState.keys || []));
+            logger.info(`[${userId}] getUserOAuthToken - UserTokenClient disponible: ${!!userTokenClient}, connectionName: ${connectionName}`);
+            logger.debug(`[${userId}] getUserOAuthToken - Adapter keys:`, Object.keys(context.adapter));
+            logger.debug(`[${userId}] getUserOAuthToken - TurnState keys:`, Array.from(context.turnState.keys || []));
 
             // Si no hay UserTokenClient pero sí adapter.getUserToken, intentar usarlo
             if (!userTokenClient && context.adapter.getUserToken) {
-                console.log(`[${userId}] getUserOAuthToken - Usando adapter.getUserToken directamente`);
+                logger.info(`[${userId}] getUserOAuthToken - Usando adapter.getUserToken directamente`);
                 try {
                     const tokenResponse = await context.adapter.getUserToken(
                         context,
                         connectionName
                     );
                     if (tokenResponse && tokenResponse.token) {
-                        console.log(`[${userId}] getUserOAuthToken - Token encontrado via ADAPTER`);
+                        logger.info(`[${userId}] getUserOAuthToken - Token encontrado via ADAPTER`);
                         return tokenResponse.token;
                     }
                 } catch (adapterError) {
-                    console.warn(`[${userId}] Error con adapter.getUserToken:`, adapterError.message);
+                    logger.warn(`[${userId}] Error con adapter.getUserToken:`, adapterError.message);
                 }
             }
 
@@ -446,29 +606,20 @@ class TeamsBot extends DialogBot {
                     );
 
                     if (tokenResponse && tokenResponse.token) {
-                        console.log(`[${userId}] getUserOAuthToken - Token encontrado en USERTOKENCLIENT`);
+                        logger.info(`[${userId}] getUserOAuthToken - Token encontrado en USERTOKENCLIENT`);
                         return tokenResponse.token;
                     }
-                    console.log(`[${userId}] getUserOAuthToken - Sin token en UserTokenClient`);
+                    logger.info(`[${userId}] getUserOAuthToken - Sin token en UserTokenClient`);
                 } catch (tokenError) {
-                    console.warn(`[${userId}] Error obteniendo token de UserTokenClient:`, tokenError.message);
+                    logger.warn(`[${userId}] Error obteniendo token de UserTokenClient:`, tokenError.message);
                 }
             }
 
-            // Obtener del estado persistente
-            const authData = await this.authState.get(context, {});
-            const persistentToken = authData[userId]?.token || null;
-            if (persistentToken) {
-                console.log(`[${userId}] getUserOAuthToken - Token encontrado en ESTADO PERSISTENTE`);
-            } else {
-                console.log(`[${userId}] getUserOAuthToken - Sin token en estado persistente`);
-            }
-            
-            console.log(`[${userId}] getUserOAuthToken - Resultado final: ${persistentToken ? 'TOKEN ENCONTRADO' : 'SIN TOKEN'}`);
-            return persistentToken;
+            logger.info(`[${userId}] getUserOAuthToken - Resultado final: SIN TOKEN`);
+            return null;
 
         } catch (error) {
-            console.error(`[${userId}] Error obteniendo token:`, error);
+            logger.error(`[${userId}] Error obteniendo token:`, error);
             return null;
         }
     }
@@ -484,7 +635,7 @@ class TeamsBot extends DialogBot {
      * Maneja expiración de token
      */
     async handleTokenExpiration(context, userId) {
-        console.log(`[${userId}] Manejando expiración de token`);
+        logger.info(`[${userId}] Manejando expiración de token`);
         
         try {
             // Limpiar estados
@@ -501,7 +652,7 @@ class TeamsBot extends DialogBot {
             );
             
         } catch (error) {
-            console.error(`[${userId}] Error manejando expiración:`, error);
+            logger.error(`[${userId}] Error manejando expiración:`, error);
         }
     }
 
@@ -513,7 +664,7 @@ class TeamsBot extends DialogBot {
             const activityName = context.activity.name || 'unknown';
             const userId = context.activity.from.id;
 
-            console.log(`[${userId}] Invoke: ${activityName}`);
+            logger.info(`[${userId}] Invoke: ${activityName}`);
 
             if (['signin/verifyState', 'signin/tokenExchange'].includes(activityName)) {
                 await this.dialog.run(context, this.dialogState);
@@ -523,37 +674,39 @@ class TeamsBot extends DialogBot {
             return await super.onInvokeActivity(context);
 
         } catch (error) {
-            console.error('Error en onInvokeActivity:', error);
+            logger.error('Error en onInvokeActivity:', error);
             return { status: 500 };
         }
     }
 
     /**
-     * Limpia procesos obsoletos (llamado automáticamente)
+     * El usuario aceptó guardar un archivo ofrecido con FileConsentCard
      */
-    cleanupStaleProcesses() {
-        const staleProcesses = [];
-        
-        // Limpiar procesos activos obsoletos (más de 2 minutos)
-        for (const userId of this.activeProcesses) {
-            // En implementación real, podrías rastrear timestamps
-            // Por simplicidad, limpiaremos los que han estado demasiado tiempo
-            staleProcesses.push(userId);
-        }
-        
-        if (staleProcesses.length > 0) {
-            console.warn(`Limpiando ${staleProcesses.length} procesos obsoletos`);
-            staleProcesses.forEach(userId => this.activeProcesses.delete(userId));
+    async handleTeamsFileConsentAccept(context, fileConsentCardResponse) {
+        try {
+            await fileDeliveryService.handleConsentAccept(context, fileConsentCardResponse);
+        } catch (error) {
+            logger.error(`[${context.activity.from.id}] Error subiendo archivo:`, error.message);
+            await context.sendActivity('❌ No se pudo guardar el archivo. Intenta nuevamente.');
         }
     }
 
+    /**
+     * El usuario rechazó guardar un archivo ofrecido con FileConsentCard
+     */
+    async handleTeamsFileConsentDecline(context, fileConsentCardResponse) {
+        await fileDeliveryService.handleConsentDecline(context, fileConsentCardResponse);
+    }
+
     /**
      * Obtiene estadísticas del bot
      */
     getStats() {
         return {
             authenticatedUsers: this.authenticatedUsers.size,
-            activeProcesses: this.activeProcesses.size,
+            activeProcesses: this.messageQueue.getActiveUsers().length,
+            messageQueue: this.messageQueue.getStats(),
+            rateLimiter: this.rateLimiter.getStats(),
             timestamp: new Date().toISOString()
         };
     }
@@ -564,7 +717,7 @@ class TeamsBot extends DialogBot {
     async forceCleanUserState(userId, context) {
         try {
             this.authenticatedUsers.delete(userId);
-            this.activeProcesses.delete(userId);
+            this.messageQueue.clear(userId);
             
             if (context) {
                 const authData = await this.authState.get(context, {});
@@ -573,11 +726,11 @@ class TeamsBot extends DialogBot {
                 await this.userState.saveChanges(context);
             }
             
-            console.log(`[${userId}] Estado forzadamente limpiado`);
+            logger.info(`[${userId}] Estado forzadamente limpiado`);
             return true;
             
         } catch (error) {
-            console.error(`[${userId}] Error limpiando estado:`, error);
+            logger.error(`[${userId}] Error limpiando estado:`, error);
             return false;
         }
     }
@@ -1,6 +1,8 @@
 // cosmosConfigs.js - Configuración optimizada y resiliente para CosmosDB
 
 const { CosmosClient } = require('@azure/cosmos');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('cosmosConfigs');
 require('dotenv').config();
 
 /**
@@ -10,6 +12,7 @@ class CosmosDbConfig {
     constructor() {
         this.initialized = false;
         this.container = null;
+        this.stateContainer = null;
         this.client = null;
         this.retryCount = 0;
         this.maxRetries = 3;
@@ -20,6 +23,7 @@ class CosmosDbConfig {
         this.key = process.env.COSMOSDB_KEY;
         this.databaseId = process.env.COSMOSDB_DATABASE_ID || 'alfabot';
         this.containerId = process.env.COSMOSDB_CONVERSATIONS_CONTAINER || 'conversations';
+        this.stateContainerId = process.env.COSMOSDB_STATE_CONTAINER || 'botstate';
         
         // Promesa de inicialización
         this.initializationPromise = this.initializeWithRetry();
@@ -33,18 +37,18 @@ class CosmosDbConfig {
             try {
                 await this.attemptInitialization();
                 this.initialized = true;
-                console.log('CosmosDB inicializado correctamente');
+                logger.info('CosmosDB inicializado correctamente');
                 return;
                 
             } catch (error) {
                 this.retryCount++;
-                console.error(`CosmosDB intento ${this.retryCount}/${this.maxRetries} falló:`, error.message);
+                logger.error(`CosmosDB intento ${this.retryCount}/${this.maxRetries} falló:`, error.message);
                 
                 if (this.retryCount < this.maxRetries) {
-                    console.log(`Reintentando en ${this.retryDelay/1000} segundos...`);
+                    logger.info(`Reintentando en ${this.retryDelay/1000} segundos...`);
                     await this.delay(this.retryDelay);
                 } else {
-                    console.error('CosmosDB no pudo inicializarse después de todos los reintentos');
+                    logger.error('CosmosDB no pudo inicializarse después de todos los reintentos');
                     this.initialized = false;
                 }
             }
@@ -83,7 +87,7 @@ class CosmosDbConfig {
             throughput: 400 // RU/s mínimo para shared throughput
         });
 
-        console.log(`Base de datos '${this.databaseId}' verificada`);
+        logger.info(`Base de datos '${this.databaseId}' verificada`);
 
         // Crear/verificar contenedor
         const { container } = await database.containers.createIfNotExists({
@@ -105,9 +109,40 @@ class CosmosDbConfig {
             }
         });
 
-        console.log(`Contenedor '${this.containerId}' verificado`);
+        logger.info(`Contenedor '${this.containerId}' verificado`);
+
+        // Crear/verificar contenedor de estado del bot (ConversationState/UserState)
+        const { container: stateContainer } = await database.containers.createIfNotExists({
+            id: this.stateContainerId,
+            partitionKey: {
+                paths: ["/id"],
+                kind: "Hash"
+            },
+            defaultTtl: -1
+        });
+        await this.enableItemTtl(stateContainer);
+
+        logger.info(`Contenedor '${this.stateContainerId}' verificado`);
 
         this.container = container;
+        this.stateContainer = stateContainer;
+    }
+
+    /**
+     * Habilita el TTL por item en el contenedor de estado (sin expiración por
+     * defecto) para que registros como las entregas de notificaciones caduquen
+     * solos. Los contenedores creados antes no lo tienen activo.
+     */
+    async enableItemTtl(container) {
+        try {
+            const { resource } = await container.read();
+            if (resource && resource.defaultTtl === undefined) {
+                await container.replace({ ...resource, defaultTtl: -1 });
+                logger.info(`TTL por item habilitado en '${resource.id}'`);
+            }
+        } catch (error) {
+            logger.warn(`No se pudo habilitar el TTL del contenedor de estado: ${error.message}`);
+        }
     }
 
     /**
@@ -117,7 +152,7 @@ class CosmosDbConfig {
         try {
             // Intenta obtener las bases de datos para verificar conectividad
             const { resources } = await this.client.databases.readAll().fetchAll();
-            console.log(`CosmosDB conectado - ${resources.length} base(s) de datos encontrada(s)`);
+            logger.info(`CosmosDB conectado - ${resources.length} base(s) de datos encontrada(s)`);
         } catch (error) {
             throw new Error(`Error de conectividad CosmosDB: ${error.message}`);
         }
@@ -133,6 +168,16 @@ class CosmosDbConfig {
         return this.container;
     }
 
+    /**
+     * Obtiene el contenedor de estado del bot
+     */
+    getStateContainer() {
+        if (!this.initialized || !this.stateContainer) {
+            throw new Error('CosmosDB no está inicializado');
+        }
+        return this.stateContainer;
+    }
+
     /**
      * Verifica si CosmosDB está disponible
      */
@@ -154,6 +199,7 @@ class CosmosDbConfig {
             key: this.key ? 'configurado' : 'faltante',
             databaseId: this.databaseId,
             containerId: this.containerId,
+            stateContainerId: this.stateContainerId,
             timestamp: new Date().toISOString()
         };
     }
@@ -192,10 +238,11 @@ class CosmosDbConfig {
      * Intenta reconectarse a CosmosDB
      */
     async reconnect() {
-        console.log('CosmosDB: Intentando reconexión...');
+        logger.info('CosmosDB: Intentando reconexión...');
         
         this.initialized = false;
         this.container = null;
+        this.stateContainer = null;
         this.client = null;
         this.retryCount = 0;
         
@@ -212,13 +259,14 @@ class CosmosDbConfig {
         try {
             if (this.client) {
                 await this.client.dispose();
-                console.log('Cliente CosmosDB limpiado');
+                logger.info('Cliente CosmosDB limpiado');
             }
         } catch (error) {
-            console.error('Error limpiando CosmosDB:', error.message);
+            logger.error('Error limpiando CosmosDB:', error.message);
         } finally {
             this.initialized = false;
             this.container = null;
+            this.stateContainer = null;
             this.client = null;
         }
     }
@@ -237,6 +285,7 @@ class CosmosDbConfig {
         return {
             databaseId: this.databaseId,
             containerId: this.containerId,
+            stateContainerId: this.stateContainerId,
             endpointConfigured: !!this.endpoint,
             keyConfigured: !!this.key,
             maxRetries: this.maxRetries,
@@ -283,7 +332,7 @@ class CosmosDbConfig {
                 return await operation();
             } catch (error) {
                 lastError = error;
-                console.warn(`CosmosDB operación falló (intento ${attempt}/${maxRetries}):`, error.message);
+                logger.warn(`CosmosDB operación falló (intento ${attempt}/${maxRetries}):`, error.message);
                 
                 if (attempt < maxRetries) {
                     await this.delay(1000 * attempt); // Backoff exponencial
@@ -300,13 +349,13 @@ const cosmosDbConfig = new CosmosDbConfig();
 
 // Manejo graceful de shutdown
 process.on('SIGINT', async () => {
-    console.log('Cerrando conexión CosmosDB...');
+    logger.info('Cerrando conexión CosmosDB...');
     await cosmosDbConfig.cleanup();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-    console.log('Cerrando conexión CosmosDB...');
+    logger.info('Cerrando conexión CosmosDB...');
     await cosmosDbConfig.cleanup();
     process.exit(0);
 });
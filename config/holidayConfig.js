@@ -0,0 +1,117 @@
+// holidayConfig.js - Calendario de días festivos (LFT art. 74) versionado y ajustable por empresa
+
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('holidayConfig');
+require('dotenv').config();
+
+/**
+ * Reglas de días de descanso obligatorio por versión del artículo 74 de la LFT.
+ * Tipos de regla:
+ * - fixed: mismo día cada año ({ month, day })
+ * - nthWeekday: n-ésimo día de la semana del mes ({ month, weekday 1=lunes, nth })
+ * - every/since: la regla solo aplica cada `every` años a partir de `since`
+ * La transmisión del Poder Ejecutivo pasó del 1 de diciembre al 1 de octubre con la reforma de 2024.
+ */
+const CALENDAR_VERSIONS = {
+    'lft-2006': [
+        { id: 'anio_nuevo', nombre: 'Año Nuevo', type: 'fixed', month: 1, day: 1 },
+        { id: 'constitucion', nombre: 'Día de la Constitución', type: 'nthWeekday', month: 2, weekday: 1, nth: 1 },
+        { id: 'benito_juarez', nombre: 'Natalicio de Benito Juárez', type: 'nthWeekday', month: 3, weekday: 1, nth: 3 },
+        { id: 'dia_trabajo', nombre: 'Día del Trabajo', type: 'fixed', month: 5, day: 1 },
+        { id: 'independencia', nombre: 'Día de la Independencia', type: 'fixed', month: 9, day: 16 },
+        { id: 'revolucion', nombre: 'Día de la Revolución', type: 'nthWeekday', month: 11, weekday: 1, nth: 3 },
+        { id: 'transmision_poder', nombre: 'Transmisión del Poder Ejecutivo Federal', type: 'fixed', month: 12, day: 1, every: 6, since: 2006 },
+        { id: 'navidad', nombre: 'Navidad', type: 'fixed', month: 12, day: 25 }
+    ],
+    'lft-2024': [
+        { id: 'anio_nuevo', nombre: 'Año Nuevo', type: 'fixed', month: 1, day: 1 },
+        { id: 'constitucion', nombre: 'Día de la Constitución', type: 'nthWeekday', month: 2, weekday: 1, nth: 1 },
+        { id: 'benito_juarez', nombre: 'Natalicio de Benito Juárez', type: 'nthWeekday', month: 3, weekday: 1, nth: 3 },
+        { id: 'dia_trabajo', nombre: 'Día del Trabajo', type: 'fixed', month: 5, day: 1 },
+        { id: 'independencia', nombre: 'Día de la Independencia', type: 'fixed', month: 9, day: 16 },
+        { id: 'transmision_poder', nombre: 'Transmisión del Poder Ejecutivo Federal', type: 'fixed', month: 10, day: 1, every: 6, since: 2024 },
+        { id: 'revolucion', nombre: 'Día de la Revolución', type: 'nthWeekday', month: 11, weekday: 1, nth: 3 },
+        { id: 'navidad', nombre: 'Navidad', type: 'fixed', month: 12, day: 25 }
+    ]
+};
+
+const DEFAULT_VERSION = 'lft-2024';
+
+/**
+ * Días móviles que una empresa puede agregar por nombre (relativos al Domingo de Pascua)
+ */
+const MOVABLE_HOLIDAYS = {
+    jueves_santo: { nombre: 'Jueves Santo', easterOffset: -3 },
+    viernes_santo: { nombre: 'Viernes Santo', easterOffset: -2 }
+};
+
+/**
+ * Configuración del calendario leída de variables de entorno:
+ * - HOLIDAY_CALENDAR_VERSION: versión de reglas de la LFT ('lft-2024' por defecto)
+ * - HOLIDAY_EXTRA_DATES: festivos adicionales de la empresa separados por coma:
+ *   'YYYY-MM-DD:Nombre' (una vez), 'MM-DD:Nombre' (cada año) o un día móvil
+ *   ('jueves_santo', 'viernes_santo')
+ * - HOLIDAY_REMOVED_DATES: festivos de ley que la empresa no descansa, por id de
+ *   regla ('constitucion') o por fecha ('YYYY-MM-DD' o 'MM-DD')
+ */
+class HolidayConfig {
+    constructor() {
+        const requestedVersion = process.env.HOLIDAY_CALENDAR_VERSION || DEFAULT_VERSION;
+        if (!CALENDAR_VERSIONS[requestedVersion]) {
+            logger.warn(`⚠️ HOLIDAY_CALENDAR_VERSION "${requestedVersion}" no existe, usando ${DEFAULT_VERSION}`);
+        }
+
+        this.version = CALENDAR_VERSIONS[requestedVersion] ? requestedVersion : DEFAULT_VERSION;
+        this.rules = CALENDAR_VERSIONS[this.version];
+        this.movableHolidays = MOVABLE_HOLIDAYS;
+        this.extraDates = this.parseExtraDates(process.env.HOLIDAY_EXTRA_DATES);
+        this.removedDates = this.parseList(process.env.HOLIDAY_REMOVED_DATES);
+    }
+
+    /**
+     * Separa una lista por comas ignorando vacíos
+     */
+    parseList(value) {
+        return (value || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Interpreta los festivos adicionales de la empresa
+     * @returns {Array} - [{ date: 'YYYY-MM-DD'|'MM-DD', nombre }] o [{ movable, nombre }]
+     */
+    parseExtraDates(value) {
+        return this.parseList(value)
+            .map(entry => {
+                const [key, ...rest] = entry.split(':');
+                const nombre = rest.join(':').trim();
+
+                if (MOVABLE_HOLIDAYS[key]) {
+                    return { movable: key, nombre: nombre || MOVABLE_HOLIDAYS[key].nombre };
+                }
+                if (/^\d{4}-\d{2}-\d{2}$/.test(key) || /^\d{2}-\d{2}$/.test(key)) {
+                    return { date: key, nombre: nombre || 'Día festivo de la empresa' };
+                }
+
+                logger.warn(`⚠️ HOLIDAY_EXTRA_DATES: entrada no reconocida "${entry}"`);
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Obtiene información de configuración
+     */
+    getConfigInfo() {
+        return {
+            version: this.version,
+            availableVersions: Object.keys(CALENDAR_VERSIONS),
+            extraDates: this.extraDates,
+            removedDates: this.removedDates
+        };
+    }
+}
+
+module.exports = new HolidayConfig();
@@ -0,0 +1,65 @@
+// sirhConfig.js - Configuración de la API SIRH seleccionable por entorno
+
+require('dotenv').config();
+
+/**
+ * Valores por defecto (ambiente QAS actual)
+ */
+const DEFAULT_BASE_URL = 'https://botapiqas-alfacorp.msappproxy.net';
+const DEFAULT_API_PATH = '/api/externas/sirh2bot_qas/bot';
+
+/**
+ * Configuración de la API SIRH leída de variables de entorno:
+ * - SIRH_BASE_URL: host de la API (producción, QAS o un stub local)
+ * - SIRH_API_PATH: prefijo de rutas de la API
+ * - SIRH_TIMEOUT_MS / SIRH_MAX_RETRIES: comportamiento de las peticiones
+ * - SIRH_REJECT_ACCEPTS_REASON: 'true' si el endpoint de rechazo acepta un motivo
+ *   (se envía en el campo SIRH_REJECT_REASON_FIELD, 'comentario' por defecto)
+ */
+class SirhConfig {
+    constructor() {
+        this.baseUrl = (process.env.SIRH_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiPath = this.normalizePath(process.env.SIRH_API_PATH || DEFAULT_API_PATH);
+        this.timeout = parseInt(process.env.SIRH_TIMEOUT_MS, 10) || 10000;
+        this.maxRetries = parseInt(process.env.SIRH_MAX_RETRIES, 10) || 3;
+        this.rejectAcceptsReason = process.env.SIRH_REJECT_ACCEPTS_REASON === 'true';
+        this.rejectReasonField = process.env.SIRH_REJECT_REASON_FIELD || 'comentario';
+    }
+
+    /**
+     * Normaliza un prefijo de ruta: con "/" inicial y sin "/" final
+     */
+    normalizePath(path) {
+        const trimmed = path.trim().replace(/\/+$/, '');
+        if (!trimmed) {
+            return '';
+        }
+        return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+    }
+
+    /**
+     * Construye la URL completa para una ruta de la API
+     * @param {string} path - Ruta relativa (ej: '/vac/solicitudes/empleado')
+     * @returns {string} - URL absoluta
+     */
+    buildUrl(path = '') {
+        const relativePath = path.startsWith('/') ? path : `/${path}`;
+        return `${this.baseUrl}${this.apiPath}${relativePath}`;
+    }
+
+    /**
+     * Obtiene información de configuración
+     */
+    getConfigInfo() {
+        return {
+            baseUrl: this.baseUrl,
+            apiPath: this.apiPath,
+            timeout: this.timeout,
+            maxRetries: this.maxRetries,
+            rejectAcceptsReason: this.rejectAcceptsReason,
+            usingDefaults: !process.env.SIRH_BASE_URL && !process.env.SIRH_API_PATH
+        };
+    }
+}
+
+module.exports = new SirhConfig();
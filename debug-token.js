@@ -1,6 +1,9 @@
 // debug-token.js - Script para debugging de token OAuth
 const axios = require('axios');
 const readline = require('readline');
+const sirhConfig = require('./config/sirhConfig');
+
+const EMPLEADO_URL = sirhConfig.buildUrl('/empleado');
 
 const rl = readline.createInterface({
     input: process.stdin,
@@ -33,14 +36,11 @@ async function testToken(token) {
     };
     
     console.log('\n📡 Enviando petición a SIRH API...');
-    console.log('URL: https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado');
+    console.log(`URL: ${EMPLEADO_URL}`);
     console.log('Headers:', JSON.stringify(config.headers, null, 2));
     
     try {
-        const response = await axios.get(
-            'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado',
-            config
-        );
+        const response = await axios.get(EMPLEADO_URL, config);
         
         console.log(`\n✅ Respuesta recibida - Status: ${response.status} ${response.statusText}`);
         console.log('Response Headers:', JSON.stringify(response.headers, null, 2));
@@ -2,6 +2,8 @@
 
 const { ActivityTypes } = require('botbuilder');
 const { ComponentDialog } = require('botbuilder-dialogs');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('logoutDialog');
 
 /**
  * LogoutDialog - Manejo simplificado de logout
@@ -12,7 +14,7 @@ class LogoutDialog extends ComponentDialog {
         this.connectionName = connectionName;
         
         if (!connectionName) {
-            console.warn('LogoutDialog: connectionName no proporcionado');
+            logger.warn('LogoutDialog: connectionName no proporcionado');
         }
     }
 
@@ -24,7 +26,7 @@ class LogoutDialog extends ComponentDialog {
             }
             return await super.onBeginDialog(innerDc, options);
         } catch (error) {
-            console.error('LogoutDialog onBeginDialog error:', error.message);
+            logger.error('LogoutDialog onBeginDialog error:', error.message);
             return await innerDc.endDialog();
         }
     }
@@ -37,7 +39,7 @@ class LogoutDialog extends ComponentDialog {
             }
             return await super.onContinueDialog(innerDc);
         } catch (error) {
-            console.error('LogoutDialog onContinueDialog error:', error.message);
+            logger.error('LogoutDialog onContinueDialog error:', error.message);
             return await innerDc.endDialog();
         }
     }
@@ -69,7 +71,7 @@ class LogoutDialog extends ComponentDialog {
         const userId = innerDc.context.activity.from.id;
         
         try {
-            console.log(`[${userId}] Iniciando logout`);
+            logger.info(`[${userId}] Iniciando logout`);
             
             const logoutSteps = [];
             
@@ -88,7 +90,7 @@ class LogoutDialog extends ComponentDialog {
                     logoutSteps.push('Sesión OAuth cerrada');
                 }
             } catch (oauthError) {
-                console.error('Error cerrando sesión OAuth:', oauthError.message);
+                logger.error('Error cerrando sesión OAuth:', oauthError.message);
                 logoutSteps.push('Error en OAuth (continuando)');
             }
             
@@ -104,7 +106,7 @@ class LogoutDialog extends ComponentDialog {
                     logoutSteps.push('Usuario removido de memoria');
                 }
             } catch (botError) {
-                console.error('Error limpiando bot:', botError.message);
+                logger.error('Error limpiando bot:', botError.message);
                 logoutSteps.push('Error limpiando bot');
             }
             
@@ -123,7 +125,7 @@ class LogoutDialog extends ComponentDialog {
                     }
                 }
             } catch (stateError) {
-                console.error('Error limpiando estado:', stateError.message);
+                logger.error('Error limpiando estado:', stateError.message);
                 logoutSteps.push('Error limpiando estado');
             }
             
@@ -135,7 +137,7 @@ class LogoutDialog extends ComponentDialog {
                     logoutSteps.push('Diálogo principal limpiado');
                 }
             } catch (dialogError) {
-                console.error('Error limpiando MainDialog:', dialogError.message);
+                logger.error('Error limpiando MainDialog:', dialogError.message);
                 logoutSteps.push('Error limpiando diálogo');
             }
             
@@ -146,12 +148,12 @@ class LogoutDialog extends ComponentDialog {
                 
             await innerDc.context.sendActivity(successMessage);
             
-            console.log(`[${userId}] Logout completado: ${logoutSteps.join(', ')}`);
+            logger.info(`[${userId}] Logout completado: ${logoutSteps.join(', ')}`);
             
             return await innerDc.cancelAllDialogs();
             
         } catch (error) {
-            console.error(`[${userId}] Error crítico en logout:`, error.message);
+            logger.error(`[${userId}] Error crítico en logout:`, error.message);
             
             await innerDc.context.sendActivity(
                 '❌ **Error durante logout**\n\n' +
@@ -2,6 +2,9 @@
 
 const { DialogSet, DialogTurnStatus, OAuthPrompt, WaterfallDialog } = require('botbuilder-dialogs');
 const { LogoutDialog } = require('./logoutDialog');
+const sirhConfig = require('../config/sirhConfig');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('mainDialog');
 
 const MAIN_DIALOG = 'MainDialog';
 const MAIN_WATERFALL_DIALOG = 'MainWaterfallDialog';
@@ -15,11 +18,11 @@ class MainDialog extends LogoutDialog {
         super(MAIN_DIALOG, process.env.connectionName || process.env.OAUTH_CONNECTION_NAME);
 
         const connectionName = process.env.connectionName || process.env.OAUTH_CONNECTION_NAME;
-        console.log(`🔧 [MainDialog] Inicializando con connectionName: ${connectionName}`);
+        logger.info(`🔧 [MainDialog] Inicializando con connectionName: ${connectionName}`);
         
         if (!connectionName) {
-            console.error('MainDialog: ERROR - connectionName no configurado');
-            console.error('Variables de entorno disponibles:', {
+            logger.error('MainDialog: ERROR - connectionName no configurado');
+            logger.error('Variables de entorno disponibles:', {
                 connectionName: process.env.connectionName,
                 OAUTH_CONNECTION_NAME: process.env.OAUTH_CONNECTION_NAME
             });
@@ -47,7 +50,7 @@ class MainDialog extends LogoutDialog {
         // Registrar globalmente para acceso desde bot
         global.mainDialogInstance = this;
 
-        console.log(`✅ [MainDialog] Inicializado correctamente con connectionName: ${connectionName}`);
+        logger.info(`✅ [MainDialog] Inicializado correctamente con connectionName: ${connectionName}`);
     }
 
     /**
@@ -58,7 +61,7 @@ class MainDialog extends LogoutDialog {
         const activityType = context.activity.type;
         const activityName = context.activity.name;
 
-        console.log(`MainDialog.run [${userId}] - ${activityType}:${activityName || 'N/A'}`);
+        logger.info(`MainDialog.run [${userId}] - ${activityType}:${activityName || 'N/A'}`);
 
         try {
             // Verificar si ya hay autenticación para activities de message
@@ -67,7 +70,7 @@ class MainDialog extends LogoutDialog {
                 if (bot && typeof bot.isUserAuthenticated === 'function') {
                     const isAuthenticated = await bot.isUserAuthenticated(userId, context);
                     if (isAuthenticated) {
-                        console.log(`[${userId}] Ya autenticado, saltando diálogo`);
+                        logger.info(`[${userId}] Ya autenticado, saltando diálogo`);
                         return;
                     }
                 }
@@ -81,25 +84,25 @@ class MainDialog extends LogoutDialog {
             
             // Primero intentar continuar cualquier diálogo existente
             const results = await dialogContext.continueDialog();
-            console.log(`[${userId}] Estado del diálogo: ${results.status}`);
+            logger.info(`[${userId}] Estado del diálogo: ${results.status}`);
 
             // Si no hay diálogo activo, iniciar uno nuevo
             if (results.status === DialogTurnStatus.empty) {
                 // Para eventos invoke de OAuth, permitir siempre el procesamiento
                 if (activityType === 'invoke' && 
                     ['signin/verifyState', 'signin/tokenExchange'].includes(activityName)) {
-                    console.log(`[${userId}] Procesando evento OAuth invoke sin verificar activeDialogs`);
+                    logger.info(`[${userId}] Procesando evento OAuth invoke sin verificar activeDialogs`);
                     return;
                 }
                 
                 // Verificar si ya hay un diálogo activo para evitar duplicados
                 const dialogKey = `dialog-${userId}`;
                 if (this.activeDialogs.has(dialogKey)) {
-                    console.log(`[${userId}] Diálogo ya marcado como activo, verificando estado...`);
+                    logger.info(`[${userId}] Diálogo ya marcado como activo, verificando estado...`);
                     
                     // Si es un comando login explícito, limpiar y reiniciar
                     if (activityType === 'message' && context.activity.text?.toLowerCase() === 'login') {
-                        console.log(`[${userId}] Comando login detectado, limpiando estado anterior`);
+                        logger.info(`[${userId}] Comando login detectado, limpiando estado anterior`);
                         this.activeDialogs.delete(dialogKey);
                         await dialogContext.cancelAllDialogs();
                     } else {
@@ -108,17 +111,17 @@ class MainDialog extends LogoutDialog {
                 }
                 
                 this.activeDialogs.add(dialogKey);
-                console.log(`[${userId}] Iniciando nuevo diálogo OAuth`);
+                logger.info(`[${userId}] Iniciando nuevo diálogo OAuth`);
                 await dialogContext.beginDialog(this.id);
             } else if (results.status === DialogTurnStatus.complete) {
                 // Limpiar el diálogo activo cuando se complete
                 const dialogKey = `dialog-${userId}`;
                 this.activeDialogs.delete(dialogKey);
-                console.log(`[${userId}] Diálogo completado, limpiando estado`);
+                logger.info(`[${userId}] Diálogo completado, limpiando estado`);
             }
 
         } catch (error) {
-            console.error(`[${userId}] Error en MainDialog.run:`, error);
+            logger.error(`[${userId}] Error en MainDialog.run:`, error);
             // Limpiar estado de error
             this.activeDialogs.delete(`dialog-${userId}`);
             throw error;
@@ -133,12 +136,12 @@ class MainDialog extends LogoutDialog {
         const activityType = stepContext.context.activity.type;
         const activityName = stepContext.context.activity.name;
 
-        console.log(`[${userId}] PromptStep - ${activityType}:${activityName || 'N/A'}`);
+        logger.info(`[${userId}] PromptStep - ${activityType}:${activityName || 'N/A'}`);
         
         // Para invokes (signin/verifyState), no mostrar nuevo prompt
         if (activityType === 'invoke' && 
             ['signin/verifyState', 'signin/tokenExchange'].includes(activityName)) {
-            console.log(`[${userId}] Es invoke ${activityName}, saltando prompt`);
+            logger.info(`[${userId}] Es invoke ${activityName}, saltando prompt`);
             return await stepContext.next(null);
         }
 
@@ -148,15 +151,15 @@ class MainDialog extends LogoutDialog {
             if (bot && typeof bot.isUserAuthenticated === 'function') {
                 const isAuthenticated = await bot.isUserAuthenticated(userId, stepContext.context);
                 if (isAuthenticated) {
-                    console.log(`[${userId}] Usuario ya autenticado, saltando prompt`);
+                    logger.info(`[${userId}] Usuario ya autenticado, saltando prompt`);
                     return await stepContext.next(null);
                 }
             }
         }
 
         try {
-            console.log(`[${userId}] Mostrando OAuth prompt`);
-            console.log(`[${userId}] connectionName: ${process.env.connectionName || process.env.OAUTH_CONNECTION_NAME}`);
+            logger.info(`[${userId}] Mostrando OAuth prompt`);
+            logger.info(`[${userId}] connectionName: ${process.env.connectionName || process.env.OAUTH_CONNECTION_NAME}`);
             
             // FORZAR LIMPIEZA DE TOKEN ANTES DE MOSTRAR PROMPT
             await this.forceTokenCleanup(stepContext.context, userId);
@@ -166,14 +169,14 @@ class MainDialog extends LogoutDialog {
                 'Inicia sesión con tu cuenta corporativa para continuar.'
             );
             
-            console.log(`[${userId}] Iniciando diálogo OAuth: ${OAUTH_PROMPT}`);
+            logger.info(`[${userId}] Iniciando diálogo OAuth: ${OAUTH_PROMPT}`);
             const result = await stepContext.beginDialog(OAUTH_PROMPT);
-            console.log(`[${userId}] Resultado beginDialog:`, result);
+            logger.info(`[${userId}] Resultado beginDialog:`, result);
             return result;
             
         } catch (error) {
-            console.error(`[${userId}] Error en promptStep:`, error);
-            console.error(`[${userId}] Stack trace:`, error.stack);
+            logger.error(`[${userId}] Error en promptStep:`, error);
+            logger.error(`[${userId}] Stack trace:`, error.stack);
             await stepContext.context.sendActivity('❌ Error iniciando autenticación. Verifica la configuración OAuth.');
             return await stepContext.endDialog();
         }
@@ -189,12 +192,12 @@ class MainDialog extends LogoutDialog {
         const activityType = stepContext.context.activity.type;
         const activityName = stepContext.context.activity.name;
 
-        console.log(`[${userId}] LoginStep - Token: ${!!tokenResponse?.token}, Activity: ${activityType}:${activityName || 'N/A'}`);
+        logger.info(`[${userId}] LoginStep - Token: ${!!tokenResponse?.token}, Activity: ${activityType}:${activityName || 'N/A'}`);
         
         // Para eventos invoke, intentar obtener el token del contexto si no está en result
         if (!tokenResponse && activityType === 'invoke' && 
             ['signin/verifyState', 'signin/tokenExchange'].includes(activityName)) {
-            console.log(`[${userId}] Es invoke OAuth, intentando obtener token del contexto`);
+            logger.info(`[${userId}] Es invoke OAuth, intentando obtener token del contexto`);
             
             try {
                 const adapter = stepContext.context.adapter;
@@ -207,13 +210,13 @@ class MainDialog extends LogoutDialog {
                     );
                     
                     if (tokenFromAdapter && tokenFromAdapter.token) {
-                        console.log(`[${userId}] Token obtenido del adapter después de invoke`);
+                        logger.info(`[${userId}] Token obtenido del adapter después de invoke`);
                         stepContext.result = tokenFromAdapter;
                         return await this.loginStep(stepContext); // Reintentar con el token
                     }
                 }
             } catch (error) {
-                console.error(`[${userId}] Error obteniendo token después de invoke:`, error);
+                logger.error(`[${userId}] Error obteniendo token después de invoke:`, error);
             }
         }
         
@@ -222,7 +225,7 @@ class MainDialog extends LogoutDialog {
                 // Validar token
                 const isValid = await this.validateToken(tokenResponse.token);
                 if (!isValid) {
-                    console.error(`[${userId}] Token inválido`);
+                    logger.error(`[${userId}] Token inválido`);
                     await stepContext.context.sendActivity(
                         '❌ **Token inválido**\n\n' +
                         'El token recibido no es válido. Intenta autenticarte nuevamente.'
@@ -236,7 +239,7 @@ class MainDialog extends LogoutDialog {
                 // Marcar como autenticado en el bot
                 const bot = stepContext.context.turnState.get('bot');
                 if (bot && typeof bot.setUserAuthenticated === 'function') {
-                    console.log(`[${userId}] Estableciendo autenticación en bot`);
+                    logger.info(`[${userId}] Estableciendo autenticación en bot`);
                     
                     const authSuccess = await bot.setUserAuthenticated(userId, conversationId, {
                         email: userInfo.email,
@@ -246,7 +249,7 @@ class MainDialog extends LogoutDialog {
                     });
 
                     if (authSuccess) {
-                        console.log(`[${userId}] Autenticación exitosa`);
+                        logger.info(`[${userId}] Autenticación exitosa`);
                         
                         await stepContext.context.sendActivity(
                             `✅ **¡Autenticación exitosa!**\n\n` +
@@ -256,7 +259,7 @@ class MainDialog extends LogoutDialog {
                         
                         return await stepContext.next(tokenResponse);
                     } else {
-                        console.error(`[${userId}] Error estableciendo autenticación`);
+                        logger.error(`[${userId}] Error estableciendo autenticación`);
                         await stepContext.context.sendActivity(
                             '❌ **Error completando autenticación**\n\n' +
                             'Intenta autenticarte nuevamente.'
@@ -264,12 +267,12 @@ class MainDialog extends LogoutDialog {
                         return await stepContext.endDialog();
                     }
                 } else {
-                    console.error(`[${userId}] Bot instance no encontrada`);
+                    logger.error(`[${userId}] Bot instance no encontrada`);
                     return await stepContext.endDialog();
                 }
                 
             } catch (error) {
-                console.error(`[${userId}] Error en loginStep:`, error);
+                logger.error(`[${userId}] Error en loginStep:`, error);
                 await stepContext.context.sendActivity(
                     '❌ **Error durante autenticación**\n\n' +
                     'Ocurrió un error inesperado. Intenta escribir `login` nuevamente.'
@@ -279,13 +282,13 @@ class MainDialog extends LogoutDialog {
         } else {
             // Para invokes sin token, continuar (puede llegar en siguiente invoke)
             if (activityType === 'invoke' && activityName === 'signin/verifyState') {
-                console.log(`[${userId}] signin/verifyState sin token - esperando...`);
+                logger.info(`[${userId}] signin/verifyState sin token - esperando...`);
                 return await stepContext.next(null);
             }
             
             // Para messages, significa que se canceló
             if (activityType === 'message') {
-                console.warn(`[${userId}] Autenticación cancelada por usuario`);
+                logger.warn(`[${userId}] Autenticación cancelada por usuario`);
                 // No mostrar mensaje para evitar spam
             }
             
@@ -300,11 +303,11 @@ class MainDialog extends LogoutDialog {
         const userId = stepContext.context.activity.from.id;
         const dialogKey = `dialog-${userId}`;
         
-        console.log(`[${userId}] FinalStep - Resultado: ${!!stepContext.result}`);
+        logger.info(`[${userId}] FinalStep - Resultado: ${!!stepContext.result}`);
         
         // Limpiar estado de diálogo activo
         this.activeDialogs.delete(dialogKey);
-        console.log(`[${userId}] Diálogo finalizado`);
+        logger.info(`[${userId}] Diálogo finalizado`);
         
         return await stepContext.endDialog(stepContext.result);
     }
@@ -314,7 +317,7 @@ class MainDialog extends LogoutDialog {
      */
     async forceTokenCleanup(context, userId) {
         try {
-            console.log(`[${userId}] Forzando limpieza de token antes de OAuth prompt`);
+            logger.info(`[${userId}] Forzando limpieza de token antes de OAuth prompt`);
             
             const connectionName = process.env.connectionName || process.env.OAUTH_CONNECTION_NAME;
             
@@ -325,16 +328,16 @@ class MainDialog extends LogoutDialog {
             if (userTokenClient && connectionName) {
                 try {
                     await userTokenClient.signOutUser(userId, connectionName, context.activity.channelId);
-                    console.log(`[${userId}] Token limpiado del UserTokenClient antes de OAuth prompt`);
+                    logger.info(`[${userId}] Token limpiado del UserTokenClient antes de OAuth prompt`);
                 } catch (error) {
-                    console.warn(`[${userId}] Error limpiando token del UserTokenClient:`, error.message);
+                    logger.warn(`[${userId}] Error limpiando token del UserTokenClient:`, error.message);
                 }
             } else {
-                console.log(`[${userId}] UserTokenClient no disponible para limpieza`);
+                logger.info(`[${userId}] UserTokenClient no disponible para limpieza`);
             }
             
         } catch (error) {
-            console.error(`[${userId}] Error en forceTokenCleanup:`, error);
+            logger.error(`[${userId}] Error en forceTokenCleanup:`, error);
         }
     }
 
@@ -349,7 +352,7 @@ class MainDialog extends LogoutDialog {
 
             const axios = require('axios');
             const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado',
+                sirhConfig.buildUrl('/empleado'),
                 {
                     headers: {
                         'Authorization': token.startsWith('Bearer ') ? token : `Bearer ${token}`
@@ -362,10 +365,10 @@ class MainDialog extends LogoutDialog {
             
         } catch (error) {
             if (error.response && error.response.status === 401) {
-                console.warn('Token inválido (401)');
+                logger.warn('Token inválido (401)');
                 return false;
             }
-            console.warn('Error validando token, asumiendo válido:', error.message);
+            logger.warn('Error validando token, asumiendo válido:', error.message);
             return true; // En caso de error de red, asumir válido
         }
     }
@@ -390,7 +393,7 @@ class MainDialog extends LogoutDialog {
             };
             
         } catch (error) {
-            console.warn('Error extrayendo info del token:', error.message);
+            logger.warn('Error extrayendo info del token:', error.message);
             return {
                 name: 'Usuario',
                 email: 'usuario@alfa.com'
@@ -407,7 +410,7 @@ class MainDialog extends LogoutDialog {
         
         if (hadDialog) {
             this.activeDialogs.delete(dialogKey);
-            console.log(`[${userId}] Diálogo terminado manualmente`);
+            logger.info(`[${userId}] Diálogo terminado manualmente`);
         }
         
         return hadDialog;
@@ -431,7 +434,7 @@ class MainDialog extends LogoutDialog {
         const count = this.activeDialogs.size;
         this.activeDialogs.clear();
         
-        console.warn(`MainDialog: Limpieza forzada - ${count} diálogos eliminados`);
+        logger.warn(`MainDialog: Limpieza forzada - ${count} diálogos eliminados`);
         
         return {
             dialogsCleared: count,
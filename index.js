@@ -1,9 +1,20 @@
 // index.js - Servidor principal optimizado para producción
 
 const express = require('express');
-const { BotFrameworkAdapter, MemoryStorage, ConversationState, UserState } = require('botbuilder');
+const { BotFrameworkAdapter, ConversationState, UserState } = require('botbuilder');
 const { TeamsBot } = require('./bots/teamsBot');
 const { MainDialog } = require('./dialogs/mainDialog');
+const { createStateStorage, getStateStorageInfo } = require('./services/storage');
+const notificationService = require('./services/notificationService');
+const approvalDigestService = require('./services/approvalDigestService');
+const vacationStatusWatcher = require('./services/vacationStatusWatcher');
+const searchCache = require('./services/searchCache');
+const feedbackService = require('./services/feedbackService');
+const usageService = require('./services/usageService');
+const { requireInternalAuth } = require('./utilities/internalAuth');
+const { createLogger, runWithContext } = require('./utilities/logger');
+const { tracer } = require('./utilities/tracing');
+const logger = createLogger('index');
 require('dotenv').config();
 
 /**
@@ -38,7 +49,7 @@ class BotServer {
      */
     async initialize() {
         try {
-            console.log('🚀 Inicializando Alfa Teams Bot...');
+            logger.info('🚀 Inicializando Alfa Teams Bot...');
             
             // Validar configuración
             this.validateEnvironment();
@@ -62,11 +73,11 @@ class BotServer {
             this.setupGracefulShutdown();
             
             this.initialized = true;
-            console.log('✅ Alfa Teams Bot inicializado correctamente');
-            console.log(`🌐 Servidor ejecutándose en puerto ${this.port}`);
+            logger.info('✅ Alfa Teams Bot inicializado correctamente');
+            logger.info(`🌐 Servidor ejecutándose en puerto ${this.port}`);
             
         } catch (error) {
-            console.error('❌ Error inicializando servidor:', error);
+            logger.error('❌ Error inicializando servidor:', error);
             process.exit(1);
         }
     }
@@ -87,7 +98,7 @@ class BotServer {
             throw new Error(`Variables de entorno faltantes: ${missing.join(', ')}`);
         }
         
-        console.log('✅ Variables de entorno validadas');
+        logger.info('✅ Variables de entorno validadas');
     }
 
     /**
@@ -113,7 +124,7 @@ class BotServer {
             next();
         });
         
-        console.log('✅ Express configurado');
+        logger.info('✅ Express configurado');
     }
 
     /**
@@ -130,32 +141,37 @@ class BotServer {
                 }
             });
             
-            console.log(`🔧 Adapter configurado con connectionName: ${process.env.connectionName || process.env.OAUTH_CONNECTION_NAME}`);
+            logger.info(`🔧 Adapter configurado con connectionName: ${process.env.connectionName || process.env.OAUTH_CONNECTION_NAME}`);
 
             // Configurar manejo de errores del adapter
             this.adapter.onTurnError = async (context, error) => {
-                console.error('Bot Framework Error:', error);
+                logger.error('Bot Framework Error:', error);
                 this.metrics.errorCount++;
                 
                 try {
                     await context.sendActivity('❌ Error interno del bot. Intenta nuevamente.');
                 } catch (sendError) {
-                    console.error('Error enviando mensaje de error:', sendError);
+                    logger.error('Error enviando mensaje de error:', sendError);
                 }
             };
 
-            // Crear storage y estados
-            const memoryStorage = new MemoryStorage();
-            const conversationState = new ConversationState(memoryStorage);
-            const userState = new UserState(memoryStorage);
+            // Crear storage persistente y estados
+            const stateStorage = await createStateStorage();
+            const conversationState = new ConversationState(stateStorage);
+            const userState = new UserState(stateStorage);
 
             // Crear diálogo principal
             const dialog = new MainDialog();
 
             // Crear bot
             this.bot = new TeamsBot(conversationState, userState, dialog);
+
+            // Habilitar mensajes proactivos
+            notificationService.initialize(this.adapter, process.env.MicrosoftAppId);
+            approvalDigestService.start();
+            vacationStatusWatcher.start();
             
-            console.log('✅ Bot Framework inicializado');
+            logger.info('✅ Bot Framework inicializado');
             
         } catch (error) {
             throw new Error(`Error inicializando Bot Framework: ${error.message}`);
@@ -168,12 +184,29 @@ class BotServer {
     setupRoutes() {
         // Ruta principal del bot
         this.app.post('/api/messages', async (req, res) => {
+            const activity = req.body || {};
             try {
-                await this.adapter.processActivity(req, res, async (context) => {
-                    await this.bot.run(context);
-                });
+                // Un id de correlación por actividad entrante; se propaga a logs, OpenAI y SIRH
+                await runWithContext({
+                    activityId: activity.id,
+                    activityType: activity.type,
+                    userId: activity.from?.id
+                }, () => tracer.withSpan('POST /api/messages', {
+                    kind: 'server',
+                    attributes: {
+                        'http.method': 'POST',
+                        'http.route': '/api/messages',
+                        'activity.type': activity.type,
+                        'activity.channel': activity.channelId
+                    }
+                }, async (span) => {
+                    await this.adapter.processActivity(req, res, async (context) => {
+                        await this.bot.run(context);
+                    });
+                    span.setAttribute('http.status_code', res.statusCode);
+                }));
             } catch (error) {
-                console.error('Error procesando actividad:', error);
+                logger.error('Error procesando actividad:', error);
                 this.metrics.errorCount++;
                 
                 if (!res.headersSent) {
@@ -209,6 +242,7 @@ class BotServer {
                 version: '2.0.0',
                 environment: this.environment,
                 startTime: this.metrics.startTime,
+                stateStorage: getStateStorageInfo(),
                 botStats: this.bot ? this.bot.getStats() : null
             };
             
@@ -221,6 +255,13 @@ class BotServer {
                 ...this.metrics,
                 uptime: Date.now() - this.metrics.startTime.getTime(),
                 botStats: this.bot ? this.bot.getStats() : null,
+                notifications: notificationService.getStats(),
+                approvalDigest: approvalDigestService.getStats(),
+                statusWatcher: vacationStatusWatcher.getStats(),
+                searchCache: searchCache.getStats(),
+                feedback: feedbackService.getStats(),
+                usage: usageService.getStats(),
+                tracing: tracer.getStats(),
                 memoryUsage: process.memoryUsage(),
                 cpuUsage: process.cpuUsage()
             };
@@ -228,6 +269,127 @@ class BotServer {
             res.json(metrics);
         });
 
+        // Notificaciones proactivas (uso interno)
+        this.app.post('/api/notify', requireInternalAuth, async (req, res) => {
+            const { aadObjectId, aadObjectIds, text, card, source } = req.body || {};
+            const recipients = Array.isArray(aadObjectIds) ? aadObjectIds : (aadObjectId ? [aadObjectId] : []);
+
+            if (recipients.length === 0 || (!text && !card)) {
+                return res.status(400).json({
+                    error: 'Se requiere aadObjectId (o aadObjectIds) y text o card',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!notificationService.isAvailable()) {
+                return res.status(503).json({
+                    error: 'Servicio de notificaciones no disponible',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            try {
+                const deliveries = [];
+                for (const recipient of recipients) {
+                    deliveries.push(await notificationService.sendToUser(recipient, { text, card }, { source }));
+                }
+
+                res.json({
+                    delivered: deliveries.filter(d => d.status === 'delivered').length,
+                    failed: deliveries.filter(d => d.status !== 'delivered').length,
+                    deliveries,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('Error enviando notificación:', error);
+                this.metrics.errorCount++;
+                res.status(500).json({
+                    error: 'Error enviando notificación',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Registros de entrega de notificaciones
+        this.app.get('/api/notify/deliveries', requireInternalAuth, (req, res) => {
+            res.json({
+                deliveries: notificationService.getDeliveries(req.query),
+                stats: notificationService.getStats(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        this.app.get('/api/notify/deliveries/:id', requireInternalAuth, async (req, res) => {
+            try {
+                const delivery = await notificationService.getDelivery(req.params.id);
+                if (!delivery) {
+                    return res.status(404).json({
+                        error: 'Registro de entrega no encontrado',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                res.json(delivery);
+            } catch (error) {
+                logger.error('Error consultando registro de entrega:', error);
+                this.metrics.errorCount++;
+                res.status(500).json({
+                    error: 'Error consultando registro de entrega',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Purga de la caché de búsqueda (por índice tras re-indexar, o completa)
+        this.app.post('/api/search-cache/purge', requireInternalAuth, (req, res) => {
+            const { indexName } = req.body || {};
+            res.json({
+                ...searchCache.purge(indexName || null),
+                stats: searchCache.getStats(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Reporte de satisfacción de respuestas (?desde=YYYY-MM-DD&hasta=YYYY-MM-DD)
+        this.app.get('/api/feedback/report', requireInternalAuth, async (req, res) => {
+            try {
+                const report = await feedbackService.getReport({
+                    desde: req.query.desde,
+                    hasta: req.query.hasta
+                });
+                res.json({
+                    ...report,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('Error generando reporte de calificaciones:', error.message);
+                res.status(400).json({
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Consumo de OpenAI (?periodo=YYYY-MM-DD|YYYY-MM&scope=user|tenant&id=...)
+        this.app.get('/api/usage', requireInternalAuth, async (req, res) => {
+            try {
+                const report = await usageService.getReport({
+                    periodo: req.query.periodo,
+                    scope: req.query.scope,
+                    id: req.query.id
+                });
+                res.json({
+                    ...report,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error('Error generando reporte de consumo:', error.message);
+                res.status(400).json({
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
         // Ruta raíz
         this.app.get('/', (req, res) => {
             res.json({
@@ -239,7 +401,7 @@ class BotServer {
             });
         });
 
-        console.log('✅ Rutas configuradas');
+        logger.info('✅ Rutas configuradas');
     }
 
     /**
@@ -248,7 +410,7 @@ class BotServer {
     setupErrorHandling() {
         // Manejo de errores de Express
         this.app.use((error, req, res, next) => {
-            console.error('Express Error:', error);
+            logger.error('Express Error:', error);
             this.metrics.errorCount++;
             
             if (!res.headersSent) {
@@ -270,7 +432,7 @@ class BotServer {
 
         // Manejo de errores no capturados
         process.on('uncaughtException', (error) => {
-            console.error('Uncaught Exception:', error);
+            logger.error('Uncaught Exception:', error);
             this.metrics.errorCount++;
             
             if (!this.shutdownInProgress) {
@@ -279,11 +441,11 @@ class BotServer {
         });
 
         process.on('unhandledRejection', (reason, promise) => {
-            console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+            logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
             this.metrics.errorCount++;
         });
 
-        console.log('✅ Manejo de errores configurado');
+        logger.info('✅ Manejo de errores configurado');
     }
 
     /**
@@ -295,7 +457,7 @@ class BotServer {
                 if (error) {
                     reject(error);
                 } else {
-                    console.log(`✅ Servidor HTTP iniciado en puerto ${this.port}`);
+                    logger.info(`✅ Servidor HTTP iniciado en puerto ${this.port}`);
                     resolve();
                 }
             });
@@ -310,7 +472,7 @@ class BotServer {
         
         signals.forEach(signal => {
             process.on(signal, () => {
-                console.log(`Señal ${signal} recibida`);
+                logger.info(`Señal ${signal} recibida`);
                 this.gracefulShutdown(signal);
             });
         });
@@ -321,42 +483,49 @@ class BotServer {
      */
     async gracefulShutdown(reason) {
         if (this.shutdownInProgress) {
-            console.log('Shutdown ya en progreso, forzando salida...');
+            logger.info('Shutdown ya en progreso, forzando salida...');
             process.exit(1);
         }
         
         this.shutdownInProgress = true;
-        console.log(`🔄 Iniciando shutdown graceful (razón: ${reason})`);
+        logger.info(`🔄 Iniciando shutdown graceful (razón: ${reason})`);
         
         try {
             // Cerrar servidor HTTP
             if (this.server) {
                 await new Promise((resolve) => {
                     this.server.close(() => {
-                        console.log('✅ Servidor HTTP cerrado');
+                        logger.info('✅ Servidor HTTP cerrado');
                         resolve();
                     });
                 });
             }
             
+            // Detener tareas programadas
+            approvalDigestService.stop();
+            vacationStatusWatcher.stop();
+            
             // Limpiar recursos del bot
             if (this.bot && typeof this.bot.cleanup === 'function') {
                 await this.bot.cleanup();
-                console.log('✅ Recursos del bot limpiados');
+                logger.info('✅ Recursos del bot limpiados');
             }
+
+            // Exportar spans pendientes
+            await tracer.shutdown();
             
             // Limpiar recursos de CosmosDB si existen
             const cosmosConfig = require('./config/cosmosConfigs');
             if (cosmosConfig && typeof cosmosConfig.cleanup === 'function') {
                 await cosmosConfig.cleanup();
-                console.log('✅ Recursos de CosmosDB limpiados');
+                logger.info('✅ Recursos de CosmosDB limpiados');
             }
             
-            console.log('✅ Shutdown graceful completado');
+            logger.info('✅ Shutdown graceful completado');
             process.exit(0);
             
         } catch (error) {
-            console.error('❌ Error durante shutdown graceful:', error);
+            logger.error('❌ Error durante shutdown graceful:', error);
             process.exit(1);
         }
     }
@@ -384,7 +553,7 @@ async function main() {
 // Iniciar aplicación si es el módulo principal
 if (require.main === module) {
     main().catch(error => {
-        console.error('❌ Error fatal al iniciar aplicación:', error);
+        logger.error('❌ Error fatal al iniciar aplicación:', error);
         process.exit(1);
     });
 }
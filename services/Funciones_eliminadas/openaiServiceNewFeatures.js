@@ -5,10 +5,10 @@
 // cuando sea necesario activar estas funcionalidades.
 
 // ============================================================================
-// 1. HERRAMIENTAS PARA AGREGAR AL MÉTODO defineTools()
+// 1. ESQUEMAS DE HERRAMIENTAS (name/description/parameters del módulo en services/tools)
 // ============================================================================
 
-// Agregar estas herramientas al array 'tools' en defineTools():
+// Cada herramienta se convierte en un módulo en services/tools/ con estos campos:
 
 /*
 // HERRAMIENTAS DE EMPLEADO Y RECIBOS
@@ -122,10 +122,10 @@ recibos: {
 */
 
 // ============================================================================
-// 3. CASOS PARA AGREGAR AL MÉTODO ejecutarHerramienta()
+// 3. HANDLERS DE CADA MÓDULO DE HERRAMIENTA
 // ============================================================================
 
-// Agregar estos casos al switch statement en ejecutarHerramienta():
+// Cada caso corresponde al handler del módulo (handler: async (parametros, { service }) => ...):
 
 /*
 // TARJETAS ELIMINADAS
@@ -273,21 +273,22 @@ async function ejecutarCreateIncidentByCI(parametros) {
 /*
 PASOS PARA REINTEGRAR:
 
-1. **Herramientas**: Copiar las herramientas comentadas arriba y agregarlas al array 'tools' en el método defineTools()
+1. **Módulo de herramienta**: Crear un archivo por herramienta en services/tools/ (ver fechaHoy.js o
+   buscarEmpleado.js como ejemplo) con name, description y parameters tomados de la sección 1
 
-2. **Acciones API**: Copiar las acciones comentadas arriba y agregarlas al objeto de retorno en defineApiActions()
+2. **Autenticación y entorno**: Declarar en el módulo requiresAuth/authDescription si usa token de usuario,
+   y requiredEnv: ['TOKEN_API'] para las herramientas de ServiceNow (se ocultan si falta la variable)
 
-3. **Casos Switch**: Agregar los casos comentados arriba al switch statement en ejecutarHerramienta()
+3. **Handler**: Usar el caso correspondiente de la sección 3 como handler del módulo
 
-4. **Métodos**: Copiar los métodos de implementación (generarTarjetaEmpleado, generarTarjetaRecibos, ejecutarGetIncident, etc.) 
-   como métodos de la clase OpenAIService
+4. **Registro**: Agregar el require del módulo a TOOL_MODULES en services/tools/index.js
 
-5. **Condición ServiceNow**: Asegurar que la sección de herramientas ServiceNow en defineTools() esté condicionada con:
-   if (process.env.TOKEN_API) { ... }
+5. **Acciones API**: Copiar las acciones comentadas arriba y agregarlas al objeto de retorno en defineApiActions()
 
-6. **Imports**: Verificar que los imports necesarios estén presentes (axios, https están ya incluidos)
+6. **Métodos**: Copiar los métodos de implementación (generarTarjetaEmpleado, generarTarjetaRecibos, ejecutarGetIncident, etc.) 
+   como métodos de la clase OpenAIService, o directamente dentro del módulo de la herramienta
 
-7. **Variables de Entorno**: Asegurar que TOKEN_API esté configurado para ServiceNow
+7. **Imports**: Verificar que los imports necesarios estén presentes (axios, https)
 
 NOTAS:
 - Las funciones están listas para ser reintegradas
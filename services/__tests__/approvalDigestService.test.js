@@ -0,0 +1,124 @@
+// approvalDigestService.test.js - Resumen diario de aprobaciones: reserva del día y reintentos
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+const { DateTime } = require('luxon');
+const { createStateStorage } = require('../storage');
+const notificationService = require('../notificationService');
+const approvalDigestService = require('../approvalDigestService');
+
+// Lunes 19 de octubre de 2026, 09:30 en Ciudad de México (fuera del horario de silencio)
+const lunes = DateTime.fromISO('2026-10-19T09:30', { zone: 'America/Mexico_City' });
+const hoy = lunes.toISODate();
+
+const errorSirh = status => Object.assign(new Error(`SIRH ${status}`), { response: { status } });
+
+beforeAll(async () => {
+    await createStateStorage();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('approvalDigestService.processUser', () => {
+    test('envía un solo resumen por día', async () => {
+        const envio = jest.spyOn(approvalDigestService, 'sendDigest').mockResolvedValue('sent');
+
+        await approvalDigestService.processUser('jefe-1', lunes, hoy);
+        await approvalDigestService.processUser('jefe-1', lunes.plus({ hours: 2 }), hoy);
+
+        expect(envio).toHaveBeenCalledTimes(1);
+        expect(await approvalDigestService.getStatus('jefe-1')).toMatchObject({ lastDigestDate: hoy, state: 'done', lastResult: 'sent' });
+    });
+
+    test('si dos revisiones coinciden solo una reserva el día', async () => {
+        let liberar;
+        const envio = jest.spyOn(approvalDigestService, 'sendDigest')
+            .mockImplementation(() => new Promise(resolve => { liberar = () => resolve('sent'); }));
+        const reservadosAntes = approvalDigestService.stats.claimedElsewhere;
+
+        const primera = approvalDigestService.processUser('jefe-2', lunes, hoy);
+        const segunda = approvalDigestService.processUser('jefe-2', lunes, hoy);
+        await new Promise(resolve => setImmediate(resolve));
+        liberar();
+        await Promise.all([primera, segunda]);
+
+        expect(envio).toHaveBeenCalledTimes(1);
+        expect(approvalDigestService.stats.claimedElsewhere).toBe(reservadosAntes + 1);
+    });
+
+    test('una reserva vigente de otra instancia se respeta y una vencida se retoma', async () => {
+        const envio = jest.spyOn(approvalDigestService, 'sendDigest').mockResolvedValue('sent');
+        await approvalDigestService.claimDay('jefe-3', null, {
+            date: hoy,
+            state: 'claimed',
+            attempts: 1,
+            claimedUntil: lunes.plus({ minutes: 10 }).toISO()
+        });
+
+        await approvalDigestService.processUser('jefe-3', lunes.plus({ minutes: 5 }), hoy);
+        expect(envio).not.toHaveBeenCalled();
+
+        await approvalDigestService.processUser('jefe-3', lunes.plus({ minutes: 11 }), hoy);
+        expect(envio).toHaveBeenCalledTimes(1);
+    });
+
+    test('tras una falla espera de forma creciente y se detiene en DIGEST_MAX_ATTEMPTS', async () => {
+        const envio = jest.spyOn(approvalDigestService, 'sendDigest').mockRejectedValue(new Error('SIRH caído'));
+        const base = approvalDigestService.retryBaseMinutes;
+
+        await approvalDigestService.processUser('jefe-4', lunes, hoy);
+        expect(await approvalDigestService.getStatus('jefe-4')).toMatchObject({
+            state: 'failed',
+            attempts: 1,
+            nextAttemptAt: lunes.plus({ minutes: base }).toISO()
+        });
+
+        await approvalDigestService.processUser('jefe-4', lunes.plus({ minutes: base - 1 }), hoy);
+        expect(envio).toHaveBeenCalledTimes(1);
+
+        let momento = lunes;
+        for (let intento = 1; intento < approvalDigestService.maxAttempts; intento++) {
+            momento = momento.plus({ minutes: base * Math.pow(2, intento - 1) });
+            await approvalDigestService.processUser('jefe-4', momento, hoy);
+        }
+        expect(envio).toHaveBeenCalledTimes(approvalDigestService.maxAttempts);
+
+        await approvalDigestService.processUser('jefe-4', momento.plus({ hours: 6 }), hoy);
+        expect(envio).toHaveBeenCalledTimes(approvalDigestService.maxAttempts);
+    });
+});
+
+describe('approvalDigestService.sendDigest', () => {
+    test('403/404 de SIRH indica que el usuario no es jefe', async () => {
+        jest.spyOn(notificationService, 'continueWithUser').mockRejectedValue(errorSirh(403));
+
+        expect(await approvalDigestService.sendDigest('jefe-5')).toBe('not_manager');
+    });
+
+    test('otros errores de SIRH se propagan para reintentarse', async () => {
+        jest.spyOn(notificationService, 'continueWithUser').mockRejectedValue(errorSirh(500));
+
+        await expect(approvalDigestService.sendDigest('jefe-5')).rejects.toThrow('SIRH 500');
+    });
+
+    test('una entrega fallida cuenta como falla', async () => {
+        jest.spyOn(notificationService, 'continueWithUser').mockResolvedValue([{ id: 1 }]);
+        jest.spyOn(approvalDigestService, 'createDigestCard').mockReturnValue({ content: {} });
+        const envio = jest.spyOn(notificationService, 'sendToUser').mockResolvedValue({ status: 'failed' });
+
+        expect(await approvalDigestService.sendDigest('jefe-5')).toBe('failed');
+        expect(envio.mock.calls[0][1].text).toContain('Tienes 1 solicitud(es)');
+    });
+});
+
+describe('approvalDigestService.isScheduledTime', () => {
+    test('solo a partir de la hora programada en los días configurados', () => {
+        expect(approvalDigestService.parseDays('1-3,5')).toEqual([1, 2, 3, 5]);
+        expect(approvalDigestService.isScheduledTime(lunes.set({ hour: 8, minute: 59 }))).toBe(false);
+        expect(approvalDigestService.isScheduledTime(lunes)).toBe(true);
+        expect(approvalDigestService.isScheduledTime(lunes.plus({ days: 5 }))).toBe(false);
+    });
+});
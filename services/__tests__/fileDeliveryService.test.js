@@ -0,0 +1,104 @@
+// fileDeliveryService.test.js - Archivos pendientes de consentimiento en el state storage
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios', () => ({ put: jest.fn().mockResolvedValue({ status: 201 }) }));
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'file-delivery-'));
+process.env.BOT_STATE_STORAGE = 'file';
+process.env.BOT_STATE_DIR = directorio;
+
+const axios = require('axios');
+
+/**
+ * Carga una instancia nueva del servicio (como otra instancia del bot)
+ */
+async function cargarInstancia() {
+    let servicio;
+    let storage;
+    jest.isolateModules(() => {
+        servicio = require('../fileDeliveryService');
+        storage = require('../storage');
+    });
+    await storage.createStateStorage();
+    return servicio;
+}
+
+const crearContexto = () => {
+    const enviados = [];
+    return {
+        enviados,
+        activity: { channelId: 'msteams', conversation: { conversationType: 'personal' }, from: { id: '29:u1' } },
+        sendActivity: jest.fn(async actividad => { enviados.push(actividad); })
+    };
+};
+
+const respuestaConsentimiento = fileId => ({
+    context: { fileId },
+    uploadInfo: { uploadUrl: 'https://upload', contentUrl: 'https://file', name: 'vacaciones.ics', uniqueId: 'x', fileType: 'ics' }
+});
+
+async function ofrecerArchivo(servicio) {
+    const contexto = crearContexto();
+    await servicio.offerFile(contexto, {
+        name: 'vacaciones.ics',
+        content: 'BEGIN:VCALENDAR',
+        contentType: 'text/calendar',
+        description: 'Tus vacaciones'
+    });
+    return contexto.enviados[0].attachments[0].content.acceptContext.fileId;
+}
+
+afterAll(() => {
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    axios.put.mockClear();
+});
+
+describe('fileDeliveryService', () => {
+    test('la aceptación funciona en otra instancia y el archivo se sube una sola vez', async () => {
+        const fileId = await ofrecerArchivo(await cargarInstancia());
+        const otraInstancia = await cargarInstancia();
+
+        const contexto = crearContexto();
+        await otraInstancia.handleConsentAccept(contexto, respuestaConsentimiento(fileId));
+
+        expect(axios.put).toHaveBeenCalledTimes(1);
+        expect(axios.put.mock.calls[0][1].toString('utf8')).toBe('BEGIN:VCALENDAR');
+        expect(contexto.enviados[0].attachments[0].contentType).toBe('application/vnd.microsoft.teams.card.file.info');
+
+        const repetido = crearContexto();
+        await otraInstancia.handleConsentAccept(repetido, respuestaConsentimiento(fileId));
+        expect(axios.put).toHaveBeenCalledTimes(1);
+        expect(repetido.enviados[0]).toContain('El archivo ya no está disponible');
+    });
+
+    test('un archivo pendiente caduca a los 15 minutos', async () => {
+        const servicio = await cargarInstancia();
+        const fileId = await ofrecerArchivo(servicio);
+
+        const ahora = Date.now();
+        const reloj = jest.spyOn(Date, 'now').mockReturnValue(ahora + 16 * 60 * 1000);
+        try {
+            expect(await servicio.getPending(fileId)).toBeNull();
+        } finally {
+            reloj.mockRestore();
+        }
+    });
+
+    test('rechazar descarta el archivo', async () => {
+        const servicio = await cargarInstancia();
+        const fileId = await ofrecerArchivo(servicio);
+
+        const contexto = crearContexto();
+        await servicio.handleConsentDecline(contexto, respuestaConsentimiento(fileId));
+
+        expect(contexto.enviados[0]).toBe('👍 Entendido, no guardé **vacaciones.ics**.');
+        expect(await servicio.getPending(fileId)).toBeNull();
+    });
+});
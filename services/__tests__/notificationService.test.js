@@ -0,0 +1,101 @@
+// notificationService.test.js - Envío proactivo, registros de entrega y referencias
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+const { createStateStorage, getStateStorage } = require('../storage');
+const conversationReferenceService = require('../conversationReferenceService');
+const notificationService = require('../notificationService');
+
+const actividad = aadObjectId => ({
+    type: 'message',
+    channelId: 'msteams',
+    serviceUrl: 'https://smba.trafficmanager.net/amer/',
+    from: { id: `29:${aadObjectId}`, aadObjectId, name: 'Ana' },
+    recipient: { id: '28:bot' },
+    conversation: { id: `a:${aadObjectId}`, conversationType: 'personal' }
+});
+
+const errorHttp = statusCode => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+
+/**
+ * Adapter que entrega o falla según la lista de respuestas
+ */
+function crearAdapter(respuestas) {
+    const enviados = [];
+    return {
+        enviados,
+        continueConversation: jest.fn(async (reference, logic) => {
+            await logic({
+                sendActivity: async activity => {
+                    const respuesta = respuestas.shift();
+                    if (respuesta instanceof Error) {
+                        throw respuesta;
+                    }
+                    enviados.push({ conversationId: reference.conversation.id, activity });
+                    return { id: 'actividad-1' };
+                }
+            });
+        })
+    };
+}
+
+beforeAll(async () => {
+    await createStateStorage();
+});
+
+beforeEach(async () => {
+    notificationService.deliveries = [];
+    notificationService.retryDelayMs = 0;
+    conversationReferenceService.cache.clear();
+    await conversationReferenceService.saveFromActivity(actividad('aad-1'));
+});
+
+describe('notificationService.sendToUser', () => {
+    test('entrega en la conversación guardada y el registro se puede consultar desde storage', async () => {
+        const adapter = crearAdapter([null]);
+        notificationService.initialize(adapter, 'app-id');
+
+        const entrega = await notificationService.sendToUser('aad-1', { text: 'Hola' }, { source: 'prueba' });
+
+        expect(entrega).toMatchObject({ status: 'delivered', attempts: 1, activityId: 'actividad-1', source: 'prueba' });
+        expect(adapter.enviados).toEqual([{ conversationId: 'a:aad-1', activity: { type: 'message', text: 'Hola' } }]);
+
+        notificationService.deliveries = [];
+        const guardada = await notificationService.getDelivery(entrega.id);
+        expect(guardada).toEqual(entrega);
+        expect(guardada).not.toHaveProperty('ttl');
+
+        const items = await getStateStorage().read([`notificationDeliveries/${entrega.id}`]);
+        expect(items[`notificationDeliveries/${entrega.id}`].ttl).toBe(30 * 24 * 60 * 60);
+    });
+
+    test('sin referencia no intenta enviar', async () => {
+        const adapter = crearAdapter([]);
+        notificationService.initialize(adapter, 'app-id');
+
+        const entrega = await notificationService.sendToUser('aad-desconocido', { text: 'Hola' });
+
+        expect(entrega.status).toBe('no_reference');
+        expect(adapter.continueConversation).not.toHaveBeenCalled();
+    });
+
+    test('reintenta errores 5xx y no reintenta 400', async () => {
+        notificationService.initialize(crearAdapter([errorHttp(502), errorHttp(503), null]), 'app-id');
+        expect(await notificationService.sendToUser('aad-1', { text: 'Hola' })).toMatchObject({ status: 'delivered', attempts: 3 });
+
+        notificationService.initialize(crearAdapter([errorHttp(400), null]), 'app-id');
+        expect(await notificationService.sendToUser('aad-1', { text: 'Hola' })).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    test('un 403 o 404 elimina la referencia y al usuario del índice', async () => {
+        await conversationReferenceService.saveFromActivity(actividad('aad-2'));
+        notificationService.initialize(crearAdapter([errorHttp(403)]), 'app-id');
+
+        const entrega = await notificationService.sendToUser('aad-1', { text: 'Hola' });
+
+        expect(entrega).toMatchObject({ status: 'failed', attempts: 1, referenceRemoved: true });
+        expect(await conversationReferenceService.get('aad-1')).toBeNull();
+        expect(await conversationReferenceService.listUsers()).toEqual(['aad-2']);
+    });
+});
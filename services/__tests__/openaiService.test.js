@@ -0,0 +1,237 @@
+// openaiService.test.js - Reprogramación, fuentes citadas y filtros de búsqueda
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+// conversationService deja un intervalo de limpieza que no permite terminar a jest
+jest.mock('../conversationService', () => ({}));
+
+const sirhClient = require('../sirhClient');
+const openaiService = require('../openaiService');
+
+const respuesta = (statusCode, message) => ({ statusCode, message });
+
+const datosTarjeta = {
+    action: 'reprogramar_confirmar',
+    idSolicitud: 7,
+    fechaInicioAnterior: '2026-11-02',
+    fechaFinAnterior: '2026-11-04',
+    medioDiaAnterior: false,
+    nuevaFechaInicio: '2026-11-16',
+    nuevaFechaFin: '2026-11-18',
+    medioDia: false
+};
+
+/**
+ * Simula SIRH: estatus actual de la solicitud y respuestas de simulación y envío
+ */
+function simularSirh({ estatus = 'AUTORIZADA', simulacion = respuesta(200, 'Saldo suficiente'), envios = [] } = {}) {
+    jest.spyOn(sirhClient, 'getSolicitudes').mockResolvedValue(estatus ? [{ id: 7, estatus }] : []);
+    jest.spyOn(sirhClient, 'simularVacaciones').mockResolvedValue(simulacion);
+    const cancelar = jest.spyOn(sirhClient, 'cancelarSolicitud').mockResolvedValue(respuesta(200, 'Cancelada'));
+    const solicitar = jest.spyOn(sirhClient, 'solicitarVacaciones');
+    envios.forEach(envio => (envio instanceof Error
+        ? solicitar.mockRejectedValueOnce(envio)
+        : solicitar.mockResolvedValueOnce(envio)));
+    return { cancelar, solicitar };
+}
+
+beforeAll(() => {
+    global.botInstance = { getUserOAuthToken: async () => 'token' };
+});
+
+afterAll(() => {
+    delete global.botInstance;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('confirmarReprogramacion', () => {
+    test('cancela la solicitud actual y envía las nuevas fechas', async () => {
+        const { cancelar, solicitar } = simularSirh({ envios: [respuesta(200, 'Solicitud registrada')] });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(resultado).toContain('Solicitud reprogramada');
+        expect(cancelar).toHaveBeenCalledWith('token', 7, { rateLimited: false });
+        expect(solicitar).toHaveBeenCalledWith('token', expect.objectContaining({
+            fechaInicio: '2026-11-16T00:00:00.000Z',
+            simular: false
+        }), { rateLimited: false });
+    });
+
+    test.each([
+        ['CANCELADA'],
+        ['RECHAZADA'],
+        [null]
+    ])('con la solicitud %s (tarjeta vieja o doble clic) no cancela nada', async (estatus) => {
+        const { cancelar, solicitar } = simularSirh({ estatus });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(resultado).toContain('ya no está activa');
+        expect(cancelar).not.toHaveBeenCalled();
+        expect(solicitar).not.toHaveBeenCalled();
+    });
+
+    test('si las nuevas fechas ya no están disponibles no cancela nada', async () => {
+        const { cancelar } = simularSirh({ simulacion: respuesta(400, 'Saldo insuficiente') });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(resultado).toContain('ya no están disponibles');
+        expect(resultado).toContain('Saldo insuficiente');
+        expect(cancelar).not.toHaveBeenCalled();
+    });
+
+    test('si la verificación falla no cancela nada', async () => {
+        const { cancelar } = simularSirh();
+        sirhClient.getSolicitudes.mockRejectedValue(new Error('SIRH caído'));
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(resultado).toContain('No se pudo verificar');
+        expect(cancelar).not.toHaveBeenCalled();
+    });
+
+    test('si no quedan fichas para cancelar y enviar no cancela nada', async () => {
+        const { cancelar } = simularSirh();
+        jest.spyOn(sirhClient, 'consumeWriteTokens').mockImplementation(() => {
+            throw Object.assign(new Error('⏱️ Ya enviaste varias operaciones a SIRH.'), { code: 'SIRH_RATE_LIMITED' });
+        });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(sirhClient.consumeWriteTokens).toHaveBeenCalledWith(2);
+        expect(resultado).toContain('Ya enviaste varias operaciones a SIRH');
+        expect(resultado).toContain('No se hizo ningún cambio');
+        expect(cancelar).not.toHaveBeenCalled();
+    });
+
+    test('falla parcial: si el envío falla vuelve a solicitar las fechas originales', async () => {
+        const { solicitar } = simularSirh({
+            envios: [respuesta(400, 'Fechas traslapadas'), respuesta(200, 'Solicitud registrada')]
+        });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(solicitar).toHaveBeenCalledTimes(2);
+        expect(solicitar).toHaveBeenLastCalledWith('token', {
+            fechaInicio: '2026-11-02T00:00:00.000Z',
+            fechaFin: '2026-11-04T00:00:00.000Z',
+            medioDia: false,
+            simular: false
+        }, { rateLimited: false });
+        expect(resultado).toContain('quedó incompleta');
+        expect(resultado).toContain('Fechas traslapadas');
+        expect(resultado).toContain('se volvieron a solicitar');
+    });
+
+    test('falla parcial sin restaurar: avisa que las fechas originales se perdieron', async () => {
+        simularSirh({ envios: [new Error('timeout'), new Error('timeout')] });
+
+        const resultado = await openaiService.confirmarReprogramacion(datosTarjeta, {}, 'u-1');
+
+        expect(resultado).toContain('**cancelada**');
+        expect(resultado).toContain('no se pudieron restaurar');
+    });
+});
+
+describe('seleccionarFuentesCitadas', () => {
+    const fuentes = [
+        { ref: 1, archivo: 'Politica_Vacaciones.pdf' },
+        { ref: 2, archivo: 'Reglamento_Interior.pdf' },
+        { ref: 3, archivo: 'Politica_Vacaciones.pdf' },
+        { ref: 4, archivo: 'Codigo_Etica.docx' }
+    ];
+
+    test('devuelve solo las fuentes citadas como [n] sin repetir archivos', () => {
+        const seleccion = openaiService.seleccionarFuentesCitadas('Tienes 12 días [1], según la política [3] y el reglamento [2].', fuentes);
+
+        expect(seleccion.map(fuente => fuente.ref)).toEqual([1, 2]);
+    });
+
+    test('sin citas numéricas usa los archivos mencionados por nombre', () => {
+        const seleccion = openaiService.seleccionarFuentesCitadas('Consulta el codigo_etica para más detalle.', fuentes);
+
+        expect(seleccion.map(fuente => fuente.ref)).toEqual([4]);
+    });
+
+    test('sin citas ni nombres no atribuye ninguna fuente', () => {
+        expect(openaiService.seleccionarFuentesCitadas('No encontré información sobre eso.', fuentes)).toEqual([]);
+        expect(openaiService.seleccionarFuentesCitadas('Según [1]', [])).toEqual([]);
+    });
+
+    test('ignora citas a fuentes que no existen y respeta el máximo configurado', () => {
+        const muchas = Array.from({ length: 8 }, (_, i) => ({ ref: i + 1, archivo: `doc${i + 1}.pdf` }));
+        const texto = muchas.map(fuente => `[${fuente.ref}]`).join(' ') + ' [99]';
+
+        expect(openaiService.seleccionarFuentesCitadas(texto, muchas)).toHaveLength(openaiService.searchConfig.maxFuentes);
+    });
+});
+
+describe('filtros de búsqueda', () => {
+    const configOriginal = openaiService.searchConfig;
+    const mapaEntorno = process.env.SEARCH_FILTER_FIELD_MAP;
+    const mapa = { empresa: 'Adicional/Empresa', categoria: 'Adicional/Categoria' };
+
+    beforeEach(() => {
+        openaiService.searchConfig = { ...configOriginal, filterFields: { ...mapa }, sharedCompanyValues: ['Corporativo'] };
+    });
+
+    afterEach(() => {
+        if (mapaEntorno === undefined) {
+            delete process.env.SEARCH_FILTER_FIELD_MAP;
+        } else {
+            process.env.SEARCH_FILTER_FIELD_MAP = mapaEntorno;
+        }
+    });
+
+    afterAll(() => {
+        openaiService.searchConfig = configOriginal;
+    });
+
+    test('sin SEARCH_FILTER_FIELD_MAP no se filtra', () => {
+        delete process.env.SEARCH_FILTER_FIELD_MAP;
+        openaiService.searchConfig = { ...configOriginal, ...openaiService.parseSearchFilterConfig() };
+
+        expect(openaiService.searchConfig.filterFields).toEqual({});
+        expect(openaiService.construirFiltroBusqueda({ empresa: 'Acme', categoria: 'Políticas' })).toBeNull();
+        expect(openaiService.cumpleFiltrosLocales({ Adicional: { Empresa: 'Otra' } }, { empresa: 'Acme' })).toBe(true);
+    });
+
+    test('lee el mapa de campos de SEARCH_FILTER_FIELD_MAP', () => {
+        process.env.SEARCH_FILTER_FIELD_MAP = 'empresa:Adicional/Compania, categoria:Adicional/Tipo';
+
+        expect(openaiService.parseSearchFilterConfig().filterFields).toEqual({
+            empresa: 'Adicional/Compania',
+            categoria: 'Adicional/Tipo'
+        });
+    });
+
+    test('el filtro OData incluye la empresa, los valores compartidos y los documentos sin empresa', () => {
+        expect(openaiService.construirFiltroBusqueda({ empresa: "O'Brien", categoria: 'Políticas' })).toBe(
+            "(Adicional/Empresa eq 'O''Brien' or Adicional/Empresa eq 'Corporativo' or Adicional/Empresa eq null)" +
+            " and Adicional/Categoria eq 'Políticas'"
+        );
+    });
+
+    test('sin empresa del empleado solo se ven los documentos compartidos', () => {
+        expect(openaiService.construirFiltroBusqueda({ empresa: null, categoria: null })).toBe(
+            "(Adicional/Empresa eq 'Corporativo' or Adicional/Empresa eq null)"
+        );
+        expect(openaiService.cumpleFiltrosLocales({ Adicional: '{"Empresa":"Acme"}' }, { empresa: null })).toBe(false);
+        expect(openaiService.cumpleFiltrosLocales({ Adicional: '{"Empresa":"corporativo"}' }, { empresa: null })).toBe(true);
+        expect(openaiService.cumpleFiltrosLocales({ Adicional: null }, { empresa: null })).toBe(true);
+    });
+
+    test('el filtro local lee Adicional como JSON y compara sin mayúsculas', () => {
+        const doc = { Adicional: JSON.stringify({ Empresa: 'ACME', Categoria: 'Políticas' }) };
+
+        expect(openaiService.cumpleFiltrosLocales(doc, { empresa: 'Acme', categoria: 'políticas' })).toBe(true);
+        expect(openaiService.cumpleFiltrosLocales(doc, { empresa: 'Acme', categoria: 'Beneficios' })).toBe(false);
+        expect(openaiService.cumpleFiltrosLocales({ Adicional: 'no es json' }, { empresa: 'Acme' })).toBe(true);
+    });
+});
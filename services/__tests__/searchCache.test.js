@@ -0,0 +1,73 @@
+// searchCache.test.js - Caché de embeddings y resultados por índice
+/* eslint-env jest */
+
+const searchCache = require('../searchCache');
+
+beforeEach(() => {
+    searchCache.config.enabled = true;
+    searchCache.purge();
+});
+
+describe('searchCache', () => {
+    test('consultas que solo difieren en mayúsculas, espacios o signos comparten entrada', async () => {
+        const compute = jest.fn(async () => [0.1, 0.2]);
+
+        await searchCache.getEmbedding('idx', '¿Cuántos días  tengo?', 'ada', compute);
+        const vector = await searchCache.getEmbedding('idx', 'cuántos días tengo', 'ada', compute);
+
+        expect(vector).toEqual([0.1, 0.2]);
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('el modelo del embedding es parte de la clave', async () => {
+        const compute = jest.fn(async () => [0.1]);
+
+        await searchCache.getEmbedding('idx', 'vacaciones', 'ada', compute);
+        await searchCache.getEmbedding('idx', 'vacaciones', 'large', compute);
+
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('devuelve copias de los resultados para que renumerar fuentes no altere la caché', async () => {
+        const compute = jest.fn(async () => ({ documentos: [{ ref: 1 }] }));
+
+        const primero = await searchCache.getResults('idx', 'vacaciones', compute);
+        primero.documentos[0].ref = 9;
+        const segundo = await searchCache.getResults('idx', 'vacaciones', compute);
+
+        expect(segundo.documentos[0].ref).toBe(1);
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('no guarda mensajes de error', async () => {
+        const compute = jest.fn(async () => 'Error al buscar');
+
+        await searchCache.getResults('idx', 'vacaciones', compute);
+        await searchCache.getResults('idx', 'vacaciones', compute);
+
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    test('purgar un índice conserva las entradas de los demás', async () => {
+        const compute = jest.fn(async () => ({ documentos: [] }));
+        await searchCache.getResults('idx1', 'vacaciones', compute);
+        await searchCache.getResults('idx2', 'vacaciones', compute);
+
+        const resumen = searchCache.purge('idx1');
+        await searchCache.getResults('idx2', 'vacaciones', compute);
+
+        expect(resumen).toEqual(expect.objectContaining({ indexName: 'idx1', results: 1, embeddings: 0 }));
+        expect(compute).toHaveBeenCalledTimes(2);
+        expect(searchCache.getStats().lastPurges[0].indexName).toBe('idx1');
+    });
+
+    test('desactivada siempre calcula', async () => {
+        searchCache.config.enabled = false;
+        const compute = jest.fn(async () => ({ documentos: [] }));
+
+        await searchCache.getResults('idx', 'vacaciones', compute);
+        await searchCache.getResults('idx', 'vacaciones', compute);
+
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+});
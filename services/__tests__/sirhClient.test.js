@@ -0,0 +1,77 @@
+// sirhClient.test.js - Límite de escrituras en SIRH por usuario
+/* eslint-env jest */
+
+const { RateLimiter } = require('../../utilities/rateLimiter');
+const { runWithContext } = require('../../utilities/logger');
+const sirhClient = require('../sirhClient');
+
+const enTurno = (userId, fn) => runWithContext({ userId }, fn);
+
+beforeEach(() => {
+    sirhClient.useRateLimiter(new RateLimiter({
+        enabled: true,
+        buckets: { sirh_write: { capacity: 2, refillPerMinute: 1 } }
+    }));
+    jest.spyOn(sirhClient, 'request').mockResolvedValue({ statusCode: 200, message: 'ok' });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    sirhClient.useRateLimiter(null);
+});
+
+describe('escrituras en SIRH', () => {
+    test('cada escritura consume una ficha y al agotarlas no llega a SIRH', async () => {
+        await enTurno('29:ana', async () => {
+            await sirhClient.autorizarSolicitud('token', 1);
+            await sirhClient.rechazarSolicitud('token', 2);
+            const error = await sirhClient.cancelarSolicitud('token', 3).catch(e => e);
+
+            expect(error.code).toBe('SIRH_RATE_LIMITED');
+            expect(error.retryAfterSeconds).toBe(60);
+            expect(error.message).toContain('Intenta de nuevo en 60 segundo(s)');
+        });
+
+        expect(sirhClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    test('las simulaciones y las lecturas no consumen fichas', async () => {
+        await enTurno('29:ana', async () => {
+            for (let i = 0; i < 3; i++) {
+                await sirhClient.simularVacaciones('token', { fechaInicio: '2026-11-02', fechaFin: '2026-11-04' });
+                await sirhClient.getSolicitudes('token');
+            }
+            await sirhClient.solicitarVacaciones('token', { fechaInicio: '2026-11-02', fechaFin: '2026-11-04', simular: false });
+            await sirhClient.autorizarSolicitud('token', 1);
+        });
+
+        expect(sirhClient.request).toHaveBeenCalledTimes(8);
+    });
+
+    test('cada usuario tiene sus propias fichas', async () => {
+        await enTurno('29:ana', async () => {
+            await sirhClient.autorizarSolicitud('token', 1);
+            await sirhClient.autorizarSolicitud('token', 2);
+        });
+
+        await expect(enTurno('29:luis', () => sirhClient.autorizarSolicitud('token', 3))).resolves.toBeDefined();
+    });
+
+    test('fuera de un turno (trabajos en segundo plano) no se limita', async () => {
+        for (let i = 0; i < 4; i++) {
+            await sirhClient.autorizarSolicitud('token', i);
+        }
+
+        expect(sirhClient.request).toHaveBeenCalledTimes(4);
+    });
+
+    test('con la ficha ya reservada la escritura no vuelve a consumir', async () => {
+        await enTurno('29:ana', async () => {
+            sirhClient.consumeWriteTokens(2);
+            await sirhClient.cancelarSolicitud('token', 1, { rateLimited: false });
+            await sirhClient.solicitarVacaciones('token', { fechaInicio: '2026-11-02', fechaFin: '2026-11-04', simular: false }, { rateLimited: false });
+
+            await expect(sirhClient.autorizarSolicitud('token', 2)).rejects.toMatchObject({ code: 'SIRH_RATE_LIMITED' });
+        });
+    });
+});
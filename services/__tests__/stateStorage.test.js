@@ -0,0 +1,169 @@
+// stateStorage.test.js - Concurrencia optimista (eTag) de los storages de estado
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage } = require('botbuilder');
+const { FileStateStorage } = require('../storage/fileStorage');
+const { CosmosStateStorage } = require('../storage/cosmosStorage');
+const { NEW_ITEM_ETAG } = require('../storage');
+
+const errorCosmos = code => Object.assign(new Error(`Cosmos ${code}`), { code });
+
+/**
+ * Contenedor de Cosmos en memoria con _etag e IfMatch
+ */
+function crearContenedor() {
+    const docs = new Map();
+    let version = 0;
+    const guardar = doc => {
+        const resource = { ...doc, _etag: `"${++version}"` };
+        docs.set(doc.id, resource);
+        return { resource };
+    };
+
+    return {
+        docs,
+        items: {
+            upsert: jest.fn(async doc => guardar(doc)),
+            create: jest.fn(async doc => {
+                if (docs.has(doc.id)) {
+                    throw errorCosmos(409);
+                }
+                return guardar(doc);
+            })
+        },
+        item: id => ({
+            read: async () => {
+                if (!docs.has(id)) {
+                    throw errorCosmos(404);
+                }
+                return { resource: docs.get(id) };
+            },
+            replace: async (doc, options) => {
+                if (!docs.has(id)) {
+                    throw errorCosmos(404);
+                }
+                if (options.accessCondition.condition !== docs.get(id)._etag) {
+                    throw errorCosmos(412);
+                }
+                return guardar(doc);
+            },
+            delete: async () => {
+                if (!docs.delete(id)) {
+                    throw errorCosmos(404);
+                }
+            }
+        })
+    };
+}
+
+/**
+ * Casos comunes a todos los storages
+ */
+function probarConcurrencia(crearStorage) {
+    test('escribir con el eTag leído funciona y un eTag viejo es conflicto', async () => {
+        const storage = crearStorage();
+        await storage.write({ clave: { valor: 1, eTag: '*' } });
+        const { clave: leido } = await storage.read(['clave']);
+
+        await storage.write({ clave: { valor: 2, eTag: leido.eTag } });
+        await expect(storage.write({ clave: { valor: 3, eTag: leido.eTag } })).rejects.toThrow('eTag conflict');
+
+        const { clave } = await storage.read(['clave']);
+        expect(clave.valor).toBe(2);
+        expect(clave.eTag).not.toBe(leido.eTag);
+    });
+
+    test('NEW_ITEM_ETAG solo crea: la segunda instancia recibe conflicto', async () => {
+        const storage = crearStorage();
+
+        await storage.write({ nuevo: { valor: 'a', eTag: NEW_ITEM_ETAG } });
+        await expect(storage.write({ nuevo: { valor: 'b', eTag: NEW_ITEM_ETAG } })).rejects.toThrow('eTag conflict');
+        expect((await storage.read(['nuevo'])).nuevo.valor).toBe('a');
+    });
+
+    test("'*' sobrescribe sin importar la versión", async () => {
+        const storage = crearStorage();
+        await storage.write({ clave: { valor: 1, eTag: '*' } });
+        await storage.write({ clave: { valor: 2, eTag: '*' } });
+
+        expect((await storage.read(['clave'])).clave.valor).toBe(2);
+    });
+
+    test('leer o borrar una clave inexistente no falla', async () => {
+        const storage = crearStorage();
+        await storage.write({ clave: { valor: 1 } });
+        await storage.delete(['clave', 'otra']);
+
+        expect(await storage.read(['clave', 'otra'])).toEqual({});
+    });
+}
+
+describe('MemoryStorage', () => {
+    probarConcurrencia(() => new MemoryStorage());
+});
+
+describe('FileStateStorage', () => {
+    const directorios = [];
+    afterAll(() => {
+        directorios.forEach(directorio => fs.rmSync(directorio, { recursive: true, force: true }));
+    });
+
+    const crearStorage = () => {
+        const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+        directorios.push(directorio);
+        return new FileStateStorage(directorio);
+    };
+
+    probarConcurrencia(crearStorage);
+
+    test('un item con ttl deja de leerse al caducar y la limpieza borra su archivo', async () => {
+        const storage = crearStorage();
+        await storage.write({ temporal: { valor: 1, ttl: 60 }, permanente: { valor: 2 } });
+
+        const ahora = Date.now();
+        jest.useFakeTimers({ now: ahora + 61 * 1000, doNotFake: ['setImmediate', 'nextTick'] });
+        try {
+            expect(Object.keys(await storage.read(['temporal', 'permanente']))).toEqual(['permanente']);
+            await storage.write({ temporal: { valor: 3, eTag: NEW_ITEM_ETAG } });
+            await storage.write({ otro: { valor: 4, ttl: 1 } });
+            jest.setSystemTime(ahora + 63 * 1000);
+            expect(await storage.pruneExpired()).toBe(1);
+        } finally {
+            jest.useRealTimers();
+        }
+
+        expect(fs.readdirSync(storage.directory)).toHaveLength(2);
+    });
+});
+
+describe('CosmosStateStorage', () => {
+    probarConcurrencia(() => new CosmosStateStorage(crearContenedor()));
+
+    test("'*' hace upsert y un eTag real reemplaza con IfMatch", async () => {
+        const contenedor = crearContenedor();
+        const storage = new CosmosStateStorage(contenedor);
+
+        await storage.write({ clave: { valor: 1, eTag: '*' } });
+        expect(contenedor.items.upsert).toHaveBeenCalledTimes(1);
+
+        const { clave } = await storage.read(['clave']);
+        await storage.write({ clave: { valor: 2, eTag: clave.eTag } });
+        expect(contenedor.items.upsert).toHaveBeenCalledTimes(1);
+        expect(contenedor.items.create).not.toHaveBeenCalled();
+    });
+
+    test('escapa los caracteres no válidos en el id y conserva la clave original', async () => {
+        const contenedor = crearContenedor();
+        const storage = new CosmosStateStorage(contenedor);
+
+        await storage.write({ 'msteams/conversations/a?b': { valor: 1 } });
+
+        const [doc] = contenedor.docs.values();
+        expect(doc.id).toBe('msteams*2fconversations*2fa*3fb');
+        expect(doc.realId).toBe('msteams/conversations/a?b');
+        expect(CosmosStateStorage.escapeKey('x'.repeat(300))).toHaveLength(255);
+    });
+});
@@ -0,0 +1,151 @@
+// usageService.test.js - Atribución de consumo, guardado y cuotas
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+const { DateTime } = require('luxon');
+const { createStateStorage, getStateStorage } = require('../storage');
+const usageService = require('../usageService');
+
+const hoy = () => DateTime.now().setZone('America/Mexico_City').toISODate();
+const uso = (prompt_tokens, completion_tokens = 0) => ({ prompt_tokens, completion_tokens });
+
+const configOriginal = usageService.config;
+
+/**
+ * Fija cuotas solo para la prueba
+ */
+function fijarCuotas(user = {}, tenant = {}) {
+    usageService.config = {
+        ...configOriginal,
+        quotas: {
+            user: { day: 0, month: 0, ...user },
+            tenant: { day: 0, month: 0, ...tenant }
+        }
+    };
+}
+
+beforeAll(async () => {
+    await createStateStorage();
+});
+
+afterEach(async () => {
+    usageService.config = configOriginal;
+    await usageService.flush();
+});
+
+describe('record', () => {
+    test('atribuye el consumo al usuario, tenant, conversación y herramienta del turno', async () => {
+        await usageService.run({ userId: 'u-rec', tenantId: 't-rec', conversationId: 'c-1' }, async () => {
+            usageService.record('gpt-4o-mini', uso(1000, 200));
+            await usageService.runTool('buscar_documentos', async () => {
+                usageService.record('text-embedding-3-large', uso(50), 'embedding');
+            });
+        });
+
+        const usuario = await usageService.getUsage(hoy(), 'user', 'u-rec');
+        expect(usuario).toEqual(expect.objectContaining({
+            promptTokens: 1000,
+            completionTokens: 200,
+            embeddingTokens: 50,
+            requests: 2
+        }));
+        expect(usuario.porHerramienta['(conversación)'].promptTokens).toBe(1000);
+        expect(usuario.porHerramienta.buscar_documentos.embeddingTokens).toBe(50);
+        expect(usuario.porConversacion['c-1'].requests).toBe(2);
+        expect(usuario.costUsd).toBeCloseTo((1000 * 0.15 + 200 * 0.6 + 50 * 0.13) / 1e6, 8);
+
+        const tenant = await usageService.getUsage(hoy(), 'tenant', 't-rec');
+        expect(tenant.porConversacion).toEqual({});
+        expect(usageService.totalTokens(tenant)).toBe(1250);
+    });
+
+    test('sin contexto del turno se atribuye a "sistema" y los modelos sin precio cuestan 0', () => {
+        usageService.record('modelo-desconocido', uso(10, 5));
+
+        expect(usageService.getPending(hoy(), 'user', 'sistema').porModelo['modelo-desconocido'].costUsd).toBe(0);
+        expect(usageService.getStats().unpricedModels).toContain('modelo-desconocido');
+    });
+});
+
+describe('flush', () => {
+    test('guarda los incrementos sumándolos a lo ya guardado y los indexa por periodo', async () => {
+        await usageService.run({ userId: 'u-flush' }, async () => usageService.record('gpt-4o', uso(100, 10)));
+        await usageService.flush();
+        await usageService.run({ userId: 'u-flush' }, async () => usageService.record('gpt-4o', uso(100, 10)));
+        await usageService.flush();
+
+        const key = `usage/${hoy()}/user/u-flush`;
+        const index = `usage/${hoy()}/index`;
+        const guardado = await getStateStorage().read([key, index]);
+
+        expect(guardado[key].promptTokens).toBe(200);
+        expect(guardado[key].requests).toBe(2);
+        expect(guardado[index].user).toContain('u-flush');
+        expect(usageService.getStats().pendingKeys).toBe(0);
+    });
+
+    test('si otra instancia escribió antes, suma sobre lo suyo en lugar de pisarlo', async () => {
+        const key = `usage/${hoy()}/user/u-eTag`;
+        await usageService.run({ userId: 'u-eTag' }, async () => usageService.record('gpt-4o', uso(100)));
+        await getStateStorage().write({ [key]: { ...usageService.createUsageItem(hoy(), 'user', 'u-eTag'), promptTokens: 40, requests: 1 } });
+
+        await usageService.flush();
+
+        expect((await getStateStorage().read([key]))[key].promptTokens).toBe(140);
+    });
+
+    test('un guardado fallido conserva el incremento para el siguiente intento', async () => {
+        await usageService.run({ userId: 'u-falla' }, async () => usageService.record('gpt-4o', uso(30)));
+        jest.spyOn(getStateStorage(), 'write').mockRejectedValue(new Error('storage caído'));
+
+        await usageService.flush();
+        jest.restoreAllMocks();
+
+        expect(usageService.getStats().pendingKeys).toBeGreaterThan(0);
+        expect(usageService.totalTokens(await usageService.getUsage(hoy(), 'user', 'u-falla'))).toBe(30);
+    });
+});
+
+describe('checkQuota', () => {
+    test('sin cuotas configuradas siempre permite', async () => {
+        fijarCuotas();
+        await usageService.run({ userId: 'u-libre' }, async () => usageService.record('gpt-4o', uso(1e6)));
+
+        expect((await usageService.checkQuota({ userId: 'u-libre' })).allowed).toBe(true);
+    });
+
+    test('rechaza al usuario que alcanzó su cuota diaria con un mensaje amable', async () => {
+        fijarCuotas({ day: 500 });
+        await usageService.run({ userId: 'u-cuota' }, async () => usageService.record('gpt-4o', uso(400, 100)));
+
+        const resultado = await usageService.checkQuota({ userId: 'u-cuota' });
+
+        expect(resultado.allowed).toBe(false);
+        expect(resultado.exceeded).toEqual({ scope: 'user', period: 'day', limit: 500, used: 500 });
+        expect(resultado.message).toContain('Podrás hacer nuevas consultas mañana');
+        expect((await usageService.checkQuota({ userId: 'u-otro' })).allowed).toBe(true);
+    });
+
+    test('la cuota mensual del tenant aplica a todos sus usuarios', async () => {
+        fijarCuotas({}, { month: 100 });
+        await usageService.run({ userId: 'u-a', tenantId: 't-cuota' }, async () => usageService.record('gpt-4o', uso(100)));
+
+        const resultado = await usageService.checkQuota({ userId: 'u-b', tenantId: 't-cuota' });
+
+        expect(resultado.exceeded).toEqual(expect.objectContaining({ scope: 'tenant', period: 'month' }));
+        expect(resultado.message).toContain('Tu organización alcanzó el límite mensual');
+    });
+});
+
+describe('getReport', () => {
+    test('lista los usuarios del periodo y totaliza una sola vez cada llamada', async () => {
+        await usageService.run({ userId: 'u-rep', tenantId: 't-rep' }, async () => usageService.record('gpt-4o', uso(70)));
+
+        const reporte = await usageService.getReport({ scope: 'tenant', id: 't-rep' });
+
+        expect(reporte.items).toHaveLength(1);
+        expect(reporte.totales.totalTokens).toBe(70);
+        await expect(usageService.getReport({ periodo: 'ayer' })).rejects.toThrow('Periodo inválido');
+    });
+});
@@ -0,0 +1,105 @@
+// vacationStatusWatcher.test.js - Cambios de estatus contra la foto guardada
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+const { createStateStorage } = require('../storage');
+const notificationService = require('../notificationService');
+const rejectionReasonService = require('../rejectionReasonService');
+const vacationStatusWatcher = require('../vacationStatusWatcher');
+
+const solicitud = (id, estatus) => ({
+    id,
+    estatus,
+    tipoSolicitud: 'Vacaciones',
+    fechaSalida: '2026-11-02',
+    fechaRegreso: '2026-11-05',
+    cantidadDias: 3
+});
+
+/**
+ * Simula SIRH con las solicitudes actuales y entrega todos los avisos
+ */
+function simular(solicitudes) {
+    jest.spyOn(notificationService, 'continueWithUser').mockResolvedValue(solicitudes);
+    return jest.spyOn(notificationService, 'sendToUser').mockResolvedValue({ status: 'delivered' });
+}
+
+beforeAll(async () => {
+    await createStateStorage();
+});
+
+beforeEach(() => {
+    jest.spyOn(rejectionReasonService, 'getMany').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('vacationStatusWatcher.diff', () => {
+    test('solo reporta solicitudes conocidas cuyo estatus cambió', () => {
+        const cambios = vacationStatusWatcher.diff({ 1: 'PENDIENTE', 2: 'PENDIENTE' }, [
+            solicitud(1, 'AUTORIZADA'),
+            solicitud(2, 'PENDIENTE'),
+            solicitud(3, 'PENDIENTE')
+        ]);
+
+        expect(cambios).toEqual([{ solicitud: solicitud(1, 'AUTORIZADA'), previousStatus: 'PENDIENTE', newStatus: 'AUTORIZADA' }]);
+    });
+});
+
+describe('vacationStatusWatcher.checkUser', () => {
+    test('la primera revisión solo guarda la foto', async () => {
+        const envio = simular([solicitud(1, 'PENDIENTE')]);
+
+        expect(await vacationStatusWatcher.checkUser('u-1')).toEqual([]);
+        expect(envio).not.toHaveBeenCalled();
+        expect((await vacationStatusWatcher.getSnapshot('u-1')).statuses).toEqual({ 1: 'PENDIENTE' });
+    });
+
+    test('un cambio entregado se guarda en la foto y no se repite', async () => {
+        await vacationStatusWatcher.saveSnapshot('u-2', [solicitud(1, 'PENDIENTE')]);
+        const envio = simular([solicitud(1, 'AUTORIZADA')]);
+
+        expect(await vacationStatusWatcher.checkUser('u-2')).toHaveLength(1);
+        expect(await vacationStatusWatcher.checkUser('u-2')).toHaveLength(0);
+        expect(envio).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        ['failed', 'failedDeliveries'],
+        ['no_reference', 'noReference']
+    ])('una entrega %s conserva el estatus anterior y se reintenta sin repetir las entregadas', async (estado, contador) => {
+        const aadObjectId = `u-${estado}`;
+        await vacationStatusWatcher.saveSnapshot(aadObjectId, [solicitud(1, 'PENDIENTE'), solicitud(2, 'PENDIENTE')]);
+        jest.spyOn(notificationService, 'continueWithUser')
+            .mockResolvedValue([solicitud(1, 'AUTORIZADA'), solicitud(2, 'RECHAZADA')]);
+        const antes = vacationStatusWatcher.stats[contador];
+        const envio = jest.spyOn(notificationService, 'sendToUser')
+            .mockImplementation(async (id, payload) => ({
+                status: JSON.stringify(payload.card).includes('RECHAZADA') ? estado : 'delivered',
+                error: 'sin entrega'
+            }));
+
+        const avisos = await vacationStatusWatcher.checkUser(aadObjectId);
+
+        expect(avisos.map(aviso => aviso.solicitud.id)).toEqual([1]);
+        expect(vacationStatusWatcher.stats[contador]).toBe(antes + 1);
+        expect((await vacationStatusWatcher.getSnapshot(aadObjectId)).statuses).toEqual({ 1: 'AUTORIZADA', 2: 'PENDIENTE' });
+
+        envio.mockResolvedValue({ status: 'delivered' });
+        const reintento = await vacationStatusWatcher.checkUser(aadObjectId);
+
+        expect(reintento.map(aviso => aviso.solicitud.id)).toEqual([2]);
+        expect(envio).toHaveBeenCalledTimes(3);
+    });
+
+    test('sin token no toca la foto', async () => {
+        await vacationStatusWatcher.saveSnapshot('u-3', [solicitud(1, 'PENDIENTE')]);
+        jest.spyOn(notificationService, 'continueWithUser').mockResolvedValue(null);
+
+        expect(await vacationStatusWatcher.checkUser('u-3')).toEqual([]);
+        expect((await vacationStatusWatcher.getSnapshot('u-3')).statuses).toEqual({ 1: 'PENDIENTE' });
+    });
+});
@@ -0,0 +1,331 @@
+// approvalDigestService.js - Resumen programado de solicitudes pendientes para jefes
+
+const { DateTime } = require('luxon');
+const sirhClient = require('./sirhClient');
+const notificationService = require('./notificationService');
+const conversationReferenceService = require('./conversationReferenceService');
+const notificationPreferencesService = require('./notificationPreferencesService');
+const { getStateStorage, NEW_ITEM_ETAG } = require('./storage');
+const { BackgroundJob } = require('../utilities/backgroundJob');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('approvalDigestService');
+require('dotenv').config();
+
+const STATUS_PREFIX = 'approvalDigest/';
+const TIMEZONE = 'America/Mexico_City';
+const CLAIM_TTL_MINUTES = 10;
+
+/**
+ * Envía a cada jefe, en los días y hora configurados, una tarjeta con las
+ * solicitudes de sus reportes directos pendientes de aprobación. Cada usuario
+ * recibe como máximo un resumen por día; si la hora programada cae en su
+ * horario de silencio el envío se difiere hasta que termine.
+ *
+ * Antes de enviar, la instancia reserva el día del usuario escribiendo su
+ * estado con el eTag leído, así solo una instancia lo envía. Si SIRH o la
+ * entrega fallan se reintenta con espera creciente hasta DIGEST_MAX_ATTEMPTS.
+ *
+ * Configuración:
+ * - DIGEST_ENABLED: 'false' deshabilita el resumen
+ * - DIGEST_SCHEDULE_DAYS: días ISO (1=lunes ... 7=domingo), ej: '1,2,3,4,5' o '1-5'
+ * - DIGEST_SCHEDULE_TIME: hora local HH:mm (America/Mexico_City)
+ * - DIGEST_CHECK_INTERVAL_MS: cada cuánto se revisa si hay envíos pendientes
+ * - DIGEST_MAX_ATTEMPTS / DIGEST_RETRY_BASE_MINUTES: reintentos del día tras una falla
+ */
+class ApprovalDigestService {
+    constructor() {
+        this.enabled = process.env.DIGEST_ENABLED !== 'false';
+        this.scheduleDays = this.parseDays(process.env.DIGEST_SCHEDULE_DAYS || '1-5');
+        this.scheduleMinutes = this.parseTime(process.env.DIGEST_SCHEDULE_TIME || '09:00');
+        this.maxAttempts = parseInt(process.env.DIGEST_MAX_ATTEMPTS, 10) || 3;
+        this.retryBaseMinutes = parseInt(process.env.DIGEST_RETRY_BASE_MINUTES, 10) || 15;
+        this.job = new BackgroundJob(
+            'resumen-aprobaciones',
+            parseInt(process.env.DIGEST_CHECK_INTERVAL_MS, 10) || 60000,
+            () => this.runScheduledDigest()
+        );
+        this.stats = {
+            sent: 0,
+            empty: 0,
+            optOut: 0,
+            noToken: 0,
+            notManager: 0,
+            deferredQuietHours: 0,
+            claimedElsewhere: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Convierte '1,3,5' o '1-5' en una lista de días ISO
+     */
+    parseDays(value) {
+        const days = new Set();
+        value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [from, to] = part.split('-').map(Number);
+            for (let day = from; day <= (to || from); day++) {
+                if (day >= 1 && day <= 7) {
+                    days.add(day);
+                }
+            }
+        });
+        return Array.from(days).sort();
+    }
+
+    /**
+     * Convierte 'HH:mm' en minutos desde medianoche
+     */
+    parseTime(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+
+    /**
+     * Inicia la revisión periódica
+     */
+    start() {
+        if (!this.enabled) {
+            logger.info('ℹ️ Resumen de aprobaciones deshabilitado (DIGEST_ENABLED=false)');
+            return;
+        }
+        this.job.start();
+    }
+
+    /**
+     * Detiene la revisión periódica
+     */
+    stop() {
+        this.job.stop();
+    }
+
+    /**
+     * Indica si ya pasó la hora programada en un día de resumen
+     */
+    isScheduledTime(now) {
+        const minutes = now.hour * 60 + now.minute;
+        return this.scheduleDays.includes(now.weekday) && minutes >= this.scheduleMinutes;
+    }
+
+    /**
+     * Revisa a todos los usuarios conocidos y envía los resúmenes pendientes del día
+     */
+    async runScheduledDigest(now = DateTime.now().setZone(TIMEZONE)) {
+        if (!notificationService.isAvailable() || !this.isScheduledTime(now)) {
+            return;
+        }
+
+        const today = now.toISODate();
+        const users = await conversationReferenceService.listUsers();
+
+        for (const aadObjectId of users) {
+            try {
+                await this.processUser(aadObjectId, now, today);
+            } catch (error) {
+                this.stats.failed++;
+                logger.error(`[${aadObjectId}] Error procesando resumen de aprobaciones:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Evalúa y, si corresponde, envía el resumen del día a un usuario
+     */
+    async processUser(aadObjectId, now, today) {
+        const status = await this.getStatus(aadObjectId);
+        if (status && status.lastDigestDate === today) {
+            return;
+        }
+
+        const attempts = status && status.date === today ? (status.attempts || 0) : 0;
+        if (status && status.date === today) {
+            if (status.state === 'claimed' && status.claimedUntil > now.toISO()) {
+                // Otra instancia lo está enviando
+                return;
+            }
+            if (status.state === 'failed' && (attempts >= this.maxAttempts || status.nextAttemptAt > now.toISO())) {
+                return;
+            }
+        }
+
+        const preferences = await notificationPreferencesService.get(aadObjectId);
+        if (preferences.digestOptOut) {
+            this.stats.optOut++;
+            await this.saveStatus(aadObjectId, { lastDigestDate: today, date: today, state: 'done', lastResult: 'opt_out' });
+            return;
+        }
+
+        if (notificationPreferencesService.isQuietTime(preferences, now)) {
+            // Se reintenta en la siguiente revisión fuera del horario de silencio
+            this.stats.deferredQuietHours++;
+            return;
+        }
+
+        const claimed = await this.claimDay(aadObjectId, status, {
+            date: today,
+            state: 'claimed',
+            attempts: attempts + 1,
+            claimedUntil: now.plus({ minutes: CLAIM_TTL_MINUTES }).toISO()
+        });
+        if (!claimed) {
+            this.stats.claimedElsewhere++;
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.sendDigest(aadObjectId);
+        } catch (error) {
+            logger.warn(`[${aadObjectId}] Error consultando pendientes para el resumen (intento ${attempts + 1}/${this.maxAttempts}):`, error.message);
+            result = 'failed';
+        }
+
+        if (result === 'failed') {
+            this.stats.failed++;
+            await this.saveStatus(aadObjectId, {
+                date: today,
+                state: 'failed',
+                attempts: attempts + 1,
+                nextAttemptAt: now.plus({ minutes: this.retryBaseMinutes * Math.pow(2, attempts) }).toISO(),
+                lastResult: result
+            });
+            return;
+        }
+
+        await this.saveStatus(aadObjectId, { lastDigestDate: today, date: today, state: 'done', lastResult: result });
+    }
+
+    /**
+     * Reserva el envío del día escribiendo el estado con el eTag leído
+     * @returns {Promise<boolean>} - false si otra instancia lo reservó primero
+     */
+    async claimDay(aadObjectId, status, claim) {
+        try {
+            await getStateStorage().write({
+                [`${STATUS_PREFIX}${aadObjectId}`]: {
+                    ...(status || {}),
+                    ...claim,
+                    updatedAt: new Date().toISOString(),
+                    eTag: status?.eTag || NEW_ITEM_ETAG
+                }
+            });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Consulta las solicitudes pendientes con el token del jefe y envía la tarjeta.
+     * Los errores de SIRH distintos de 401/403/404 se propagan para reintentarse
+     * @returns {Promise<string>} - sent | empty | no_token | not_manager | failed
+     */
+    async sendDigest(aadObjectId) {
+        let solicitudes;
+        try {
+            solicitudes = await notificationService.continueWithUser(aadObjectId, async (context) => {
+                const token = await this.getProactiveToken(context);
+                return token ? await sirhClient.getSolicitudesDependientes(token) : null;
+            });
+        } catch (error) {
+            const status = error.response?.status;
+            if (status === 401) {
+                solicitudes = null;
+            } else if (status === 403 || status === 404) {
+                this.stats.notManager++;
+                return 'not_manager';
+            } else {
+                throw error;
+            }
+        }
+
+        if (solicitudes === null) {
+            this.stats.noToken++;
+            return 'no_token';
+        }
+
+        if (solicitudes.length === 0) {
+            this.stats.empty++;
+            return 'empty';
+        }
+
+        const delivery = await notificationService.sendToUser(aadObjectId, {
+            text: `📬 **Resumen de aprobaciones**\n\nTienes ${solicitudes.length} solicitud(es) de vacaciones esperando tu decisión:`,
+            card: this.createDigestCard(solicitudes)
+        }, { source: 'approval_digest' });
+
+        if (delivery.status !== 'delivered') {
+            return 'failed';
+        }
+
+        this.stats.sent++;
+        return 'sent';
+    }
+
+    /**
+     * Obtiene el token OAuth del usuario dentro de un turno proactivo
+     */
+    async getProactiveToken(context) {
+        const bot = global.botInstance;
+        if (!bot || typeof bot.getUserOAuthToken !== 'function') {
+            return null;
+        }
+        return await bot.getUserOAuthToken(context, context.activity.from.id);
+    }
+
+    /**
+     * Tarjeta de pendientes (misma que consultar_solicitudes_dependientes) con opción de dejar de recibirla
+     */
+    createDigestCard(solicitudes) {
+        const openaiService = require('./openaiService');
+        const card = openaiService.crearTarjetaSolicitudesDependientes(solicitudes);
+
+        card.content.actions = [
+            ...(card.content.actions || []),
+            {
+                type: 'Action.Submit',
+                title: '🔕 No recibir este resumen',
+                data: { action: 'digest_opt_out' }
+            }
+        ];
+
+        return card;
+    }
+
+    /**
+     * Estado del último resumen de un usuario
+     */
+    async getStatus(aadObjectId) {
+        const key = `${STATUS_PREFIX}${aadObjectId}`;
+        const items = await getStateStorage().read([key]);
+        return items[key] || null;
+    }
+
+    /**
+     * Registra el resultado del resumen del día (la instancia ya reservó el día)
+     * @param {Object} status - { date, state: done|failed, lastDigestDate, attempts, nextAttemptAt, lastResult }
+     */
+    async saveStatus(aadObjectId, status) {
+        await getStateStorage().write({
+            [`${STATUS_PREFIX}${aadObjectId}`]: {
+                ...status,
+                updatedAt: new Date().toISOString(),
+                eTag: '*'
+            }
+        });
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            scheduleDays: this.scheduleDays,
+            scheduleTime: process.env.DIGEST_SCHEDULE_TIME || '09:00',
+            job: this.job.getStats(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new ApprovalDigestService();
@@ -0,0 +1,198 @@
+// conversationReferenceService.js - Referencias de conversación para mensajes proactivos
+
+const { TurnContext } = require('botbuilder');
+const { getStateStorage, NEW_ITEM_ETAG } = require('./storage');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('conversationReferenceService');
+
+const STORAGE_PREFIX = 'conversationReferences/';
+const INDEX_KEY = 'conversationReferenceIndex';
+
+/**
+ * Guarda la referencia de la conversación personal de cada usuario, indexada
+ * por su AAD object id, para poder escribirle fuera de un turno
+ * (notificaciones, recordatorios, resúmenes).
+ */
+class ConversationReferenceService {
+    constructor() {
+        this.cache = new Map();
+        this.stats = {
+            saved: 0,
+            unchanged: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Clave de storage para un usuario
+     */
+    getStorageKey(aadObjectId) {
+        return `${STORAGE_PREFIX}${aadObjectId}`;
+    }
+
+    /**
+     * Guarda la referencia de la actividad actual (solo chats personales y
+     * solo si cambió respecto a la última guardada)
+     * @param {Object} activity - Actividad entrante
+     * @returns {Promise<boolean>} - true si se escribió en storage
+     */
+    async saveFromActivity(activity) {
+        const aadObjectId = activity?.from?.aadObjectId;
+        if (!aadObjectId) {
+            return false;
+        }
+
+        // En chats grupales o canales el mensaje llegaría a todos los miembros
+        const conversationType = activity.conversation?.conversationType;
+        if (conversationType && conversationType !== 'personal') {
+            return false;
+        }
+
+        const reference = TurnContext.getConversationReference(activity);
+        delete reference.activityId;
+
+        const cached = this.cache.get(aadObjectId);
+        if (cached && this.isSameReference(cached.reference, reference)) {
+            this.stats.unchanged++;
+            return false;
+        }
+
+        const record = {
+            aadObjectId,
+            userId: activity.from.id,
+            userName: activity.from.name || null,
+            reference,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await getStateStorage().write({
+                [this.getStorageKey(aadObjectId)]: { ...record, eTag: '*' }
+            });
+            if (!cached) {
+                await this.addToIndex(aadObjectId);
+            }
+            this.cache.set(aadObjectId, record);
+            this.stats.saved++;
+            logger.info(`[${activity.from.id}] Referencia de conversación guardada`);
+            return true;
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`[${activity.from.id}] Error guardando referencia de conversación:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Agrega un usuario al índice de referencias
+     */
+    async addToIndex(aadObjectId) {
+        await this.updateIndex(users => (users.includes(aadObjectId) ? null : [...users, aadObjectId]));
+    }
+
+    /**
+     * Quita un usuario del índice de referencias
+     */
+    async removeFromIndex(aadObjectId) {
+        await this.updateIndex(users => (users.includes(aadObjectId) ? users.filter(id => id !== aadObjectId) : null));
+    }
+
+    /**
+     * Lee el índice, aplica el cambio y lo escribe con el eTag leído
+     * (reintenta en conflicto de eTag)
+     * @param {Function} update - (users) => nueva lista, o null si no hay cambios
+     */
+    async updateIndex(update, attempts = 3) {
+        const storage = getStateStorage();
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const items = await storage.read([INDEX_KEY]);
+            const index = items[INDEX_KEY] || { users: [] };
+            const users = update(index.users);
+            if (!users) {
+                return;
+            }
+
+            try {
+                await storage.write({
+                    [INDEX_KEY]: { users, eTag: index.eTag || NEW_ITEM_ETAG }
+                });
+                return;
+            } catch (error) {
+                if (attempt === attempts) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Lista los AAD object ids con referencia guardada
+     * @returns {Promise<string[]>}
+     */
+    async listUsers() {
+        const items = await getStateStorage().read([INDEX_KEY]);
+        return items[INDEX_KEY] ? items[INDEX_KEY].users : [];
+    }
+
+    /**
+     * Compara los campos que determinan a dónde se entrega un mensaje
+     */
+    isSameReference(a, b) {
+        return a.conversation?.id === b.conversation?.id &&
+               a.serviceUrl === b.serviceUrl &&
+               a.bot?.id === b.bot?.id &&
+               a.user?.id === b.user?.id;
+    }
+
+    /**
+     * Obtiene el registro guardado de un usuario
+     * @param {string} aadObjectId - AAD object id del usuario
+     * @returns {Promise<Object|null>} - { aadObjectId, userId, userName, reference, updatedAt }
+     */
+    async get(aadObjectId) {
+        if (this.cache.has(aadObjectId)) {
+            return this.cache.get(aadObjectId);
+        }
+
+        const key = this.getStorageKey(aadObjectId);
+        const items = await getStateStorage().read([key]);
+        const item = items[key];
+        if (!item || !item.reference) {
+            return null;
+        }
+
+        const { eTag, ...record } = item;
+        this.cache.set(aadObjectId, record);
+        return record;
+    }
+
+    /**
+     * Obtiene solo la referencia de conversación de un usuario
+     */
+    async getReference(aadObjectId) {
+        const record = await this.get(aadObjectId);
+        return record ? record.reference : null;
+    }
+
+    /**
+     * Elimina la referencia de un usuario (ej: desinstaló el bot)
+     */
+    async remove(aadObjectId) {
+        this.cache.delete(aadObjectId);
+        await getStateStorage().delete([this.getStorageKey(aadObjectId)]);
+        await this.removeFromIndex(aadObjectId);
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            cachedReferences: this.cache.size
+        };
+    }
+}
+
+module.exports = new ConversationReferenceService();
@@ -1,6 +1,8 @@
 // conversationService.js - Servicio optimizado con fallbacks seguros
 
 const cosmosDbConfig = require('../config/cosmosConfigs');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('conversationService');
 
 /**
  * Servicio de conversaciones con fallback a memoria si CosmosDB falla
@@ -13,7 +15,8 @@ class ConversationService {
         // Fallback en memoria
         this.memoryStorage = {
             conversations: new Map(),
-            messages: new Map()
+            messages: new Map(),
+            summaries: new Map()
         };
         
         // Control de inicialización
@@ -33,13 +36,13 @@ class ConversationService {
             if (cosmosDbConfig.isAvailable()) {
                 this.container = cosmosDbConfig.getConversationContainer();
                 this.initialized = true;
-                console.log('ConversationService: CosmosDB inicializado correctamente');
+                logger.info('ConversationService: CosmosDB inicializado correctamente');
             } else {
                 throw new Error('CosmosDB no disponible');
             }
             
         } catch (error) {
-            console.warn('ConversationService: Error inicializando CosmosDB, usando memoria:', error.message);
+            logger.warn('ConversationService: Error inicializando CosmosDB, usando memoria:', error.message);
             this.initialized = false;
             // Continuar con fallback en memoria
         }
@@ -56,8 +59,9 @@ class ConversationService {
 
     /**
      * Guarda un mensaje (CosmosDB con fallback a memoria)
+     * @param {Object} metadata - Datos extra del mensaje (ej: { messageId, trace } en respuestas del bot)
      */
-    async saveMessage(message, conversationId, userId) {
+    async saveMessage(message, conversationId, userId, metadata = {}) {
         if (!message || !conversationId || !userId) {
             throw new Error('Parámetros requeridos: message, conversationId, userId');
         }
@@ -68,6 +72,7 @@ class ConversationService {
             userId,
             message: message.substring(0, 4000), // Limitar longitud
             timestamp: new Date().toISOString(),
+            ...metadata,
             type: 'message'
         };
 
@@ -77,7 +82,7 @@ class ConversationService {
             if (this.initialized && this.container) {
                 // Intentar guardar en CosmosDB
                 const { resource } = await this.container.items.create(messageData);
-                console.log(`Mensaje guardado en CosmosDB: ${messageData.id}`);
+                logger.info(`Mensaje guardado en CosmosDB: ${messageData.id}`);
                 return resource;
             } else {
                 // Usar fallback en memoria
@@ -85,7 +90,7 @@ class ConversationService {
             }
             
         } catch (error) {
-            console.warn(`Error guardando en CosmosDB, usando memoria: ${error.message}`);
+            logger.warn(`Error guardando en CosmosDB, usando memoria: ${error.message}`);
             return this.saveMessageToMemory(messageData);
         }
     }
@@ -103,7 +108,7 @@ class ConversationService {
         }
         
         this.memoryStorage.messages.set(messageData.conversationId, conversationMessages);
-        console.log(`Mensaje guardado en memoria: ${messageData.id}`);
+        logger.info(`Mensaje guardado en memoria: ${messageData.id}`);
         return messageData;
     }
 
@@ -127,7 +132,7 @@ class ConversationService {
             }
             
         } catch (error) {
-            console.warn(`Error obteniendo historial de CosmosDB, usando memoria: ${error.message}`);
+            logger.warn(`Error obteniendo historial de CosmosDB, usando memoria: ${error.message}`);
             return this.getHistoryFromMemory(conversationId, limit);
         }
     }
@@ -150,6 +155,38 @@ class ConversationService {
         return resources.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     }
 
+    /**
+     * Obtiene un mensaje por su messageId (respuestas calificables del bot)
+     * @returns {Promise<Object|null>} - Mensaje o null si no existe
+     */
+    async getMessage(conversationId, messageId) {
+        if (!conversationId || !messageId) {
+            return null;
+        }
+
+        try {
+            await this.ensureInitialized();
+            
+            if (this.initialized && this.container) {
+                const querySpec = {
+                    query: "SELECT * FROM c WHERE c.conversationId = @conversationId AND c.messageId = @messageId AND c.type = 'message'",
+                    parameters: [
+                        { name: "@conversationId", value: conversationId },
+                        { name: "@messageId", value: messageId }
+                    ]
+                };
+                const { resources } = await this.container.items.query(querySpec).fetchAll();
+                return resources[0] || null;
+            }
+            
+        } catch (error) {
+            logger.warn(`Error obteniendo mensaje de CosmosDB, usando memoria: ${error.message}`);
+        }
+        
+        const messages = this.memoryStorage.messages.get(conversationId) || [];
+        return messages.find(msg => msg.messageId === messageId) || null;
+    }
+
     /**
      * Obtiene historial de memoria
      */
@@ -160,6 +197,66 @@ class ConversationService {
         return messages.slice(-limit);
     }
 
+    /**
+     * Obtiene el resumen acumulado de los turnos antiguos de una conversación
+     * @returns {Promise<Object|null>} - { resumen, hastaTimestamp, mensajesResumidos, updatedAt } o null
+     */
+    async getSummary(conversationId) {
+        if (!conversationId) {
+            return null;
+        }
+
+        try {
+            await this.ensureInitialized();
+            
+            if (this.initialized && this.container) {
+                const { resource } = await this.container.item(`summary-${conversationId}`, conversationId).read();
+                return resource || null;
+            }
+            
+        } catch (error) {
+            if (error.code !== 404) {
+                logger.warn(`Error obteniendo resumen de CosmosDB, usando memoria: ${error.message}`);
+            }
+        }
+        
+        return this.memoryStorage.summaries.get(conversationId) || null;
+    }
+
+    /**
+     * Guarda (o reemplaza) el resumen acumulado de una conversación
+     * @param {Object} summary - { resumen, hastaTimestamp, mensajesResumidos }
+     */
+    async saveSummary(conversationId, summary) {
+        if (!conversationId || !summary) {
+            throw new Error('Parámetros requeridos: conversationId, summary');
+        }
+
+        const summaryData = {
+            id: `summary-${conversationId}`,
+            conversationId,
+            ...summary,
+            updatedAt: new Date().toISOString(),
+            type: 'summary'
+        };
+
+        try {
+            await this.ensureInitialized();
+            
+            if (this.initialized && this.container) {
+                const { resource } = await this.container.items.upsert(summaryData);
+                logger.info(`Resumen de conversación guardado en CosmosDB: ${conversationId}`);
+                return resource;
+            }
+            
+        } catch (error) {
+            logger.warn(`Error guardando resumen en CosmosDB, usando memoria: ${error.message}`);
+        }
+        
+        this.memoryStorage.summaries.set(conversationId, summaryData);
+        return summaryData;
+    }
+
     /**
      * Crea una conversación
      */
@@ -190,7 +287,7 @@ class ConversationService {
                 
                 // Crear nueva
                 const { resource } = await this.container.items.create(conversationData);
-                console.log(`Conversación creada en CosmosDB: ${conversationId}`);
+                logger.info(`Conversación creada en CosmosDB: ${conversationId}`);
                 return resource;
             } else {
                 // Usar memoria
@@ -203,7 +300,7 @@ class ConversationService {
                 return await this.getExistingConversation(conversationId);
             }
             
-            console.warn(`Error creando conversación en CosmosDB, usando memoria: ${error.message}`);
+            logger.warn(`Error creando conversación en CosmosDB, usando memoria: ${error.message}`);
             return this.createConversationInMemory(conversationData);
         }
     }
@@ -222,7 +319,7 @@ class ConversationService {
             return resources.length > 0 ? resources[0] : null;
             
         } catch (error) {
-            console.warn('Error verificando conversación existente:', error.message);
+            logger.warn('Error verificando conversación existente:', error.message);
             return null;
         }
     }
@@ -232,7 +329,7 @@ class ConversationService {
      */
     createConversationInMemory(conversationData) {
         this.memoryStorage.conversations.set(conversationData.conversationId, conversationData);
-        console.log(`Conversación creada en memoria: ${conversationData.conversationId}`);
+        logger.info(`Conversación creada en memoria: ${conversationData.conversationId}`);
         return conversationData;
     }
 
@@ -254,7 +351,7 @@ class ConversationService {
             }
             
         } catch (error) {
-            console.warn(`Error actualizando actividad en CosmosDB, usando memoria: ${error.message}`);
+            logger.warn(`Error actualizando actividad en CosmosDB, usando memoria: ${error.message}`);
             return this.updateActivityInMemory(conversationId);
         }
     }
@@ -273,7 +370,7 @@ class ConversationService {
                 const { resource } = await this.container.item(existing.id, conversationId).replace(existing);
                 return resource;
             } catch (error) {
-                console.warn('Error actualizando conversación, creando nueva:', error.message);
+                logger.warn('Error actualizando conversación, creando nueva:', error.message);
                 return await this.createConversation(conversationId, 'unknown');
             }
         } else {
@@ -340,8 +437,15 @@ class ConversationService {
             }
         }
 
+        // Limpiar resúmenes antiguos
+        for (const [conversationId, summary] of this.memoryStorage.summaries.entries()) {
+            if (now - new Date(summary.updatedAt).getTime() > maxAge) {
+                this.memoryStorage.summaries.delete(conversationId);
+            }
+        }
+
         if (cleanedMessages > 0 || cleanedConversations > 0) {
-            console.log(`ConversationService: Limpieza memoria - ${cleanedMessages} mensajes, ${cleanedConversations} conversaciones`);
+            logger.info(`ConversationService: Limpieza memoria - ${cleanedMessages} mensajes, ${cleanedConversations} conversaciones`);
         }
     }
 
@@ -355,6 +459,7 @@ class ConversationService {
             memoryConversations: this.memoryStorage.conversations.size,
             memoryMessages: Array.from(this.memoryStorage.messages.values())
                 .reduce((total, messages) => total + messages.length, 0),
+            memorySummaries: this.memoryStorage.summaries.size,
             timestamp: new Date().toISOString()
         };
     }
@@ -363,7 +468,7 @@ class ConversationService {
      * Fuerza reinicialización
      */
     async forceReinitialize() {
-        console.warn('ConversationService: Forzando reinicialización');
+        logger.warn('ConversationService: Forzando reinicialización');
         this.initialized = false;
         this.container = null;
         this.initializationPromise = this.initialize();
@@ -377,7 +482,8 @@ class ConversationService {
         const stats = this.getStats();
         this.memoryStorage.conversations.clear();
         this.memoryStorage.messages.clear();
-        console.log('ConversationService: Memoria limpiada completamente');
+        this.memoryStorage.summaries.clear();
+        logger.info('ConversationService: Memoria limpiada completamente');
         return stats;
     }
 }
@@ -0,0 +1,292 @@
+// feedbackService.js - Calificaciones (👍/👎) de las respuestas del bot
+
+const crypto = require('crypto');
+const { CardFactory } = require('botbuilder');
+const cosmosDbConfig = require('../config/cosmosConfigs');
+const conversationService = require('./conversationService');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('feedbackService');
+
+const RATINGS = ['positivo', 'negativo'];
+
+/**
+ * Registra la calificación de cada respuesta de texto del LLM. Las
+ * calificaciones se guardan en el contenedor de conversaciones (partición
+ * /conversationId) junto al mensaje calificado, y copian las herramientas y
+ * documentos de su traza para poder agregarlas sin cruzar documentos.
+ * Si CosmosDB no está disponible se conservan en memoria.
+ */
+class FeedbackService {
+    constructor() {
+        this.container = null;
+        this.initialized = false;
+        this.memoryFeedback = new Map();
+        this.stats = {
+            received: 0,
+            positive: 0,
+            negative: 0,
+            errors: 0
+        };
+
+        this.initializationPromise = this.initialize();
+    }
+
+    /**
+     * Inicializa CosmosDB con fallback a memoria
+     */
+    async initialize() {
+        try {
+            await cosmosDbConfig.initializationPromise;
+
+            if (cosmosDbConfig.isAvailable()) {
+                this.container = cosmosDbConfig.getConversationContainer();
+                this.initialized = true;
+                logger.info('FeedbackService: CosmosDB inicializado correctamente');
+            } else {
+                throw new Error('CosmosDB no disponible');
+            }
+        } catch (error) {
+            logger.warn('FeedbackService: Error inicializando CosmosDB, usando memoria:', error.message);
+            this.initialized = false;
+        }
+    }
+
+    /**
+     * Resume la traza del agente para guardarla con el mensaje
+     * @param {Object} trace - Traza de procesarHerramientas
+     * @param {Array} fuentes - Fuentes citadas en la respuesta
+     * @returns {Object} - { stopReason, iterations, herramientas, documentos }
+     */
+    summarizeTrace(trace, fuentes = []) {
+        return {
+            stopReason: trace?.stopReason || null,
+            iterations: trace?.iterations || 0,
+            herramientas: (trace?.calls || []).map(call => ({ tool: call.tool, status: call.status })),
+            documentos: [...new Set((fuentes || []).map(fuente => fuente.archivo).filter(Boolean))]
+        };
+    }
+
+    /**
+     * Genera el id de un mensaje calificable
+     */
+    createMessageId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Tarjeta compacta con 👍/👎 y comentario opcional para una respuesta
+     * @param {string} messageId - Id del mensaje guardado
+     * @returns {Object} - Attachment de tarjeta adaptativa
+     */
+    createFeedbackCard(messageId) {
+        const submit = (title, rating) => ({
+            type: 'Action.Submit',
+            title,
+            data: { action: 'calificar_respuesta', messageId, rating }
+        });
+
+        return CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: '¿Te fue útil esta respuesta?',
+                    size: 'Small',
+                    isSubtle: true
+                }
+            ],
+            actions: [
+                submit('👍 Sí', 'positivo'),
+                submit('👎 No', 'negativo'),
+                {
+                    type: 'Action.ShowCard',
+                    title: '💬 Comentar',
+                    card: {
+                        type: 'AdaptiveCard',
+                        body: [
+                            {
+                                type: 'Input.Text',
+                                id: 'comentario',
+                                placeholder: '¿Qué podríamos mejorar? (opcional)',
+                                isMultiline: true,
+                                maxLength: 500
+                            }
+                        ],
+                        actions: [
+                            submit('👍 Enviar como útil', 'positivo'),
+                            submit('👎 Enviar como no útil', 'negativo')
+                        ]
+                    }
+                }
+            ]
+        });
+    }
+
+    /**
+     * Guarda (o reemplaza) la calificación de un usuario sobre un mensaje
+     * @param {Object} data - { messageId, conversationId, userId, rating, comentario }
+     * @returns {Promise<Object>} - Registro guardado
+     */
+    async saveFeedback({ messageId, conversationId, userId, rating, comentario }) {
+        if (!messageId || !conversationId || !userId) {
+            throw new Error('Parámetros requeridos: messageId, conversationId, userId');
+        }
+        if (!RATINGS.includes(rating)) {
+            throw new Error(`Calificación no válida: ${rating}`);
+        }
+
+        const mensaje = await conversationService.getMessage(conversationId, messageId);
+        const traza = mensaje?.trace || {};
+        const userHash = crypto.createHash('sha1').update(String(userId)).digest('hex').substring(0, 12);
+
+        const feedback = {
+            id: `feedback-${messageId}-${userHash}`,
+            conversationId,
+            messageId,
+            userId,
+            rating,
+            comentario: (comentario || '').trim().substring(0, 500) || null,
+            herramientas: [...new Set((traza.herramientas || []).map(call => call.tool))],
+            documentos: traza.documentos || [],
+            respuesta: mensaje ? mensaje.message.substring(0, 500) : null,
+            timestamp: new Date().toISOString(),
+            type: 'feedback'
+        };
+
+        this.stats.received++;
+        this.stats[rating === 'positivo' ? 'positive' : 'negative']++;
+
+        try {
+            await this.ensureInitialized();
+
+            if (this.initialized && this.container) {
+                const { resource } = await this.container.items.upsert(feedback);
+                logger.info(`⭐ Calificación ${rating} guardada en CosmosDB: ${messageId}`);
+                return resource;
+            }
+        } catch (error) {
+            this.stats.errors++;
+            logger.warn(`Error guardando calificación en CosmosDB, usando memoria: ${error.message}`);
+        }
+
+        this.memoryFeedback.set(feedback.id, feedback);
+        return feedback;
+    }
+
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initializationPromise;
+        }
+    }
+
+    /**
+     * Obtiene las calificaciones de un periodo
+     * @param {string} desde - Fecha ISO inicial (incluida)
+     * @param {string} hasta - Fecha ISO final (excluida)
+     */
+    async getFeedback(desde, hasta) {
+        await this.ensureInitialized();
+
+        if (this.initialized && this.container) {
+            const querySpec = {
+                query: "SELECT * FROM c WHERE c.type = 'feedback' AND c.timestamp >= @desde AND c.timestamp < @hasta",
+                parameters: [
+                    { name: '@desde', value: desde },
+                    { name: '@hasta', value: hasta }
+                ]
+            };
+            const { resources } = await this.container.items.query(querySpec).fetchAll();
+            return resources;
+        }
+
+        return Array.from(this.memoryFeedback.values())
+            .filter(item => item.timestamp >= desde && item.timestamp < hasta);
+    }
+
+    /**
+     * Reporte de satisfacción por herramienta, por documento y por día
+     * @param {Object} options - { desde: 'YYYY-MM-DD', hasta: 'YYYY-MM-DD' } (30 días hasta hoy por defecto)
+     * @returns {Promise<Object>} - Totales y agregados
+     */
+    async getReport({ desde, hasta } = {}) {
+        // El día final se incluye completo
+        const fin = new Date(`${hasta || new Date().toISOString().substring(0, 10)}T00:00:00.000Z`);
+        fin.setUTCDate(fin.getUTCDate() + 1);
+        const inicio = desde
+            ? new Date(`${desde}T00:00:00.000Z`)
+            : new Date(fin.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(inicio.getTime()) || isNaN(fin.getTime())) {
+            throw new Error('Fechas inválidas, usa el formato YYYY-MM-DD');
+        }
+
+        const registros = await this.getFeedback(inicio.toISOString(), fin.toISOString());
+
+        const porHerramienta = {};
+        const porDocumento = {};
+        const porDia = {};
+        const acumular = (grupo, clave, rating) => {
+            if (!grupo[clave]) {
+                grupo[clave] = { total: 0, positivos: 0, negativos: 0, satisfaccion: 0 };
+            }
+            grupo[clave].total++;
+            grupo[clave][rating === 'positivo' ? 'positivos' : 'negativos']++;
+        };
+
+        const totales = { total: 0, positivos: 0, negativos: 0 };
+        registros.forEach(registro => {
+            totales.total++;
+            totales[registro.rating === 'positivo' ? 'positivos' : 'negativos']++;
+
+            const herramientas = registro.herramientas && registro.herramientas.length > 0
+                ? registro.herramientas
+                : ['(sin herramientas)'];
+            herramientas.forEach(tool => acumular(porHerramienta, tool, registro.rating));
+            (registro.documentos || []).forEach(documento => acumular(porDocumento, documento, registro.rating));
+            acumular(porDia, registro.timestamp.substring(0, 10), registro.rating);
+        });
+
+        const conSatisfaccion = grupo => {
+            Object.values(grupo).forEach(item => {
+                item.satisfaccion = Math.round((item.positivos / item.total) * 1000) / 10;
+            });
+            return grupo;
+        };
+
+        return {
+            desde: inicio.toISOString().substring(0, 10),
+            hasta: new Date(fin.getTime() - 1).toISOString().substring(0, 10),
+            ...totales,
+            satisfaccion: totales.total > 0 ? Math.round((totales.positivos / totales.total) * 1000) / 10 : null,
+            porHerramienta: conSatisfaccion(porHerramienta),
+            porDocumento: conSatisfaccion(porDocumento),
+            porDia: conSatisfaccion(porDia),
+            comentariosRecientes: registros
+                .filter(registro => registro.comentario)
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, 20)
+                .map(registro => ({
+                    fecha: registro.timestamp,
+                    rating: registro.rating,
+                    comentario: registro.comentario,
+                    herramientas: registro.herramientas,
+                    documentos: registro.documentos
+                }))
+        };
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            cosmosAvailable: !!this.container,
+            memoryFeedback: this.memoryFeedback.size
+        };
+    }
+}
+
+module.exports = new FeedbackService();
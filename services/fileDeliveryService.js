@@ -0,0 +1,171 @@
+// fileDeliveryService.js - Entrega de archivos generados por el bot
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { getStateStorage } = require('./storage');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('fileDeliveryService');
+
+const PENDING_PREFIX = 'pendingFiles/';
+const PENDING_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Envía archivos al usuario. En chats personales de Teams usa el flujo de
+ * FileConsentCard (el usuario acepta y el archivo se sube a su OneDrive);
+ * en otros canales (Emulator, Web Chat) lo adjunta como data URI.
+ * Los archivos en espera de consentimiento se guardan en el state storage con
+ * TTL, para que la aceptación funcione tras un reinicio o en otra instancia.
+ */
+class FileDeliveryService {
+    getStorageKey(fileId) {
+        return `${PENDING_PREFIX}${fileId}`;
+    }
+
+    /**
+     * Obtiene un archivo pendiente vigente
+     * @returns {Promise<Object|null>} - { name, buffer, userId, createdAt } o null
+     */
+    async getPending(fileId) {
+        if (!fileId) {
+            return null;
+        }
+
+        const key = this.getStorageKey(fileId);
+        const items = await getStateStorage().read([key]);
+        const item = items[key];
+        if (!item) {
+            return null;
+        }
+
+        // El storage en memoria no aplica el TTL
+        if (Date.now() - item.createdAt > PENDING_TTL_MS) {
+            await this.removePending(fileId);
+            return null;
+        }
+
+        return {
+            name: item.name,
+            buffer: Buffer.from(item.content, 'base64'),
+            userId: item.userId,
+            createdAt: item.createdAt
+        };
+    }
+
+    async removePending(fileId) {
+        if (fileId) {
+            await getStateStorage().delete([this.getStorageKey(fileId)]);
+        }
+    }
+
+    /**
+     * Indica si la conversación soporta el flujo de consentimiento de Teams
+     */
+    supportsFileConsent(context) {
+        return context.activity.channelId === 'msteams' &&
+               (context.activity.conversation?.conversationType || 'personal') === 'personal';
+    }
+
+    /**
+     * Ofrece un archivo al usuario
+     * @param {TurnContext} context - Contexto del turno
+     * @param {Object} file - { name, content, contentType, description }
+     * @returns {Promise<string>} - 'consent' o 'inline'
+     */
+    async offerFile(context, file) {
+        const buffer = Buffer.from(file.content, 'utf8');
+
+        if (!this.supportsFileConsent(context)) {
+            await context.sendActivity({
+                text: file.description,
+                attachments: [{
+                    contentType: file.contentType,
+                    contentUrl: `data:${file.contentType};base64,${buffer.toString('base64')}`,
+                    name: file.name
+                }]
+            });
+            return 'inline';
+        }
+
+        const fileId = uuidv4();
+        await getStateStorage().write({
+            [this.getStorageKey(fileId)]: {
+                name: file.name,
+                content: buffer.toString('base64'),
+                userId: context.activity.from.id,
+                createdAt: Date.now(),
+                ttl: PENDING_TTL_MS / 1000,
+                eTag: '*'
+            }
+        });
+
+        await context.sendActivity({
+            attachments: [{
+                contentType: 'application/vnd.microsoft.teams.card.file.consent',
+                name: file.name,
+                content: {
+                    description: file.description,
+                    sizeInBytes: buffer.length,
+                    acceptContext: { fileId },
+                    declineContext: { fileId }
+                }
+            }]
+        });
+        return 'consent';
+    }
+
+    /**
+     * El usuario aceptó: sube el archivo a la URL de Teams y envía la tarjeta del archivo
+     * @param {TurnContext} context - Contexto del invoke fileConsent/invoke
+     * @param {Object} fileConsentCardResponse - Respuesta con uploadInfo y context
+     */
+    async handleConsentAccept(context, fileConsentCardResponse) {
+        const { fileId } = fileConsentCardResponse.context || {};
+        const pending = await this.getPending(fileId);
+        const uploadInfo = fileConsentCardResponse.uploadInfo;
+
+        if (!pending) {
+            await context.sendActivity('⚠️ **El archivo ya no está disponible.** Pídemelo de nuevo para generarlo otra vez.');
+            return;
+        }
+
+        const size = pending.buffer.length;
+        await axios.put(uploadInfo.uploadUrl, pending.buffer, {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': size,
+                'Content-Range': `bytes 0-${size - 1}/${size}`
+            },
+            maxBodyLength: Infinity,
+            timeout: 30000
+        });
+
+        await this.removePending(fileId);
+        logger.info(`[${pending.userId}] Archivo ${uploadInfo.name} subido (${size} bytes)`);
+
+        await context.sendActivity({
+            text: '📎 Aquí tienes tu archivo:',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.teams.card.file.info',
+                contentUrl: uploadInfo.contentUrl,
+                name: uploadInfo.name,
+                content: {
+                    uniqueId: uploadInfo.uniqueId,
+                    fileType: uploadInfo.fileType
+                }
+            }]
+        });
+    }
+
+    /**
+     * El usuario rechazó la descarga
+     */
+    async handleConsentDecline(context, fileConsentCardResponse) {
+        const { fileId } = fileConsentCardResponse.context || {};
+        const pending = await this.getPending(fileId);
+        await this.removePending(fileId);
+
+        await context.sendActivity(`👍 Entendido, no guardé ${pending ? `**${pending.name}**` : 'el archivo'}.`);
+    }
+}
+
+module.exports = new FileDeliveryService();
@@ -0,0 +1,129 @@
+// notificationPreferencesService.js - Preferencias de notificaciones proactivas por usuario
+
+const { DateTime } = require('luxon');
+const { getStateStorage } = require('./storage');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('notificationPreferencesService');
+require('dotenv').config();
+
+const STORAGE_PREFIX = 'notificationPreferences/';
+const TIMEZONE = 'America/Mexico_City';
+
+/**
+ * Preferencias por defecto de un usuario
+ */
+const DEFAULT_PREFERENCES = {
+    digestOptOut: false,
+    statusWatcherOptIn: false,
+    quietHours: null
+};
+
+/**
+ * Guarda las preferencias de notificación de cada usuario (opt-out de
+ * resúmenes, avisos de estatus y horario de silencio propio) y resuelve si un momento dado
+ * cae en horario de silencio.
+ */
+class NotificationPreferencesService {
+    constructor() {
+        this.defaultQuietHours = this.parseQuietHours(process.env.NOTIFY_QUIET_HOURS || '20:00-08:00');
+    }
+
+    /**
+     * Convierte 'HH:mm-HH:mm' en { start, end } (minutos desde medianoche)
+     * @returns {Object|null} - null si el valor está vacío o es inválido
+     */
+    parseQuietHours(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            logger.warn(`⚠️ Horario de silencio inválido: "${value}" (formato esperado HH:mm-HH:mm)`);
+            return null;
+        }
+
+        const [, startH, startM, endH, endM] = match.map(Number);
+        if (startH > 23 || endH > 23 || startM > 59 || endM > 59) {
+            return null;
+        }
+
+        return {
+            start: startH * 60 + startM,
+            end: endH * 60 + endM,
+            label: value.trim()
+        };
+    }
+
+    /**
+     * Clave de storage para un usuario
+     */
+    getStorageKey(aadObjectId) {
+        return `${STORAGE_PREFIX}${aadObjectId}`;
+    }
+
+    /**
+     * Obtiene las preferencias de un usuario
+     * @param {string} aadObjectId - AAD object id
+     * @returns {Promise<Object>} - { digestOptOut, quietHours, updatedAt }
+     */
+    async get(aadObjectId) {
+        const key = this.getStorageKey(aadObjectId);
+        const items = await getStateStorage().read([key]);
+        const { eTag, ...preferences } = items[key] || {};
+        return { ...DEFAULT_PREFERENCES, ...preferences };
+    }
+
+    /**
+     * Actualiza (merge) las preferencias de un usuario
+     * @param {string} aadObjectId - AAD object id
+     * @param {Object} changes - Campos a modificar
+     * @returns {Promise<Object>} - Preferencias resultantes
+     */
+    async update(aadObjectId, changes) {
+        const current = await this.get(aadObjectId);
+        const preferences = {
+            ...current,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+
+        await getStateStorage().write({
+            [this.getStorageKey(aadObjectId)]: { ...preferences, eTag: '*' }
+        });
+
+        logger.info(`[${aadObjectId}] Preferencias de notificación actualizadas:`, changes);
+        return preferences;
+    }
+
+    /**
+     * Horario de silencio efectivo de un usuario (propio o global)
+     */
+    getEffectiveQuietHours(preferences) {
+        if (preferences && preferences.quietHours) {
+            return this.parseQuietHours(preferences.quietHours);
+        }
+        return this.defaultQuietHours;
+    }
+
+    /**
+     * Indica si el momento dado cae en el horario de silencio del usuario
+     * @param {Object} preferences - Preferencias del usuario
+     * @param {DateTime} now - Momento a evaluar (por defecto ahora)
+     */
+    isQuietTime(preferences, now = DateTime.now().setZone(TIMEZONE)) {
+        const quietHours = this.getEffectiveQuietHours(preferences);
+        if (!quietHours || quietHours.start === quietHours.end) {
+            return false;
+        }
+
+        const minutes = now.hour * 60 + now.minute;
+
+        // Rango dentro del mismo día (ej: 13:00-15:00) o cruzando medianoche (ej: 20:00-08:00)
+        return quietHours.start < quietHours.end
+            ? minutes >= quietHours.start && minutes < quietHours.end
+            : minutes >= quietHours.start || minutes < quietHours.end;
+    }
+}
+
+module.exports = new NotificationPreferencesService();
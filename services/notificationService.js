@@ -0,0 +1,265 @@
+// notificationService.js - Envío proactivo de mensajes a usuarios
+
+const { CardFactory } = require('botbuilder');
+const { v4: uuidv4 } = require('uuid');
+const conversationReferenceService = require('./conversationReferenceService');
+const { getStateStorage } = require('./storage');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('notificationService');
+require('dotenv').config();
+
+const DELIVERY_PREFIX = 'notificationDeliveries/';
+
+/**
+ * Envía mensajes de texto o Adaptive Cards a un usuario fuera de un turno,
+ * usando la referencia de conversación guardada. Cada envío deja un registro
+ * de entrega (memoria + storage) con el resultado y los intentos. Si Teams
+ * responde que el bot ya no está en la conversación (403/404) la referencia
+ * del usuario se elimina para no seguir intentando.
+ */
+class NotificationService {
+    constructor() {
+        this.adapter = null;
+        this.appId = null;
+        this.maxRetries = parseInt(process.env.NOTIFY_MAX_RETRIES, 10) || 3;
+        this.retryDelayMs = parseInt(process.env.NOTIFY_RETRY_DELAY_MS, 10) || 1000;
+        this.historySize = parseInt(process.env.NOTIFY_DELIVERY_HISTORY, 10) || 200;
+        this.deliveryTtlSeconds = (parseInt(process.env.NOTIFY_DELIVERY_TTL_DAYS, 10) || 30) * 24 * 60 * 60;
+        this.deliveries = [];
+        this.stats = {
+            delivered: 0,
+            failed: 0,
+            noReference: 0,
+            referencesRemoved: 0
+        };
+    }
+
+    /**
+     * Asigna el adapter del bot (llamado al iniciar el servidor)
+     * @param {BotFrameworkAdapter} adapter - Adapter del bot
+     * @param {string} appId - MicrosoftAppId del bot
+     */
+    initialize(adapter, appId) {
+        this.adapter = adapter;
+        this.appId = appId;
+        logger.info('✅ NotificationService inicializado');
+    }
+
+    /**
+     * Verifica si el servicio puede enviar mensajes
+     */
+    isAvailable() {
+        return !!this.adapter;
+    }
+
+    /**
+     * Construye la actividad a enviar a partir del payload
+     * @param {Object} payload - { text, card } (card = JSON de Adaptive Card)
+     */
+    buildActivity(payload) {
+        if (payload.card) {
+            const attachment = payload.card.contentType
+                ? payload.card
+                : CardFactory.adaptiveCard(payload.card);
+            return {
+                type: 'message',
+                text: payload.text || undefined,
+                attachments: [attachment]
+            };
+        }
+
+        return { type: 'message', text: payload.text };
+    }
+
+    /**
+     * Ejecuta lógica dentro de la conversación personal del usuario
+     * @param {string} aadObjectId - AAD object id del usuario
+     * @param {Function} logic - async (context) => resultado
+     * @returns {Promise<*>} - Resultado de logic
+     */
+    async continueWithUser(aadObjectId, logic) {
+        if (!this.isAvailable()) {
+            throw new Error('NotificationService no inicializado');
+        }
+
+        const reference = await conversationReferenceService.getReference(aadObjectId);
+        if (!reference) {
+            const error = new Error('Sin referencia de conversación para el usuario');
+            error.code = 'NO_REFERENCE';
+            throw error;
+        }
+
+        let result;
+        await this.adapter.continueConversation(reference, async (context) => {
+            result = await logic(context);
+        });
+        return result;
+    }
+
+    /**
+     * Envía un mensaje proactivo con reintentos
+     * @param {string} aadObjectId - AAD object id del usuario
+     * @param {Object} payload - { text, card }
+     * @param {Object} options - { source }
+     * @returns {Promise<Object>} - Registro de entrega
+     */
+    async sendToUser(aadObjectId, payload, options = {}) {
+        const delivery = {
+            id: uuidv4(),
+            aadObjectId,
+            source: options.source || 'api',
+            type: payload.card ? 'card' : 'text',
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            activityId: null,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+
+        const activity = this.buildActivity(payload);
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            delivery.attempts = attempt;
+            try {
+                const response = await this.continueWithUser(aadObjectId, context => context.sendActivity(activity));
+                delivery.status = 'delivered';
+                delivery.activityId = response?.id || null;
+                delivery.error = null;
+                break;
+            } catch (error) {
+                delivery.error = error.message;
+
+                if (error.code === 'NO_REFERENCE') {
+                    delivery.status = 'no_reference';
+                    break;
+                }
+
+                delivery.status = 'failed';
+                if (this.isPermanentFailure(error)) {
+                    await this.removeStaleReference(aadObjectId, delivery);
+                    break;
+                }
+                if (!this.isRetryable(error) || attempt === this.maxRetries) {
+                    break;
+                }
+
+                logger.warn(`[${aadObjectId}] Notificación falló (intento ${attempt}/${this.maxRetries}): ${error.message}`);
+                await this.delay(this.retryDelayMs * Math.pow(2, attempt - 1));
+            }
+        }
+
+        delivery.completedAt = new Date().toISOString();
+        await this.recordDelivery(delivery);
+
+        logger.info(`[${aadObjectId}] Notificación ${delivery.id}: ${delivery.status} (${delivery.attempts} intento(s))`);
+        return delivery;
+    }
+
+    /**
+     * El usuario desinstaló o bloqueó al bot, o la conversación ya no existe
+     */
+    isPermanentFailure(error) {
+        const status = error.statusCode || error.response?.status;
+        return status === 403 || status === 404;
+    }
+
+    /**
+     * Elimina la referencia de un usuario al que ya no se puede escribir
+     */
+    async removeStaleReference(aadObjectId, delivery) {
+        try {
+            await conversationReferenceService.remove(aadObjectId);
+            delivery.referenceRemoved = true;
+            this.stats.referencesRemoved++;
+            logger.warn(`[${aadObjectId}] Referencia de conversación eliminada tras error permanente: ${delivery.error}`);
+        } catch (error) {
+            logger.warn(`[${aadObjectId}] No se pudo eliminar la referencia de conversación:`, error.message);
+        }
+    }
+
+    /**
+     * Errores de cliente (usuario bloqueó al bot, conversación inexistente) no se reintentan
+     */
+    isRetryable(error) {
+        const status = error.statusCode || error.response?.status;
+        if (!status) {
+            return true;
+        }
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Guarda el registro de entrega en memoria y en storage (caduca tras NOTIFY_DELIVERY_TTL_DAYS)
+     */
+    async recordDelivery(delivery) {
+        if (delivery.status === 'delivered') {
+            this.stats.delivered++;
+        } else if (delivery.status === 'no_reference') {
+            this.stats.noReference++;
+        } else {
+            this.stats.failed++;
+        }
+
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.historySize) {
+            this.deliveries.shift();
+        }
+
+        try {
+            await getStateStorage().write({
+                [`${DELIVERY_PREFIX}${delivery.id}`]: { ...delivery, ttl: this.deliveryTtlSeconds, eTag: '*' }
+            });
+        } catch (error) {
+            logger.warn(`Error guardando registro de entrega ${delivery.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Obtiene registros de entrega recientes
+     * @param {Object} filters - { aadObjectId, status, limit }
+     */
+    getDeliveries(filters = {}) {
+        const limit = parseInt(filters.limit, 10) || 50;
+        return this.deliveries
+            .filter(d => !filters.aadObjectId || d.aadObjectId === filters.aadObjectId)
+            .filter(d => !filters.status || d.status === filters.status)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Obtiene un registro de entrega por id
+     */
+    async getDelivery(id) {
+        const cached = this.deliveries.find(d => d.id === id);
+        if (cached) {
+            return cached;
+        }
+
+        const key = `${DELIVERY_PREFIX}${id}`;
+        const items = await getStateStorage().read([key]);
+        if (!items[key]) {
+            return null;
+        }
+        const { eTag, ttl, ...delivery } = items[key];
+        return delivery;
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            available: this.isAvailable(),
+            recentDeliveries: this.deliveries.length
+        };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = new NotificationService();
@@ -3,9 +3,25 @@
 const OpenAI = require('openai');
 const { DateTime } = require('luxon');
 const axios = require('axios');
+const crypto = require('crypto');
 const { SearchClient, AzureKeyCredential } = require('@azure/search-documents');
 const { CardFactory } = require('botbuilder');
 const { checkAuthenticationForTool } = require('../utilities/authenticationHelper');
+const toolRegistry = require('./tools');
+const sirhClient = require('./sirhClient');
+const sirhConfig = require('../config/sirhConfig');
+const rejectionReasonService = require('./rejectionReasonService');
+const fileDeliveryService = require('./fileDeliveryService');
+const searchCache = require('./searchCache');
+const conversationService = require('./conversationService');
+const usageService = require('./usageService');
+const { LruCache } = require('../utilities/lruCache');
+const { generateVacationCalendar } = require('../utilities/icsGenerator');
+const teamCalendar = require('../utilities/teamCalendar');
+const { parseSpanishDateExpression, toMexicoDate, countBusinessDays, addBusinessDays } = require('../utilities/date_utils');
+const { createLogger, getCorrelationHeaders } = require('../utilities/logger');
+const { tracer } = require('../utilities/tracing');
+const logger = createLogger('openaiService');
 require('dotenv').config();
 
 /**
@@ -16,21 +32,95 @@ class OpenAIService {
         this.initialized = false;
         this.initializationError = null;
         
-        console.log('🚀 Inicializando OpenAI Service...');
+        logger.info('🚀 Inicializando OpenAI Service...');
         this.diagnoseConfiguration();
         this.initializeOpenAI();
         this.initializeAzureSearch();
         this.tools = this.defineTools();
         this.apiActions = this.defineApiActions();
         
-        console.log(`✅ OpenAI Service inicializado - Disponible: ${this.openaiAvailable}`);
+        // Presupuesto del ciclo de agente (herramientas encadenadas)
+        this.agentConfig = {
+            maxIterations: parseInt(process.env.OPENAI_MAX_TOOL_ITERATIONS, 10) || 5,
+            timeBudgetMs: parseInt(process.env.OPENAI_TOOL_TIME_BUDGET_MS, 10) || 60000
+        };
+        
+        // Resultados de búsqueda: campo opcional con el id del fragmento en el índice
+        // y máximo de fuentes a mostrar en la tarjeta "Fuentes"
+        this.searchConfig = {
+            chunkIdField: process.env.SEARCH_CHUNK_ID_FIELD || null,
+            maxFuentes: parseInt(process.env.SEARCH_MAX_SOURCES, 10) || 5,
+            ...this.parseSearchFilterConfig()
+        };
+        
+        // Empresa del empleado por usuario (para el filtro de búsqueda)
+        this.empresaCache = new LruCache({
+            name: 'empresas',
+            maxEntries: 1000,
+            ttlMs: 60 * 60 * 1000
+        });
+        // Un perfil sin empresa se guarda poco tiempo para reintentar pronto
+        this.empresaSinValorTtlMs = 5 * 60 * 1000;
+        
+        // Ventana de historial por presupuesto de tokens y resumen de turnos antiguos
+        this.historyConfig = {
+            tokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 3000,
+            maxMessageTokens: parseInt(process.env.HISTORY_MAX_MESSAGE_TOKENS, 10) || 800,
+            summaryEnabled: process.env.HISTORY_SUMMARY_ENABLED !== 'false',
+            summaryModel: process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini',
+            summaryMaxTokens: parseInt(process.env.HISTORY_SUMMARY_MAX_TOKENS, 10) || 400
+        };
+        
+        // Reescritura de consultas de búsqueda con el historial del turno
+        this.rewriteConfig = {
+            enabled: process.env.QUERY_REWRITE_ENABLED !== 'false',
+            model: process.env.OPENAI_REWRITE_MODEL || 'gpt-4o-mini',
+            maxSubqueries: parseInt(process.env.QUERY_REWRITE_MAX_SUBQUERIES, 10) || 2,
+            historyMessages: parseInt(process.env.QUERY_REWRITE_HISTORY_MESSAGES, 10) || 6
+        };
+        
+        logger.info(`✅ OpenAI Service inicializado - Disponible: ${this.openaiAvailable}`);
+    }
+
+    /**
+     * Lee la configuración de filtros de búsqueda sobre los metadatos Adicional.
+     * Sin SEARCH_FILTER_FIELD_MAP no se filtra: el índice debe tener esos campos
+     * filtrables (o usar el modo 'local') y eso no se puede suponer
+     * - SEARCH_FILTER_FIELD_MAP: p. ej. 'empresa:Adicional/Empresa,categoria:Adicional/Categoria'
+     * - SEARCH_FILTER_MODE: 'odata' (filtro en Azure Search, Adicional como campo complejo)
+     *   o 'local' (Adicional como texto JSON, se filtra al recibir los resultados)
+     * - SEARCH_COMPANY_PROFILE_FIELD: campo del perfil SIRH con la empresa ('empresa')
+     * - SEARCH_COMPANY_SHARED_VALUES: valores de empresa visibles para todos ('Corporativo,Todas')
+     */
+    parseSearchFilterConfig() {
+        const mapa = process.env.SEARCH_FILTER_FIELD_MAP || '';
+        const filterFields = {};
+        
+        mapa.split(',').forEach(entrada => {
+            const [filtro, campo] = entrada.split(':').map(valor => (valor || '').trim());
+            if (filtro && campo) {
+                filterFields[filtro] = campo;
+            }
+        });
+        
+        const filterMode = process.env.SEARCH_FILTER_MODE === 'local' ? 'local' : 'odata';
+        
+        return {
+            filterFields,
+            filterMode,
+            companyProfileField: process.env.SEARCH_COMPANY_PROFILE_FIELD || 'empresa',
+            sharedCompanyValues: (process.env.SEARCH_COMPANY_SHARED_VALUES || 'Corporativo,Todas')
+                .split(',')
+                .map(valor => valor.trim())
+                .filter(Boolean)
+        };
     }
 
     /**
      * Diagnostica la configuración antes de inicializar
      */
     diagnoseConfiguration() {
-        console.log('🔍 Diagnosticando configuración...');
+        logger.info('🔍 Diagnosticando configuración...');
         
         // Verificar variables de entorno críticas
         const requiredEnvVars = {
@@ -40,11 +130,10 @@ class OpenAIService {
             'INDEX_NAME': process.env.INDEX_NAME
         };
 
-        console.log('📊 Estado de variables de entorno:');
+        logger.info('📊 Estado de variables de entorno:');
         for (const [key, value] of Object.entries(requiredEnvVars)) {
             const status = value ? '✅ Configurada' : '❌ Faltante';
-            const preview = value ? `(${value.substring(0, 10)}...)` : '(no configurada)';
-            console.log(`   ${key}: ${status} ${preview}`);
+            logger.info(`   ${key}: ${status}`);
         }
 
         // Verificar archivo .env
@@ -54,15 +143,15 @@ class OpenAIService {
             const envPath = path.join(process.cwd(), '.env');
             
             if (fs.existsSync(envPath)) {
-                console.log('✅ Archivo .env encontrado');
+                logger.info('✅ Archivo .env encontrado');
                 const envContent = fs.readFileSync(envPath, 'utf8');
                 const hasOpenAIKey = envContent.includes('OPENAI_API_KEY');
-                console.log(`   OPENAI_API_KEY en .env: ${hasOpenAIKey ? '✅ Presente' : '❌ Ausente'}`);
+                logger.info(`   OPENAI_API_KEY en .env: ${hasOpenAIKey ? '✅ Presente' : '❌ Ausente'}`);
             } else {
-                console.log('⚠️ Archivo .env no encontrado en:', envPath);
+                logger.info('⚠️ Archivo .env no encontrado en:', envPath);
             }
         } catch (error) {
-            console.log('⚠️ Error verificando archivo .env:', error.message);
+            logger.info('⚠️ Error verificando archivo .env:', error.message);
         }
     }
 
@@ -75,20 +164,20 @@ class OpenAIService {
             
             if (!apiKey) {
                 this.initializationError = 'OPENAI_API_KEY no está configurada en las variables de entorno';
-                console.error('❌ OpenAI Error:', this.initializationError);
-                console.log('💡 Solución: Agrega OPENAI_API_KEY=tu_api_key_aqui en tu archivo .env');
+                logger.error('❌ OpenAI Error:', this.initializationError);
+                logger.info('💡 Solución: Agrega OPENAI_API_KEY=tu_api_key_aqui en tu archivo .env');
                 this.openaiAvailable = false;
                 return;
             }
 
             if (apiKey.length < 20) {
                 this.initializationError = 'OPENAI_API_KEY parece ser inválida (muy corta)';
-                console.error('❌ OpenAI Error:', this.initializationError);
+                logger.error('❌ OpenAI Error:', this.initializationError);
                 this.openaiAvailable = false;
                 return;
             }
             
-            console.log('🔑 Inicializando cliente OpenAI...');
+            logger.info('🔑 Inicializando cliente OpenAI...');
             this.openai = new OpenAI({ 
                 apiKey: apiKey,
                 timeout: 30000, // 30 segundos timeout
@@ -98,15 +187,14 @@ class OpenAIService {
             this.openaiAvailable = true;
             this.initialized = true;
             
-            console.log('✅ Cliente OpenAI inicializado correctamente');
-            console.log(`   API Key: ${apiKey.substring(0, 7)}...${apiKey.substring(apiKey.length - 4)}`);
+            logger.info('✅ Cliente OpenAI inicializado correctamente');
             
             // Hacer una prueba rápida
             this.testOpenAIConnection();
             
         } catch (error) {
             this.initializationError = `Error inicializando OpenAI: ${error.message}`;
-            console.error('❌ Error inicializando OpenAI:', error);
+            logger.error('❌ Error inicializando OpenAI:', error);
             this.openaiAvailable = false;
         }
     }
@@ -116,7 +204,7 @@ class OpenAIService {
      */
     async testOpenAIConnection() {
         try {
-            console.log('🧪 Probando conexión con OpenAI...');
+            logger.info('🧪 Probando conexión con OpenAI...');
             
             const testResponse = await this.openai.chat.completions.create({
                 model: "gpt-3.5-turbo",
@@ -125,16 +213,16 @@ class OpenAIService {
             });
             
             if (testResponse && testResponse.choices && testResponse.choices[0]) {
-                console.log('✅ Prueba de OpenAI exitosa');
+                logger.info('✅ Prueba de OpenAI exitosa');
                 this.connectionTested = true;
             }
             
         } catch (error) {
-            console.warn('⚠️ Prueba de OpenAI falló (pero continuando):', error.message);
+            logger.warn('⚠️ Prueba de OpenAI falló (pero continuando):', error.message);
             
             // Si es error de cuota o rate limit, aún marcar como disponible
             if (error.code === 'insufficient_quota' || error.code === 'rate_limit_exceeded') {
-                console.log('💡 OpenAI está configurado correctamente, solo hay limitaciones de uso');
+                logger.info('💡 OpenAI está configurado correctamente, solo hay limitaciones de uso');
                 this.openaiAvailable = true;
             } else {
                 this.openaiAvailable = false;
@@ -151,226 +239,68 @@ class OpenAIService {
             const serviceEndpoint = process.env.SERVICE_ENDPOINT;
             const apiKey = process.env.API_KEY;
             const indexName = process.env.INDEX_NAME || 'alfa_bot';
+            this.searchIndexName = indexName;
             
             if (!serviceEndpoint || !apiKey) {
-                console.log('⚠️ Azure Search no configurado completamente');
-                console.log(`   SERVICE_ENDPOINT: ${serviceEndpoint ? '✅' : '❌'}`);
-                console.log(`   API_KEY: ${apiKey ? '✅' : '❌'}`);
+                logger.info('⚠️ Azure Search no configurado completamente');
+                logger.info(`   SERVICE_ENDPOINT: ${serviceEndpoint ? '✅' : '❌'}`);
+                logger.info(`   API_KEY: ${apiKey ? '✅' : '❌'}`);
                 this.searchAvailable = false;
                 return;
             }
             
-            console.log('🔍 Inicializando Azure Search...');
+            logger.info('🔍 Inicializando Azure Search...');
             this.searchClient = new SearchClient(
                 serviceEndpoint,
                 indexName,
                 new AzureKeyCredential(apiKey)
             );
             this.searchAvailable = true;
-            console.log('✅ Cliente Azure Search inicializado');
+            logger.info('✅ Cliente Azure Search inicializado');
             
         } catch (error) {
-            console.error('❌ Error inicializando Azure Search:', error.message);
+            logger.error('❌ Error inicializando Azure Search:', error.message);
             this.searchAvailable = false;
         }
     }
 
     /**
-     * Define herramientas disponibles (igual que antes)
+     * Define herramientas disponibles a partir del registro de herramientas
      */
     defineTools() {
-        const tools = [
-            {
-                type: "function",
-                function: {
-                    name: "FechaHoy",
-                    description: "Devuelve la fecha actual en zona horaria de México",
-                    parameters: { type: "object", properties: {} }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "generar_tarjeta_vacaciones",
-                    description: "Genera tarjeta para solicitar vacaciones regulares",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            tipo: {
-                                type: "string",
-                                enum: ["solicitar", "verificar", "consultar"],
-                                description: "Tipo de operación de vacaciones"
-                            }
-                        },
-                        required: ["tipo"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "generar_tarjeta_matrimonio",
-                    description: "Genera tarjeta para vacaciones por matrimonio",
-                    parameters: { type: "object", properties: {} }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "generar_tarjeta_nacimiento", 
-                    description: "Genera tarjeta para vacaciones por nacimiento",
-                    parameters: { type: "object", properties: {} }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "consultar_mis_solicitudes",
-                    description: "Consulta las solicitudes de vacaciones del usuario, así como días disponibles de vacaciones adicionales",
-                    parameters: { type: "object", properties: {} }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "consultar_informacion_empleado",
-                    description: "Consulta información completa del empleado incluyendo días de vacaciones disponibles, datos personales, información laboral y perfil del usuario. Usa esta herramienta cuando pregunten sobre datos del empleado, días disponibles, información personal o laboral.",
-                    parameters: { type: "object", properties: {} }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "cancelar_solicitud_vacaciones",
-                    description: "USAR SIEMPRE que el usuario quiera cancelar, anular o eliminar una solicitud de vacaciones. Funciona con fechas como referencia. Ejemplos: 'cancelar solicitud', 'quiero cancelar mi solicitud del 22 de julio', 'eliminar mi solicitud de vacaciones'.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            fechaReferencia: {
-                                type: "string",
-                                description: "Fecha de referencia mencionada por el usuario para identificar la solicitud (formato YYYY-MM-DD)"
-                            },
-                            idSolicitud: {
-                                type: "string",
-                                description: "ID específico de la solicitud a cancelar si se conoce"
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "consultar_solicitudes_dependientes",
-                    description: "Consulta las solicitudes de vacaciones pendientes de aprobación de tus reportes directos. Usar cuando pregunten sobre solicitudes para aprobar, solicitudes pendientes de sus empleados, o cuando necesiten revisar solicitudes como jefe/supervisor.",
-                    parameters: {
-                        type: "object",
-                        properties: {}
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "autorizar_solicitud_dependiente",
-                    description: "Autoriza/aprueba una solicitud de vacaciones de un reporte directo. Usar cuando el usuario quiera aprobar, autorizar o dar visto bueno a una solicitud.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            idSolicitud: {
-                                type: "string",
-                                description: "ID de la solicitud a autorizar"
-                            },
-                            nombreEmpleado: {
-                                type: "string",
-                                description: "Nombre del empleado mencionado por el usuario para identificar la solicitud"
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "rechazar_solicitud_dependiente",
-                    description: "Rechaza/deniega una solicitud de vacaciones de un reporte directo. Usar cuando el usuario quiera rechazar, denegar o no aprobar una solicitud.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            idSolicitud: {
-                                type: "string",
-                                description: "ID de la solicitud a rechazar"
-                            },
-                            nombreEmpleado: {
-                                type: "string",
-                                description: "Nombre del empleado mencionado por el usuario para identificar la solicitud"
-                            }
-                        }
-                    }
-                }
-            }
-        ];
-
-        // Agregar búsqueda si está disponible
-        if (this.searchAvailable) {
-            tools.push({
-                type: "function",
-                function: {
-                    name: "buscar_documentos",
-                    description: "HERRAMIENTA PRINCIPAL - Busca información en documentos corporativos oficiales de Alfa. Úsala para: políticas, procedimientos, códigos de conducta, beneficios, prestaciones, reglamentos, normativas, manuales, guías y cualquier información corporativa. SIEMPRE usa esta herramienta antes de responder preguntas sobre la empresa.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            consulta: {
-                                type: "string",
-                                description: "Texto a buscar en documentos (ej: 'código vestimenta', 'política vacaciones', 'horario trabajo', 'beneficios', etc.)"
-                            }
-                        },
-                        required: ["consulta"]
-                    }
-                }
-            });
-        }
+        return toolRegistry.getDefinitions(this);
+    }
 
-        // Agregar herramientas Bubble si están disponibles
-        if (process.env.TOKEN_BUBBLE) {
-            tools.push(
-                {
-                    type: "function",
-                    function: {
-                        name: "consultar_menu_comedor",
-                        description: "Consulta el menú del comedor para un día específico",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                dia: {
-                                    type: "string",
-                                    description: "Día a consultar (YYYY-MM-DD)"
-                                }
-                            },
-                            required: ["dia"]
-                        }
-                    }
-                },
-                {
-                    type: "function",
-                    function: {
-                        name: "buscar_empleado",
-                        description: "Busca empleados en el directorio",
-                        parameters: {
-                            type: "object",
-                            properties: {
-                                nombre: { type: "string", description: "Nombre del empleado" },
-                                apellido: { type: "string", description: "Apellido del empleado" }
-                            },
-                            required: ["nombre"]
-                        }
-                    }
-                }
-            );
-        }
+    /**
+     * Opciones por petición para OpenAI (propaga el id de correlación del turno)
+     */
+    requestOptions() {
+        return { headers: getCorrelationHeaders() };
+    }
 
-        return tools;
+    /**
+     * Llamada a chat completions dentro de un span con el modelo y los tokens consumidos
+     * @param {Object} params - Parámetros de chat.completions.create
+     * @param {string} operacion - Paso del turno ('respuesta', 'herramientas', 'resumen', ...)
+     */
+    async crearChatCompletion(params, operacion) {
+        return await tracer.withSpan(`openai.chat ${params.model}`, {
+            kind: 'client',
+            attributes: {
+                'gen_ai.system': 'openai',
+                'gen_ai.operation.name': operacion,
+                'gen_ai.request.model': params.model,
+                'gen_ai.request.tools': params.tools ? params.tools.length : 0
+            }
+        }, async (span) => {
+            const response = await this.openai.chat.completions.create(params, this.requestOptions());
+            span.setAttributes({
+                'gen_ai.usage.input_tokens': response?.usage?.prompt_tokens,
+                'gen_ai.usage.output_tokens': response?.usage?.completion_tokens,
+                'gen_ai.response.finish_reason': response?.choices?.[0]?.finish_reason
+            });
+            return response;
+        });
     }
 
     /**
@@ -383,7 +313,7 @@ class OpenAIService {
                     title: 'Solicitar Vacaciones',
                     description: 'Solicita vacaciones para un rango de fechas',
                     method: 'POST',
-                    url: 'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/{fechaInicio}/{fechaFin}/{medioDia}/{simular}',
+                    url: sirhConfig.buildUrl('/vac/solicitudes/{fechaInicio}/{fechaFin}/{medioDia}/{simular}'),
                     fields: [
                         { id: 'fechaInicio', type: 'date', label: 'Fecha de inicio', required: true },
                         { id: 'fechaFin', type: 'date', label: 'Fecha de fin', required: true },
@@ -398,7 +328,7 @@ class OpenAIService {
                     title: 'Vacaciones por Matrimonio',
                     description: 'Solicita vacaciones por matrimonio',
                     method: 'POST',
-                    url: 'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/matrimonio/{fechaMatrimonio}',
+                    url: sirhConfig.buildUrl('/vac/solicitudes/matrimonio/{fechaMatrimonio}'),
                     fields: [
                         { id: 'fechaMatrimonio', type: 'date', label: 'Fecha de Matrimonio', required: true }
                     ],
@@ -410,7 +340,7 @@ class OpenAIService {
                     title: 'Vacaciones por Nacimiento',
                     description: 'Solicita vacaciones por nacimiento',
                     method: 'POST',
-                    url: 'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/nacimiento/{fechaNacimiento}',
+                    url: sirhConfig.buildUrl('/vac/solicitudes/nacimiento/{fechaNacimiento}'),
                     fields: [
                         { id: 'fechaNacimiento', type: 'date', label: 'Fecha de Nacimiento', required: true }
                     ],
@@ -421,9 +351,37 @@ class OpenAIService {
     }
 
     /**
-     * Procesa mensaje con OpenAI - VERSIÓN CORREGIDA
+     * Procesa mensaje con OpenAI registrando el consumo del turno y aplicando
+     * las cuotas del usuario y su tenant
      */
     async procesarMensaje(mensaje, historial = [], context = null, userId = null) {
+        const usageContext = usageService.buildContext(context, userId);
+        const cuota = await usageService.checkQuota(usageContext);
+        if (!cuota.allowed) {
+            return {
+                type: 'text',
+                content: cuota.message
+            };
+        }
+
+        return await tracer.withSpan('openai.procesarMensaje', {
+            attributes: { 'conversation.history_messages': historial.length }
+        }, async (span) => {
+            const respuesta = await usageService.run(usageContext, () =>
+                this.generarRespuesta(mensaje, historial, context, userId));
+            span.setAttributes({
+                'response.type': respuesta?.type,
+                'agent.iterations': respuesta?.trace?.iterations,
+                'agent.stop_reason': respuesta?.trace?.stopReason
+            });
+            return respuesta;
+        });
+    }
+
+    /**
+     * Genera la respuesta de OpenAI - VERSIÓN CORREGIDA
+     */
+    async generarRespuesta(mensaje, historial = [], context = null, userId = null) {
         try {
             // Verificar disponibilidad con mejor diagnóstico
             if (!this.openaiAvailable) {
@@ -431,7 +389,7 @@ class OpenAIService {
             }
 
             if (!this.initialized) {
-                console.warn('OpenAI no inicializado, reintentando...');
+                logger.warn('OpenAI no inicializado, reintentando...');
                 this.initializeOpenAI();
                 
                 if (!this.openaiAvailable) {
@@ -439,12 +397,14 @@ class OpenAIService {
                 }
             }
 
-            console.log('📝 Procesando mensaje con OpenAI...');
-            console.log(`📬 Mensaje del usuario: "${mensaje}"`);
+            logger.info('📝 Procesando mensaje con OpenAI...');
+            logger.info(`📬 Mensaje del usuario: "${mensaje}"`);
             
-            const mensajes = this.formatearHistorial(historial);
+            const conversationId = context?.activity?.conversation?.id || null;
+            const resumen = await this.prepararResumen(historial, conversationId);
+            const mensajes = this.formatearHistorial(historial, resumen);
             mensajes.push({ role: "user", content: mensaje });
-            console.log(`📚 Total de mensajes enviados: ${mensajes.length}`);
+            logger.info(`📚 Total de mensajes enviados: ${mensajes.length}`);
 
             const requestConfig = {
                 model: "gpt-4-turbo",
@@ -457,16 +417,17 @@ class OpenAIService {
             if (!this.esComandoBasico(mensaje)) {
                 requestConfig.tools = this.tools;
                 requestConfig.tool_choice = "auto";
-                console.log(`🔧 Herramientas disponibles: ${this.tools.length}`);
+                logger.info(`🔧 Herramientas disponibles: ${this.tools.length}`);
                 this.tools.forEach(tool => {
-                    console.log(`  - ${tool.function.name}: ${tool.function.description}`);
+                    logger.debug(`  - ${tool.function.name}: ${tool.function.description}`);
                 });
             } else {
-                console.log('💬 Comando básico detectado, sin herramientas');
+                logger.info('💬 Comando básico detectado, sin herramientas');
             }
 
-            console.log('🤖 Enviando request a OpenAI...');
-            const response = await this.openai.chat.completions.create(requestConfig);
+            logger.info('🤖 Enviando request a OpenAI...');
+            const response = await this.crearChatCompletion(requestConfig, 'respuesta');
+            usageService.record(requestConfig.model, response?.usage);
             
             if (!response || !response.choices || response.choices.length === 0) {
                 throw new Error('Respuesta vacía de OpenAI');
@@ -476,24 +437,31 @@ class OpenAIService {
 
             // Procesar llamadas a herramientas
             if (messageResponse.tool_calls) {
-                console.log(`🔧 OpenAI quiere ejecutar ${messageResponse.tool_calls.length} herramienta(s):`);
+                logger.info(`🔧 OpenAI quiere ejecutar ${messageResponse.tool_calls.length} herramienta(s):`);
                 messageResponse.tool_calls.forEach(call => {
-                    console.log(`  - ${call.function.name} con argumentos: ${call.function.arguments}`);
+                    logger.debug(`  - ${call.function.name} con argumentos: ${call.function.arguments}`);
                 });
                 return await this.procesarHerramientas(messageResponse, mensajes, context, userId);
             } else {
-                console.log('ℹ️ OpenAI no solicitó ejecutar herramientas');
+                logger.info('ℹ️ OpenAI no solicitó ejecutar herramientas');
             }
 
-            console.log('✅ Respuesta de OpenAI recibida exitosamente');
-            console.log(`💬 Respuesta: ${messageResponse.content ? messageResponse.content.substring(0, 200) + '...' : 'Sin contenido'}`);
+            logger.info('✅ Respuesta de OpenAI recibida exitosamente');
+            logger.debug(`💬 Respuesta: ${messageResponse.content ? messageResponse.content.substring(0, 200) + '...' : 'Sin contenido'}`);
             return {
                 type: 'text',
-                content: messageResponse.content || 'Respuesta vacía de OpenAI'
+                content: messageResponse.content || 'Respuesta vacía de OpenAI',
+                trace: {
+                    iterations: 0,
+                    calls: [],
+                    stopReason: 'no_tool_calls',
+                    startedAt: new Date().toISOString(),
+                    durationMs: 0
+                }
             };
 
         } catch (error) {
-            console.error('❌ Error en procesarMensaje:', error);
+            logger.error('❌ Error en procesarMensaje:', error);
             return this.manejarErrorOpenAI(error);
         }
     }
@@ -535,8 +503,10 @@ class OpenAIService {
 
     /**
      * Formatea historial para OpenAI
+     * @param {Array} historial - [{ type, message, timestamp }]
+     * @param {string|null} resumen - Resumen de los turnos fuera de la ventana
      */
-    formatearHistorial(historial) {
+    formatearHistorial(historial, resumen = null) {
         const mensajes = [{
             role: "system",
             content: `Eres un asistente corporativo para Alfa Corporativo. Ayudas con:
@@ -569,131 +539,373 @@ REGLAS IMPORTANTES:
    - Cualquier normativa corporativa
 3. Solo responde sin buscar si es un saludo o pregunta personal
 4. Si no encuentras información en documentos, indícalo claramente
+5. Cuando uses resultados de buscar_documentos, cita cada dato con el número de su fuente entre corchetes, por ejemplo [1]
 
 Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yyyy')}`
         }];
 
-        // Agregar ejemplo de uso correcto si el historial está vacío
-        if (!historial || historial.length === 0) {
-            mensajes.push(
-                { role: "user", content: "¿Cuál es el código de vestimenta?" },
-                { role: "assistant", content: "Voy a buscar la información sobre el código de vestimenta en los documentos oficiales.", tool_calls: [{
-                    id: "example1",
-                    type: "function",
-                    function: { name: "buscar_documentos", arguments: JSON.stringify({ consulta: "código de vestimenta" }) }
-                }]},
-                { role: "tool", tool_call_id: "example1", content: "IT-AC-RH-01 Código de Vestimenta: Business casual de lunes a jueves, casual los viernes..." },
-                { role: "assistant", content: "Según el documento oficial IT-AC-RH-01, el código de vestimenta en Alfa es:\n\n📋 **Lunes a Jueves**: Business casual\n👔 **Viernes**: Casual\n\nEl documento completo especifica los detalles sobre qué prendas son apropiadas para cada día." }
-            );
+        // Resumen de los turnos que ya no caben en la ventana
+        if (resumen) {
+            mensajes.push({
+                role: "system",
+                content: `Resumen de la conversación anterior (turnos más antiguos):\n${resumen}`
+            });
         }
         
-        // Agregar historial reciente (últimos 8 mensajes)
-        if (historial && historial.length > 0) {
-            const recientes = historial.slice(-8);
-            recientes.forEach(item => {
-                if (item.message && item.message.trim()) {
-                    mensajes.push({
-                        role: item.type === 'user' ? "user" : "assistant",
-                        content: item.message
-                    });
-                }
+        // Agregar los mensajes recientes que caben en el presupuesto de tokens
+        const { recientes } = this.seleccionarHistorial(historial);
+        recientes.forEach(item => {
+            mensajes.push({
+                role: item.type === 'user' ? "user" : "assistant",
+                content: item.message
             });
-        }
+        });
 
         return mensajes;
     }
 
     /**
-     * Procesa llamadas a herramientas (igual que antes pero con mejor logging)
+     * Estimación de tokens de un texto (~4 caracteres por token en español)
      */
-    async procesarHerramientas(messageResponse, mensajes, context = null, userId = null) {
-        const resultados = [];
+    estimarTokens(texto) {
+        return Math.ceil((texto || '').length / 4);
+    }
 
-        console.log(`🔧 Procesando ${messageResponse.tool_calls.length} herramienta(s)...`);
+    /**
+     * Selecciona los mensajes más recientes que caben en el presupuesto de tokens.
+     * Los mensajes muy largos (respuestas de políticas) se recortan para no
+     * desplazar al resto de la conversación
+     * @param {Array} historial - [{ type, message, timestamp }] en orden cronológico
+     * @returns {Object} - { recientes, excluidos } en orden cronológico
+     */
+    seleccionarHistorial(historial, presupuesto = this.historyConfig.tokenBudget) {
+        const { maxMessageTokens } = this.historyConfig;
+        const validos = (historial || []).filter(item => item.message && item.message.trim());
+        const recientes = [];
+        let usados = 0;
+        let corte = validos.length;
+
+        for (let i = validos.length - 1; i >= 0; i--) {
+            const item = validos[i];
+            const message = this.estimarTokens(item.message) > maxMessageTokens
+                ? `${item.message.substring(0, maxMessageTokens * 4)}…`
+                : item.message;
+            const tokens = this.estimarTokens(message) + 4;  // Costo fijo por mensaje
+
+            if (usados + tokens > presupuesto && recientes.length > 0) {
+                break;
+            }
+
+            recientes.unshift({ ...item, message });
+            usados += tokens;
+            corte = i;
+        }
 
-        for (const call of messageResponse.tool_calls) {
-            const { function: fnCall, id } = call;
-            const { name, arguments: args } = fnCall;
-            
-            try {
-                const parametros = JSON.parse(args);
-                console.log(`🛠️ Ejecutando herramienta: ${name}`, parametros);
-                
-                const resultado = await this.ejecutarHerramienta(name, parametros, context, userId);
-                
-                // Manejar respuestas de autenticación
-                if (resultado && resultado.type === 'card' && resultado.card) {
-                    console.log('🔒 Retornando tarjeta de autenticación');
-                    return resultado;
-                }
-                
-                if (resultado && resultado.type === 'text') {
-                    console.log('🔒 Retornando mensaje de autenticación');
-                    return resultado;
-                }
-                
-                if (resultado && resultado.card) {
-                    console.log('🃏 Retornando respuesta con tarjeta');
-                    return {
-                        type: 'card',
-                        content: resultado.textContent || "Aquí tienes la acción solicitada:",
-                        card: resultado.card
-                    };
-                }
-                
-                resultados.push({
-                    tool_call_id: id,
-                    content: typeof resultado === 'object' ? 
-                        JSON.stringify(resultado, null, 2) : String(resultado)
+        return { recientes, excluidos: validos.slice(0, corte) };
+    }
+
+    /**
+     * Obtiene el resumen de los turnos que quedaron fuera de la ventana y, si
+     * hay mensajes excluidos que aún no incluye, lo actualiza y lo guarda por
+     * conversación. Si falla, se continúa con el resumen anterior
+     * @param {Array} historial - Historial completo de la conversación
+     * @param {string|null} conversationId - Conversación de Teams
+     * @returns {Promise<string|null>} - Texto del resumen o null
+     */
+    async prepararResumen(historial, conversationId) {
+        const { summaryEnabled } = this.historyConfig;
+        if (!summaryEnabled || !conversationId) {
+            return null;
+        }
+
+        const { excluidos } = this.seleccionarHistorial(historial);
+        let resumen = null;
+
+        try {
+            resumen = await conversationService.getSummary(conversationId);
+
+            const pendientes = excluidos.filter(item =>
+                item.timestamp && (!resumen || item.timestamp > resumen.hastaTimestamp));
+
+            if (pendientes.length > 0) {
+                const texto = await this.resumirMensajes(resumen?.resumen || null, pendientes);
+                resumen = await conversationService.saveSummary(conversationId, {
+                    resumen: texto,
+                    hastaTimestamp: pendientes[pendientes.length - 1].timestamp,
+                    mensajesResumidos: (resumen?.mensajesResumidos || 0) + pendientes.length
                 });
-                
-            } catch (error) {
-                console.error(`❌ Error ejecutando herramienta ${name}:`, error);
-                
-                // Si es un error de token requerido, intentar generar card de login
-                if (error.message === 'TOKEN_REQUIRED') {
-                    console.log(`🔒 Token requerido para ${name}, generando card de login`);
-                    const { generateLoginCard } = require('../utilities/authenticationHelper');
-                    const loginCard = generateLoginCard(name);
-                    return loginCard;
+                logger.info(`🗜️ Resumen de conversación actualizado (+${pendientes.length} mensaje(s), ${resumen.mensajesResumidos} en total)`);
+            }
+
+        } catch (error) {
+            logger.warn('⚠️ No se pudo actualizar el resumen de la conversación:', error.message);
+        }
+
+        return resumen?.resumen || null;
+    }
+
+    /**
+     * Integra mensajes antiguos al resumen acumulado de la conversación
+     * @param {string|null} resumenPrevio - Resumen anterior
+     * @param {Array} mensajes - [{ type, message }] que salen de la ventana
+     * @returns {Promise<string>} - Resumen actualizado
+     */
+    async resumirMensajes(resumenPrevio, mensajes) {
+        const { summaryModel, summaryMaxTokens, maxMessageTokens } = this.historyConfig;
+        const transcript = mensajes
+            .map(item => `${item.type === 'user' ? 'Usuario' : 'Asistente'}: ${item.message.substring(0, maxMessageTokens * 4)}`)
+            .join('\n');
+
+        const response = await this.crearChatCompletion({
+            model: summaryModel,
+            temperature: 0,
+            max_tokens: summaryMaxTokens,
+            messages: [
+                {
+                    role: 'system',
+                    content: `Mantienes el resumen de una conversación entre un empleado y el asistente de Recursos Humanos de Alfa.
+Integra los mensajes nuevos al resumen existente en español, en viñetas breves.
+Conserva fechas, periodos de vacaciones, números de solicitud, nombres, decisiones tomadas y preguntas pendientes.
+Omite saludos y detalles que ya no sean relevantes.`
+                },
+                {
+                    role: 'user',
+                    content: `Resumen actual:\n${resumenPrevio || '(vacío)'}\n\nMensajes nuevos:\n${transcript}`
                 }
-                
-                resultados.push({
+            ]
+        }, 'resumen');
+        usageService.record(summaryModel, response.usage);
+
+        const texto = response.choices?.[0]?.message?.content?.trim();
+        if (!texto) {
+            throw new Error('Resumen vacío de OpenAI');
+        }
+        return texto;
+    }
+
+    /**
+     * Procesa llamadas a herramientas en un ciclo de agente: los resultados se
+     * devuelven al modelo con herramientas habilitadas hasta que deje de pedirlas
+     * o se agote el presupuesto de iteraciones/tiempo
+     */
+    async procesarHerramientas(messageResponse, mensajes, context = null, userId = null) {
+        const { maxIterations, timeBudgetMs } = this.agentConfig;
+        const inicio = Date.now();
+        const conversacion = [...mensajes];
+        const trace = {
+            iterations: 0,
+            calls: [],
+            stopReason: null,
+            startedAt: new Date(inicio).toISOString(),
+            durationMs: 0
+        };
+
+        const finalizar = (respuesta, stopReason) => {
+            trace.stopReason = stopReason;
+            trace.durationMs = Date.now() - inicio;
+            logger.info(`🧭 Ciclo de agente terminado: ${stopReason} (${trace.iterations} iteración(es), ${trace.calls.length} llamada(s), ${trace.durationMs}ms)`);
+            return { ...respuesta, trace };
+        };
+
+        // Fuentes de documentos devueltas por las herramientas en este turno
+        const fuentes = [];
+
+        let mensajeActual = messageResponse;
+
+        while (mensajeActual.tool_calls && mensajeActual.tool_calls.length > 0) {
+            trace.iterations++;
+            logger.info(`🔧 Iteración ${trace.iterations}/${maxIterations}: procesando ${mensajeActual.tool_calls.length} herramienta(s)...`);
+
+            conversacion.push(mensajeActual);
+
+            for (const call of mensajeActual.tool_calls) {
+                const { function: fnCall, id } = call;
+                const { name, arguments: args } = fnCall;
+                const callStart = Date.now();
+                const registro = {
+                    iteration: trace.iterations,
+                    tool: name,
+                    arguments: args,
+                    status: 'ok',
+                    durationMs: 0
+                };
+                trace.calls.push(registro);
+
+                let contenido;
+                try {
+                    const parametros = JSON.parse(args || '{}');
+                    logger.info(`🛠️ Ejecutando herramienta: ${name}`, parametros);
+
+                    const resultado = await this.ejecutarHerramienta(name, parametros, context, userId, {
+                        historial: conversacion
+                    });
+                    registro.durationMs = Date.now() - callStart;
+
+                    // Manejar respuestas de autenticación
+                    if (resultado && resultado.type === 'card' && resultado.card) {
+                        logger.info('🔒 Retornando tarjeta de autenticación');
+                        registro.status = 'auth_required';
+                        return finalizar(resultado, 'auth_required');
+                    }
+
+                    if (resultado && resultado.type === 'text') {
+                        logger.info('🔒 Retornando mensaje de autenticación');
+                        registro.status = 'auth_required';
+                        return finalizar(resultado, 'auth_required');
+                    }
+
+                    if (resultado && resultado.card) {
+                        logger.info('🃏 Retornando respuesta con tarjeta');
+                        registro.status = 'card';
+                        return finalizar({
+                            type: 'card',
+                            content: resultado.textContent || "Aquí tienes la acción solicitada:",
+                            card: resultado.card
+                        }, 'card');
+                    }
+
+                    // Numerar las fuentes de forma única en el turno para que el modelo las cite
+                    if (resultado && Array.isArray(resultado.fuentes)) {
+                        resultado.fuentes = resultado.fuentes.map(fuente => {
+                            const numerada = { ...fuente, ref: fuentes.length + 1 };
+                            fuentes.push(numerada);
+                            return numerada;
+                        });
+                    }
+
+                    contenido = typeof resultado === 'object'
+                        ? JSON.stringify(resultado, null, 2) : String(resultado);
+
+                } catch (error) {
+                    logger.error(`❌ Error ejecutando herramienta ${name}:`, error);
+                    registro.durationMs = Date.now() - callStart;
+                    registro.status = 'error';
+                    registro.error = error.message;
+
+                    // Si es un error de token requerido, intentar generar card de login
+                    if (error.message === 'TOKEN_REQUIRED') {
+                        logger.info(`🔒 Token requerido para ${name}, generando card de login`);
+                        const { generateLoginCard } = require('../utilities/authenticationHelper');
+                        return finalizar(generateLoginCard(name), 'auth_required');
+                    }
+
+                    contenido = `Error: ${error.message}`;
+                }
+
+                conversacion.push({
+                    role: "tool",
                     tool_call_id: id,
-                    content: `Error: ${error.message}`
+                    content: contenido
                 });
             }
-        }
 
-        // Obtener respuesta final del agente
-        console.log('🤖 Obteniendo respuesta final de OpenAI...');
-        const finalMessages = [
-            ...mensajes,
-            messageResponse,
-            ...resultados.map(result => ({
-                role: "tool",
-                tool_call_id: result.tool_call_id,
-                content: result.content
-            }))
-        ];
+            // Verificar presupuesto antes de volver a habilitar herramientas
+            const transcurrido = Date.now() - inicio;
+            let motivoCorte = null;
+            if (trace.iterations >= maxIterations) {
+                motivoCorte = 'max_iterations';
+            } else if (transcurrido >= timeBudgetMs) {
+                motivoCorte = 'time_budget';
+            }
 
-        const finalResponse = await this.openai.chat.completions.create({
-            model: "gpt-4-turbo",
-            messages: finalMessages,
-            temperature: 0.7,
-            max_tokens: 3000  // Incrementar para permitir más resultados de búsqueda
-        });
+            if (motivoCorte) {
+                logger.warn(`⏱️ Presupuesto del agente agotado (${motivoCorte}), solicitando respuesta final sin herramientas`);
+                const finalResponse = await this.crearChatCompletion({
+                    model: "gpt-4-turbo",
+                    messages: conversacion,
+                    temperature: 0.7,
+                    max_tokens: 3000
+                }, 'respuesta_final');
+                usageService.record("gpt-4-turbo", finalResponse.usage);
 
-        return {
+                const contenidoFinal = finalResponse.choices[0].message.content || 'Respuesta final vacía';
+                return finalizar({
+                    type: 'text',
+                    content: contenidoFinal,
+                    fuentes: this.seleccionarFuentesCitadas(contenidoFinal, fuentes)
+                }, motivoCorte);
+            }
+
+            logger.info('🤖 Enviando resultados de herramientas a OpenAI...');
+            const response = await this.crearChatCompletion({
+                model: "gpt-4-turbo",
+                messages: conversacion,
+                temperature: 0.7,
+                max_tokens: 3000,  // Incrementar para permitir más resultados de búsqueda
+                tools: this.tools,
+                tool_choice: "auto"
+            }, 'herramientas');
+            usageService.record("gpt-4-turbo", response?.usage);
+
+            if (!response || !response.choices || response.choices.length === 0) {
+                throw new Error('Respuesta vacía de OpenAI');
+            }
+
+            mensajeActual = response.choices[0].message;
+        }
+
+        const contenidoFinal = mensajeActual.content || 'Respuesta final vacía';
+        return finalizar({
             type: 'text',
-            content: finalResponse.choices[0].message.content || 'Respuesta final vacía'
-        };
+            content: contenidoFinal,
+            fuentes: this.seleccionarFuentesCitadas(contenidoFinal, fuentes)
+        }, 'completed');
+    }
+
+    /**
+     * Selecciona las fuentes usadas en la respuesta: las citadas como [n]; si el
+     * modelo no citó números, las que menciona por nombre de archivo; si tampoco,
+     * ninguna (no se atribuyen documentos que la respuesta no usó)
+     * @param {string} texto - Respuesta final del modelo
+     * @param {Array} fuentes - Fuentes numeradas del turno
+     * @returns {Array} - Fuentes sin archivos repetidos
+     */
+    seleccionarFuentesCitadas(texto, fuentes) {
+        if (!fuentes || fuentes.length === 0) {
+            return [];
+        }
+
+        const citadas = new Set(Array.from(String(texto).matchAll(/\[(\d+)\]/g), match => parseInt(match[1], 10)));
+        const textoMinusculas = String(texto).toLowerCase();
+
+        let seleccion = fuentes.filter(fuente => citadas.has(fuente.ref));
+        if (seleccion.length === 0) {
+            seleccion = fuentes.filter(fuente => {
+                const nombre = fuente.archivo.replace(/\.[^.]+$/, '').toLowerCase();
+                return nombre && textoMinusculas.includes(nombre);
+            });
+        }
+
+        const archivos = new Set();
+        return seleccion
+            .filter(fuente => {
+                if (archivos.has(fuente.archivo)) {
+                    return false;
+                }
+                archivos.add(fuente.archivo);
+                return true;
+            })
+            .slice(0, this.searchConfig.maxFuentes);
     }
 
     /**
      * Ejecuta herramienta específica con validación de autenticación
+     * @param {Object} turno - Contexto del turno para las herramientas ({ historial })
+     */
+    async ejecutarHerramienta(nombre, parametros, context = null, userId = null, turno = {}) {
+        return await tracer.withSpan(`tool ${nombre}`, {
+            attributes: { 'tool.name': nombre }
+        }, async (span) => {
+            const resultado = await this.ejecutarHerramientaAutenticada(nombre, parametros, context, userId, turno);
+            span.setAttribute('tool.result', resultado?.type || (resultado?.card ? 'card' : typeof resultado));
+            return resultado;
+        });
+    }
+
+    /**
+     * Valida la autenticación requerida por la herramienta y la ejecuta
      */
-    async ejecutarHerramienta(nombre, parametros, context = null, userId = null) {
+    async ejecutarHerramientaAutenticada(nombre, parametros, context, userId, turno) {
         // Validar autenticación si la herramienta la requiere
         if (context && userId) {
             const bot = global.botInstance;
@@ -707,59 +919,20 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 );
                 
                 if (!authResult.canExecute) {
-                    console.log(`🔒 Herramienta ${nombre} requiere autenticación - activando OAuth`);
+                    logger.info(`🔒 Herramienta ${nombre} requiere autenticación - activando OAuth`);
+                    tracer.getActiveSpan()?.setAttribute('tool.auth_required', true);
                     return authResult.response;
                 }
             }
         }
         
-        switch (nombre) {
-            case 'FechaHoy':
-                return DateTime.now().setZone('America/Mexico_City').toISODate();
-
-            case 'generar_tarjeta_vacaciones':
-                return this.generarTarjetaVacaciones(parametros.tipo);
-
-            case 'generar_tarjeta_matrimonio':
-                return this.generarTarjetaMatrimonio();
-
-            case 'generar_tarjeta_nacimiento':
-                return this.generarTarjetaNacimiento();
-
-            case 'consultar_mis_solicitudes':
-                return await this.consultarMisSolicitudes(context, userId);
-
-            case 'consultar_informacion_empleado':
-                return await this.consultarInformacionEmpleado(context, userId);
-
-            case 'buscar_documentos':
-                return await this.buscarEnDocumentos(parametros.consulta);
-
-            case 'consultar_menu_comedor':
-                return await this.consultarMenuComedor(parametros.dia);
-
-            case 'buscar_empleado':
-                return await this.buscarEmpleado(parametros.nombre, parametros.apellido);
-
-            case 'cancelar_solicitud_vacaciones':
-                console.log(`🗑️ Ejecutando cancelar_solicitud_vacaciones con parámetros:`, parametros);
-                return await this.cancelarSolicitudVacaciones(parametros, context, userId);
-
-            case 'consultar_solicitudes_dependientes':
-                console.log(`📊 Ejecutando consultar_solicitudes_dependientes`);
-                return await this.consultarSolicitudesDependientes(context, userId);
-
-            case 'autorizar_solicitud_dependiente':
-                console.log(`✅ Ejecutando autorizar_solicitud_dependiente con parámetros:`, parametros);
-                return await this.autorizarSolicitudDependiente(parametros, context, userId);
-
-            case 'rechazar_solicitud_dependiente':
-                console.log(`❌ Ejecutando rechazar_solicitud_dependiente con parámetros:`, parametros);
-                return await this.rechazarSolicitudDependiente(parametros, context, userId);
-
-            default:
-                throw new Error(`Herramienta desconocida: ${nombre}`);
-        }
+        // El consumo de OpenAI dentro de la herramienta (reescritura, embeddings) se le atribuye
+        return await usageService.runTool(nombre, () => toolRegistry.execute(nombre, parametros, {
+            service: this,
+            context,
+            userId,
+            historial: turno.historial || []
+        }));
     }
 
     /**
@@ -810,73 +983,51 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async consultarInformacionEmpleado(context, userId) {
         try {
-            console.log('👤 Consultando información del empleado...');
+            logger.info('👤 Consultando información del empleado...');
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance;
             let userToken = null;
             
-            console.log('🔍 [consultarInformacionEmpleado] Intentando obtener token...');
-            console.log(`📝 [consultarInformacionEmpleado] Bot instance disponible: ${!!bot}`);
-            console.log(`📝 [consultarInformacionEmpleado] getUserOAuthToken disponible: ${bot && typeof bot.getUserOAuthToken === 'function'}`);
+            logger.info('🔍 [consultarInformacionEmpleado] Intentando obtener token...');
+            logger.info(`📝 [consultarInformacionEmpleado] Bot instance disponible: ${!!bot}`);
+            logger.info(`📝 [consultarInformacionEmpleado] getUserOAuthToken disponible: ${bot && typeof bot.getUserOAuthToken === 'function'}`);
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 [consultarInformacionEmpleado] Token obtenido: ${userToken ? 'SÍ' : 'NO'}`);
+                logger.info(`🔑 [consultarInformacionEmpleado] Token obtenido: ${userToken ? 'SÍ' : 'NO'}`);
                 if (userToken) {
-                    console.log(`📊 [consultarInformacionEmpleado] Token length: ${userToken.length}`);
-                    console.log(`📊 [consultarInformacionEmpleado] Token preview: ${userToken.substring(0, 40)}...`);
-                    console.log(`📊 [consultarInformacionEmpleado] Token type: ${typeof userToken}`);
-                    
+                    logger.debug(`📊 [consultarInformacionEmpleado] Token length: ${userToken.length}`);
+
                     // Verificar si el token tiene formato Bearer ya incluido
                     if (userToken.startsWith('Bearer ')) {
-                        console.log('⚠️ [consultarInformacionEmpleado] Token ya incluye "Bearer " prefix');
+                        logger.info('⚠️ [consultarInformacionEmpleado] Token ya incluye "Bearer " prefix');
                     }
                 }
             } else {
-                console.error('❌ [consultarInformacionEmpleado] No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ [consultarInformacionEmpleado] No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
-                console.log('🚫 [consultarInformacionEmpleado] No hay token disponible, lanzando TOKEN_REQUIRED');
+                logger.info('🚫 [consultarInformacionEmpleado] No hay token disponible, lanzando TOKEN_REQUIRED');
                 // Si no hay token, devolver error simple para que el sistema de auth bajo demanda funcione
                 throw new Error('TOKEN_REQUIRED');
             }
             
-            const authHeader = `Bearer ${userToken}`;
-            console.log(`📤 [consultarInformacionEmpleado] Authorization header completo length: ${authHeader.length}`);
-            console.log(`📤 [consultarInformacionEmpleado] Authorization header preview: ${authHeader.substring(0, 50)}...`);
-            
-            const axiosConfig = {
-                headers: {
-                    'Authorization': authHeader,
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000,
-                validateStatus: (status) => status < 500 // Para capturar respuestas 401
-            };
-            
-            console.log('📡 [consultarInformacionEmpleado] Configuración de axios:', JSON.stringify(axiosConfig, null, 2));
-            
-            const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado',
-                axiosConfig
-            );
-            
-            console.log(`✅ [consultarInformacionEmpleado] Respuesta recibida - Status: ${response.status}`);
-            
-            if (response.status === 401) {
-                console.log('❌ [consultarInformacionEmpleado] Error 401 Unauthorized');
-                console.log(`📊 [consultarInformacionEmpleado] Response headers:`, JSON.stringify(response.headers, null, 2));
-                console.log(`📊 [consultarInformacionEmpleado] Response data:`, JSON.stringify(response.data, null, 2));
-                throw new Error('TOKEN_REQUIRED');
+            let empleadoData;
+            try {
+                empleadoData = await sirhClient.getEmpleado(userToken);
+            } catch (requestError) {
+                if (requestError.response?.status === 401) {
+                    logger.info('❌ [consultarInformacionEmpleado] Error 401 Unauthorized');
+                    throw new Error('TOKEN_REQUIRED');
+                }
+                throw requestError;
             }
             
-            console.log(`📊 [consultarInformacionEmpleado] Datos del empleado recibidos:`, JSON.stringify(response.data, null, 2));
+            logger.info(`✅ [consultarInformacionEmpleado] Datos del empleado recibidos`);
             
             // Formatear la información para una respuesta amigable
-            const empleadoData = response.data;
             let infoFormateada = `👤 **Tu Información Personal**\n\n`;
             
             // Extraer información relevante usando los nombres correctos de la API
@@ -942,11 +1093,11 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 });
             }
             
-            console.log(`📤 Información formateada que se retorna:`, infoFormateada);
+            logger.debug(`📤 Información formateada que se retorna:`, infoFormateada);
             return infoFormateada;
             
         } catch (error) {
-            console.error('❌ Error completo consultando información del empleado:', {
+            logger.error('❌ Error completo consultando información del empleado:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -970,7 +1121,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
 
     async consultarMisSolicitudes(context, userId) {
         try {
-            console.log('🏖️ Consultando solicitudes de vacaciones...');
+            logger.info('🏖️ Consultando solicitudes de vacaciones...');
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance; // TeamsBot instance
@@ -978,10 +1129,9 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
-                console.log(`🔑 Token preview: ${userToken ? userToken.substring(0, 20) + '...' : 'N/A'}`);
+                logger.info(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
             } else {
-                console.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
@@ -989,23 +1139,21 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 throw new Error('TOKEN_REQUIRED');
             }
             
-            const authHeader = `Bearer ${userToken}`;
-            console.log(`📤 Authorization header: ${authHeader.substring(0, 30)}...`);
+            const solicitudes = await sirhClient.getSolicitudes(userToken);
             
-            const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/empleado',
-                {
-                    headers: {
-                        'Authorization': authHeader
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info(`✅ Respuesta exitosa de SIRH API (${solicitudes.length} solicitudes)`);
             
-            console.log(`✅ Respuesta exitosa de SIRH API (status: ${response.status})`);
+            // Motivos de rechazo guardados junto a la decisión del jefe
+            let motivosRechazo = {};
+            try {
+                const rechazadas = solicitudes.filter(s => s.estatus === 'RECHAZADA').map(s => s.id);
+                motivosRechazo = await rejectionReasonService.getMany(rechazadas);
+            } catch (error) {
+                logger.warn('⚠️ No se pudieron obtener motivos de rechazo:', error.message);
+            }
             
             // Crear tarjeta con tabla de solicitudes
-            const solicitudesCard = this.crearTarjetaSolicitudes(response.data);
+            const solicitudesCard = this.crearTarjetaSolicitudes(solicitudes, motivosRechazo);
             
             return {
                 textContent: `📋 **Mis Solicitudes de Vacaciones**\n\nAquí tienes el resumen de tus solicitudes:`,
@@ -1013,7 +1161,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             };
             
         } catch (error) {
-            console.error('❌ Error completo consultando solicitudes:', {
+            logger.error('❌ Error completo consultando solicitudes:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1039,7 +1187,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
     /**
      * Crea tarjeta adaptativa con tabla de solicitudes de vacaciones
      */
-    crearTarjetaSolicitudes(solicitudes) {
+    crearTarjetaSolicitudes(solicitudes, motivosRechazo = {}) {
         // Procesar datos de solicitudes
         const solicitudesProcessed = solicitudes.map(solicitud => {
             // Formatear fechas
@@ -1075,6 +1223,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 fechaRegreso,
                 dias: solicitud.cantidadDias,
                 estatus: solicitud.estatus,
+                motivoRechazo: motivosRechazo[solicitud.id] || null,
                 colorEstado,
                 iconoEstado
             };
@@ -1186,6 +1335,17 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 ],
                 spacing: 'small'
             });
+
+            if (solicitud.motivoRechazo) {
+                tablaItems.push({
+                    type: 'TextBlock',
+                    text: `💬 Motivo del rechazo: ${solicitud.motivoRechazo}`,
+                    size: 'small',
+                    isSubtle: true,
+                    wrap: true,
+                    spacing: 'none'
+                });
+            }
         });
 
         // Resumen estadístico
@@ -1242,104 +1402,490 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
         return CardFactory.adaptiveCard(card);
     }
 
-    async buscarEnDocumentos(consulta) {
+    /**
+     * Genera un archivo .ics con las solicitudes AUTORIZADAS del usuario y lo envía
+     * @param {Object} context - Contexto del bot
+     * @param {string} userId - ID del usuario
+     * @returns {string} - Resultado para el modelo
+     */
+    async exportarCalendarioVacaciones(context, userId) {
         try {
-            if (!this.searchAvailable) {
-                return "El servicio de búsqueda no está disponible.";
-            }
-
-            console.log(`🔍 Buscando: "${consulta}"`);
-
-            const embedding = await this.openai.embeddings.create({
-                model: 'text-embedding-3-large',
-                input: consulta,
-                dimensions: 1024
-            });
+            logger.info('📅 Exportando calendario de vacaciones...');
             
-            console.log(`✅ Embedding creado con ${embedding.data[0].embedding.length} dimensiones`);
+            const bot = global.botInstance;
+            let userToken = null;
             
-            const vectorQuery = {
-                vector: embedding.data[0].embedding,
-                kNearestNeighbors: 10,  // Incrementar para asegurar suficientes resultados
-                fields: 'Embedding'
-            };
+            if (bot && typeof bot.getUserOAuthToken === 'function') {
+                userToken = await bot.getUserOAuthToken(context, userId);
+            }
             
-            // Usar búsqueda híbrida (texto + vector) ya que los filtros de carpetas están desactualizados
-            const searchResults = await this.searchClient.search(consulta, {
-                vectorQueries: [vectorQuery],
-                select: ['Chunk', 'FileName', 'Adicional'],
-                top: 15,  // Incrementar aún más para obtener más resultados
-                searchMode: 'any',  // Buscar cualquier palabra de la consulta
-                queryType: 'full'   // Usar búsqueda completa
+            if (!userToken) {
+                throw new Error('TOKEN_REQUIRED');
+            }
+            
+            const solicitudes = await sirhClient.getSolicitudes(userToken);
+            const autorizadas = solicitudes.filter(s => s.estatus === 'AUTORIZADA');
+            
+            if (autorizadas.length === 0) {
+                return `📅 **No tienes vacaciones autorizadas para exportar**\n\n` +
+                       `Cuando una solicitud sea autorizada podrás agregarla a tu calendario.`;
+            }
+            
+            const contenido = generateVacationCalendar(autorizadas, { calendarName: 'Mis vacaciones' });
+            const modo = await fileDeliveryService.offerFile(context, {
+                name: 'mis-vacaciones.ics',
+                content: contenido,
+                contentType: 'text/calendar',
+                description: `Calendario con ${autorizadas.length} periodo(s) de vacaciones autorizadas`
             });
+            
+            logger.info(`✅ Calendario generado con ${autorizadas.length} eventos (${modo})`);
+            
+            return `📅 **Calendario enviado** con ${autorizadas.length} periodo(s) de vacaciones autorizadas.\n\n` +
+                   (modo === 'consent'
+                       ? `Acepta la descarga en la tarjeta para guardar **mis-vacaciones.ics** y ábrelo para importarlo en Outlook.`
+                       : `Descarga **mis-vacaciones.ics** y ábrelo para importarlo en tu calendario.`) +
+                   `\n\nSi vuelves a exportarlo, los eventos se actualizan en lugar de duplicarse.`;
+            
+        } catch (error) {
+            logger.error('❌ Error exportando calendario:', error.message);
+            
+            if (error.message === 'TOKEN_REQUIRED') {
+                throw error;
+            }
+            
+            return `❌ **Error al exportar tu calendario**: ${error.message}`;
+        }
+    }
+
+    /**
+     * Busca en documentos corporativos (búsqueda híbrida texto + vector). La
+     * consulta se reescribe primero con el historial reciente para que las
+     * preguntas de seguimiento ("¿y los viernes?") sean autónomas
+     * Los resultados se limitan a la empresa del empleado autenticado y, si se
+     * indica, a una categoría; si la categoría no da resultados se reintenta sin ella
+     * @param {string} consulta - Texto a buscar
+     * @param {Object} opciones - { historial, categoria, context, userId }
+     * @returns {Object|string} - { consulta, consultaOriginal, subconsultas, filtros, total, fuentes: [{ ref, archivo, chunkId, fragmento, enlace, score }] } o mensaje
+     */
+    async buscarEnDocumentos(consulta, opciones = {}) {
+        try {
+            if (!this.searchAvailable) {
+                return "El servicio de búsqueda no está disponible.";
+            }
+
+            const plan = await this.reescribirConsulta(consulta, opciones.historial);
+            logger.info(`🔍 Buscando: "${plan.consulta}"` + (plan.subconsultas.length > 0 ? ` (+ ${plan.subconsultas.length} subconsulta(s))` : ''));
+
+            const filtros = {
+                empresa: await this.obtenerEmpresaEmpleado(opciones.context, opciones.userId),
+                categoria: typeof opciones.categoria === 'string' && opciones.categoria.trim()
+                    ? opciones.categoria.trim()
+                    : null
+            };
+
+            let resultado = await this.buscarConFiltros(plan, filtros);
+            let categoriaIgnorada = null;
+
+            if (typeof resultado !== 'object' && filtros.categoria) {
+                logger.info(`⚠️ Sin resultados en la categoría "${filtros.categoria}", buscando sin categoría`);
+                categoriaIgnorada = filtros.categoria;
+                resultado = await this.buscarConFiltros(plan, { ...filtros, categoria: null });
+            }
+
+            return typeof resultado === 'object'
+                ? { ...resultado, consultaOriginal: consulta, ...(categoriaIgnorada ? { categoriaIgnorada } : {}) }
+                : resultado;
+                
+        } catch (error) {
+            logger.error('Error en búsqueda:', error.message);
+            logger.error('Stack trace:', error.stack);
+            return `Error en búsqueda: ${error.message}`;
+        }
+    }
+
+    /**
+     * Ejecuta la búsqueda (con caché) para un plan de consulta y unos filtros
+     */
+    async buscarConFiltros(plan, filtros) {
+        const claveFiltros = Object.entries(filtros)
+            .filter(([, valor]) => valor)
+            .map(([filtro, valor]) => `${filtro}=${valor}`)
+            .join('&');
+        const claveCache = [plan.consulta, ...plan.subconsultas].join(' || ') + (claveFiltros ? ` ## ${claveFiltros}` : '');
+
+        return await searchCache.getResults(
+            this.searchIndexName,
+            claveCache,
+            () => this.ejecutarBusqueda(plan.consulta, plan.subconsultas, filtros)
+        );
+    }
+
+    /**
+     * Obtiene la empresa del empleado autenticado desde su perfil SIRH. No exige
+     * autenticación: sin token, si SIRH falla o sin el campo configurado devuelve
+     * null y la búsqueda se limita a los documentos compartidos
+     * @returns {Promise<string|null>} - Empresa o null
+     */
+    async obtenerEmpresaEmpleado(context, userId) {
+        const { filterFields, companyProfileField } = this.searchConfig;
+        if (!filterFields.empresa) {
+            return null;
+        }
+        if (!context || !userId) {
+            logger.warn('⚠️ Búsqueda sin usuario, limitada a documentos compartidos');
+            return null;
+        }
+
+        const enCache = this.empresaCache.get(userId);
+        if (enCache !== undefined) {
+            return enCache;
+        }
+
+        try {
+            const bot = global.botInstance;
+            const userToken = bot && typeof bot.getUserOAuthToken === 'function'
+                ? await bot.getUserOAuthToken(context, userId)
+                : null;
+            if (!userToken) {
+                logger.warn(`[${userId}] ⚠️ Sin token del usuario, búsqueda limitada a documentos compartidos`);
+                return null;
+            }
+
+            const empleadoData = await sirhClient.getEmpleado(userToken);
+            const valor = empleadoData ? empleadoData[companyProfileField] : null;
+            const empresa = typeof valor === 'string' && valor.trim() ? valor.trim() : null;
+
+            if (empresa) {
+                this.empresaCache.set(userId, empresa);
+            } else {
+                logger.warn(`[${userId}] ⚠️ El perfil del empleado no tiene "${companyProfileField}", búsqueda limitada a documentos compartidos`);
+                this.empresaCache.set(userId, null, this.empresaSinValorTtlMs);
+            }
+            return empresa;
+
+        } catch (error) {
+            logger.warn(`[${userId}] ⚠️ No se pudo obtener la empresa del empleado, búsqueda limitada a documentos compartidos:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Construye el filtro OData de Azure Search. Los documentos sin empresa o con
+     * un valor compartido ('Corporativo') son visibles para todas las empresas;
+     * sin empresa del empleado solo se ven esos
+     * @param {Object} filtros - { empresa, categoria }
+     * @returns {string|null} - Expresión $filter o null
+     */
+    construirFiltroBusqueda(filtros) {
+        const { filterFields, sharedCompanyValues } = this.searchConfig;
+        const literal = valor => `'${String(valor).replace(/'/g, "''")}'`;
+        const condiciones = [];
+
+        if (filterFields.empresa) {
+            const campo = filterFields.empresa;
+            const valores = [...(filtros.empresa ? [filtros.empresa] : []), ...sharedCompanyValues]
+                .map(valor => `${campo} eq ${literal(valor)}`);
+            condiciones.push(`(${[...valores, `${campo} eq null`].join(' or ')})`);
+        }
+        if (filtros.categoria && filterFields.categoria) {
+            condiciones.push(`${filterFields.categoria} eq ${literal(filtros.categoria)}`);
+        }
+
+        return condiciones.length > 0 ? condiciones.join(' and ') : null;
+    }
+
+    /**
+     * Aplica los filtros sobre el campo Adicional ya recibido (modo 'local'),
+     * para índices donde Adicional es texto JSON y no se puede filtrar en Azure Search
+     * @returns {boolean} - true si el documento pasa los filtros
+     */
+    cumpleFiltrosLocales(doc, filtros) {
+        const { filterFields, sharedCompanyValues } = this.searchConfig;
+        let adicional = doc.Adicional;
+        if (typeof adicional === 'string') {
+            try {
+                adicional = JSON.parse(adicional);
+            } catch (error) {
+                adicional = null;
+            }
+        }
+
+        const leer = campo => {
+            const valor = campo.split('/').slice(1).reduce((obj, clave) => (obj ? obj[clave] : undefined), adicional);
+            return valor === undefined || valor === null || valor === '' ? null : String(valor).toLowerCase();
+        };
+
+        if (filterFields.empresa) {
+            const empresa = leer(filterFields.empresa);
+            const permitidas = [...(filtros.empresa ? [filtros.empresa] : []), ...sharedCompanyValues]
+                .map(valor => valor.toLowerCase());
+            if (empresa !== null && !permitidas.includes(empresa)) {
+                return false;
+            }
+        }
+        if (filtros.categoria && filterFields.categoria) {
+            if (leer(filterFields.categoria) !== filtros.categoria.toLowerCase()) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Convierte la consulta del modelo y el historial reciente en una consulta de
+     * búsqueda autónoma y, opcionalmente, subconsultas para aspectos distintos.
+     * Si la reescritura falla se usa la consulta original
+     * @param {string} consulta - Consulta propuesta por el modelo
+     * @param {Array} historial - Mensajes { role, content } del turno
+     * @returns {Promise<Object>} - { consulta, subconsultas }
+     */
+    async reescribirConsulta(consulta, historial = []) {
+        const { enabled, model, maxSubqueries, historyMessages } = this.rewriteConfig;
+        const sinCambios = { consulta, subconsultas: [] };
+
+        if (!enabled || !this.openaiAvailable) {
+            return sinCambios;
+        }
+
+        const contexto = (historial || [])
+            .filter(mensaje => (mensaje.role === 'user' || mensaje.role === 'assistant') &&
+                typeof mensaje.content === 'string' && mensaje.content.trim())
+            .slice(-historyMessages)
+            .map(mensaje => `${mensaje.role === 'user' ? 'Usuario' : 'Asistente'}: ${mensaje.content.substring(0, 500)}`)
+            .join('\n');
+
+        try {
+            const response = await this.crearChatCompletion({
+                model,
+                temperature: 0,
+                max_tokens: 200,
+                response_format: { type: 'json_object' },
+                messages: [
+                    {
+                        role: 'system',
+                        content: `Reescribes consultas para buscar en documentos corporativos (políticas, procedimientos, beneficios).
+Con la conversación y la consulta propuesta, devuelve JSON {"consulta": "...", "subconsultas": ["..."]}:
+- "consulta": búsqueda autónoma en español que incluya el tema de la conversación si la consulta es un seguimiento
+- "subconsultas": hasta ${maxSubqueries} búsquedas adicionales solo si la pregunta abarca temas distintos; si no, []
+No respondas la pregunta.`
+                    },
+                    {
+                        role: 'user',
+                        content: `Conversación reciente:\n${contexto || '(sin historial)'}\n\nConsulta propuesta: ${consulta}`
+                    }
+                ]
+            }, 'reescritura');
+            usageService.record(model, response.usage);
+
+            const plan = JSON.parse(response.choices[0].message.content || '{}');
+            const consultaReescrita = typeof plan.consulta === 'string' && plan.consulta.trim()
+                ? plan.consulta.trim()
+                : consulta;
+            const subconsultas = (Array.isArray(plan.subconsultas) ? plan.subconsultas : [])
+                .filter(sub => typeof sub === 'string' && sub.trim() && sub.trim() !== consultaReescrita)
+                .map(sub => sub.trim())
+                .slice(0, maxSubqueries);
+
+            if (consultaReescrita !== consulta) {
+                logger.info(`✏️ Consulta reescrita: "${consulta}" → "${consultaReescrita}"`);
+            }
+            return { consulta: consultaReescrita, subconsultas };
+
+        } catch (error) {
+            logger.warn('⚠️ No se pudo reescribir la consulta, se usa la original:', error.message);
+            return sinCambios;
+        }
+    }
+
+    /**
+     * Obtiene el embedding de un texto (con caché por índice)
+     */
+    async obtenerEmbedding(texto) {
+        return await searchCache.getEmbedding(this.searchIndexName, texto, 'text-embedding-3-large:1024', async () => {
+            const embedding = await tracer.withSpan('openai.embeddings text-embedding-3-large', {
+                kind: 'client',
+                attributes: { 'gen_ai.system': 'openai', 'gen_ai.request.model': 'text-embedding-3-large' }
+            }, () => this.openai.embeddings.create({
+                model: 'text-embedding-3-large',
+                input: texto,
+                dimensions: 1024
+            }, this.requestOptions()));
+            usageService.record('text-embedding-3-large', embedding.usage, 'embedding');
+            logger.info(`✅ Embedding creado con ${embedding.data[0].embedding.length} dimensiones`);
+            return embedding.data[0].embedding;
+        });
+    }
+
+    /**
+     * Ejecuta la búsqueda híbrida contra Azure Search (sin caché de resultados).
+     * Si la consulta principal no junta 7 resultados únicos, se completan con
+     * las subconsultas de la reescritura
+     * @param {string} consulta - Consulta autónoma
+     * @param {Array<string>} subconsultas - Consultas adicionales
+     * @param {Object} filtros - { empresa, categoria }
+     * @returns {Object|string} - Resultado estructurado o mensaje si no hay resultados
+     */
+    async ejecutarBusqueda(consulta, subconsultas = [], filtros = {}) {
+        return await tracer.withSpan('azure_search.search', {
+            kind: 'client',
+            attributes: {
+                'search.index': this.searchIndexName,
+                'search.subqueries': subconsultas.length,
+                'search.filter.empresa': filtros.empresa,
+                'search.filter.solo_compartidos': !!this.searchConfig.filterFields.empresa && !filtros.empresa,
+                'search.filter.categoria': filtros.categoria
+            }
+        }, async (span) => {
+            const select = ['Chunk', 'FileName', 'Adicional'];
+            if (this.searchConfig.chunkIdField) {
+                select.push(this.searchConfig.chunkIdField);
+            }
+
+            const filtroLocal = this.searchConfig.filterMode === 'local';
+            const filter = filtroLocal ? null : this.construirFiltroBusqueda(filtros);
+            if (filter || (filtroLocal && (this.searchConfig.filterFields.empresa || (filtros.categoria && this.searchConfig.filterFields.categoria)))) {
+                logger.info(`🏷️ Filtros de búsqueda (${this.searchConfig.filterMode}): ${filter || JSON.stringify(filtros)}`);
+            }
 
-            console.log('🔍 Procesando resultados...');
             const resultados = [];
             const documentosProcesados = new Set(); // Para evitar duplicados del mismo archivo
+        
+            for (const texto of [consulta, ...subconsultas]) {
+                if (resultados.length >= 7) break;  // Limitar a exactamente 7 resultados
             
-            for await (const result of searchResults.results) {
-                const doc = result.document;
-                console.log(`📄 Encontrado: ${doc.FileName} (score: ${result.score})`);
-                
-                // Limitar chunk a 300 caracteres para legibilidad
-                const chunk = doc.Chunk?.substring(0, 300) + (doc.Chunk?.length > 300 ? '...' : '');
-                
-                // Crear clave única para el documento
-                const documentKey = `${doc.FileName}-${doc.Chunk?.substring(0, 50)}`;
-                
-                // Solo agregar si no es un duplicado muy similar
-                if (!documentosProcesados.has(documentKey)) {
-                    documentosProcesados.add(documentKey);
-                    resultados.push(`**${doc.FileName}** (Score: ${result.score?.toFixed(2) || 'N/A'})\n${chunk}`);
+                if (texto !== consulta) {
+                    logger.info(`⚠️ Solo hay ${resultados.length} resultados únicos, buscando subconsulta: "${texto}"`);
                 }
-                
-                if (resultados.length >= 7) break;  // Limitar a exactamente 7 resultados
-            }
             
-            // Si no tenemos suficientes resultados únicos, intentar búsqueda más amplia
-            if (resultados.length < 7) {
-                console.log(`⚠️ Solo se encontraron ${resultados.length} resultados únicos, intentando búsqueda más amplia...`);
+                const vectorQuery = {
+                    vector: await this.obtenerEmbedding(texto),
+                    kNearestNeighbors: 10,  // Incrementar para asegurar suficientes resultados
+                    fields: 'Embedding'
+                };
+            
+                // Búsqueda híbrida (texto + vector) acotada por empresa/categoría
+                const searchResults = await this.searchClient.search(texto, {
+                    vectorQueries: [vectorQuery],
+                    select,
+                    ...(filter ? { filter } : {}),
+                    top: 15,  // Incrementar aún más para obtener más resultados
+                    searchMode: 'any',  // Buscar cualquier palabra de la consulta
+                    queryType: 'full'   // Usar búsqueda completa
+                });
+
+                for await (const result of searchResults.results) {
+                    const doc = result.document;
+                    if (filtroLocal && !this.cumpleFiltrosLocales(doc, filtros)) {
+                        continue;
+                    }
+                    logger.info(`📄 Encontrado: ${doc.FileName} (score: ${result.score})`);
                 
-                // Búsqueda adicional con términos más amplios
-                const palabrasConsulta = consulta.split(' ');
-                if (palabrasConsulta.length > 1) {
-                    const consultaAmplia = palabrasConsulta[0]; // Usar solo la primera palabra
-                    console.log(`🔍 Búsqueda amplia con: "${consultaAmplia}"`);
-                    
-                    const searchResultsAmplia = await this.searchClient.search(consultaAmplia, {
-                        select: ['Chunk', 'FileName', 'Adicional'],
-                        top: 10,
-                        searchMode: 'any'
-                    });
-                    
-                    for await (const result of searchResultsAmplia.results) {
-                        const doc = result.document;
-                        const chunk = doc.Chunk?.substring(0, 300) + (doc.Chunk?.length > 300 ? '...' : '');
-                        const documentKey = `${doc.FileName}-${doc.Chunk?.substring(0, 50)}`;
-                        
-                        if (!documentosProcesados.has(documentKey)) {
-                            documentosProcesados.add(documentKey);
-                            resultados.push(`**${doc.FileName}** (Score: ${result.score?.toFixed(2) || 'N/A'})\n${chunk}`);
-                            console.log(`📄 Agregado desde búsqueda amplia: ${doc.FileName}`);
-                        }
-                        
-                        if (resultados.length >= 7) break;
+                    // Crear clave única para el documento
+                    const documentKey = `${doc.FileName}-${doc.Chunk?.substring(0, 50)}`;
+                
+                    // Solo agregar si no es un duplicado muy similar
+                    if (!documentosProcesados.has(documentKey)) {
+                        documentosProcesados.add(documentKey);
+                        resultados.push(this.crearResultadoBusqueda(doc, result.score, resultados.length + 1));
                     }
+                
+                    if (resultados.length >= 7) break;
                 }
             }
-            
-            console.log(`📊 Total resultados encontrados: ${resultados.length}`);
-            console.log(`🎯 Meta: devolver 7 resultados, obtenidos: ${resultados.length}`);
-            
-            return resultados.length > 0 ? 
-                `📚 **Resultados encontrados (${resultados.length}):**\n\n${resultados.join('\n\n---\n\n')}` :
+        
+            logger.info(`📊 Total resultados encontrados: ${resultados.length}`);
+            span.setAttribute('search.results', resultados.length);
+        
+            return resultados.length > 0 ?
+                { consulta, subconsultas, filtros, total: resultados.length, fuentes: resultados } :
                 "No se encontraron documentos relevantes para tu consulta.";
-                
-        } catch (error) {
-            console.error('Error en búsqueda:', error.message);
-            console.error('Stack trace:', error.stack);
-            return `Error en búsqueda: ${error.message}`;
+        });
+    }
+
+    /**
+     * Convierte un documento del índice en un resultado estructurado
+     * @param {Object} doc - Documento devuelto por Azure Search
+     * @param {number} score - Puntaje de la búsqueda
+     * @param {number} ref - Número de la fuente (el ciclo de agente lo renumera por turno)
+     * @returns {Object} - { ref, archivo, chunkId, fragmento, enlace, score }
+     */
+    crearResultadoBusqueda(doc, score, ref) {
+        const chunk = doc.Chunk || '';
+        const chunkId = (this.searchConfig.chunkIdField && doc[this.searchConfig.chunkIdField]) ||
+            crypto.createHash('sha1').update(`${doc.FileName}|${chunk}`).digest('hex').substring(0, 12);
+        
+        return {
+            ref,
+            archivo: doc.FileName || 'Documento sin nombre',
+            chunkId: String(chunkId),
+            // Limitar fragmento a 300 caracteres para legibilidad
+            fragmento: chunk.substring(0, 300) + (chunk.length > 300 ? '...' : ''),
+            enlace: this.extraerEnlaceDocumento(doc.Adicional),
+            score: typeof score === 'number' ? Number(score.toFixed(2)) : null
+        };
+    }
+
+    /**
+     * Obtiene la URL del documento desde el campo Adicional (objeto, JSON o texto con URL)
+     * @param {*} adicional - Valor del campo Adicional
+     * @returns {string|null} - URL o null si no hay
+     */
+    extraerEnlaceDocumento(adicional) {
+        if (!adicional) {
+            return null;
         }
+
+        let valor = adicional;
+        if (typeof valor === 'string') {
+            try {
+                valor = JSON.parse(valor);
+            } catch (error) {
+                const match = valor.match(/https?:\/\/[^\s"'<>]+/);
+                return match ? match[0] : null;
+            }
+        }
+
+        if (valor && typeof valor === 'object') {
+            const clave = Object.keys(valor).find(key => /^(url|link|enlace|weburl|path|ruta)$/i.test(key));
+            const enlace = clave ? valor[clave] : null;
+            return typeof enlace === 'string' && /^https?:\/\//.test(enlace) ? enlace : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Crea la tarjeta compacta "Fuentes" con los documentos usados en la respuesta
+     * @param {Array} fuentes - Fuentes seleccionadas
+     * @returns {Object} - Tarjeta adaptativa
+     */
+    crearTarjetaFuentes(fuentes) {
+        const adaptiveCard = {
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: '📚 Fuentes',
+                    weight: 'Bolder',
+                    size: 'Small'
+                },
+                ...fuentes.map(fuente => ({
+                    type: 'TextBlock',
+                    text: fuente.enlace
+                        ? `[${fuente.ref}] [${fuente.archivo}](${fuente.enlace})`
+                        : `[${fuente.ref}] ${fuente.archivo}`,
+                    size: 'Small',
+                    wrap: true,
+                    spacing: 'Small'
+                }))
+            ]
+        };
+        
+        return CardFactory.adaptiveCard(adaptiveCard);
     }
 
     async consultarMenuComedor(dia) {
@@ -1360,7 +1906,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             return `🍽️ **Menú del ${dia}**\n\n${JSON.stringify(response.data, null, 2)}`;
             
         } catch (error) {
-            console.error('Error consultando menú:', error.message);
+            logger.error('Error consultando menú:', error.message);
             return `Error consultando menú: ${error.message}`;
         }
     }
@@ -1383,7 +1929,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             return `👥 **Empleado encontrado**\n\n${JSON.stringify(response.data, null, 2)}`;
             
         } catch (error) {
-            console.error('Error buscando empleado:', error.message);
+            logger.error('Error buscando empleado:', error.message);
             return `Error buscando empleado: ${error.message}`;
         }
     }
@@ -1397,7 +1943,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async cancelarSolicitudVacaciones(parametros, context, userId) {
         try {
-            console.log('🗑️ Cancelando solicitud de vacaciones...', parametros);
+            logger.info('🗑️ Cancelando solicitud de vacaciones...', parametros);
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance;
@@ -1405,9 +1951,9 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
+                logger.info(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
             } else {
-                console.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
@@ -1416,15 +1962,27 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             let idSolicitud = parametros.idSolicitud;
             
-            // Si no se proporcionó ID, buscar por fecha de referencia
+            // Si no se proporcionó ID, buscar por fecha de referencia (expresión en español)
             if (!idSolicitud && parametros.fechaReferencia) {
-                console.log(`🔍 Buscando solicitud por fecha de referencia: ${parametros.fechaReferencia}`);
-                idSolicitud = await this.buscarSolicitudPorFecha(parametros.fechaReferencia, userToken);
+                const fecha = parseSpanishDateExpression(parametros.fechaReferencia);
+                logger.info(`🔍 Buscando solicitud por fecha de referencia: ${parametros.fechaReferencia}`, fecha);
+                
+                if (fecha.ambigua) {
+                    return `🤔 **¿A qué fecha te refieres?**\n\n${fecha.motivo}:\n\n` +
+                           fecha.alternativas.map((alternativa, index) => `${index + 1}. ${alternativa.descripcion}`).join('\n') +
+                           `\n\n💡 Indica la fecha exacta de la solicitud que deseas cancelar`;
+                }
+                
+                if (fecha.reconocida) {
+                    idSolicitud = await this.buscarSolicitudPorFecha(fecha.inicio, userToken, fecha.fin);
+                } else {
+                    logger.info(`⚠️ ${fecha.motivo}`);
+                }
             }
             
             // Si aún no tenemos ID, consultar todas las solicitudes
             if (!idSolicitud) {
-                console.log('📋 Consultando todas las solicitudes para encontrar la correcta...');
+                logger.info('📋 Consultando todas las solicitudes para encontrar la correcta...');
                 const solicitudes = await this.obtenerSolicitudesUsuario(userToken);
                 
                 if (solicitudes.length === 0) {
@@ -1433,7 +1991,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 
                 if (solicitudes.length === 1) {
                     idSolicitud = solicitudes[0].id;
-                    console.log(`✅ Solo una solicitud encontrada, usando ID: ${idSolicitud}`);
+                    logger.info(`✅ Solo una solicitud encontrada, usando ID: ${idSolicitud}`);
                 } else {
                     // Múltiples solicitudes - mostrar lista para que el usuario elija
                     let listaSolicitudes = '📋 **Tienes varias solicitudes de vacaciones:**\n\n';
@@ -1454,35 +2012,21 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             }
             
             // Realizar la cancelación
-            console.log(`📤 Enviando petición de cancelación para solicitud ID: ${idSolicitud}`);
-            const authHeader = `Bearer ${userToken}`;
-            const cancelUrl = `https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/${idSolicitud}/cancelar`;
-            console.log(`🎯 URL de cancelación: ${cancelUrl}`);
-            
-            const response = await axios.put(
-                cancelUrl,
-                {},
-                {
-                    headers: {
-                        'Authorization': authHeader,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info(`📤 Enviando petición de cancelación para solicitud ID: ${idSolicitud}`);
+            const data = await sirhClient.cancelarSolicitud(userToken, idSolicitud);
             
-            console.log(`✅ Solicitud cancelada exitosamente (status: ${response.status})`);
-            console.log(`📊 Respuesta de cancelación:`, JSON.stringify(response.data, null, 2));
+            logger.info(`✅ Solicitud cancelada exitosamente`);
+            logger.debug(`📊 Respuesta de cancelación:`, data);
             
             // Formatear respuesta
-            if (response.data && response.data.message) {
-                return `✅ **Solicitud cancelada exitosamente**\n\n${response.data.message}`;
+            if (data && data.message) {
+                return `✅ **Solicitud cancelada exitosamente**\n\n${data.message}`;
             } else {
                 return `✅ **Solicitud cancelada exitosamente**\n\nTu solicitud de vacaciones ha sido cancelada.`;
             }
             
         } catch (error) {
-            console.error('❌ Error cancelando solicitud:', {
+            logger.error('❌ Error cancelando solicitud:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1498,6 +2042,10 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 throw error;
             }
             
+            if (error.code === 'SIRH_RATE_LIMITED') {
+                return error.message;
+            }
+            
             if (error.response?.status === 400) {
                 const errorData = error.response.data;
                 let errorMessage = `❌ **No se puede cancelar la solicitud**\n\n`;
@@ -1519,45 +2067,390 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                     errorMessage += `• La fecha de cancelación ha expirado\n\n`;
                     errorMessage += `**Solución**: Contacta a Recursos Humanos para ayuda`;
                 }
-                
-                return errorMessage;
+                
+                return errorMessage;
+            }
+            
+            if (error.response?.status === 401) {
+                return `❌ **Error de autenticación (401)**\n\n` +
+                       `**Problema**: Token de usuario inválido o expirado\n` +
+                       `**Solución**: Intenta hacer logout y login nuevamente`;
+            }
+            
+            if (error.response?.status === 404) {
+                return `❌ **Solicitud no encontrada (404)**\n\n` +
+                       `La solicitud que intentas cancelar no existe o ya fue procesada.`;
+            }
+            
+            return `❌ **Error al cancelar solicitud**: ${error.message}`;
+        }
+    }
+    
+    /**
+     * Reprograma una solicitud: simula las nuevas fechas y muestra una tarjeta de
+     * confirmación con fechas actuales vs nuevas. No modifica nada en SIRH; el
+     * cambio se aplica en confirmarReprogramacion al confirmar la tarjeta
+     * @param {Object} parametros - { idSolicitud, fechaReferencia, nuevaFechaInicio, nuevaFechaFin, medioDia }
+     * @param {Object} context - Contexto del bot
+     * @param {string} userId - ID del usuario
+     * @returns {Object|string} - Tarjeta de confirmación o mensaje
+     */
+    async reprogramarSolicitud(parametros, context, userId) {
+        try {
+            logger.info('🔁 Reprogramando solicitud de vacaciones...', parametros);
+            
+            const bot = global.botInstance;
+            let userToken = null;
+            
+            if (bot && typeof bot.getUserOAuthToken === 'function') {
+                userToken = await bot.getUserOAuthToken(context, userId);
+            }
+            
+            if (!userToken) {
+                throw new Error('TOKEN_REQUIRED');
+            }
+            
+            // Nuevas fechas: acepta expresiones en español ("del 3 al 7 de marzo")
+            const nuevas = this.resolverRangoFechas(parametros.nuevaFechaInicio, parametros.nuevaFechaFin);
+            if (nuevas.error) {
+                return `❌ **No se pudieron interpretar las nuevas fechas**\n\n${nuevas.error}`;
+            }
+            
+            // Solicitud actual: por ID o por fecha de referencia
+            let idSolicitud = parametros.idSolicitud;
+            if (!idSolicitud && parametros.fechaReferencia) {
+                const fecha = parseSpanishDateExpression(parametros.fechaReferencia);
+                if (fecha.ambigua) {
+                    return `🤔 **¿Qué solicitud quieres mover?**\n\n${fecha.motivo}:\n\n` +
+                           fecha.alternativas.map((alternativa, index) => `${index + 1}. ${alternativa.descripcion}`).join('\n');
+                }
+                if (fecha.reconocida) {
+                    idSolicitud = await this.buscarSolicitudPorFecha(fecha.inicio, userToken, fecha.fin);
+                }
+            }
+            
+            const solicitudes = await this.obtenerSolicitudesUsuario(userToken);
+            const activas = solicitudes.filter(s => ['PENDIENTE', 'AUTORIZADA'].includes(s.estatus));
+            if (!idSolicitud && activas.length === 1) {
+                idSolicitud = activas[0].id;
+            }
+            
+            const solicitud = solicitudes.find(s => String(s.id) === String(idSolicitud));
+            if (!solicitud) {
+                return `❌ **No se pudo identificar la solicitud a reprogramar**\n\n` +
+                       `💡 Indica las fechas actuales de la solicitud que quieres mover (ejemplo: "mover mis vacaciones del 15 de enero al 22 de enero")`;
+            }
+            
+            if (!['PENDIENTE', 'AUTORIZADA'].includes(solicitud.estatus)) {
+                return `❌ **La solicitud ya no está activa** (estatus: ${solicitud.estatus})\n\n` +
+                       `💡 Para tomar esas fechas, genera una nueva solicitud de vacaciones.`;
+            }
+            
+            const actuales = this.obtenerRangoSolicitud(solicitud);
+            if (actuales.fechaInicio === nuevas.fechaInicio && actuales.fechaFin === nuevas.fechaFin) {
+                return `ℹ️ **Las nuevas fechas son iguales a las actuales**; no hay nada que reprogramar.`;
+            }
+            
+            const medioDia = parametros.medioDia === true || parametros.medioDia === 'true';
+            
+            // Simular primero: no se cancela nada si SIRH no acepta las nuevas fechas
+            logger.info(`🧪 Simulando nuevas fechas ${nuevas.fechaInicio} - ${nuevas.fechaFin}`);
+            const simulacion = sirhClient.interpretarRespuesta(await sirhClient.simularVacaciones(userToken, {
+                fechaInicio: `${nuevas.fechaInicio}T00:00:00.000Z`,
+                fechaFin: `${nuevas.fechaFin}T00:00:00.000Z`,
+                medioDia
+            }));
+            
+            if (!simulacion.exitosa) {
+                return `❌ **Las nuevas fechas no están disponibles**\n\n${simulacion.mensaje}\n\n` +
+                       `ℹ️ Tu solicitud actual no se modificó.`;
+            }
+            
+            return {
+                textContent: `🔁 **Reprogramación de vacaciones**\n\nSIRH confirmó que las nuevas fechas están disponibles. Revisa el cambio y confírmalo en la tarjeta.`,
+                card: this.crearTarjetaReprogramacion(solicitud, actuales, { ...nuevas, medioDia }, simulacion.mensaje)
+            };
+            
+        } catch (error) {
+            logger.error('❌ Error reprogramando solicitud:', {
+                message: error.message,
+                status: error.response?.status,
+                data: error.response?.data
+            });
+            
+            if (error.message === 'TOKEN_REQUIRED') {
+                throw error;
+            }
+            
+            if (error.response?.data?.message) {
+                return `❌ **Las nuevas fechas no están disponibles**\n\n${error.response.data.message}\n\n` +
+                       `ℹ️ Tu solicitud actual no se modificó.`;
+            }
+            
+            return `❌ **Error al reprogramar la solicitud**: ${error.message}\n\nℹ️ Tu solicitud actual no se modificó.`;
+        }
+    }
+
+    /**
+     * Resuelve un rango de fechas a partir de expresiones en español
+     * @returns {Object} - { fechaInicio, fechaFin } (YYYY-MM-DD) o { error }
+     */
+    resolverRangoFechas(expresionInicio, expresionFin) {
+        if (!expresionInicio) {
+            return { error: 'Indica las nuevas fechas de inicio y fin.' };
+        }
+        
+        const inicio = parseSpanishDateExpression(expresionInicio);
+        if (!inicio.reconocida || inicio.ambigua) {
+            return { error: inicio.ambigua ? `${inicio.motivo}.` : inicio.motivo };
+        }
+        
+        // "del 3 al 7 de marzo" en un solo parámetro
+        if (inicio.esRango && !expresionFin) {
+            return { fechaInicio: inicio.inicio, fechaFin: inicio.fin };
+        }
+        
+        const fin = expresionFin ? parseSpanishDateExpression(expresionFin) : inicio;
+        if (!fin.reconocida || fin.ambigua) {
+            return { error: fin.ambigua ? `${fin.motivo}.` : fin.motivo };
+        }
+        
+        if (fin.fin < inicio.inicio) {
+            return { error: 'La fecha de fin es anterior a la fecha de inicio.' };
+        }
+        
+        return { fechaInicio: inicio.inicio, fechaFin: fin.fin };
+    }
+
+    /**
+     * Rango de una solicitud existente en términos de la tarjeta de vacaciones.
+     * SIRH guarda la fecha de regreso; el último día de vacaciones es el día
+     * hábil anterior a ella
+     * @returns {Object} - { fechaInicio, fechaFin } (YYYY-MM-DD)
+     */
+    obtenerRangoSolicitud(solicitud) {
+        const salida = toMexicoDate(solicitud.fechaSalida);
+        const regreso = toMexicoDate(solicitud.fechaRegreso);
+        const fechaFin = regreso && regreso > salida ? addBusinessDays(regreso, -1) : salida.toISODate();
+        
+        return {
+            fechaInicio: salida.toISODate(),
+            fechaFin: fechaFin < salida.toISODate() ? salida.toISODate() : fechaFin
+        };
+    }
+
+    /**
+     * Crea la tarjeta de confirmación con fechas actuales vs nuevas
+     */
+    crearTarjetaReprogramacion(solicitud, actuales, nuevas, mensajeSimulacion) {
+        const formatear = (fecha) => toMexicoDate(fecha).setLocale('es').toFormat('ccc dd/LL/yyyy');
+        const describir = (rango) => {
+            const dias = countBusinessDays(rango.fechaInicio, rango.fechaFin);
+            return `${formatear(rango.fechaInicio)} – ${formatear(rango.fechaFin)}` +
+                   (dias ? ` (${dias.diasHabiles} día(s) hábil(es))` : '');
+        };
+        
+        const adaptiveCard = {
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: '🔁 ¿Confirmas el cambio de fechas?',
+                    size: 'Large',
+                    weight: 'Bolder',
+                    wrap: true
+                },
+                {
+                    type: 'FactSet',
+                    facts: [
+                        { title: 'Solicitud', value: `#${solicitud.id} (${solicitud.estatus})` },
+                        { title: 'Fechas actuales', value: describir(actuales) },
+                        { title: 'Nuevas fechas', value: describir(nuevas) + (nuevas.medioDia ? ' · medio día' : '') }
+                    ]
+                },
+                {
+                    type: 'TextBlock',
+                    text: mensajeSimulacion,
+                    size: 'Small',
+                    isSubtle: true,
+                    wrap: true
+                },
+                {
+                    type: 'TextBlock',
+                    text: 'Al confirmar se cancelará la solicitud actual y se enviará una nueva con las nuevas fechas' +
+                          (solicitud.estatus === 'AUTORIZADA' ? ', que deberá autorizarse de nuevo.' : '.'),
+                    wrap: true,
+                    spacing: 'Medium'
+                }
+            ],
+            actions: [
+                {
+                    type: 'Action.Submit',
+                    title: '✅ Confirmar cambio',
+                    data: {
+                        action: 'reprogramar_confirmar',
+                        idSolicitud: solicitud.id,
+                        fechaInicioAnterior: actuales.fechaInicio,
+                        fechaFinAnterior: actuales.fechaFin,
+                        medioDiaAnterior: solicitud.medioDia === true,
+                        nuevaFechaInicio: nuevas.fechaInicio,
+                        nuevaFechaFin: nuevas.fechaFin,
+                        medioDia: nuevas.medioDia
+                    },
+                    style: 'positive'
+                },
+                {
+                    type: 'Action.Submit',
+                    title: '❌ Mantener fechas actuales',
+                    data: { action: 'reprogramar_cancelar' },
+                    style: 'destructive'
+                }
+            ]
+        };
+        
+        return CardFactory.adaptiveCard(adaptiveCard);
+    }
+
+    /**
+     * Aplica una reprogramación confirmada: cancela la solicitud actual y envía la
+     * nueva. Antes de cancelar vuelve a comprobar el estatus y las nuevas fechas,
+     * porque la tarjeta puede ser vieja o confirmarse dos veces, y reserva las dos
+     * escrituras para que el límite de SIRH no corte entre ambas. Si el envío falla
+     * después de cancelar, intenta restaurar las fechas originales y reporta el
+     * resultado de cada paso
+     * @param {Object} datos - Datos de la tarjeta de confirmación
+     * @param {Object} context - Contexto del bot
+     * @param {string} userId - ID del usuario
+     * @returns {string} - Resumen del resultado
+     */
+    async confirmarReprogramacion(datos, context, userId) {
+        const bot = global.botInstance;
+        let userToken = null;
+        
+        if (bot && typeof bot.getUserOAuthToken === 'function') {
+            userToken = await bot.getUserOAuthToken(context, userId);
+        }
+        
+        if (!userToken) {
+            throw new Error('TOKEN_REQUIRED');
+        }
+        
+        const { idSolicitud } = datos;
+        const nueva = {
+            fechaInicio: `${datos.nuevaFechaInicio}T00:00:00.000Z`,
+            fechaFin: `${datos.nuevaFechaFin}T00:00:00.000Z`,
+            medioDia: datos.medioDia === true || datos.medioDia === 'true'
+        };
+        
+        // Comprobar de nuevo antes de cancelar: si algo cambió, no se toca nada
+        const sinCambios = 'ℹ️ No se hizo ningún cambio; tu solicitud conserva sus fechas.';
+        try {
+            const solicitud = (await sirhClient.getSolicitudes(userToken)).find(s => String(s.id) === String(idSolicitud));
+            if (!solicitud || !['PENDIENTE', 'AUTORIZADA'].includes(solicitud.estatus)) {
+                logger.warn(`⚠️ Reprogramación: la solicitud ${idSolicitud} ya no está activa (${solicitud?.estatus || 'no encontrada'})`);
+                return `❌ **No se pudo reprogramar**\n\n` +
+                       `La solicitud #${idSolicitud} ya no está activa` +
+                       (solicitud ? ` (estatus: ${solicitud.estatus})` : '') + `.\n\n${sinCambios}`;
             }
             
-            if (error.response?.status === 401) {
-                return `❌ **Error de autenticación (401)**\n\n` +
-                       `**Problema**: Token de usuario inválido o expirado\n` +
-                       `**Solución**: Intenta hacer logout y login nuevamente`;
+            const simulacion = sirhClient.interpretarRespuesta(await sirhClient.simularVacaciones(userToken, nueva));
+            if (!simulacion.exitosa) {
+                logger.warn(`⚠️ Reprogramación: las nuevas fechas de ${idSolicitud} ya no están disponibles`);
+                return `❌ **Las nuevas fechas ya no están disponibles**\n\n${simulacion.mensaje}\n\n${sinCambios}`;
             }
             
-            if (error.response?.status === 404) {
-                return `❌ **Solicitud no encontrada (404)**\n\n` +
-                       `La solicitud que intentas cancelar no existe o ya fue procesada.`;
+            sirhClient.consumeWriteTokens(2);
+        } catch (error) {
+            if (error.code === 'SIRH_RATE_LIMITED') {
+                return `${error.message}\n\n${sinCambios}`;
             }
-            
-            return `❌ **Error al cancelar solicitud**: ${error.message}`;
+            logger.error(`❌ Reprogramación: no se pudo verificar ${idSolicitud}:`, error.message);
+            const detalle = error.response?.data?.message || error.message;
+            return `❌ **No se pudo reprogramar**\n\n` +
+                   `No se pudo verificar la solicitud actual: ${detalle}\n\n${sinCambios}`;
+        }
+        
+        // Paso 1: cancelar la solicitud actual
+        try {
+            logger.info(`🔁 [1/2] Cancelando solicitud ${idSolicitud} para reprogramar`);
+            await sirhClient.cancelarSolicitud(userToken, idSolicitud, { rateLimited: false });
+        } catch (error) {
+            logger.error(`❌ Reprogramación: no se pudo cancelar ${idSolicitud}:`, error.message);
+            const detalle = error.response?.data?.message || error.message;
+            return `❌ **No se pudo reprogramar**\n\n` +
+                   `No se pudo cancelar la solicitud actual: ${detalle}\n\n${sinCambios}`;
+        }
+        
+        // Paso 2: enviar la solicitud con las nuevas fechas
+        let errorEnvio = null;
+        try {
+            logger.info(`🔁 [2/2] Enviando nuevas fechas ${datos.nuevaFechaInicio} - ${datos.nuevaFechaFin}`);
+            const respuesta = sirhClient.interpretarRespuesta(
+                await sirhClient.solicitarVacaciones(userToken, { ...nueva, simular: false }, { rateLimited: false })
+            );
+            if (respuesta.exitosa) {
+                return `✅ **Solicitud reprogramada**\n\n` +
+                       `• Solicitud anterior (#${idSolicitud}): cancelada\n` +
+                       `• Nuevas fechas: ${datos.nuevaFechaInicio} a ${datos.nuevaFechaFin}\n\n${respuesta.mensaje}`;
+            }
+            errorEnvio = respuesta.mensaje;
+        } catch (error) {
+            errorEnvio = error.response?.data?.message || error.message;
+        }
+        
+        // Falla parcial: la solicitud original ya se canceló. Intentar restaurarla
+        // (no consume fichas: es la compensación de una escritura ya reservada)
+        logger.error(`❌ Reprogramación parcial de ${idSolicitud}: ${errorEnvio}`);
+        let restaurada = false;
+        try {
+            const respuesta = sirhClient.interpretarRespuesta(await sirhClient.solicitarVacaciones(userToken, {
+                fechaInicio: `${datos.fechaInicioAnterior}T00:00:00.000Z`,
+                fechaFin: `${datos.fechaFinAnterior}T00:00:00.000Z`,
+                medioDia: datos.medioDiaAnterior === true || datos.medioDiaAnterior === 'true',
+                simular: false
+            }, { rateLimited: false }));
+            restaurada = respuesta.exitosa;
+        } catch (error) {
+            logger.error('❌ Reprogramación: no se pudo restaurar la solicitud original:', error.message);
+        }
+        
+        let mensaje = `⚠️ **La reprogramación quedó incompleta**\n\n` +
+                      `• Solicitud anterior (#${idSolicitud}): **cancelada**\n` +
+                      `• Nuevas fechas (${datos.nuevaFechaInicio} a ${datos.nuevaFechaFin}): **no se registraron** — ${errorEnvio}\n`;
+        
+        if (restaurada) {
+            mensaje += `• Fechas originales (${datos.fechaInicioAnterior} a ${datos.fechaFinAnterior}): **se volvieron a solicitar** y quedan pendientes de autorización`;
+        } else {
+            mensaje += `• Fechas originales (${datos.fechaInicioAnterior} a ${datos.fechaFinAnterior}): **no se pudieron restaurar**\n\n` +
+                       `📞 Solicita de nuevo tus vacaciones o contacta a Recursos Humanos para no perder los días.`;
         }
+        
+        return mensaje;
     }
-    
+
     /**
-     * Busca una solicitud por fecha de referencia
-     * @param {string} fechaReferencia - Fecha de referencia
+     * Busca una solicitud que contenga una fecha o se traslape con un rango
+     * @param {string} fechaReferencia - Fecha de referencia (YYYY-MM-DD)
      * @param {string} userToken - Token del usuario
+     * @param {string} fechaFinReferencia - Fin del rango de referencia (opcional)
      * @returns {string|null} - ID de la solicitud o null
      */
-    async buscarSolicitudPorFecha(fechaReferencia, userToken) {
+    async buscarSolicitudPorFecha(fechaReferencia, userToken, fechaFinReferencia = null) {
         try {
-            console.log(`🔍 Obteniendo solicitudes para buscar por fecha: ${fechaReferencia}`);
+            logger.info(`🔍 Obteniendo solicitudes para buscar por fecha: ${fechaReferencia}`);
             const solicitudes = await this.obtenerSolicitudesUsuario(userToken);
-            console.log(`📋 Total de solicitudes encontradas: ${solicitudes.length}`);
+            logger.info(`📋 Total de solicitudes encontradas: ${solicitudes.length}`);
             
             if (solicitudes.length === 0) {
-                console.log('⚠️ No hay solicitudes para buscar');
+                logger.info('⚠️ No hay solicitudes para buscar');
                 return null;
             }
             
             // Mostrar todas las solicitudes para debugging
             solicitudes.forEach((solicitud, index) => {
-                console.log(`📝 Solicitud ${index + 1}:`, {
+                logger.info(`📝 Solicitud ${index + 1}:`, {
                     id: solicitud.id,
                     fechaSalida: solicitud.fechaSalida,
                     fechaRegreso: solicitud.fechaRegreso,
@@ -1565,32 +2458,40 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 });
             });
             
-            // Buscar solicitud que contenga la fecha de referencia
-            const fechaRef = new Date(fechaReferencia);
-            console.log(`🎯 Buscando solicitud que contenga la fecha: ${fechaRef.toISOString()}`);
+            // Buscar solicitud que contenga la fecha (o se traslape con el rango) de referencia
+            const fechaRef = toMexicoDate(fechaReferencia);
+            const fechaFinRef = toMexicoDate(fechaFinReferencia) || fechaRef;
+            if (!fechaRef) {
+                logger.info(`⚠️ Fecha de referencia inválida: ${fechaReferencia}`);
+                return null;
+            }
+            logger.info(`🎯 Buscando solicitud entre: ${fechaRef.toISODate()} y ${fechaFinRef.toISODate()}`);
             
             // Encontrar todas las solicitudes que contengan la fecha
             const solicitudesEncontradas = solicitudes.filter(solicitud => {
-                const fechaSalida = new Date(solicitud.fechaSalida);
-                const fechaRegreso = new Date(solicitud.fechaRegreso);
+                const fechaSalida = toMexicoDate(solicitud.fechaSalida);
+                const fechaRegreso = toMexicoDate(solicitud.fechaRegreso);
+                if (!fechaSalida || !fechaRegreso) {
+                    return false;
+                }
                 
-                const enRango = fechaRef >= fechaSalida && fechaRef <= fechaRegreso;
+                const enRango = fechaRef <= fechaRegreso && fechaFinRef >= fechaSalida;
                 
-                console.log(`🔍 Comparando con solicitud ${solicitud.id}:`, {
+                logger.info(`🔍 Comparando con solicitud ${solicitud.id}:`, {
                     tipo: solicitud.tipoSolicitud,
                     estatus: solicitud.estatus,
-                    fechaSalida: fechaSalida.toISOString(),
-                    fechaRegreso: fechaRegreso.toISOString(),
+                    fechaSalida: fechaSalida.toISODate(),
+                    fechaRegreso: fechaRegreso.toISODate(),
                     enRango: enRango
                 });
                 
                 return enRango;
             });
             
-            console.log(`📊 Solicitudes encontradas para la fecha: ${solicitudesEncontradas.length}`);
+            logger.info(`📊 Solicitudes encontradas para la fecha: ${solicitudesEncontradas.length}`);
             
             if (solicitudesEncontradas.length === 0) {
-                console.log('❌ No se encontraron solicitudes para la fecha especificada');
+                logger.info('❌ No se encontraron solicitudes para la fecha especificada');
                 return null;
             }
             
@@ -1598,7 +2499,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             const solicitudPendiente = solicitudesEncontradas.find(s => s.estatus === 'PENDIENTE');
             const solicitudEncontrada = solicitudPendiente || solicitudesEncontradas[0];
             
-            console.log(`🎯 Solicitud seleccionada:`, {
+            logger.info(`🎯 Solicitud seleccionada:`, {
                 id: solicitudEncontrada.id,
                 tipo: solicitudEncontrada.tipoSolicitud,
                 estatus: solicitudEncontrada.estatus,
@@ -1606,15 +2507,15 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             });
             
             if (solicitudEncontrada) {
-                console.log(`✅ Solicitud encontrada: ${solicitudEncontrada.id}`);
+                logger.info(`✅ Solicitud encontrada: ${solicitudEncontrada.id}`);
                 return solicitudEncontrada.id;
             } else {
-                console.log('❌ No se encontró solicitud para la fecha especificada');
+                logger.info('❌ No se encontró solicitud para la fecha especificada');
                 return null;
             }
             
         } catch (error) {
-            console.error('❌ Error buscando solicitud por fecha:', error.message);
+            logger.error('❌ Error buscando solicitud por fecha:', error.message);
             return null;
         }
     }
@@ -1626,25 +2527,15 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async obtenerSolicitudesUsuario(userToken) {
         try {
-            console.log('📡 Consultando solicitudes del usuario...');
-            const authHeader = `Bearer ${userToken}`;
-            const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/empleado',
-                {
-                    headers: {
-                        'Authorization': authHeader
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info('📡 Consultando solicitudes del usuario...');
+            const solicitudes = await sirhClient.getSolicitudes(userToken);
             
-            console.log(`✅ Respuesta de API de solicitudes (status: ${response.status})`);
-            console.log(`📊 Datos recibidos:`, JSON.stringify(response.data, null, 2));
+            logger.info(`✅ Respuesta de API de solicitudes (${solicitudes.length} solicitudes)`);
             
-            return response.data || [];
+            return solicitudes;
             
         } catch (error) {
-            console.error('❌ Error obteniendo solicitudes:', {
+            logger.error('❌ Error obteniendo solicitudes:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1662,7 +2553,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async consultarSolicitudesDependientes(context, userId) {
         try {
-            console.log('📈 Consultando solicitudes de dependientes...');
+            logger.info('📈 Consultando solicitudes de dependientes...');
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance;
@@ -1670,38 +2561,27 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
+                logger.info(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
             } else {
-                console.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
                 throw new Error('TOKEN_REQUIRED');
             }
             
-            const authHeader = `Bearer ${userToken}`;
-            console.log(`📡 Consultando solicitudes de dependientes...`);
-            
-            const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/dependientes',
-                {
-                    headers: {
-                        'Authorization': authHeader
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info(`📡 Consultando solicitudes de dependientes...`);
+            const solicitudes = await sirhClient.getSolicitudesDependientes(userToken);
             
-            console.log(`✅ Respuesta de API de dependientes (status: ${response.status})`);
-            console.log(`📊 Datos recibidos:`, JSON.stringify(response.data, null, 2));
+            logger.info(`✅ Respuesta de API de dependientes (${solicitudes.length} solicitudes)`);
             
-            if (!response.data || response.data.length === 0) {
+            if (solicitudes.length === 0) {
                 return `📊 **No tienes solicitudes pendientes de aprobación**\n\n` +
                        `ℹ️ No hay solicitudes de vacaciones de tus reportes directos esperando tu aprobación.`;
             }
             
             // Crear tarjeta con tabla de solicitudes dependientes
-            const solicitudesCard = this.crearTarjetaSolicitudesDependientes(response.data);
+            const solicitudesCard = this.crearTarjetaSolicitudesDependientes(solicitudes);
             
             return {
                 textContent: `📈 **Solicitudes Pendientes de Aprobación**\n\nTus reportes directos tienen las siguientes solicitudes esperando tu decisión:`,
@@ -1709,7 +2589,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             };
             
         } catch (error) {
-            console.error('❌ Error consultando solicitudes de dependientes:', {
+            logger.error('❌ Error consultando solicitudes de dependientes:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1736,16 +2616,249 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
         }
     }
 
+    /**
+     * Consulta el calendario de ausencias del equipo (reportes directos) por semana
+     * @param {Object} parametros - { semanas, fechaInicio }
+     * @param {Object} context - Contexto del bot
+     * @param {string} userId - ID del usuario
+     * @returns {Object|string} - Tarjeta con el calendario o mensaje
+     */
+    async consultarCalendarioEquipo(parametros, context, userId) {
+        try {
+            logger.info('📅 Consultando calendario del equipo...', parametros);
+            
+            const bot = global.botInstance;
+            let userToken = null;
+            
+            if (bot && typeof bot.getUserOAuthToken === 'function') {
+                userToken = await bot.getUserOAuthToken(context, userId);
+            }
+            
+            if (!userToken) {
+                throw new Error('TOKEN_REQUIRED');
+            }
+            
+            const solicitudes = await sirhClient.getSolicitudesDependientes(userToken);
+            const semanas = Math.min(Math.max(parseInt(parametros.semanas, 10) || 4, 1), 12);
+            const calendario = teamCalendar.buildWeeklyOverlaps(solicitudes, {
+                from: parametros.fechaInicio,
+                weeks: semanas
+            });
+            
+            const hayAusencias = calendario.some(semana => semana.maxAusentes > 0);
+            if (!hayAusencias) {
+                return `📅 **Sin ausencias en tu equipo**\n\n` +
+                       `ℹ️ No hay vacaciones autorizadas ni pendientes de tus reportes directos en las próximas ${semanas} semanas.`;
+            }
+            
+            const traslapes = calendario.filter(semana => semana.hasOverlap).length;
+            return {
+                textContent: `📅 **Calendario del equipo** (${semanas} semanas)\n\n` +
+                             (traslapes > 0
+                                 ? `⚠️ Hay ${traslapes} semana(s) con ausencias que se traslapan.`
+                                 : `✅ No hay ausencias traslapadas.`),
+                card: this.crearTarjetaCalendarioEquipo(calendario)
+            };
+            
+        } catch (error) {
+            logger.error('❌ Error consultando calendario del equipo:', {
+                message: error.message,
+                status: error.response?.status
+            });
+            
+            if (error.message === 'TOKEN_REQUIRED') {
+                throw error;
+            }
+            
+            if (error.response?.status === 403) {
+                return `❌ **Sin permisos (403)**\n\n` +
+                       `**Problema**: No tienes permisos para consultar las solicitudes de tu equipo\n` +
+                       `**Posible causa**: No eres supervisor o jefe de área`;
+            }
+            
+            return `❌ **Error al consultar el calendario del equipo**: ${error.message}`;
+        }
+    }
+
+    /**
+     * Crea tarjeta adaptativa con las ausencias del equipo por semana
+     * @param {Array} calendario - Resultado de teamCalendar.buildWeeklyOverlaps
+     * @returns {Object} - Tarjeta adaptativa
+     */
+    crearTarjetaCalendarioEquipo(calendario) {
+        const formatearDia = (fecha) => DateTime.fromISO(fecha, { zone: 'America/Mexico_City' })
+            .setLocale('es')
+            .toFormat('ccc dd/LL');
+        
+        const semanas = calendario.map(semana => {
+            const dias = semana.days.map(dia => {
+                const nombres = dia.ausentes
+                    .map(a => a.estatus === 'PENDIENTE' ? `${a.empleado} (pendiente)` : a.empleado)
+                    .join(', ');
+                
+                return {
+                    type: 'ColumnSet',
+                    columns: [
+                        {
+                            type: 'Column',
+                            width: 1,
+                            items: [{
+                                type: 'TextBlock',
+                                text: formatearDia(dia.date),
+                                size: 'Small',
+                                weight: 'Bolder'
+                            }]
+                        },
+                        {
+                            type: 'Column',
+                            width: 4,
+                            items: [{
+                                type: 'TextBlock',
+                                text: dia.festivo ? `🎉 ${dia.festivo}` : (nombres || '—'),
+                                size: 'Small',
+                                wrap: true,
+                                color: dia.ausentes.length > 1 ? 'Warning' : 'Default'
+                            }]
+                        }
+                    ]
+                };
+            });
+            
+            return {
+                type: 'Container',
+                style: semana.hasOverlap ? 'warning' : 'default',
+                separator: true,
+                items: [
+                    {
+                        type: 'TextBlock',
+                        text: `Semana del ${formatearDia(semana.weekStart)} al ${formatearDia(semana.weekEnd)}` +
+                              (semana.hasOverlap ? ` · ⚠️ hasta ${semana.maxAusentes} ausentes` : ''),
+                        weight: 'Bolder',
+                        size: 'Small'
+                    },
+                    ...dias
+                ]
+            };
+        });
+        
+        const adaptiveCard = {
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: '📅 Calendario del Equipo',
+                    size: 'Large',
+                    weight: 'Bolder',
+                    color: 'Accent'
+                },
+                {
+                    type: 'TextBlock',
+                    text: 'Ausencias autorizadas y pendientes de tus reportes directos en días hábiles (se marcan los festivos).',
+                    size: 'Small',
+                    isSubtle: true,
+                    wrap: true
+                },
+                ...semanas
+            ]
+        };
+        
+        return CardFactory.adaptiveCard(adaptiveCard);
+    }
+
+    /**
+     * Verifica si autorizar una o varias solicitudes deja al equipo por debajo del mínimo configurado
+     * @param {string|string[]} idSolicitud - ID(s) de la(s) solicitud(es) a autorizar
+     * @param {string} nombreEmpleado - Nombre del empleado (para la tarjeta, solo una solicitud)
+     * @param {string} userToken - Token del usuario
+     * @param {Object} confirmarData - Data del botón "Aprobar de todos modos" (por defecto autoriza la solicitud única)
+     * @returns {Object|null} - Advertencia { textContent, card } o null si no hay conflicto
+     */
+    async verificarCoberturaEquipo(idSolicitud, nombreEmpleado, userToken, confirmarData = null) {
+        let solicitudes;
+        try {
+            solicitudes = await sirhClient.getSolicitudesDependientes(userToken);
+        } catch (error) {
+            // La verificación es informativa: si falla, no bloquea la autorización
+            logger.warn('⚠️ No se pudo verificar la cobertura del equipo:', error.message);
+            return null;
+        }
+        
+        const conflictos = teamCalendar.findHeadcountConflicts(solicitudes, idSolicitud);
+        if (conflictos.length === 0) {
+            return null;
+        }
+        
+        const ids = Array.isArray(idSolicitud) ? idSolicitud : [idSolicitud];
+        const solicitud = solicitudes.find(s => String(s.id) === String(ids[0]));
+        const empleado = nombreEmpleado || solicitud?.nombreSocio || 'el empleado';
+        const descripcion = ids.length > 1
+            ? `las ${ids.length} solicitudes seleccionadas`
+            : `las vacaciones de ${empleado}`;
+        const minimo = teamCalendar.DEFAULT_CONFIG.minHeadcount;
+        logger.info(`⚠️ Autorizar ${ids.join(', ')} deja ${conflictos.length} día(s) por debajo de ${minimo} presentes`);
+        
+        const facts = conflictos.map(dia => ({
+            title: DateTime.fromISO(dia.date, { zone: 'America/Mexico_City' }).setLocale('es').toFormat('ccc dd/LL'),
+            value: `${Math.max(dia.presentes, 0)} presente(s) · fuera: ${dia.ausentes.join(', ')}`
+        }));
+        
+        const card = CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: '⚠️ Cobertura mínima del equipo',
+                    size: 'Large',
+                    weight: 'Bolder',
+                    color: 'Warning'
+                },
+                {
+                    type: 'TextBlock',
+                    text: `Si autorizas ${descripcion}, el equipo quedaría con menos de ${minimo} persona(s) disponibles estos días:`,
+                    wrap: true
+                },
+                {
+                    type: 'FactSet',
+                    facts
+                }
+            ],
+            actions: [
+                {
+                    type: 'Action.Submit',
+                    title: '✅ Aprobar de todos modos',
+                    data: confirmarData || {
+                        action: 'autorizar_solicitud',
+                        idSolicitud,
+                        nombreEmpleado: empleado,
+                        forzar: true
+                    },
+                    style: 'positive'
+                }
+            ]
+        });
+        
+        return {
+            textContent: `⚠️ **${ids.length > 1 ? 'Las solicitudes no se han autorizado' : 'La solicitud no se ha autorizado'} todavía**\n\n` +
+                         `${ids.length > 1 ? 'Autorizarlas' : 'Autorizarla'} dejaría al equipo por debajo del mínimo de ${minimo} persona(s) en ${conflictos.length} día(s). ` +
+                         `Revisa la tarjeta y confirma si deseas aprobarla de todos modos.`,
+            card
+        };
+    }
+
     /**
      * Autoriza una solicitud de vacaciones de un dependiente
      * @param {Object} parametros - Parámetros de la función
      * @param {Object} context - Contexto del bot
      * @param {string} userId - ID del usuario
-     * @returns {string} - Resultado de la autorización
+     * @returns {string|Object} - Resultado de la autorización o advertencia de cobertura con tarjeta
      */
     async autorizarSolicitudDependiente(parametros, context, userId) {
         try {
-            console.log('✅ Autorizando solicitud de dependiente...', parametros);
+            logger.info('✅ Autorizando solicitud de dependiente...', parametros);
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance;
@@ -1753,9 +2866,9 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
+                logger.info(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
             } else {
-                console.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
@@ -1766,7 +2879,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             // Si no se proporcionó ID, buscar por nombre del empleado
             if (!idSolicitud && parametros.nombreEmpleado) {
-                console.log(`🔍 Buscando solicitud por nombre: ${parametros.nombreEmpleado}`);
+                logger.info(`🔍 Buscando solicitud por nombre: ${parametros.nombreEmpleado}`);
                 idSolicitud = await this.buscarSolicitudDependientePorNombre(parametros.nombreEmpleado, userToken);
             }
             
@@ -1775,36 +2888,30 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                        `💡 Especifica el ID de la solicitud o el nombre del empleado`;
             }
             
-            // Realizar la autorización
-            console.log(`📤 Enviando autorización para solicitud ID: ${idSolicitud}`);
-            const authHeader = `Bearer ${userToken}`;
-            const autorizarUrl = `https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/${idSolicitud}/autorizar`;
-            console.log(`🎯 URL de autorización: ${autorizarUrl}`);
-            
-            const response = await axios.put(
-                autorizarUrl,
-                {},
-                {
-                    headers: {
-                        'Authorization': authHeader,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 10000
+            // Advertir si la autorización deja al equipo por debajo del mínimo
+            if (!parametros.forzar) {
+                const advertencia = await this.verificarCoberturaEquipo(idSolicitud, parametros.nombreEmpleado, userToken);
+                if (advertencia) {
+                    return advertencia;
                 }
-            );
+            }
             
-            console.log(`✅ Solicitud autorizada exitosamente (status: ${response.status})`);
-            console.log(`📊 Respuesta de autorización:`, JSON.stringify(response.data, null, 2));
+            // Realizar la autorización
+            logger.info(`📤 Enviando autorización para solicitud ID: ${idSolicitud}`);
+            const data = await sirhClient.autorizarSolicitud(userToken, idSolicitud);
+            
+            logger.info(`✅ Solicitud autorizada exitosamente`);
+            logger.debug(`📊 Respuesta de autorización:`, data);
             
             // Formatear respuesta
-            if (response.data && response.data.message) {
-                return `✅ **Solicitud autorizada exitosamente**\n\n${response.data.message}`;
+            if (data && data.message) {
+                return `✅ **Solicitud autorizada exitosamente**\n\n${data.message}`;
             } else {
                 return `✅ **Solicitud autorizada exitosamente**\n\nLa solicitud de vacaciones ha sido aprobada.`;
             }
             
         } catch (error) {
-            console.error('❌ Error autorizando solicitud:', {
+            logger.error('❌ Error autorizando solicitud:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1828,7 +2935,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async rechazarSolicitudDependiente(parametros, context, userId) {
         try {
-            console.log('❌ Rechazando solicitud de dependiente...', parametros);
+            logger.info('❌ Rechazando solicitud de dependiente...', parametros);
             
             // Obtener token del usuario autenticado
             const bot = global.botInstance;
@@ -1836,9 +2943,9 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             if (bot && typeof bot.getUserOAuthToken === 'function') {
                 userToken = await bot.getUserOAuthToken(context, userId);
-                console.log(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
+                logger.info(`🔑 Token de usuario obtenido: ${userToken ? 'SÍ' : 'NO'}`);
             } else {
-                console.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
+                logger.error('❌ No se pudo obtener instancia del bot o método getUserOAuthToken');
             }
             
             if (!userToken) {
@@ -1849,7 +2956,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             
             // Si no se proporcionó ID, buscar por nombre del empleado
             if (!idSolicitud && parametros.nombreEmpleado) {
-                console.log(`🔍 Buscando solicitud por nombre: ${parametros.nombreEmpleado}`);
+                logger.info(`🔍 Buscando solicitud por nombre: ${parametros.nombreEmpleado}`);
                 idSolicitud = await this.buscarSolicitudDependientePorNombre(parametros.nombreEmpleado, userToken);
             }
             
@@ -1858,36 +2965,36 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                        `💡 Especifica el ID de la solicitud o el nombre del empleado`;
             }
             
+            // El motivo es obligatorio para que el empleado sepa por qué se rechazó
+            const motivo = (parametros.motivo || '').trim();
+            if (!motivo) {
+                return `❓ **Indica el motivo del rechazo**\n\n` +
+                       `El empleado verá este motivo en sus solicitudes. Puedes usar uno de estos o escribir el tuyo:\n\n` +
+                       `${rejectionReasonService.describeReasons()}`;
+            }
+            
             // Realizar el rechazo
-            console.log(`📤 Enviando rechazo para solicitud ID: ${idSolicitud}`);
-            const authHeader = `Bearer ${userToken}`;
-            const rechazarUrl = `https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/${idSolicitud}/rechazar`;
-            console.log(`🎯 URL de rechazo: ${rechazarUrl}`);
-            
-            const response = await axios.put(
-                rechazarUrl,
-                {},
-                {
-                    headers: {
-                        'Authorization': authHeader,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info(`📤 Enviando rechazo para solicitud ID: ${idSolicitud}`);
+            const data = await sirhClient.rechazarSolicitud(userToken, idSolicitud, motivo);
+            
+            logger.info(`✅ Solicitud rechazada exitosamente`);
+            logger.debug(`📊 Respuesta de rechazo:`, data);
             
-            console.log(`✅ Solicitud rechazada exitosamente (status: ${response.status})`);
-            console.log(`📊 Respuesta de rechazo:`, JSON.stringify(response.data, null, 2));
+            try {
+                await rejectionReasonService.save(idSolicitud, motivo, userId);
+            } catch (error) {
+                logger.warn(`⚠️ No se pudo guardar el motivo de rechazo de la solicitud ${idSolicitud}:`, error.message);
+            }
             
             // Formatear respuesta
-            if (response.data && response.data.message) {
-                return `❌ **Solicitud rechazada**\n\n${response.data.message}`;
+            if (data && data.message) {
+                return `❌ **Solicitud rechazada**\n\n${data.message}\n\n💬 **Motivo**: ${motivo}`;
             } else {
-                return `❌ **Solicitud rechazada**\n\nLa solicitud de vacaciones ha sido rechazada.`;
+                return `❌ **Solicitud rechazada**\n\nLa solicitud de vacaciones ha sido rechazada.\n\n💬 **Motivo**: ${motivo}`;
             }
             
         } catch (error) {
-            console.error('❌ Error rechazando solicitud:', {
+            logger.error('❌ Error rechazando solicitud:', {
                 message: error.message,
                 status: error.response?.status,
                 statusText: error.response?.statusText,
@@ -1910,21 +3017,10 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      */
     async buscarSolicitudDependientePorNombre(nombreEmpleado, userToken) {
         try {
-            console.log(`🔍 Buscando solicitud de dependiente por nombre: ${nombreEmpleado}`);
-            
-            const authHeader = `Bearer ${userToken}`;
-            const response = await axios.get(
-                'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/vac/solicitudes/dependientes',
-                {
-                    headers: {
-                        'Authorization': authHeader
-                    },
-                    timeout: 10000
-                }
-            );
+            logger.info(`🔍 Buscando solicitud de dependiente por nombre: ${nombreEmpleado}`);
             
-            const solicitudes = response.data || [];
-            console.log(`📊 Solicitudes de dependientes encontradas: ${solicitudes.length}`);
+            const solicitudes = await sirhClient.getSolicitudesDependientes(userToken);
+            logger.info(`📊 Solicitudes de dependientes encontradas: ${solicitudes.length}`);
             
             // Buscar por nombre (comparación flexible)
             const solicitudEncontrada = solicitudes.find(solicitud => 
@@ -1933,15 +3029,15 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             );
             
             if (solicitudEncontrada) {
-                console.log(`✅ Solicitud encontrada: ${solicitudEncontrada.id} para ${solicitudEncontrada.nombreSocio}`);
+                logger.info(`✅ Solicitud encontrada: ${solicitudEncontrada.id} para ${solicitudEncontrada.nombreSocio}`);
                 return solicitudEncontrada.id;
             } else {
-                console.log(`❌ No se encontró solicitud para el empleado: ${nombreEmpleado}`);
+                logger.info(`❌ No se encontró solicitud para el empleado: ${nombreEmpleado}`);
                 return null;
             }
             
         } catch (error) {
-            console.error('❌ Error buscando solicitud por nombre:', error.message);
+            logger.error('❌ Error buscando solicitud por nombre:', error.message);
             return null;
         }
     }
@@ -1953,6 +3049,10 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      * @returns {string} - Mensaje de error formateado
      */
     manejarErrorAprobacion(error, accion) {
+        if (error.code === 'SIRH_RATE_LIMITED') {
+            return error.message;
+        }
+        
         if (error.response?.status === 400) {
             const errorData = error.response.data;
             let errorMessage = `❌ **No se puede ${accion} la solicitud**\n\n`;
@@ -1998,7 +3098,13 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
     crearTarjetaSolicitudesDependientes(solicitudes) {
         const { CardFactory } = require('botbuilder');
         
-        // Crear filas de la tabla
+        // Nombres por id para el resumen de acciones masivas
+        const nombres = {};
+        solicitudes.forEach(solicitud => {
+            nombres[solicitud.id] = solicitud.nombreSocio || 'N/A';
+        });
+        
+        // Crear filas de la tabla (con selección para acciones masivas)
         const filas = solicitudes.map(solicitud => {
             const fechaSalida = new Date(solicitud.fechaSalida).toLocaleDateString('es-MX', {
                 day: '2-digit',
@@ -2014,6 +3120,16 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             return {
                 type: 'TableRow',
                 cells: [
+                    {
+                        type: 'TableCell',
+                        items: [{
+                            type: 'Input.Toggle',
+                            id: `seleccion_${solicitud.id}`,
+                            title: ' ',
+                            valueOn: 'true',
+                            valueOff: 'false'
+                        }]
+                    },
                     {
                         type: 'TableCell',
                         items: [{
@@ -2064,14 +3180,23 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                                     style: 'positive'
                                 },
                                 {
-                                    type: 'Action.Submit',
+                                    type: 'Action.ShowCard',
                                     title: '❌ Rechazar',
-                                    data: {
-                                        action: 'rechazar_solicitud',
-                                        idSolicitud: solicitud.id,
-                                        nombreEmpleado: solicitud.nombreSocio
-                                    },
-                                    style: 'destructive'
+                                    style: 'destructive',
+                                    card: {
+                                        type: 'AdaptiveCard',
+                                        body: rejectionReasonService.createReasonInputs(solicitud.id),
+                                        actions: [{
+                                            type: 'Action.Submit',
+                                            title: 'Confirmar rechazo',
+                                            data: {
+                                                action: 'rechazar_solicitud',
+                                                idSolicitud: solicitud.id,
+                                                nombreEmpleado: solicitud.nombreSocio
+                                            },
+                                            style: 'destructive'
+                                        }]
+                                    }
                                 }
                             ]
                         }]
@@ -2095,6 +3220,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                 {
                     type: 'Table',
                     columns: [
+                        { width: 1 },
                         { width: 2 },
                         { width: 1 },
                         { width: 2 },
@@ -2106,6 +3232,15 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                             type: 'TableRow',
                             style: 'accent',
                             cells: [
+                                {
+                                    type: 'TableCell',
+                                    items: [{
+                                        type: 'TextBlock',
+                                        text: '✔',
+                                        weight: 'Bolder',
+                                        size: 'Small'
+                                    }]
+                                },
                                 {
                                     type: 'TableCell',
                                     items: [{
@@ -2158,6 +3293,29 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
                         ...filas
                     ]
                 }
+            ],
+            actions: [
+                {
+                    type: 'Action.Submit',
+                    title: '✅ Aprobar seleccionadas',
+                    data: { action: 'autorizar_seleccionadas', nombres },
+                    style: 'positive'
+                },
+                {
+                    type: 'Action.ShowCard',
+                    title: '❌ Rechazar seleccionadas',
+                    style: 'destructive',
+                    card: {
+                        type: 'AdaptiveCard',
+                        body: rejectionReasonService.createReasonInputs('masivo'),
+                        actions: [{
+                            type: 'Action.Submit',
+                            title: 'Confirmar rechazo',
+                            data: { action: 'rechazar_seleccionadas', nombres },
+                            style: 'destructive'
+                        }]
+                    }
+                }
             ]
         };
         
@@ -2253,7 +3411,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      * Maneja errores de OpenAI con mejor información
      */
     manejarErrorOpenAI(error) {
-        console.error('🚨 Error detallado de OpenAI:', {
+        logger.error('🚨 Error detallado de OpenAI:', {
             message: error.message,
             code: error.code,
             type: error.type,
@@ -2314,7 +3472,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
      * Fuerza reinicialización
      */
     async forceReinitialize() {
-        console.log('🔄 Forzando reinicialización de OpenAI Service...');
+        logger.info('🔄 Forzando reinicialización de OpenAI Service...');
         
         this.initialized = false;
         this.openaiAvailable = false;
@@ -2328,7 +3486,7 @@ Fecha actual: ${DateTime.now().setZone('America/Mexico_City').toFormat('dd/MM/yy
             await this.testOpenAIConnection();
         }
         
-        console.log(`✅ Reinicialización completada - Disponible: ${this.openaiAvailable}`);
+        logger.info(`✅ Reinicialización completada - Disponible: ${this.openaiAvailable}`);
         
         return this.getDiagnosticInfo();
     }
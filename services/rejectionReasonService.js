@@ -0,0 +1,127 @@
+// rejectionReasonService.js - Motivos de rechazo de solicitudes de vacaciones
+
+const { getStateStorage } = require('./storage');
+require('dotenv').config();
+
+const STORAGE_PREFIX = 'rejectionReasons/';
+const OTHER_REASON = 'otro';
+
+/**
+ * Motivos predefinidos (REJECTION_REASONS los sustituye, separados por "|")
+ */
+const DEFAULT_REASONS = [
+    'Carga de trabajo del equipo',
+    'Traslape con vacaciones de otro integrante',
+    'Fechas en periodo crítico',
+    'Días disponibles insuficientes',
+    'Solicitud con poca anticipación'
+];
+
+/**
+ * Catálogo de motivos de rechazo y registro del motivo de cada solicitud
+ * rechazada. El motivo se guarda siempre junto a la decisión para mostrarlo
+ * al empleado, aunque SIRH también lo reciba.
+ */
+class RejectionReasonService {
+    constructor() {
+        const configured = (process.env.REJECTION_REASONS || '')
+            .split('|')
+            .map(reason => reason.trim())
+            .filter(Boolean);
+        this.reasons = configured.length > 0 ? configured : DEFAULT_REASONS;
+    }
+
+    /**
+     * Opciones para un Input.ChoiceSet (incluye "Otro")
+     */
+    getChoices() {
+        return [
+            ...this.reasons.map(reason => ({ title: reason, value: reason })),
+            { title: 'Otro (especificar)', value: OTHER_REASON }
+        ];
+    }
+
+    /**
+     * Elementos de la tarjeta para capturar el motivo
+     * @param {string} suffix - Sufijo para que los ids sean únicos en la tarjeta
+     */
+    createReasonInputs(suffix) {
+        return [
+            {
+                type: 'Input.ChoiceSet',
+                id: `motivo_${suffix}`,
+                label: 'Motivo del rechazo',
+                style: 'compact',
+                isRequired: true,
+                errorMessage: 'Selecciona un motivo',
+                choices: this.getChoices()
+            },
+            {
+                type: 'Input.Text',
+                id: `motivoTexto_${suffix}`,
+                label: 'Comentario para el empleado (obligatorio si elegiste "Otro")',
+                isMultiline: true,
+                maxLength: 500
+            }
+        ];
+    }
+
+    /**
+     * Arma el motivo final a partir de los inputs enviados por la tarjeta
+     * @returns {string|null} - Motivo o null si falta información
+     */
+    resolveFromSubmit(submitData, suffix) {
+        const selected = (submitData[`motivo_${suffix}`] || '').trim();
+        const comment = (submitData[`motivoTexto_${suffix}`] || '').trim();
+
+        if (!selected || selected === OTHER_REASON) {
+            return comment || null;
+        }
+
+        return comment ? `${selected}: ${comment}` : selected;
+    }
+
+    /**
+     * Texto con los motivos predefinidos (para respuestas en chat)
+     */
+    describeReasons() {
+        return this.reasons.map(reason => `• ${reason}`).join('\n');
+    }
+
+    /**
+     * Guarda el motivo de rechazo de una solicitud
+     */
+    async save(idSolicitud, motivo, rechazadoPor) {
+        await getStateStorage().write({
+            [`${STORAGE_PREFIX}${idSolicitud}`]: {
+                idSolicitud: String(idSolicitud),
+                motivo,
+                rechazadoPor: rechazadoPor || null,
+                fecha: new Date().toISOString(),
+                eTag: '*'
+            }
+        });
+    }
+
+    /**
+     * Obtiene los motivos guardados de varias solicitudes
+     * @param {Array} ids - Ids de solicitudes
+     * @returns {Promise<Object>} - { idSolicitud: motivo }
+     */
+    async getMany(ids) {
+        if (!ids || ids.length === 0) {
+            return {};
+        }
+
+        const keys = ids.map(id => `${STORAGE_PREFIX}${id}`);
+        const items = await getStateStorage().read(keys);
+
+        const motivos = {};
+        Object.values(items).forEach(item => {
+            motivos[item.idSolicitud] = item.motivo;
+        });
+        return motivos;
+    }
+}
+
+module.exports = new RejectionReasonService();
@@ -0,0 +1,142 @@
+// searchCache.js - Caché de embeddings y resultados de búsqueda en documentos
+
+const { LruCache } = require('../utilities/lruCache');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('searchCache');
+require('dotenv').config();
+
+/**
+ * Configuración de la caché leída de variables de entorno:
+ * - SEARCH_CACHE_ENABLED: 'false' la desactiva
+ * - SEARCH_CACHE_MAX_ENTRIES: entradas máximas por caché (500)
+ * - SEARCH_CACHE_EMBEDDING_TTL_MS: vigencia de embeddings (24 h)
+ * - SEARCH_CACHE_RESULT_TTL_MS: vigencia de resultados (15 min)
+ */
+const DEFAULT_CONFIG = {
+    enabled: process.env.SEARCH_CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES, 10) || 500,
+    embeddingTtlMs: parseInt(process.env.SEARCH_CACHE_EMBEDDING_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    resultTtlMs: parseInt(process.env.SEARCH_CACHE_RESULT_TTL_MS, 10) || 15 * 60 * 1000
+};
+
+/**
+ * Caché de búsquedas en Azure Search. Las claves llevan el nombre del índice
+ * como prefijo para poder invalidar solo ese índice después de re-indexarlo.
+ * Los resultados se devuelven como copia porque el ciclo de agente renumera
+ * las fuentes de cada respuesta.
+ */
+class SearchCache {
+    constructor() {
+        this.config = { ...DEFAULT_CONFIG };
+        this.embeddings = new LruCache({
+            name: 'embeddings',
+            maxEntries: this.config.maxEntries,
+            ttlMs: this.config.embeddingTtlMs
+        });
+        this.results = new LruCache({
+            name: 'results',
+            maxEntries: this.config.maxEntries,
+            ttlMs: this.config.resultTtlMs
+        });
+        this.purges = [];
+    }
+
+    /**
+     * Normaliza una consulta: minúsculas, espacios simples y sin signos en los extremos
+     */
+    normalizeQuery(query) {
+        return String(query || '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s¿¡"'.,;:!?]+|[\s"'.,;:!?]+$/g, '');
+    }
+
+    buildKey(indexName, ...parts) {
+        return [indexName, ...parts].join('|');
+    }
+
+    /**
+     * Obtiene un embedding de la caché o lo calcula
+     * @param {string} indexName - Índice de búsqueda
+     * @param {string} query - Consulta del usuario
+     * @param {string} model - Modelo/dimensiones del embedding (parte de la clave)
+     * @param {Function} compute - async () => number[]
+     * @returns {Promise<number[]>} - Vector del embedding
+     */
+    async getEmbedding(indexName, query, model, compute) {
+        if (!this.config.enabled) {
+            return await compute();
+        }
+
+        const key = this.buildKey(indexName, model, this.normalizeQuery(query));
+        const cached = this.embeddings.get(key);
+        if (cached) {
+            logger.info(`⚡ Embedding desde caché: "${this.normalizeQuery(query)}"`);
+            return cached;
+        }
+
+        const vector = await compute();
+        this.embeddings.set(key, vector);
+        return vector;
+    }
+
+    /**
+     * Obtiene resultados de búsqueda de la caché o los calcula. Solo se guardan
+     * resultados estructurados (objetos); los mensajes de error no se guardan
+     * @param {string} indexName - Índice de búsqueda
+     * @param {string} query - Consulta del usuario
+     * @param {Function} compute - async () => resultado
+     * @returns {Promise<*>} - Resultado (copia si viene de caché)
+     */
+    async getResults(indexName, query, compute) {
+        if (!this.config.enabled) {
+            return await compute();
+        }
+
+        const key = this.buildKey(indexName, this.normalizeQuery(query));
+        const cached = this.results.get(key);
+        if (cached) {
+            logger.info(`⚡ Resultados de búsqueda desde caché: "${this.normalizeQuery(query)}"`);
+            return structuredClone(cached);
+        }
+
+        const result = await compute();
+        if (result && typeof result === 'object') {
+            this.results.set(key, structuredClone(result));
+        }
+        return result;
+    }
+
+    /**
+     * Purga la caché de un índice o completa
+     * @param {string|null} indexName - Índice a invalidar (todos si se omite)
+     * @returns {Object} - { indexName, embeddings, results } entradas eliminadas
+     */
+    purge(indexName = null) {
+        const prefix = indexName ? `${indexName}|` : null;
+        const summary = {
+            indexName: indexName || '*',
+            embeddings: prefix ? this.embeddings.deleteWhere(key => key.startsWith(prefix)) : this.embeddings.clear(),
+            results: prefix ? this.results.deleteWhere(key => key.startsWith(prefix)) : this.results.clear(),
+            purgedAt: new Date().toISOString()
+        };
+
+        this.purges = [summary, ...this.purges].slice(0, 10);
+        logger.info(`🧹 Caché de búsqueda purgada (${summary.indexName}): ${summary.embeddings} embeddings, ${summary.results} resultados`);
+        return summary;
+    }
+
+    /**
+     * Obtiene estadísticas de la caché
+     */
+    getStats() {
+        return {
+            enabled: this.config.enabled,
+            embeddings: this.embeddings.getStats(),
+            results: this.results.getStats(),
+            lastPurges: this.purges
+        };
+    }
+}
+
+module.exports = new SearchCache();
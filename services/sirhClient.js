@@ -0,0 +1,206 @@
+// sirhClient.js - Cliente de la API SIRH (empleado y solicitudes de vacaciones)
+
+const sirhConfig = require('../config/sirhConfig');
+const { executeWithRetry, formatAuthHeader } = require('../utilities/http_utils');
+const { getUserHash } = require('../utilities/logger');
+
+/**
+ * Cliente único para la API SIRH. Las URLs salen de sirhConfig y las
+ * peticiones pasan por executeWithRetry (reintentos con backoff).
+ * Los errores HTTP conservan error.response para que los llamadores
+ * puedan distinguir 400/401/403/404.
+ *
+ * Cada escritura consume una ficha del bucket sirh_write del usuario del
+ * turno (limitador registrado por el bot con useRateLimiter); si no hay
+ * fichas se lanza un error con code SIRH_RATE_LIMITED y el mensaje para el usuario.
+ */
+class SirhClient {
+    constructor() {
+        this.rateLimiter = null;
+    }
+
+    /**
+     * Registra el limitador de frecuencia compartido con el bot
+     */
+    useRateLimiter(rateLimiter) {
+        this.rateLimiter = rateLimiter;
+    }
+
+    /**
+     * Consume fichas de escritura del usuario del turno en curso. Fuera de un
+     * turno (trabajos en segundo plano) o sin limitador no se limita
+     * @param {number} count - Escrituras a reservar
+     * @throws {Error} - code SIRH_RATE_LIMITED con retryAfterSeconds
+     */
+    consumeWriteTokens(count = 1) {
+        const userHash = getUserHash();
+        if (!this.rateLimiter || !userHash) {
+            return;
+        }
+
+        const result = this.rateLimiter.consume(userHash, 'sirh_write', count);
+        if (!result.allowed) {
+            const error = new Error(this.rateLimiter.getMessage('sirh_write', result.retryAfterSeconds));
+            error.code = 'SIRH_RATE_LIMITED';
+            error.retryAfterSeconds = result.retryAfterSeconds;
+            throw error;
+        }
+    }
+
+    /**
+     * Ejecuta una petición autenticada contra SIRH
+     * @param {string} method - Método HTTP
+     * @param {string} path - Ruta relativa de la API
+     * @param {string} token - Token OAuth del usuario
+     * @param {Object} options - { data, retries }
+     * @returns {Promise<*>} - Cuerpo de la respuesta
+     */
+    async request(method, path, token, options = {}) {
+        const config = {
+            method: method.toLowerCase(),
+            url: sirhConfig.buildUrl(path),
+            headers: {
+                'Authorization': formatAuthHeader(token),
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'User-Agent': 'Alfa-Teams-Bot/1.0'
+            },
+            timeout: sirhConfig.timeout,
+            // Cualquier status fuera de 2xx se trata como error
+            validateStatus: (status) => status >= 200 && status < 300
+        };
+
+        if (options.data !== undefined) {
+            config.data = options.data;
+        }
+
+        return await executeWithRetry(config, options.retries || sirhConfig.maxRetries);
+    }
+
+    /**
+     * Las operaciones de escritura no se reintentan para no duplicar solicitudes
+     * @param {Object} options - { rateLimited } (false si ya se reservó la ficha o es una simulación)
+     */
+    async write(method, path, token, data = {}, options = {}) {
+        if (options.rateLimited !== false) {
+            this.consumeWriteTokens();
+        }
+        return await this.request(method, path, token, { data, retries: 1 });
+    }
+
+    /**
+     * Información del empleado autenticado
+     */
+    async getEmpleado(token) {
+        return await this.request('GET', '/empleado', token);
+    }
+
+    /**
+     * Solicitudes de vacaciones del empleado autenticado
+     */
+    async getSolicitudes(token) {
+        return (await this.request('GET', '/vac/solicitudes/empleado', token)) || [];
+    }
+
+    /**
+     * Solicitudes de los reportes directos del empleado autenticado
+     */
+    async getSolicitudesDependientes(token) {
+        return (await this.request('GET', '/vac/solicitudes/dependientes', token)) || [];
+    }
+
+    /**
+     * Cancela una solicitud propia
+     * @param {Object} options - Opciones de write
+     */
+    async cancelarSolicitud(token, idSolicitud, options = {}) {
+        return await this.write('PUT', `/vac/solicitudes/${encodeURIComponent(idSolicitud)}/cancelar`, token, {}, options);
+    }
+
+    /**
+     * Autoriza una solicitud de un reporte directo
+     */
+    async autorizarSolicitud(token, idSolicitud) {
+        return await this.write('PUT', `/vac/solicitudes/${encodeURIComponent(idSolicitud)}/autorizar`, token);
+    }
+
+    /**
+     * Rechaza una solicitud de un reporte directo. El motivo solo se envía si
+     * SIRH lo acepta (SIRH_REJECT_ACCEPTS_REASON)
+     */
+    async rechazarSolicitud(token, idSolicitud, motivo = null) {
+        const data = motivo && sirhConfig.rejectAcceptsReason
+            ? { [sirhConfig.rejectReasonField]: motivo }
+            : {};
+        return await this.write('PUT', `/vac/solicitudes/${encodeURIComponent(idSolicitud)}/rechazar`, token, data);
+    }
+
+    /**
+     * Solicita (o simula) vacaciones regulares
+     * @param {string} token - Token OAuth del usuario
+     * @param {Object} params - { fechaInicio, fechaFin, medioDia, simular }
+     * @param {Object} options - Opciones de write (una simulación nunca consume fichas)
+     */
+    async solicitarVacaciones(token, { fechaInicio, fechaFin, medioDia = false, simular = true }, options = {}) {
+        const esSimulacion = simular === true || simular === 'true';
+        const path = [
+            '/vac/solicitudes',
+            encodeURIComponent(fechaInicio),
+            encodeURIComponent(fechaFin),
+            String(medioDia === true || medioDia === 'true'),
+            String(esSimulacion)
+        ].join('/');
+
+        return await this.write('POST', path, token, {}, esSimulacion ? { rateLimited: false } : options);
+    }
+
+    /**
+     * Simula una solicitud de vacaciones regulares sin registrarla
+     */
+    async simularVacaciones(token, { fechaInicio, fechaFin, medioDia = false }) {
+        return await this.solicitarVacaciones(token, { fechaInicio, fechaFin, medioDia, simular: true });
+    }
+
+    /**
+     * Interpreta la respuesta de una solicitud o simulación de vacaciones.
+     * SIRH responde 200 con statusCode/success en el cuerpo; sin ellos se
+     * revisan palabras clave del mensaje
+     * @param {*} response - Cuerpo devuelto por SIRH
+     * @returns {Object} - { exitosa, mensaje }
+     */
+    interpretarRespuesta(response) {
+        if (response && typeof response === 'object') {
+            const mensaje = response.message || JSON.stringify(response, null, 2);
+            if (response.statusCode !== undefined) {
+                return { exitosa: response.statusCode >= 200 && response.statusCode < 300, mensaje };
+            }
+            const exitosa = response.success === true ||
+                response.resultado?.toLowerCase() === 'exitoso' ||
+                response.status === 'success' ||
+                response.status === 200;
+            return { exitosa, mensaje };
+        }
+
+        const mensaje = typeof response === 'string' ? response : String(response ?? '');
+        const texto = mensaje.toLowerCase();
+        const exitosa = ['exitos', 'registrada', 'enviad', 'disponible', 'aprobad', 'saldo suficiente']
+            .some(palabra => texto.includes(palabra));
+        return { exitosa, mensaje };
+    }
+
+    /**
+     * Solicita vacaciones por matrimonio
+     */
+    async solicitarMatrimonio(token, fechaMatrimonio) {
+        return await this.write('POST', `/vac/solicitudes/matrimonio/${encodeURIComponent(fechaMatrimonio)}`, token);
+    }
+
+    /**
+     * Solicita vacaciones por nacimiento
+     */
+    async solicitarNacimiento(token, fechaNacimiento) {
+        return await this.write('POST', `/vac/solicitudes/nacimiento/${encodeURIComponent(fechaNacimiento)}`, token);
+    }
+}
+
+module.exports = new SirhClient();
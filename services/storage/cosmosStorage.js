@@ -0,0 +1,150 @@
+// services/storage/cosmosStorage.js - Storage de Bot Framework sobre CosmosDB
+
+const crypto = require('crypto');
+
+/**
+ * Caracteres no permitidos en el id de un documento de Cosmos
+ */
+const INVALID_KEY_CHARS = ['\\', '?', '/', '#', '*'];
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Implementa la interfaz Storage de botbuilder (read/write/delete) sobre un
+ * contenedor de CosmosDB particionado por /id. La concurrencia optimista se
+ * resuelve con el _etag de Cosmos: si el item trae un eTag distinto de '*'
+ * la escritura usa IfMatch y un 412 se reporta como conflicto. Un item con
+ * `ttl` (segundos) caduca con el TTL nativo de Cosmos.
+ */
+class CosmosStateStorage {
+    /**
+     * @param {Object} container - Contenedor de CosmosDB (cosmosConfig.getStateContainer())
+     */
+    constructor(container) {
+        if (!container) {
+            throw new Error('CosmosStateStorage requiere un contenedor de CosmosDB');
+        }
+        this.container = container;
+    }
+
+    /**
+     * Convierte una clave de Bot Framework en un id válido para Cosmos
+     * @param {string} key - Clave original (ej: 'msteams/conversations/abc/')
+     * @returns {string} - Id escapado
+     */
+    static escapeKey(key) {
+        let escaped = '';
+        for (const char of key) {
+            escaped += INVALID_KEY_CHARS.includes(char)
+                ? `*${char.charCodeAt(0).toString(16)}`
+                : char;
+        }
+
+        if (escaped.length > MAX_KEY_LENGTH) {
+            // Truncar y agregar hash para mantener ids únicos
+            const hash = crypto.createHash('sha256').update(key).digest('hex');
+            escaped = `${escaped.substring(0, MAX_KEY_LENGTH - hash.length - 1)}-${hash}`;
+        }
+
+        return escaped;
+    }
+
+    /**
+     * Lee items del storage
+     * @param {string[]} keys - Claves a leer
+     * @returns {Promise<Object>} - Items encontrados indexados por clave
+     */
+    async read(keys) {
+        if (!keys) {
+            throw new ReferenceError('Keys are required when reading.');
+        }
+
+        const data = {};
+        await Promise.all(keys.map(async (key) => {
+            const id = CosmosStateStorage.escapeKey(key);
+            try {
+                const { resource } = await this.container.item(id, id).read();
+                if (resource && resource.document) {
+                    data[key] = { ...resource.document, eTag: resource._etag };
+                }
+            } catch (error) {
+                if (error.code !== 404) {
+                    throw new Error(`Storage: error leyendo "${key}": ${error.message}`);
+                }
+            }
+        }));
+
+        return data;
+    }
+
+    /**
+     * Escribe items en el storage respetando eTags
+     * @param {Object} changes - Items a escribir indexados por clave
+     */
+    async write(changes) {
+        if (!changes) {
+            throw new ReferenceError('Changes are required when writing.');
+        }
+
+        await Promise.all(Object.keys(changes).map(async (key) => {
+            const { eTag, ...document } = changes[key];
+            const id = CosmosStateStorage.escapeKey(key);
+            const doc = {
+                id,
+                realId: key,
+                document,
+                updatedAt: new Date().toISOString(),
+                ...(document.ttl > 0 ? { ttl: document.ttl } : {})
+            };
+
+            try {
+                if (!eTag || eTag === '*') {
+                    await this.container.items.upsert(doc);
+                } else {
+                    await this.replaceOrCreate(id, doc, eTag);
+                }
+            } catch (error) {
+                if (error.code === 412 || error.code === 409) {
+                    throw new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+                }
+                throw new Error(`Storage: error escribiendo "${key}": ${error.message}`);
+            }
+        }));
+    }
+
+    /**
+     * Reemplaza un documento solo si su _etag coincide. Si el documento ya no
+     * existe se crea (mismo comportamiento que MemoryStorage); un 409 indica
+     * que otra instancia lo creó primero.
+     */
+    async replaceOrCreate(id, doc, eTag) {
+        try {
+            await this.container.item(id, id).replace(doc, {
+                accessCondition: { type: 'IfMatch', condition: eTag }
+            });
+        } catch (error) {
+            if (error.code !== 404) {
+                throw error;
+            }
+            await this.container.items.create(doc);
+        }
+    }
+
+    /**
+     * Elimina items del storage
+     * @param {string[]} keys - Claves a eliminar
+     */
+    async delete(keys) {
+        await Promise.all(keys.map(async (key) => {
+            const id = CosmosStateStorage.escapeKey(key);
+            try {
+                await this.container.item(id, id).delete();
+            } catch (error) {
+                if (error.code !== 404) {
+                    throw new Error(`Storage: error eliminando "${key}": ${error.message}`);
+                }
+            }
+        }));
+    }
+}
+
+module.exports = { CosmosStateStorage };
@@ -0,0 +1,175 @@
+// services/storage/fileStorage.js - Storage de Bot Framework en archivos locales (desarrollo)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Implementa la interfaz Storage de botbuilder guardando cada clave en un
+ * archivo JSON. Pensado para desarrollo local: el estado sobrevive reinicios
+ * pero no se comparte entre máquinas. Las escrituras son atómicas (archivo
+ * temporal + rename) y se serializan por clave dentro del proceso. Un item con
+ * `ttl` (segundos) deja de leerse al caducar y se borra en la limpieza periódica.
+ */
+class FileStateStorage {
+    /**
+     * @param {string} directory - Carpeta donde se guardan los archivos de estado
+     */
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.locks = new Map();
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        this.pruneTimer = setInterval(() => this.pruneExpired().catch(() => {}), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Indica si un registro ya caducó
+     */
+    isExpired(record) {
+        return !!record.expiresAt && record.expiresAt <= new Date().toISOString();
+    }
+
+    /**
+     * Borra los archivos de items caducados
+     * @returns {Promise<number>} - Archivos eliminados
+     */
+    async pruneExpired() {
+        let removed = 0;
+        const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            try {
+                const record = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+                if (this.isExpired(record)) {
+                    await this.delete([record.key]);
+                    removed++;
+                }
+            } catch (error) {
+                // Archivo en escritura o ilegible: se revisa en la siguiente limpieza
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Ruta del archivo para una clave (hash para evitar caracteres inválidos)
+     */
+    getFilePath(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    /**
+     * Lee el registro guardado para una clave
+     * @returns {Promise<Object|null>} - { key, eTag, document } o null
+     */
+    async readRecord(key) {
+        try {
+            const content = await fs.promises.readFile(this.getFilePath(key), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Storage: error leyendo "${key}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Ejecuta una operación con exclusión por clave
+     */
+    async withLock(key, operation) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(operation);
+        this.locks.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(key) === current) {
+                this.locks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Lee items del storage
+     * @param {string[]} keys - Claves a leer
+     * @returns {Promise<Object>} - Items encontrados indexados por clave
+     */
+    async read(keys) {
+        if (!keys) {
+            throw new ReferenceError('Keys are required when reading.');
+        }
+
+        const data = {};
+        for (const key of keys) {
+            const record = await this.readRecord(key);
+            if (record && !this.isExpired(record)) {
+                data[key] = { ...record.document, eTag: record.eTag };
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Escribe items en el storage respetando eTags
+     * @param {Object} changes - Items a escribir indexados por clave
+     */
+    async write(changes) {
+        if (!changes) {
+            throw new ReferenceError('Changes are required when writing.');
+        }
+
+        for (const key of Object.keys(changes)) {
+            await this.withLock(key, async () => {
+                const { eTag, ...document } = changes[key];
+                const stored = await this.readRecord(key);
+                const existing = stored && !this.isExpired(stored) ? stored : null;
+
+                if (existing && eTag && eTag !== '*' && eTag !== existing.eTag) {
+                    throw new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+                }
+
+                const record = {
+                    key,
+                    eTag: crypto.randomUUID(),
+                    updatedAt: new Date().toISOString(),
+                    ...(document.ttl > 0 ? { expiresAt: new Date(Date.now() + document.ttl * 1000).toISOString() } : {}),
+                    document
+                };
+
+                const filePath = this.getFilePath(key);
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, JSON.stringify(record), 'utf8');
+                await fs.promises.rename(tempPath, filePath);
+            });
+        }
+    }
+
+    /**
+     * Elimina items del storage
+     * @param {string[]} keys - Claves a eliminar
+     */
+    async delete(keys) {
+        for (const key of keys) {
+            await this.withLock(key, async () => {
+                try {
+                    await fs.promises.unlink(this.getFilePath(key));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw new Error(`Storage: error eliminando "${key}": ${error.message}`);
+                    }
+                }
+            });
+        }
+    }
+}
+
+module.exports = { FileStateStorage };
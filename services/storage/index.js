@@ -0,0 +1,113 @@
+// services/storage/index.js - Selección del storage para el estado del bot
+
+const { MemoryStorage } = require('botbuilder');
+const { CosmosStateStorage } = require('./cosmosStorage');
+const { FileStateStorage } = require('./fileStorage');
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('storage');
+require('dotenv').config();
+
+/**
+ * eTag para crear un item solo si no existe: no coincide con ningún eTag real,
+ * así que la escritura falla por conflicto si otra instancia lo creó primero
+ * (MemoryStorage, FileStateStorage y CosmosStateStorage lo respetan)
+ */
+const NEW_ITEM_ETAG = 'new-item';
+
+let stateStorage = null;
+let stateStorageType = null;
+
+/**
+ * Tipo de storage solicitado. BOT_STATE_STORAGE acepta cosmos | file | memory;
+ * si no se define se usa Cosmos cuando está configurado y archivos en desarrollo.
+ */
+function resolveStorageType() {
+    const requested = (process.env.BOT_STATE_STORAGE || '').trim().toLowerCase();
+    if (requested) {
+        return requested;
+    }
+
+    if (process.env.COSMOSDB_ENDPOINT && process.env.COSMOSDB_KEY) {
+        return 'cosmos';
+    }
+
+    return process.env.NODE_ENV === 'production' ? 'memory' : 'file';
+}
+
+/**
+ * Crea el storage de Cosmos esperando la inicialización de la cuenta
+ */
+async function createCosmosStorage() {
+    const cosmosConfig = require('../../config/cosmosConfigs');
+    await cosmosConfig.initializationPromise;
+
+    if (!cosmosConfig.isAvailable()) {
+        throw new Error('CosmosDB no disponible');
+    }
+
+    return new CosmosStateStorage(cosmosConfig.getStateContainer());
+}
+
+/**
+ * Crea (una sola vez) el storage de estado del bot. Si el backend solicitado
+ * falla se usa MemoryStorage para que el bot siga funcionando.
+ * @returns {Promise<Object>} - Implementación de Storage de botbuilder
+ */
+async function createStateStorage() {
+    if (stateStorage) {
+        return stateStorage;
+    }
+
+    const type = resolveStorageType();
+
+    try {
+        switch (type) {
+            case 'cosmos':
+                stateStorage = await createCosmosStorage();
+                break;
+            case 'file':
+                stateStorage = new FileStateStorage(process.env.BOT_STATE_DIR || '.botstate');
+                break;
+            case 'memory':
+                stateStorage = new MemoryStorage();
+                break;
+            default:
+                throw new Error(`BOT_STATE_STORAGE desconocido: ${type}`);
+        }
+        stateStorageType = type;
+    } catch (error) {
+        logger.warn(`⚠️ No se pudo crear storage de estado '${type}': ${error.message}. Usando memoria.`);
+        stateStorage = new MemoryStorage();
+        stateStorageType = 'memory';
+    }
+
+    logger.info(`💾 Storage de estado del bot: ${stateStorageType}`);
+    return stateStorage;
+}
+
+/**
+ * Obtiene el storage ya creado
+ */
+function getStateStorage() {
+    if (!stateStorage) {
+        throw new Error('Storage de estado no inicializado');
+    }
+    return stateStorage;
+}
+
+/**
+ * Información del storage activo
+ */
+function getStateStorageInfo() {
+    return {
+        type: stateStorageType,
+        initialized: !!stateStorage
+    };
+}
+
+module.exports = {
+    NEW_ITEM_ETAG,
+    createStateStorage,
+    getStateStorage,
+    getStateStorageInfo
+};
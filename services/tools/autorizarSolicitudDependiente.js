@@ -0,0 +1,32 @@
+// services/tools/autorizarSolicitudDependiente.js - Autorización de solicitudes de reportes directos
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('autorizarSolicitudDependiente');
+
+module.exports = {
+    name: 'autorizar_solicitud_dependiente',
+    description: 'Autoriza/aprueba una solicitud de vacaciones de un reporte directo. Usar cuando el usuario quiera aprobar, autorizar o dar visto bueno a una solicitud.',
+    parameters: {
+        type: 'object',
+        properties: {
+            idSolicitud: {
+                type: 'string',
+                description: 'ID de la solicitud a autorizar'
+            },
+            nombreEmpleado: {
+                type: 'string',
+                description: 'Nombre del empleado mencionado por el usuario para identificar la solicitud'
+            },
+            forzar: {
+                type: 'boolean',
+                description: 'true solo si el usuario ya vio la advertencia de cobertura mínima del equipo y confirmó que quiere aprobar de todos modos'
+            }
+        }
+    },
+    requiresAuth: true,
+    authDescription: 'autorizar solicitudes de tus empleados',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`✅ Ejecutando autorizar_solicitud_dependiente con parámetros:`, parametros);
+        return await service.autorizarSolicitudDependiente(parametros, context, userId);
+    }
+};
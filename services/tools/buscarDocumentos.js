@@ -0,0 +1,37 @@
+// services/tools/buscarDocumentos.js - Búsqueda en documentos corporativos (Azure Search)
+
+// Categorías válidas del índice (SEARCH_CATEGORIES, separadas por coma); sin configurar es texto libre
+const CATEGORIAS = (process.env.SEARCH_CATEGORIES || '')
+    .split(',')
+    .map(categoria => categoria.trim())
+    .filter(Boolean);
+
+module.exports = {
+    name: 'buscar_documentos',
+    description: 'HERRAMIENTA PRINCIPAL - Busca información en documentos corporativos oficiales de Alfa. Úsala para: políticas, procedimientos, códigos de conducta, beneficios, prestaciones, reglamentos, normativas, manuales, guías y cualquier información corporativa. SIEMPRE usa esta herramienta antes de responder preguntas sobre la empresa.',
+    parameters: {
+        type: 'object',
+        properties: {
+            consulta: {
+                type: 'string',
+                description: "Texto a buscar en documentos (ej: 'código vestimenta', 'política vacaciones', 'horario trabajo', 'beneficios', etc.)"
+            },
+            categoria: {
+                type: 'string',
+                description: 'Opcional. Categoría o área de los documentos para acotar la búsqueda (ej: recursos humanos, seguridad, beneficios). Omitir si la pregunta no corresponde claramente a una sola área.',
+                ...(CATEGORIAS.length > 0 ? { enum: CATEGORIAS } : {})
+            }
+        },
+        required: ['consulta']
+    },
+    // Solo se ofrece si Azure Search quedó inicializado
+    isAvailable: (service) => service.searchAvailable,
+    // La empresa del empleado se aplica automáticamente a partir de su perfil
+    handler: async (parametros, { service, context, userId, historial }) =>
+        await service.buscarEnDocumentos(parametros.consulta, {
+            historial,
+            categoria: parametros.categoria,
+            context,
+            userId
+        })
+};
@@ -0,0 +1,16 @@
+// services/tools/buscarEmpleado.js - Directorio de empleados (Bubble)
+
+module.exports = {
+    name: 'buscar_empleado',
+    description: 'Busca empleados en el directorio',
+    parameters: {
+        type: 'object',
+        properties: {
+            nombre: { type: 'string', description: 'Nombre del empleado' },
+            apellido: { type: 'string', description: 'Apellido del empleado' }
+        },
+        required: ['nombre']
+    },
+    requiredEnv: ['TOKEN_BUBBLE'],
+    handler: async (parametros, { service }) => await service.buscarEmpleado(parametros.nombre, parametros.apellido)
+};
@@ -0,0 +1,45 @@
+// services/tools/calcularDiasHabiles.js - Días hábiles que consume un rango de fechas
+
+const { countBusinessDays, toMexicoDate } = require('../../utilities/date_utils');
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('calcularDiasHabiles');
+
+const formatearFecha = (fecha) => toMexicoDate(fecha).setLocale('es').toFormat("d 'de' LLLL 'de' yyyy");
+
+module.exports = {
+    name: 'calcular_dias_habiles',
+    description: 'Calcula cuántos días hábiles consume un rango de vacaciones, excluyendo fines de semana y días festivos (LFT art. 74 y festivos de la empresa). Usar antes de simular o solicitar vacaciones, o cuando pregunten cuántos días se descuentan.',
+    parameters: {
+        type: 'object',
+        properties: {
+            fechaInicio: {
+                type: 'string',
+                description: 'Primer día de vacaciones (YYYY-MM-DD)'
+            },
+            fechaFin: {
+                type: 'string',
+                description: 'Último día de vacaciones (YYYY-MM-DD), incluido en el rango'
+            }
+        },
+        required: ['fechaInicio', 'fechaFin']
+    },
+    handler: async (parametros) => {
+        logger.info(`📆 Ejecutando calcular_dias_habiles con parámetros:`, parametros);
+
+        const resultado = countBusinessDays(parametros.fechaInicio, parametros.fechaFin);
+        if (!resultado) {
+            return '❌ **Fechas inválidas**: verifica que la fecha de fin no sea anterior a la de inicio (formato YYYY-MM-DD).';
+        }
+
+        let respuesta = `📆 **Del ${formatearFecha(parametros.fechaInicio)} al ${formatearFecha(parametros.fechaFin)}**\n\n` +
+                        `• Días hábiles: **${resultado.diasHabiles}**\n` +
+                        `• Días naturales: ${resultado.diasNaturales}\n` +
+                        `• Días de fin de semana: ${resultado.finesDeSemana}`;
+
+        if (resultado.festivos.length > 0) {
+            respuesta += `\n• Festivos en el rango: ${resultado.festivos.map(f => `${f.nombre} (${f.fecha})`).join(', ')}`;
+        }
+
+        return respuesta + `\n\nℹ️ Es una estimación; el saldo final lo confirma SIRH al simular la solicitud.`;
+    }
+};
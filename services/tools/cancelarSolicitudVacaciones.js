@@ -0,0 +1,28 @@
+// services/tools/cancelarSolicitudVacaciones.js - Cancelación de solicitudes de vacaciones
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('cancelarSolicitudVacaciones');
+
+module.exports = {
+    name: 'cancelar_solicitud_vacaciones',
+    description: "USAR SIEMPRE que el usuario quiera cancelar, anular o eliminar una solicitud de vacaciones. Funciona con fechas como referencia. Ejemplos: 'cancelar solicitud', 'quiero cancelar mi solicitud del 22 de julio', 'eliminar mi solicitud de vacaciones'.",
+    parameters: {
+        type: 'object',
+        properties: {
+            fechaReferencia: {
+                type: 'string',
+                description: "Fecha mencionada por el usuario para identificar la solicitud, tal como la dijo (ej. '22 de julio', 'el próximo lunes', 'del 3 al 7 de marzo') o en formato YYYY-MM-DD"
+            },
+            idSolicitud: {
+                type: 'string',
+                description: 'ID específico de la solicitud a cancelar si se conoce'
+            }
+        }
+    },
+    requiresAuth: true,
+    authDescription: 'cancelar una solicitud de vacaciones',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`🗑️ Ejecutando cancelar_solicitud_vacaciones con parámetros:`, parametros);
+        return await service.cancelarSolicitudVacaciones(parametros, context, userId);
+    }
+};
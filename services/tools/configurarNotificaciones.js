@@ -0,0 +1,81 @@
+// services/tools/configurarNotificaciones.js - Preferencias de notificaciones proactivas
+
+const notificationPreferencesService = require('../notificationPreferencesService');
+const vacationStatusWatcher = require('../vacationStatusWatcher');
+
+/**
+ * Describe las preferencias vigentes en texto para el usuario
+ */
+function describirPreferencias(preferencias) {
+    const quietHours = notificationPreferencesService.getEffectiveQuietHours(preferencias);
+    return `• Resumen de aprobaciones: ${preferencias.digestOptOut ? '🔕 desactivado' : '🔔 activado'}\n` +
+           `• Avisos de cambio de estatus de tus solicitudes: ${preferencias.statusWatcherOptIn ? '🔔 activados' : '🔕 desactivados'}\n` +
+           `• Horario de silencio: ${quietHours ? quietHours.label : 'sin horario'}` +
+           `${preferencias.quietHours ? '' : ' (predeterminado)'}`;
+}
+
+module.exports = {
+    name: 'configurar_notificaciones',
+    description: 'Consulta o cambia las preferencias de notificaciones proactivas del usuario: activar/desactivar el resumen de solicitudes pendientes de aprobación, activar/desactivar los avisos cuando sus solicitudes de vacaciones cambien de estatus (autorizada, rechazada) y definir su horario de silencio. Usar cuando pidan dejar de recibir (o volver a recibir) el resumen, no ser molestados en cierto horario, o pregunten cómo están configuradas sus notificaciones.',
+    parameters: {
+        type: 'object',
+        properties: {
+            resumenAprobaciones: {
+                type: 'boolean',
+                description: 'true para recibir el resumen de aprobaciones pendientes, false para dejar de recibirlo'
+            },
+            avisosEstatus: {
+                type: 'boolean',
+                description: 'true para recibir un aviso cuando una solicitud propia cambie de estatus, false para dejar de recibirlo'
+            },
+            horarioSilencio: {
+                type: 'string',
+                description: 'Horario sin notificaciones en formato HH:mm-HH:mm (ej: 20:00-08:00). "predeterminado" para usar el horario general'
+            }
+        }
+    },
+    handler: async (parametros, { context, userId }) => {
+        const aadObjectId = context?.activity?.from?.aadObjectId;
+        if (!aadObjectId) {
+            return '❌ **No se pudo identificar tu usuario de Teams** para guardar tus preferencias.';
+        }
+
+        const cambios = {};
+
+        if (typeof parametros.resumenAprobaciones === 'boolean') {
+            cambios.digestOptOut = !parametros.resumenAprobaciones;
+        }
+
+        if (typeof parametros.avisosEstatus === 'boolean') {
+            if (parametros.avisosEstatus) {
+                // Foto inicial con el token actual para no perder cambios antes de la primera revisión
+                const bot = global.botInstance;
+                const token = bot && typeof bot.getUserOAuthToken === 'function'
+                    ? await bot.getUserOAuthToken(context, userId)
+                    : null;
+                await vacationStatusWatcher.optIn(aadObjectId, token);
+            } else {
+                await vacationStatusWatcher.optOut(aadObjectId);
+            }
+        }
+
+        if (parametros.horarioSilencio) {
+            if (parametros.horarioSilencio.trim().toLowerCase() === 'predeterminado') {
+                cambios.quietHours = null;
+            } else if (notificationPreferencesService.parseQuietHours(parametros.horarioSilencio)) {
+                cambios.quietHours = parametros.horarioSilencio.trim();
+            } else {
+                return `❌ **Horario de silencio inválido**: "${parametros.horarioSilencio}"\n\n` +
+                       `💡 Usa el formato HH:mm-HH:mm, por ejemplo 20:00-08:00`;
+            }
+        }
+
+        if (Object.keys(cambios).length === 0 && typeof parametros.avisosEstatus !== 'boolean') {
+            const actuales = await notificationPreferencesService.get(aadObjectId);
+            return `🔔 **Tus preferencias de notificación**\n\n${describirPreferencias(actuales)}`;
+        }
+
+        const preferencias = await notificationPreferencesService.update(aadObjectId, cambios);
+        return `✅ **Preferencias actualizadas**\n\n${describirPreferencias(preferencias)}`;
+    }
+};
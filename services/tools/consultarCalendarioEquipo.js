@@ -0,0 +1,28 @@
+// services/tools/consultarCalendarioEquipo.js - Calendario de ausencias de reportes directos
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('consultarCalendarioEquipo');
+
+module.exports = {
+    name: 'consultar_calendario_equipo',
+    description: 'Muestra el calendario semanal de vacaciones autorizadas y pendientes de los reportes directos, resaltando los días en que se traslapan ausencias. Usar cuando el jefe pregunte quién está de vacaciones, quién falta en su equipo o si hay traslapes.',
+    parameters: {
+        type: 'object',
+        properties: {
+            semanas: {
+                type: 'integer',
+                description: 'Número de semanas a mostrar (1 a 12, por defecto 4)'
+            },
+            fechaInicio: {
+                type: 'string',
+                description: 'Fecha desde la cual mostrar el calendario en formato YYYY-MM-DD (por defecto la semana actual)'
+            }
+        }
+    },
+    requiresAuth: true,
+    authDescription: 'consultar el calendario de tu equipo',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`📅 Ejecutando consultar_calendario_equipo con parámetros:`, parametros);
+        return await service.consultarCalendarioEquipo(parametros, context, userId);
+    }
+};
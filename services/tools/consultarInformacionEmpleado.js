@@ -0,0 +1,11 @@
+// services/tools/consultarInformacionEmpleado.js - Información del empleado en SIRH
+
+module.exports = {
+    name: 'consultar_informacion_empleado',
+    description: 'Consulta información completa del empleado incluyendo días de vacaciones disponibles, datos personales, información laboral y perfil del usuario. Usa esta herramienta cuando pregunten sobre datos del empleado, días disponibles, información personal o laboral.',
+    parameters: { type: 'object', properties: {} },
+    requiresAuth: true,
+    authDescription: 'obtener tu información como empleado',
+    handler: async (parametros, { service, context, userId }) =>
+        await service.consultarInformacionEmpleado(context, userId)
+};
@@ -0,0 +1,18 @@
+// services/tools/consultarMenuComedor.js - Menú del comedor (Bubble)
+
+module.exports = {
+    name: 'consultar_menu_comedor',
+    description: 'Consulta el menú del comedor para un día específico',
+    parameters: {
+        type: 'object',
+        properties: {
+            dia: {
+                type: 'string',
+                description: 'Día a consultar (YYYY-MM-DD)'
+            }
+        },
+        required: ['dia']
+    },
+    requiredEnv: ['TOKEN_BUBBLE'],
+    handler: async (parametros, { service }) => await service.consultarMenuComedor(parametros.dia)
+};
@@ -0,0 +1,11 @@
+// services/tools/consultarMisSolicitudes.js - Solicitudes de vacaciones del usuario
+
+module.exports = {
+    name: 'consultar_mis_solicitudes',
+    description: 'Consulta las solicitudes de vacaciones del usuario, así como días disponibles de vacaciones adicionales',
+    parameters: { type: 'object', properties: {} },
+    requiresAuth: true,
+    authDescription: 'consultar tus solicitudes de vacaciones',
+    handler: async (parametros, { service, context, userId }) =>
+        await service.consultarMisSolicitudes(context, userId)
+};
@@ -0,0 +1,16 @@
+// services/tools/consultarSolicitudesDependientes.js - Solicitudes pendientes de reportes directos
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('consultarSolicitudesDependientes');
+
+module.exports = {
+    name: 'consultar_solicitudes_dependientes',
+    description: 'Consulta las solicitudes de vacaciones pendientes de aprobación de tus reportes directos. Usar cuando pregunten sobre solicitudes para aprobar, solicitudes pendientes de sus empleados, o cuando necesiten revisar solicitudes como jefe/supervisor.',
+    parameters: { type: 'object', properties: {} },
+    requiresAuth: true,
+    authDescription: 'consultar solicitudes de tus reportes directos',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`📊 Ejecutando consultar_solicitudes_dependientes`);
+        return await service.consultarSolicitudesDependientes(context, userId);
+    }
+};
@@ -0,0 +1,16 @@
+// services/tools/exportarCalendarioVacaciones.js - Exportación .ics de vacaciones autorizadas
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('exportarCalendarioVacaciones');
+
+module.exports = {
+    name: 'exportar_calendario_vacaciones',
+    description: 'Genera un archivo de calendario (.ics) con las vacaciones AUTORIZADAS del usuario y se lo envía para importarlo en Outlook u otro calendario. Usar cuando pidan agregar sus vacaciones al calendario, exportarlas o descargarlas.',
+    parameters: { type: 'object', properties: {} },
+    requiresAuth: true,
+    authDescription: 'exportar tus vacaciones a tu calendario',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`📅 Ejecutando exportar_calendario_vacaciones`);
+        return await service.exportarCalendarioVacaciones(context, userId);
+    }
+};
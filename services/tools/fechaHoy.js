@@ -0,0 +1,10 @@
+// services/tools/fechaHoy.js - Fecha actual en zona horaria de México
+
+const { DateTime } = require('luxon');
+
+module.exports = {
+    name: 'FechaHoy',
+    description: 'Devuelve la fecha actual en zona horaria de México',
+    parameters: { type: 'object', properties: {} },
+    handler: async () => DateTime.now().setZone('America/Mexico_City').toISODate()
+};
@@ -0,0 +1,8 @@
+// services/tools/generarTarjetaMatrimonio.js - Tarjeta de vacaciones por matrimonio
+
+module.exports = {
+    name: 'generar_tarjeta_matrimonio',
+    description: 'Genera tarjeta para vacaciones por matrimonio',
+    parameters: { type: 'object', properties: {} },
+    handler: async (parametros, { service }) => service.generarTarjetaMatrimonio()
+};
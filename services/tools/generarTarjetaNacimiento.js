@@ -0,0 +1,8 @@
+// services/tools/generarTarjetaNacimiento.js - Tarjeta de vacaciones por nacimiento
+
+module.exports = {
+    name: 'generar_tarjeta_nacimiento',
+    description: 'Genera tarjeta para vacaciones por nacimiento',
+    parameters: { type: 'object', properties: {} },
+    handler: async (parametros, { service }) => service.generarTarjetaNacimiento()
+};
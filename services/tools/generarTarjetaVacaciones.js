@@ -0,0 +1,18 @@
+// services/tools/generarTarjetaVacaciones.js - Tarjeta de vacaciones regulares
+
+module.exports = {
+    name: 'generar_tarjeta_vacaciones',
+    description: 'Genera tarjeta para solicitar vacaciones regulares',
+    parameters: {
+        type: 'object',
+        properties: {
+            tipo: {
+                type: 'string',
+                enum: ['solicitar', 'verificar', 'consultar'],
+                description: 'Tipo de operación de vacaciones'
+            }
+        },
+        required: ['tipo']
+    },
+    handler: async (parametros, { service }) => service.generarTarjetaVacaciones(parametros.tipo)
+};
@@ -0,0 +1,163 @@
+// services/tools/index.js - Registro de herramientas disponibles para OpenAI
+
+/**
+ * Módulos de herramientas. Cada módulo declara su esquema JSON, si requiere
+ * autenticación, las variables de entorno que necesita y su handler.
+ * La lista es explícita (no se lee el directorio) para que el bundle de
+ * esbuild incluya todos los módulos. El orden se respeta al enviar a OpenAI.
+ */
+const TOOL_MODULES = [
+    require('./fechaHoy'),
+    require('./interpretarFecha'),
+    require('./calcularDiasHabiles'),
+    require('./proximoDiaFestivo'),
+    require('./generarTarjetaVacaciones'),
+    require('./generarTarjetaMatrimonio'),
+    require('./generarTarjetaNacimiento'),
+    require('./consultarMisSolicitudes'),
+    require('./exportarCalendarioVacaciones'),
+    require('./consultarInformacionEmpleado'),
+    require('./cancelarSolicitudVacaciones'),
+    require('./reprogramarSolicitud'),
+    require('./consultarSolicitudesDependientes'),
+    require('./consultarCalendarioEquipo'),
+    require('./autorizarSolicitudDependiente'),
+    require('./rechazarSolicitudDependiente'),
+    require('./configurarNotificaciones'),
+    require('./buscarDocumentos'),
+    require('./consultarMenuComedor'),
+    require('./buscarEmpleado')
+];
+
+/**
+ * Registro central de herramientas
+ */
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Registra una herramienta validando su definición
+     * @param {Object} tool - Definición de la herramienta
+     */
+    register(tool) {
+        if (!tool || !tool.name) {
+            throw new Error('[ToolRegistry]: la herramienta debe tener nombre');
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`[ToolRegistry]: la herramienta ${tool.name} no tiene handler`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`[ToolRegistry]: herramienta duplicada: ${tool.name}`);
+        }
+
+        this.tools.set(tool.name, {
+            parameters: { type: 'object', properties: {} },
+            requiresAuth: false,
+            requiredEnv: [],
+            ...tool
+        });
+    }
+
+    /**
+     * Obtiene una herramienta por nombre
+     * @param {string} name - Nombre de la herramienta
+     * @returns {Object|undefined} - Definición registrada
+     */
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    /**
+     * Verifica si la herramienta puede ofrecerse al modelo
+     * @param {Object} tool - Definición de la herramienta
+     * @param {Object} service - Instancia de OpenAIService
+     * @returns {boolean} - true si sus variables de entorno y dependencias están disponibles
+     */
+    isAvailable(tool, service) {
+        const missingEnv = tool.requiredEnv.filter(env => !process.env[env]);
+        if (missingEnv.length > 0) {
+            return false;
+        }
+
+        if (typeof tool.isAvailable === 'function') {
+            return !!tool.isAvailable(service);
+        }
+
+        return true;
+    }
+
+    /**
+     * Genera las definiciones en formato OpenAI de las herramientas disponibles
+     * @param {Object} service - Instancia de OpenAIService
+     * @returns {Array} - Lista de herramientas para chat.completions
+     */
+    getDefinitions(service) {
+        return Array.from(this.tools.values())
+            .filter(tool => this.isAvailable(tool, service))
+            .map(tool => ({
+                type: "function",
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+    }
+
+    /**
+     * Verifica si una herramienta requiere autenticación
+     * @param {string} name - Nombre de la herramienta
+     * @returns {boolean} - true si requiere token de usuario
+     */
+    requiresAuth(name) {
+        const tool = this.tools.get(name);
+        return !!(tool && tool.requiresAuth);
+    }
+
+    /**
+     * Lista las herramientas que requieren autenticación
+     * @returns {Array<string>} - Nombres de herramientas
+     */
+    getToolsRequiringAuth() {
+        return Array.from(this.tools.values())
+            .filter(tool => tool.requiresAuth)
+            .map(tool => tool.name);
+    }
+
+    /**
+     * Obtiene la descripción amigable usada en la tarjeta de login
+     * @param {string} name - Nombre de la herramienta
+     * @returns {string|null} - Descripción o null si no está definida
+     */
+    getAuthDescription(name) {
+        const tool = this.tools.get(name);
+        return (tool && tool.authDescription) || null;
+    }
+
+    /**
+     * Ejecuta el handler de una herramienta
+     * @param {string} name - Nombre de la herramienta
+     * @param {Object} parametros - Argumentos enviados por el modelo
+     * @param {Object} toolContext - { service, context, userId, historial }
+     * @returns {Promise<*>} - Resultado de la herramienta
+     */
+    async execute(name, parametros, toolContext) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Herramienta desconocida: ${name}`);
+        }
+
+        if (!this.isAvailable(tool, toolContext.service)) {
+            throw new Error(`Herramienta no disponible: ${name}`);
+        }
+
+        return await tool.handler(parametros || {}, toolContext);
+    }
+}
+
+const toolRegistry = new ToolRegistry();
+TOOL_MODULES.forEach(tool => toolRegistry.register(tool));
+
+module.exports = toolRegistry;
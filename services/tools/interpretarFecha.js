@@ -0,0 +1,39 @@
+// services/tools/interpretarFecha.js - Interpretación de expresiones de fecha en español
+
+const { parseSpanishDateExpression } = require('../../utilities/date_utils');
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('interpretarFecha');
+
+module.exports = {
+    name: 'interpretar_fecha',
+    description: "Convierte una expresión de fecha en español a fechas exactas (YYYY-MM-DD) en zona horaria de México. Usar cuando el usuario dé fechas en lenguaje natural y otra herramienta necesite fechas exactas, por ejemplo 'el próximo lunes', 'del 3 al 7 de marzo', 'semana santa' o 'la próxima semana'. Si el resultado es ambiguo, pregunta al usuario cuál opción quiere.",
+    parameters: {
+        type: 'object',
+        properties: {
+            expresion: {
+                type: 'string',
+                description: 'Expresión de fecha tal como la escribió el usuario'
+            }
+        },
+        required: ['expresion']
+    },
+    handler: async (parametros) => {
+        logger.info(`🗓️ Ejecutando interpretar_fecha con parámetros:`, parametros);
+
+        const resultado = parseSpanishDateExpression(parametros.expresion);
+
+        if (resultado.ambigua) {
+            return `AMBIGUA: ${resultado.motivo}. Pregunta al usuario cuál de estas opciones quiere:\n` +
+                   resultado.alternativas.map(alt => `- ${alt.inicio}${alt.esRango ? ` a ${alt.fin}` : ''} (${alt.descripcion})`).join('\n');
+        }
+
+        if (!resultado.reconocida) {
+            return `NO_RECONOCIDA: ${resultado.motivo}. Pide al usuario la fecha en formato día/mes/año.`;
+        }
+
+        const notas = resultado.notas.length > 0 ? `\nNotas: ${resultado.notas.join('; ')}` : '';
+        return resultado.esRango
+            ? `RANGO: fechaInicio=${resultado.inicio}, fechaFin=${resultado.fin} (${resultado.descripcion})${notas}`
+            : `FECHA: ${resultado.inicio} (${resultado.descripcion})${notas}`;
+    }
+};
@@ -0,0 +1,41 @@
+// services/tools/proximoDiaFestivo.js - Próximos días festivos
+
+const { getNextHolidays } = require('../../utilities/date_utils');
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('proximoDiaFestivo');
+
+module.exports = {
+    name: 'proximo_dia_festivo',
+    description: 'Indica cuándo es el próximo día festivo (descanso obligatorio de la LFT o festivo de la empresa). Usar cuando pregunten por el siguiente puente, feriado o día de descanso.',
+    parameters: {
+        type: 'object',
+        properties: {
+            fechaReferencia: {
+                type: 'string',
+                description: 'Fecha a partir de la cual buscar (YYYY-MM-DD). Por defecto hoy'
+            },
+            cantidad: {
+                type: 'integer',
+                description: 'Número de festivos a listar (1 a 10, por defecto 1)'
+            }
+        }
+    },
+    handler: async (parametros) => {
+        logger.info(`🎉 Ejecutando proximo_dia_festivo con parámetros:`, parametros);
+
+        const cantidad = Math.min(Math.max(parseInt(parametros.cantidad, 10) || 1, 1), 10);
+        const festivos = getNextHolidays(parametros.fechaReferencia, cantidad);
+
+        if (festivos.length === 0) {
+            return 'ℹ️ No hay días festivos configurados en los próximos meses.';
+        }
+
+        const lineas = festivos.map(festivo => {
+            const cuando = festivo.diasFaltantes === 0 ? 'hoy' : `en ${festivo.diasFaltantes} día(s)`;
+            return `• **${festivo.nombre}**: ${festivo.diaSemana} ${festivo.fecha} (${cuando})` +
+                   (festivo.origen === 'empresa' ? ' · festivo de la empresa' : '');
+        });
+
+        return `🎉 **Próximos días festivos**\n\n${lineas.join('\n')}`;
+    }
+};
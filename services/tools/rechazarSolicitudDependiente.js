@@ -0,0 +1,32 @@
+// services/tools/rechazarSolicitudDependiente.js - Rechazo de solicitudes de reportes directos
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('rechazarSolicitudDependiente');
+
+module.exports = {
+    name: 'rechazar_solicitud_dependiente',
+    description: 'Rechaza/deniega una solicitud de vacaciones de un reporte directo. Usar cuando el usuario quiera rechazar, denegar o no aprobar una solicitud. El motivo es obligatorio: si el usuario no lo dio, pregúntaselo antes de llamar a esta herramienta.',
+    parameters: {
+        type: 'object',
+        properties: {
+            idSolicitud: {
+                type: 'string',
+                description: 'ID de la solicitud a rechazar'
+            },
+            nombreEmpleado: {
+                type: 'string',
+                description: 'Nombre del empleado mencionado por el usuario para identificar la solicitud'
+            },
+            motivo: {
+                type: 'string',
+                description: 'Motivo del rechazo que verá el empleado, tal como lo expresó el usuario'
+            }
+        }
+    },
+    requiresAuth: true,
+    authDescription: 'rechazar solicitudes de tus empleados',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`❌ Ejecutando rechazar_solicitud_dependiente con parámetros:`, parametros);
+        return await service.rechazarSolicitudDependiente(parametros, context, userId);
+    }
+};
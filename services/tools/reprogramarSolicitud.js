@@ -0,0 +1,41 @@
+// services/tools/reprogramarSolicitud.js - Cambio de fechas de una solicitud existente
+
+const { createLogger } = require('../../utilities/logger');
+const logger = createLogger('reprogramarSolicitud');
+
+module.exports = {
+    name: 'reprogramar_solicitud',
+    description: "Cambia las fechas de una solicitud de vacaciones existente (mover, reprogramar, recorrer vacaciones). Simula las nuevas fechas y muestra una tarjeta de confirmación; la solicitud actual solo se cancela cuando el usuario confirma. Ejemplo: 'mueve mis vacaciones del 15 de enero al 22 de enero'.",
+    parameters: {
+        type: 'object',
+        properties: {
+            idSolicitud: {
+                type: 'string',
+                description: 'ID de la solicitud a reprogramar si se conoce'
+            },
+            fechaReferencia: {
+                type: 'string',
+                description: "Fecha actual de la solicitud tal como la dijo el usuario (ej. '15 de enero', 'las de semana santa')"
+            },
+            nuevaFechaInicio: {
+                type: 'string',
+                description: "Nueva fecha de inicio o el nuevo rango completo tal como lo dijo el usuario (ej. '22 de enero', 'del 3 al 7 de marzo')"
+            },
+            nuevaFechaFin: {
+                type: 'string',
+                description: 'Nueva fecha de fin (último día de vacaciones), si no va incluida en nuevaFechaInicio'
+            },
+            medioDia: {
+                type: 'boolean',
+                description: 'true si la nueva solicitud es de medio día'
+            }
+        },
+        required: ['nuevaFechaInicio']
+    },
+    requiresAuth: true,
+    authDescription: 'reprogramar una solicitud de vacaciones',
+    handler: async (parametros, { service, context, userId }) => {
+        logger.info(`🔁 Ejecutando reprogramar_solicitud con parámetros:`, parametros);
+        return await service.reprogramarSolicitud(parametros, context, userId);
+    }
+};
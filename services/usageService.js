@@ -0,0 +1,507 @@
+// usageService.js - Consumo de tokens de OpenAI por usuario, tenant, conversación y herramienta
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { DateTime } = require('luxon');
+const { getStateStorage, NEW_ITEM_ETAG } = require('./storage');
+const { LruCache } = require('../utilities/lruCache');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('usageService');
+require('dotenv').config();
+
+const STORAGE_PREFIX = 'usage/';
+const TIMEZONE = 'America/Mexico_City';
+
+/**
+ * Precios en USD por millón de tokens. OPENAI_PRICING (JSON con la misma
+ * forma) agrega modelos o sustituye precios
+ */
+const DEFAULT_PRICING = {
+    'gpt-4-turbo': { prompt: 10, completion: 30 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+    'text-embedding-3-large': { prompt: 0.13, completion: 0 },
+    'text-embedding-3-small': { prompt: 0.02, completion: 0 }
+};
+
+/**
+ * Configuración leída de variables de entorno (0 = sin límite):
+ * - USAGE_USER_DAILY_TOKENS / USAGE_USER_MONTHLY_TOKENS: cuota por usuario
+ * - USAGE_TENANT_DAILY_TOKENS / USAGE_TENANT_MONTHLY_TOKENS: cuota por tenant
+ * - USAGE_FLUSH_INTERVAL_MS: cada cuánto se guardan los acumulados (60 s)
+ */
+const DEFAULT_CONFIG = {
+    quotas: {
+        user: {
+            day: parseInt(process.env.USAGE_USER_DAILY_TOKENS, 10) || 0,
+            month: parseInt(process.env.USAGE_USER_MONTHLY_TOKENS, 10) || 0
+        },
+        tenant: {
+            day: parseInt(process.env.USAGE_TENANT_DAILY_TOKENS, 10) || 0,
+            month: parseInt(process.env.USAGE_TENANT_MONTHLY_TOKENS, 10) || 0
+        }
+    },
+    flushIntervalMs: parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 60000
+};
+
+/**
+ * Registra el bloque `usage` de cada llamada a OpenAI. El usuario, tenant y
+ * conversación del turno viajan en un AsyncLocalStorage (run) y la herramienta
+ * en curso se agrega con runTool, así las llamadas internas (reescritura,
+ * embeddings, resúmenes) se atribuyen sin pasar parámetros.
+ *
+ * Los acumulados por periodo (día y mes en hora de México) se guardan en el
+ * storage de estado con claves usage/{periodo}/{user|tenant}/{id}; entre
+ * guardados se conservan como incrementos pendientes en memoria.
+ */
+class UsageService {
+    constructor() {
+        this.config = DEFAULT_CONFIG;
+        this.pricing = this.loadPricing();
+        this.storage = new AsyncLocalStorage();
+        this.pending = new Map();
+        this.flushing = null;
+        this.stored = new LruCache({ name: 'usage', maxEntries: 2000, ttlMs: 5 * 60 * 1000 });
+        this.stats = {
+            recorded: 0,
+            flushes: 0,
+            flushErrors: 0,
+            quotaRejections: 0,
+            unpricedModels: []
+        };
+
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Combina la tabla de precios por defecto con OPENAI_PRICING
+     */
+    loadPricing() {
+        if (!process.env.OPENAI_PRICING) {
+            return { ...DEFAULT_PRICING };
+        }
+
+        try {
+            return { ...DEFAULT_PRICING, ...JSON.parse(process.env.OPENAI_PRICING) };
+        } catch (error) {
+            logger.warn('⚠️ OPENAI_PRICING no es JSON válido, usando precios por defecto:', error.message);
+            return { ...DEFAULT_PRICING };
+        }
+    }
+
+    /**
+     * Arma el contexto de consumo de un turno de Bot Framework
+     * @returns {Object} - { userId, tenantId, conversationId }
+     */
+    buildContext(context, userId) {
+        const activity = context?.activity || {};
+        return {
+            userId: userId || activity.from?.id || null,
+            tenantId: activity.conversation?.tenantId || activity.channelData?.tenant?.id || null,
+            conversationId: activity.conversation?.id || null
+        };
+    }
+
+    /**
+     * Ejecuta fn con el contexto de consumo del turno
+     */
+    run(usageContext, fn) {
+        return this.storage.run({ ...usageContext, tool: null }, fn);
+    }
+
+    /**
+     * Ejecuta fn atribuyendo el consumo a una herramienta
+     */
+    runTool(tool, fn) {
+        const current = this.storage.getStore() || {};
+        return this.storage.run({ ...current, tool }, fn);
+    }
+
+    /**
+     * Costo estimado en USD de un bloque usage
+     */
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.pricing[model];
+        if (!price) {
+            if (!this.stats.unpricedModels.includes(model)) {
+                this.stats.unpricedModels.push(model);
+                logger.warn(`⚠️ Modelo sin precio configurado: ${model}`);
+            }
+            return 0;
+        }
+        return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+    }
+
+    /**
+     * Registra el consumo de una llamada a OpenAI
+     * @param {string} model - Modelo usado
+     * @param {Object} usage - Bloque usage de la respuesta (prompt_tokens, completion_tokens)
+     * @param {string} kind - 'chat' | 'embedding'
+     */
+    record(model, usage, kind = 'chat') {
+        if (!usage) {
+            return;
+        }
+
+        const { userId, tenantId, conversationId, tool } = this.storage.getStore() || {};
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const delta = {
+            promptTokens: kind === 'embedding' ? 0 : promptTokens,
+            completionTokens,
+            embeddingTokens: kind === 'embedding' ? promptTokens : 0,
+            costUsd: this.estimateCost(model, promptTokens, completionTokens),
+            requests: 1
+        };
+
+        const now = DateTime.now().setZone(TIMEZONE);
+        const periodos = [now.toISODate(), now.toFormat('yyyy-MM')];
+        const scopes = [['user', userId || 'sistema'], ...(tenantId ? [['tenant', tenantId]] : [])];
+
+        periodos.forEach(periodo => {
+            scopes.forEach(([scope, id]) => {
+                const item = this.getPending(periodo, scope, id);
+                this.addUsage(item, delta);
+                this.addUsage(this.getGroup(item.porModelo, model), delta);
+                this.addUsage(this.getGroup(item.porHerramienta, tool || '(conversación)'), delta);
+                if (scope === 'user' && conversationId) {
+                    this.addUsage(this.getGroup(item.porConversacion, conversationId), delta);
+                }
+            });
+        });
+
+        this.stats.recorded++;
+    }
+
+    /**
+     * Obtiene (o crea) el incremento pendiente de un periodo y alcance
+     */
+    getPending(periodo, scope, id) {
+        const key = `${STORAGE_PREFIX}${periodo}/${scope}/${id}`;
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.createUsageItem(periodo, scope, id));
+        }
+        return this.pending.get(key);
+    }
+
+    createUsageItem(periodo, scope, id) {
+        return {
+            periodo,
+            scope,
+            id,
+            ...this.emptyTotals(),
+            porModelo: {},
+            porHerramienta: {},
+            porConversacion: {}
+        };
+    }
+
+    emptyTotals() {
+        return { promptTokens: 0, completionTokens: 0, embeddingTokens: 0, costUsd: 0, requests: 0 };
+    }
+
+    getGroup(groups, name) {
+        if (!groups[name]) {
+            groups[name] = this.emptyTotals();
+        }
+        return groups[name];
+    }
+
+    /**
+     * Suma totales (incluye grupos anidados si ambos los tienen)
+     */
+    addUsage(target, delta) {
+        Object.keys(this.emptyTotals()).forEach(field => {
+            target[field] = (target[field] || 0) + (delta[field] || 0);
+        });
+        // Evitar ruido de punto flotante al acumular costos
+        target.costUsd = Math.round(target.costUsd * 1e8) / 1e8;
+        ['porModelo', 'porHerramienta', 'porConversacion'].forEach(group => {
+            if (target[group] && delta[group]) {
+                Object.entries(delta[group]).forEach(([name, totals]) => {
+                    this.addUsage(this.getGroup(target[group], name), totals);
+                });
+            }
+        });
+        return target;
+    }
+
+    /**
+     * Total de tokens de un acumulado
+     */
+    totalTokens(item) {
+        return item ? item.promptTokens + item.completionTokens + item.embeddingTokens : 0;
+    }
+
+    /**
+     * Lee el acumulado guardado de una clave (con caché breve)
+     */
+    async readStored(key) {
+        const cached = this.stored.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        try {
+            const items = await getStateStorage().read([key]);
+            const { eTag, ...item } = items[key] || {};
+            const stored = items[key] ? item : null;
+            this.stored.set(key, stored);
+            return stored;
+        } catch (error) {
+            // Sin storage (ej: al arrancar) se usan solo los incrementos en memoria
+            return null;
+        }
+    }
+
+    /**
+     * Acumulado de un periodo y alcance (guardado + pendiente)
+     */
+    async getUsage(periodo, scope, id) {
+        const key = `${STORAGE_PREFIX}${periodo}/${scope}/${id}`;
+        const stored = await this.readStored(key);
+        const pending = this.pending.get(key);
+
+        if (!stored && !pending) {
+            return null;
+        }
+
+        const item = this.createUsageItem(periodo, scope, id);
+        if (stored) {
+            this.addUsage(item, stored);
+        }
+        if (pending) {
+            this.addUsage(item, pending);
+        }
+        return item;
+    }
+
+    /**
+     * Verifica las cuotas diaria y mensual del usuario y su tenant
+     * @param {Object} usageContext - { userId, tenantId }
+     * @returns {Promise<Object>} - { allowed, message, exceeded: { scope, period, limit, used } }
+     */
+    async checkQuota({ userId, tenantId } = {}) {
+        const now = DateTime.now().setZone(TIMEZONE);
+        const checks = [];
+
+        [['user', userId], ['tenant', tenantId]].forEach(([scope, id]) => {
+            if (!id) {
+                return;
+            }
+            const quotas = this.config.quotas[scope];
+            if (quotas.day > 0) {
+                checks.push({ scope, id, period: 'day', periodo: now.toISODate(), limit: quotas.day });
+            }
+            if (quotas.month > 0) {
+                checks.push({ scope, id, period: 'month', periodo: now.toFormat('yyyy-MM'), limit: quotas.month });
+            }
+        });
+
+        for (const check of checks) {
+            const used = this.totalTokens(await this.getUsage(check.periodo, check.scope, check.id));
+            if (used >= check.limit) {
+                this.stats.quotaRejections++;
+                logger.warn(`🚫 Cuota ${check.period === 'day' ? 'diaria' : 'mensual'} de ${check.scope} ${check.id} agotada (${used}/${check.limit} tokens)`);
+                return {
+                    allowed: false,
+                    message: this.buildQuotaMessage(check.scope, check.period),
+                    exceeded: { scope: check.scope, period: check.period, limit: check.limit, used }
+                };
+            }
+        }
+
+        return { allowed: true, message: null, exceeded: null };
+    }
+
+    /**
+     * Mensaje amable para el usuario cuando se agota una cuota
+     */
+    buildQuotaMessage(scope, period) {
+        const quien = scope === 'user' ? 'Alcanzaste' : 'Tu organización alcanzó';
+        const limite = period === 'day' ? 'diario' : 'mensual';
+        const cuando = period === 'day' ? 'mañana' : 'el próximo mes';
+
+        return `⏳ **${quien} el límite ${limite} de uso del asistente.**\n\n` +
+               `Podrás hacer nuevas consultas ${cuando}. Mientras tanto, las tarjetas de solicitud y los comandos ` +
+               '`login` y `logout` siguen disponibles.';
+    }
+
+    /**
+     * Guarda los incrementos pendientes en el storage de estado. Solo corre un
+     * guardado a la vez en el proceso; entre instancias cada clave se escribe
+     * con el eTag leído y se reintenta si hubo conflicto.
+     * @returns {Promise<number>} - Claves guardadas
+     */
+    async flush() {
+        while (this.flushing) {
+            await this.flushing;
+        }
+        if (this.pending.size === 0) {
+            return 0;
+        }
+
+        this.flushing = this.flushPending().finally(() => {
+            this.flushing = null;
+        });
+        return await this.flushing;
+    }
+
+    async flushPending() {
+        let storage;
+        try {
+            storage = getStateStorage();
+        } catch (error) {
+            return 0;
+        }
+
+        const entries = Array.from(this.pending.entries());
+        this.pending.clear();
+        const indexes = {};
+        let saved = 0;
+        let failed = false;
+
+        for (const [key, delta] of entries) {
+            try {
+                const item = await this.updateWithETag(storage, key, stored => {
+                    const updated = this.addUsage(stored || this.createUsageItem(delta.periodo, delta.scope, delta.id), delta);
+                    updated.updatedAt = new Date().toISOString();
+                    return updated;
+                });
+                this.stored.set(key, item);
+                saved++;
+
+                const indexKey = `${STORAGE_PREFIX}${delta.periodo}/index`;
+                indexes[indexKey] = indexes[indexKey] || { user: new Set(), tenant: new Set() };
+                indexes[indexKey][delta.scope].add(delta.id);
+            } catch (error) {
+                // Devolver el incremento para el siguiente intento
+                const pending = this.pending.get(key);
+                this.pending.set(key, pending ? this.addUsage(pending, delta) : delta);
+                failed = true;
+                logger.error(`❌ Error guardando consumo de OpenAI (${key}):`, error.message);
+            }
+        }
+
+        // Índice por periodo para poder listar usuarios y tenants en el reporte
+        for (const [indexKey, ids] of Object.entries(indexes)) {
+            try {
+                await this.updateWithETag(storage, indexKey, previous => ({
+                    user: [...new Set([...(previous?.user || []), ...ids.user])],
+                    tenant: [...new Set([...(previous?.tenant || []), ...ids.tenant])]
+                }));
+            } catch (error) {
+                failed = true;
+                logger.error(`❌ Error actualizando índice de consumo (${indexKey}):`, error.message);
+            }
+        }
+
+        this.stats[failed ? 'flushErrors' : 'flushes']++;
+        return saved;
+    }
+
+    /**
+     * Lee, modifica y escribe un item con el eTag leído (reintenta en conflicto).
+     * Un item nuevo se crea con NEW_ITEM_ETAG para detectar si otra instancia
+     * lo creó primero
+     * @param {Object} storage - Storage de estado
+     * @param {string} key - Clave del item
+     * @param {Function} update - (itemGuardado|null) => itemNuevo
+     * @returns {Promise<Object>} - Item escrito
+     */
+    async updateWithETag(storage, key, update, attempts = 3) {
+        for (let attempt = 1; ; attempt++) {
+            const current = (await storage.read([key]))[key];
+            const { eTag, ...stored } = current || {};
+            const item = update(current ? stored : null);
+
+            try {
+                await storage.write({ [key]: { ...item, eTag: eTag || NEW_ITEM_ETAG } });
+                return item;
+            } catch (error) {
+                if (attempt >= attempts) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Reporte de consumo de un periodo
+     * @param {Object} options - { periodo: 'YYYY-MM-DD'|'YYYY-MM' (hoy por defecto), scope: 'user'|'tenant', id }
+     * @returns {Promise<Object>} - { periodo, totales, items }
+     */
+    async getReport({ periodo, scope, id } = {}) {
+        const period = periodo || DateTime.now().setZone(TIMEZONE).toISODate();
+        if (!/^\d{4}-\d{2}(-\d{2})?$/.test(period)) {
+            throw new Error('Periodo inválido, usa YYYY-MM-DD o YYYY-MM');
+        }
+        if (scope && !['user', 'tenant'].includes(scope)) {
+            throw new Error("scope debe ser 'user' o 'tenant'");
+        }
+
+        await this.flush();
+
+        const scopes = scope ? [scope] : ['user', 'tenant'];
+        let ids = { user: [], tenant: [] };
+        if (id) {
+            scopes.forEach(s => { ids[s] = [id]; });
+        } else {
+            let index = null;
+            try {
+                const indexKey = `${STORAGE_PREFIX}${period}/index`;
+                index = (await getStateStorage().read([indexKey]))[indexKey];
+            } catch (error) {
+                index = null;
+            }
+            ids = {
+                user: index ? index.user : [],
+                tenant: index ? index.tenant : []
+            };
+            // Incluir lo que aún no se pudo guardar
+            this.pending.forEach(item => {
+                if (item.periodo === period && !ids[item.scope].includes(item.id)) {
+                    ids[item.scope].push(item.id);
+                }
+            });
+        }
+
+        const items = [];
+        for (const s of scopes) {
+            for (const itemId of ids[s] || []) {
+                const item = await this.getUsage(period, s, itemId);
+                if (item) {
+                    items.push({ ...item, totalTokens: this.totalTokens(item) });
+                }
+            }
+        }
+        items.sort((a, b) => b.totalTokens - a.totalTokens);
+
+        // Cada llamada se cuenta una vez por alcance: los totales salen de uno solo
+        const totalScope = scope || 'user';
+        const totales = items
+            .filter(item => item.scope === totalScope)
+            .reduce((total, item) => this.addUsage(total, item), this.emptyTotals());
+
+        return {
+            periodo: period,
+            totales: { ...totales, totalTokens: this.totalTokens(totales) },
+            cuotas: this.config.quotas,
+            items
+        };
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            pendingKeys: this.pending.size,
+            quotas: this.config.quotas
+        };
+    }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,295 @@
+// vacationStatusWatcher.js - Avisos de cambio de estatus de solicitudes de vacaciones
+
+const { CardFactory } = require('botbuilder');
+const sirhClient = require('./sirhClient');
+const notificationService = require('./notificationService');
+const conversationReferenceService = require('./conversationReferenceService');
+const notificationPreferencesService = require('./notificationPreferencesService');
+const rejectionReasonService = require('./rejectionReasonService');
+const { getStateStorage } = require('./storage');
+const { BackgroundJob } = require('../utilities/backgroundJob');
+const { createLogger } = require('../utilities/logger');
+const logger = createLogger('vacationStatusWatcher');
+require('dotenv').config();
+
+const SNAPSHOT_PREFIX = 'vacationStatusSnapshots/';
+
+/**
+ * Colores e íconos por estatus (mismos que la tarjeta de Mis Solicitudes)
+ */
+const STATUS_STYLES = {
+    AUTORIZADA: { color: 'Good', icon: '✅' },
+    PENDIENTE: { color: 'Warning', icon: '⏳' },
+    RECHAZADA: { color: 'Attention', icon: '❌' },
+    CANCELADA: { color: 'Default', icon: '🚫' }
+};
+
+/**
+ * Revisa periódicamente las solicitudes de los usuarios que activaron los
+ * avisos, compara el estatus contra la última foto guardada y envía una
+ * tarjeta por cada solicitud que cambió. Las fotos se guardan en el storage
+ * de estado para que un reinicio no repita avisos.
+ *
+ * Configuración:
+ * - STATUS_WATCHER_ENABLED: 'false' deshabilita la revisión
+ * - STATUS_WATCHER_INTERVAL_MS: intervalo entre revisiones (15 min por defecto)
+ */
+class VacationStatusWatcher {
+    constructor() {
+        this.enabled = process.env.STATUS_WATCHER_ENABLED !== 'false';
+        this.job = new BackgroundJob(
+            'avisos-estatus-vacaciones',
+            parseInt(process.env.STATUS_WATCHER_INTERVAL_MS, 10) || 15 * 60 * 1000,
+            () => this.checkAllUsers()
+        );
+        this.stats = {
+            checks: 0,
+            notifications: 0,
+            baselines: 0,
+            noToken: 0,
+            deferredQuietHours: 0,
+            failedDeliveries: 0,
+            noReference: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Inicia la revisión periódica
+     */
+    start() {
+        if (!this.enabled) {
+            logger.info('ℹ️ Avisos de estatus deshabilitados (STATUS_WATCHER_ENABLED=false)');
+            return;
+        }
+        this.job.start();
+    }
+
+    /**
+     * Detiene la revisión periódica
+     */
+    stop() {
+        this.job.stop();
+    }
+
+    /**
+     * Activa los avisos para un usuario y guarda la foto inicial con su token actual
+     * @param {string} aadObjectId - AAD object id
+     * @param {string} token - Token OAuth del usuario (opcional)
+     */
+    async optIn(aadObjectId, token) {
+        await notificationPreferencesService.update(aadObjectId, { statusWatcherOptIn: true });
+
+        if (token) {
+            try {
+                const solicitudes = await sirhClient.getSolicitudes(token);
+                await this.saveSnapshot(aadObjectId, solicitudes);
+                this.stats.baselines++;
+            } catch (error) {
+                // Sin foto inicial la primera revisión programada la crea
+                logger.warn(`[${aadObjectId}] No se pudo guardar foto inicial de solicitudes:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Desactiva los avisos para un usuario
+     */
+    async optOut(aadObjectId) {
+        await notificationPreferencesService.update(aadObjectId, { statusWatcherOptIn: false });
+        await getStateStorage().delete([`${SNAPSHOT_PREFIX}${aadObjectId}`]);
+    }
+
+    /**
+     * Revisa a todos los usuarios con avisos activos
+     */
+    async checkAllUsers() {
+        if (!notificationService.isAvailable()) {
+            return;
+        }
+
+        const users = await conversationReferenceService.listUsers();
+
+        for (const aadObjectId of users) {
+            try {
+                const preferences = await notificationPreferencesService.get(aadObjectId);
+                if (!preferences.statusWatcherOptIn) {
+                    continue;
+                }
+
+                if (notificationPreferencesService.isQuietTime(preferences)) {
+                    // La foto no se actualiza, así que el cambio se avisa después del horario de silencio
+                    this.stats.deferredQuietHours++;
+                    continue;
+                }
+
+                await this.checkUser(aadObjectId);
+            } catch (error) {
+                this.stats.errors++;
+                logger.error(`[${aadObjectId}] Error revisando estatus de solicitudes:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Compara las solicitudes actuales de un usuario contra su última foto
+     * @returns {Promise<Object[]>} - Cambios avisados
+     */
+    async checkUser(aadObjectId) {
+        this.stats.checks++;
+
+        const solicitudes = await notificationService.continueWithUser(aadObjectId, async (context) => {
+            const bot = global.botInstance;
+            const token = bot && typeof bot.getUserOAuthToken === 'function'
+                ? await bot.getUserOAuthToken(context, context.activity.from.id)
+                : null;
+            return token ? await sirhClient.getSolicitudes(token) : null;
+        });
+
+        if (solicitudes === null) {
+            this.stats.noToken++;
+            return [];
+        }
+
+        const snapshot = await this.getSnapshot(aadObjectId);
+        if (!snapshot) {
+            await this.saveSnapshot(aadObjectId, solicitudes);
+            this.stats.baselines++;
+            return [];
+        }
+
+        const changes = this.diff(snapshot.statuses, solicitudes);
+
+        const rejectedIds = changes.filter(c => c.newStatus === 'RECHAZADA').map(c => c.solicitud.id);
+        const motivos = await rejectionReasonService.getMany(rejectedIds);
+
+        const noEntregados = new Map();
+        for (const change of changes) {
+            const delivery = await notificationService.sendToUser(aadObjectId, {
+                card: this.createChangeCard({ ...change, motivo: motivos[change.solicitud.id] })
+            }, { source: 'status_watcher' });
+
+            if (delivery.status !== 'delivered') {
+                if (delivery.status === 'no_reference') {
+                    this.stats.noReference++;
+                } else {
+                    this.stats.failedDeliveries++;
+                }
+                noEntregados.set(change.solicitud.id, change.previousStatus);
+                logger.warn(`[${aadObjectId}] Aviso de solicitud ${change.solicitud.id} no entregado (${delivery.status}): ${delivery.error}`);
+                continue;
+            }
+            this.stats.notifications++;
+        }
+
+        // Los avisos no entregados conservan su estatus anterior en la foto para
+        // reintentarse en la siguiente revisión sin repetir los ya entregados
+        await this.saveSnapshot(aadObjectId, solicitudes.map(solicitud => noEntregados.has(solicitud.id)
+            ? { ...solicitud, estatus: noEntregados.get(solicitud.id) }
+            : solicitud));
+        return changes.filter(change => !noEntregados.has(change.solicitud.id));
+    }
+
+    /**
+     * Obtiene las solicitudes cuyo estatus cambió respecto a la foto anterior
+     * @param {Object} previousStatuses - { idSolicitud: estatus }
+     * @param {Object[]} solicitudes - Solicitudes actuales
+     */
+    diff(previousStatuses, solicitudes) {
+        return solicitudes
+            .filter(solicitud => {
+                const previous = previousStatuses[solicitud.id];
+                return previous !== undefined && previous !== solicitud.estatus;
+            })
+            .map(solicitud => ({
+                solicitud,
+                previousStatus: previousStatuses[solicitud.id],
+                newStatus: solicitud.estatus
+            }));
+    }
+
+    /**
+     * Tarjeta de aviso de cambio de estatus
+     */
+    createChangeCard({ solicitud, previousStatus, newStatus, motivo }) {
+        const style = STATUS_STYLES[newStatus] || { color: 'Default', icon: '🔔' };
+        const formatDate = (date) => new Date(date).toLocaleDateString('es-MX', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+
+        return CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: `${style.icon} Tu solicitud cambió de estatus`,
+                    size: 'Large',
+                    weight: 'Bolder',
+                    color: style.color,
+                    wrap: true
+                },
+                {
+                    type: 'FactSet',
+                    facts: [
+                        { title: 'Tipo:', value: solicitud.tipoSolicitud || 'Vacaciones' },
+                        { title: 'Fechas:', value: `${formatDate(solicitud.fechaSalida)} - ${formatDate(solicitud.fechaRegreso)}` },
+                        { title: 'Días:', value: `${solicitud.cantidadDias}` },
+                        { title: 'Estatus:', value: `${previousStatus} → **${newStatus}**` },
+                        ...(motivo ? [{ title: 'Motivo:', value: motivo }] : [])
+                    ]
+                }
+            ],
+            actions: [
+                {
+                    type: 'Action.Submit',
+                    title: '🔕 Dejar de recibir estos avisos',
+                    data: { action: 'watcher_opt_out' }
+                }
+            ]
+        });
+    }
+
+    /**
+     * Última foto de estatus de un usuario
+     */
+    async getSnapshot(aadObjectId) {
+        const key = `${SNAPSHOT_PREFIX}${aadObjectId}`;
+        const items = await getStateStorage().read([key]);
+        return items[key] || null;
+    }
+
+    /**
+     * Guarda la foto de estatus actual de un usuario
+     */
+    async saveSnapshot(aadObjectId, solicitudes) {
+        const statuses = {};
+        solicitudes.forEach(solicitud => {
+            statuses[solicitud.id] = solicitud.estatus;
+        });
+
+        await getStateStorage().write({
+            [`${SNAPSHOT_PREFIX}${aadObjectId}`]: {
+                statuses,
+                updatedAt: new Date().toISOString(),
+                eTag: '*'
+            }
+        });
+    }
+
+    /**
+     * Obtiene estadísticas del servicio
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            job: this.job.getStats(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new VacationStatusWatcher();
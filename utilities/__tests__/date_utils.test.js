@@ -0,0 +1,102 @@
+// date_utils.test.js - Festivos, días hábiles y fechas en español
+/* eslint-env jest */
+
+const {
+    getHolidays,
+    getHoliday,
+    countBusinessDays,
+    listBusinessDays,
+    parseSpanishDateExpression
+} = require('../date_utils');
+
+const fechas = year => getHolidays(year).map(holiday => holiday.fecha);
+
+describe('getHolidays', () => {
+    test('los festivos de lunes caen en el primer y tercer lunes del mes', () => {
+        // 1 de febrero de 2026 es domingo: el primer lunes es el 2
+        expect(getHoliday('2026-02-02').nombre).toBe('Día de la Constitución');
+        expect(getHoliday('2026-03-16').nombre).toBe('Natalicio de Benito Juárez');
+        expect(getHoliday('2026-11-16').nombre).toBe('Día de la Revolución');
+    });
+
+    test('si el mes empieza en lunes, ese mismo día es el primer lunes', () => {
+        expect(getHoliday('2027-02-01').nombre).toBe('Día de la Constitución');
+        expect(getHoliday('2027-02-08')).toBeNull();
+    });
+
+    test('la transmisión del Poder Ejecutivo es el 1 de octubre cada seis años desde 2024', () => {
+        expect(fechas(2024)).toContain('2024-10-01');
+        expect(fechas(2030)).toContain('2030-10-01');
+        expect(fechas(2026)).not.toContain('2026-10-01');
+        expect(fechas(2024)).not.toContain('2024-12-01');
+    });
+});
+
+describe('countBusinessDays', () => {
+    test('un rango que cruza de año descuenta fines de semana, Navidad y Año Nuevo', () => {
+        const resultado = countBusinessDays('2026-12-21', '2027-01-08');
+
+        expect(resultado.diasHabiles).toBe(13);
+        expect(resultado.diasNaturales).toBe(19);
+        expect(resultado.finesDeSemana).toBe(4);
+        expect(resultado.festivos.map(festivo => festivo.fecha)).toEqual(['2026-12-25', '2027-01-01']);
+    });
+
+    test('devuelve null si el fin es anterior al inicio', () => {
+        expect(countBusinessDays('2026-03-10', '2026-03-02')).toBeNull();
+    });
+});
+
+describe('listBusinessDays', () => {
+    test('con endExclusive el día de regreso no cuenta', () => {
+        expect(listBusinessDays('2026-03-13', '2026-03-17', { endExclusive: true })).toEqual(['2026-03-13']);
+    });
+});
+
+describe('parseSpanishDateExpression', () => {
+    // 19 de octubre de 2026 es lunes
+    const reference = '2026-10-19';
+
+    test('un rango de diciembre a enero toma el inicio del año anterior al fin', () => {
+        const resultado = parseSpanishDateExpression('del 23 de diciembre al 2 de enero', { reference });
+
+        expect(resultado.esRango).toBe(true);
+        expect(resultado.inicio).toBe('2026-12-23');
+        expect(resultado.fin).toBe('2027-01-02');
+    });
+
+    test('sin año, una fecha que ya pasó se asume del año siguiente', () => {
+        const resultado = parseSpanishDateExpression('3 de marzo', { reference });
+
+        expect(resultado.inicio).toBe('2027-03-03');
+        expect(resultado.notas).toEqual(['Se asumió el año 2027 porque la fecha ya pasó este año']);
+    });
+
+    test('el mismo día de la semana que hoy es ambiguo', () => {
+        const resultado = parseSpanishDateExpression('el lunes', { reference });
+
+        expect(resultado.ambigua).toBe(true);
+        expect(resultado.inicio).toBeNull();
+        expect(resultado.alternativas.map(alternativa => alternativa.inicio)).toEqual(['2026-10-19', '2026-10-26']);
+    });
+
+    test('"el próximo" con un día de esta misma semana es ambiguo', () => {
+        const resultado = parseSpanishDateExpression('el próximo miércoles', { reference });
+
+        expect(resultado.ambigua).toBe(true);
+        expect(resultado.alternativas.map(alternativa => alternativa.inicio)).toEqual(['2026-10-21', '2026-10-28']);
+    });
+
+    test('"el próximo" con el día de hoy es el de la semana siguiente', () => {
+        const resultado = parseSpanishDateExpression('el próximo lunes', { reference });
+
+        expect(resultado.ambigua).toBe(false);
+        expect(resultado.inicio).toBe('2026-10-26');
+    });
+
+    test('rechaza fechas que no existen y rangos invertidos', () => {
+        expect(parseSpanishDateExpression('31 de febrero de 2027', { reference }).reconocida).toBe(false);
+        expect(parseSpanishDateExpression('del 10 al 5 de noviembre', { reference }).motivo)
+            .toBe('La fecha de inicio es posterior a la fecha de fin');
+    });
+});
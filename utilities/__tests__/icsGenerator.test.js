@@ -0,0 +1,86 @@
+// icsGenerator.test.js - Archivos iCalendar de vacaciones
+/* eslint-env jest */
+
+const { generateVacationCalendar, buildVacationUid, escapeText, foldLine } = require('../icsGenerator');
+
+const eventos = ics => ics.split('BEGIN:VEVENT').slice(1);
+const propiedad = (evento, nombre) => {
+    const linea = evento.split('\r\n').find(line => line.startsWith(nombre));
+    return linea ? linea.substring(linea.indexOf(':') + 1) : null;
+};
+
+describe('generateVacationCalendar', () => {
+    test('DTEND es exclusivo: el día de regreso cierra el evento', () => {
+        const [evento] = eventos(generateVacationCalendar([
+            { id: 10, fechaSalida: '2026-03-02T00:00:00', fechaRegreso: '2026-03-05T00:00:00' }
+        ]));
+
+        expect(propiedad(evento, 'DTSTART;VALUE=DATE')).toBe('20260302');
+        expect(propiedad(evento, 'DTEND;VALUE=DATE')).toBe('20260305');
+    });
+
+    test('sin regreso posterior el evento dura un día', () => {
+        const [sinRegreso, mismoDia] = eventos(generateVacationCalendar([
+            { id: 11, fechaSalida: '2026-12-31' },
+            { id: 12, fechaSalida: '2026-03-02', fechaRegreso: '2026-03-02' }
+        ]));
+
+        expect(propiedad(sinRegreso, 'DTEND;VALUE=DATE')).toBe('20270101');
+        expect(propiedad(mismoDia, 'DTEND;VALUE=DATE')).toBe('20260303');
+    });
+
+    test('el UID depende solo de la solicitud para que reimportar no duplique', () => {
+        const solicitud = { id: 42, fechaSalida: '2026-03-02', fechaRegreso: '2026-03-03' };
+        const [primero] = eventos(generateVacationCalendar([solicitud]));
+        const [segundo] = eventos(generateVacationCalendar([{ ...solicitud, cantidadDias: 1 }]));
+
+        expect(propiedad(primero, 'UID')).toBe(buildVacationUid(42));
+        expect(propiedad(segundo, 'UID')).toBe(propiedad(primero, 'UID'));
+    });
+
+    test('usa saltos CRLF y ninguna línea pasa de 75 octetos', () => {
+        const ics = generateVacationCalendar(
+            [{ id: 1, fechaSalida: '2026-03-02', fechaRegreso: '2026-03-03', tipoSolicitud: 'Vacaciones de fin de año con descanso adicional' }],
+            { calendarName: 'Calendario de ausencias autorizadas del área de Recursos Humanos' }
+        );
+
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+        ics.split('\r\n').forEach(line => {
+            expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+        });
+    });
+});
+
+describe('foldLine', () => {
+    test('las líneas de continuación empiezan con un espacio', () => {
+        const linea = `DESCRIPTION:${'a'.repeat(100)}`;
+        const partes = foldLine(linea).split('\r\n');
+
+        expect(partes).toHaveLength(2);
+        expect(Buffer.byteLength(partes[0], 'utf8')).toBe(75);
+        expect(partes[1].startsWith(' ')).toBe(true);
+        expect(partes[0] + partes[1].substring(1)).toBe(linea);
+    });
+
+    test('no corta caracteres multibyte', () => {
+        const linea = `SUMMARY:${'ñá🏖️'.repeat(20)}`;
+        const partes = foldLine(linea).split('\r\n');
+
+        partes.forEach(parte => {
+            expect(Buffer.byteLength(parte, 'utf8')).toBeLessThanOrEqual(75);
+            expect(parte).not.toContain('�');
+        });
+        expect(partes.map((parte, i) => (i === 0 ? parte : parte.substring(1))).join('')).toBe(linea);
+    });
+
+    test('no modifica líneas cortas', () => {
+        expect(foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+    });
+});
+
+describe('escapeText', () => {
+    test('escapa barras, punto y coma, comas y saltos de línea', () => {
+        expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+});
@@ -0,0 +1,67 @@
+// internalAuth.test.js - API key de los endpoints internos
+/* eslint-env jest */
+
+const { requireInternalAuth } = require('../internalAuth');
+
+const crearPeticion = (headers = {}) => ({
+    method: 'POST',
+    path: '/api/notify',
+    get: nombre => headers[nombre.toLowerCase()]
+});
+
+const crearRespuesta = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('requireInternalAuth', () => {
+    const original = process.env.INTERNAL_API_KEY;
+
+    afterEach(() => {
+        if (original === undefined) {
+            delete process.env.INTERNAL_API_KEY;
+        } else {
+            process.env.INTERNAL_API_KEY = original;
+        }
+    });
+
+    test('sin INTERNAL_API_KEY el endpoint queda deshabilitado', () => {
+        delete process.env.INTERNAL_API_KEY;
+        const res = crearRespuesta();
+        const next = jest.fn();
+
+        requireInternalAuth(crearPeticion({ 'x-api-key': 'cualquiera' }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(503);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['sin llave', {}],
+        ['llave incorrecta', { 'x-api-key': 'otra' }],
+        ['llave de otro largo', { authorization: 'Bearer secreto-largo' }]
+    ])('rechaza con 401: %s', (caso, headers) => {
+        process.env.INTERNAL_API_KEY = 'secreto';
+        const res = crearRespuesta();
+        const next = jest.fn();
+
+        requireInternalAuth(crearPeticion(headers), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['x-api-key', { 'x-api-key': 'secreto' }],
+        ['Authorization: Bearer', { authorization: 'Bearer secreto' }]
+    ])('acepta la llave en %s', (caso, headers) => {
+        process.env.INTERNAL_API_KEY = 'secreto';
+        const next = jest.fn();
+
+        requireInternalAuth(crearPeticion(headers), crearRespuesta(), next);
+
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,137 @@
+// logger.test.js - Redacción de datos sensibles y correlación por turno
+/* eslint-env jest */
+
+const {
+    createLogger,
+    runWithContext,
+    getCorrelationId,
+    getCorrelationHeaders,
+    hashUserId,
+    redact
+} = require('../logger');
+
+/**
+ * Captura las líneas JSON que escribe el logger
+ */
+function capturar(fn) {
+    const lineas = [];
+    const escribir = chunk => {
+        lineas.push(JSON.parse(String(chunk)));
+        return true;
+    };
+    jest.spyOn(process.stdout, 'write').mockImplementation(escribir);
+    jest.spyOn(process.stderr, 'write').mockImplementation(escribir);
+    fn();
+    jest.restoreAllMocks();
+    return lineas;
+}
+
+describe('hashUserId', () => {
+    test('es estable, corto y no contiene el id', () => {
+        const hash = hashUserId('29:1AbCdEfGhIjKlMnOpQ');
+
+        expect(hash).toHaveLength(16);
+        expect(hash).toBe(hashUserId('29:1AbCdEfGhIjKlMnOpQ'));
+        expect(hash).not.toBe(hashUserId('29:otro-usuario-distinto'));
+        expect(hashUserId(null)).toBeNull();
+    });
+});
+
+describe('redact', () => {
+    test('redacta secretos y números de empleado sin importar mayúsculas', () => {
+        expect(redact({
+            Authorization: 'Bearer abc',
+            userToken: 'xyz',
+            apiKey: 'k',
+            numeroSocio: '12345',
+            NoEmpleado: 678,
+            nombre: 'Ana'
+        })).toEqual({
+            Authorization: '[REDACTED]',
+            userToken: '[REDACTED]',
+            apiKey: '[REDACTED]',
+            numeroSocio: '[REDACTED]',
+            NoEmpleado: '[REDACTED]',
+            nombre: 'Ana'
+        });
+    });
+
+    test('reemplaza los ids de usuario por su hash en objetos anidados y arreglos', () => {
+        const resultado = redact({ from: { aadObjectId: 'aad-1' }, usuarios: [{ userId: '29:abc' }] });
+
+        expect(resultado.from.aadObjectId).toBe(hashUserId('aad-1'));
+        expect(resultado.usuarios[0].userId).toBe(hashUserId('29:abc'));
+    });
+
+    test('redacta tokens, JWT, correos y números de empleado dentro de textos', () => {
+        const texto = redact('Bearer abc.def-123 eyJhbGciOi.eyJzdWIiOi.firma ana@empresa.com numeroSocio: 98765 número de empleado=A-12');
+
+        expect(texto).toBe('Bearer [REDACTED] [JWT] [EMAIL] numeroSocio: [REDACTED] número de empleado=[REDACTED]');
+    });
+
+    test('reemplaza ids de Teams y el prefijo [aadObjectId] de los servicios proactivos', () => {
+        const aad = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+        expect(redact('Usuario 29:1AbCdEfGhIjKlMnOpQrS sin token')).toBe(`Usuario user:${hashUserId('29:1AbCdEfGhIjKlMnOpQrS')} sin token`);
+        expect(redact(`[${aad}] Aviso enviado`)).toBe(`[user:${hashUserId(aad)}] Aviso enviado`);
+    });
+
+    test('corta referencias circulares y estructuras muy profundas', () => {
+        const ciclo = { nombre: 'a' };
+        ciclo.yo = ciclo;
+        const profundo = { a: { b: { c: { d: { e: { f: 1 } } } } } };
+
+        expect(redact(ciclo).yo).toBe('[...]');
+        expect(redact(profundo).a.b.c.d.e).toBe('[...]');
+    });
+
+    test('los errores se serializan con el mensaje redactado', () => {
+        const error = Object.assign(new Error('Falló para ana@empresa.com'), { code: 'E1', response: { status: 401 } });
+
+        expect(redact(error)).toMatchObject({ name: 'Error', message: 'Falló para [EMAIL]', code: 'E1', status: 401 });
+    });
+});
+
+describe('createLogger', () => {
+    const logger = createLogger('pruebas');
+
+    test('escribe JSON con módulo, nivel, datos redactados y el contexto del turno', () => {
+        const [linea] = capturar(() => runWithContext({ correlationId: 'corr-1', userId: '29:ana' }, () => {
+            logger.info('Consultando saldo', { userToken: 'secreto', dias: 3 });
+        }));
+
+        expect(linea).toMatchObject({
+            level: 'info',
+            module: 'pruebas',
+            msg: 'Consultando saldo',
+            correlationId: 'corr-1',
+            userHash: hashUserId('29:ana'),
+            data: { userToken: '[REDACTED]', dias: 3 }
+        });
+        expect(JSON.stringify(linea)).not.toContain('29:ana');
+    });
+
+    test('los errores van al campo error', () => {
+        const [linea] = capturar(() => logger.error('Falló SIRH:', new Error('timeout')));
+
+        expect(linea.level).toBe('error');
+        expect(linea.error.message).toBe('timeout');
+    });
+
+    test('debug no se escribe con el nivel por defecto', () => {
+        expect(capturar(() => logger.debug('detalle'))).toEqual([]);
+        expect(logger.isLevelEnabled('debug')).toBe(false);
+    });
+});
+
+describe('runWithContext', () => {
+    test('genera un id de correlación y lo propaga a los encabezados', () => {
+        runWithContext({}, () => {
+            expect(getCorrelationId()).toMatch(/^[0-9a-f-]{36}$/);
+            expect(getCorrelationHeaders()).toEqual({ 'X-Correlation-Id': getCorrelationId() });
+        });
+
+        expect(getCorrelationId()).toBeNull();
+        expect(getCorrelationHeaders()).toEqual({});
+    });
+});
@@ -0,0 +1,58 @@
+// lruCache.test.js - Desalojo LRU y expiración
+/* eslint-env jest */
+
+const { LruCache } = require('../lruCache');
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('LruCache', () => {
+    test('al llenarse desaloja la entrada usada hace más tiempo', () => {
+        const cache = new LruCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('c')).toBe(3);
+        expect(cache.getStats().evictions).toBe(1);
+    });
+
+    test('reescribir una clave no desaloja otras', () => {
+        const cache = new LruCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('a', 10);
+
+        expect(cache.get('a')).toBe(10);
+        expect(cache.get('b')).toBe(2);
+        expect(cache.getStats().size).toBe(2);
+    });
+
+    test('las entradas vencidas cuentan como fallo y se eliminan', () => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+        const cache = new LruCache({ ttlMs: 1000 });
+        cache.set('a', 1);
+        cache.set('b', 2, 5000);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.get('b')).toBe(2);
+        expect(cache.getStats()).toEqual(expect.objectContaining({ expirations: 1, hits: 1, misses: 1, hitRate: 0.5, size: 1 }));
+    });
+
+    test('deleteWhere y clear informan cuántas entradas eliminaron', () => {
+        const cache = new LruCache();
+        cache.set('idx1|a', 1);
+        cache.set('idx1|b', 2);
+        cache.set('idx2|a', 3);
+
+        expect(cache.deleteWhere(key => key.startsWith('idx1|'))).toBe(2);
+        expect(cache.clear()).toBe(1);
+        expect(cache.getStats().size).toBe(0);
+    });
+});
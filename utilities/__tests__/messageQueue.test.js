@@ -0,0 +1,108 @@
+// messageQueue.test.js - Cola ordenada de mensajes por usuario
+/* eslint-env jest */
+
+const { UserMessageQueue } = require('../messageQueue');
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Procesador que registra los lotes y tarda lo indicado por texto
+ */
+function crearProcesador(duraciones = {}) {
+    const eventos = [];
+    const procesar = async (userId, lote) => {
+        const textos = lote.map(entrada => entrada.text).join('+');
+        eventos.push(`inicio ${userId}:${textos}`);
+        await esperar(duraciones[lote[0].text] || 5);
+        if (lote[0].text === 'falla') {
+            throw new Error('fallo del lote');
+        }
+        eventos.push(`fin ${userId}:${textos}`);
+    };
+    return { eventos, procesar };
+}
+
+describe('UserMessageQueue', () => {
+    test('procesa en orden y agrupa los textos que esperan en un solo lote', async () => {
+        const { eventos, procesar } = crearProcesador({ a: 30 });
+        const cola = new UserMessageQueue(procesar);
+
+        const tickets = ['a', 'b', 'c'].map(text => cola.enqueue('u1', { text }));
+        await Promise.all(tickets.map(ticket => ticket.done));
+
+        expect(tickets.map(ticket => ticket.waiting)).toEqual([false, true, true]);
+        expect(eventos).toEqual(['inicio u1:a', 'fin u1:a', 'inicio u1:b+c', 'fin u1:b+c']);
+        expect(cola.getStats().coalescedMessages).toBe(1);
+        expect(cola.isBusy('u1')).toBe(false);
+    });
+
+    test('un comando se procesa solo y separa los textos', async () => {
+        const { eventos, procesar } = crearProcesador({ a: 30 });
+        const cola = new UserMessageQueue(procesar);
+
+        const tickets = [
+            cola.enqueue('u1', { text: 'a' }),
+            cola.enqueue('u1', { text: 'b' }),
+            cola.enqueue('u1', { text: 'login', kind: 'command' }),
+            cola.enqueue('u1', { text: 'c' })
+        ];
+        await Promise.all(tickets.map(ticket => ticket.done));
+
+        expect(eventos.filter(evento => evento.startsWith('inicio'))).toEqual([
+            'inicio u1:a', 'inicio u1:b', 'inicio u1:login', 'inicio u1:c'
+        ]);
+    });
+
+    test('rechaza mensajes cuando la cola del usuario está llena', () => {
+        const cola = new UserMessageQueue(() => esperar(20), { maxDepth: 1 });
+
+        cola.enqueue('u1', { text: 'a' });
+        expect(cola.enqueue('u1', { text: 'b' }).accepted).toBe(true);
+        expect(cola.enqueue('u1', { text: 'c' }).accepted).toBe(false);
+        expect(cola.getStats().rejected).toBe(1);
+    });
+
+    test('un lote que excede el tiempo bloquea al usuario hasta terminar', async () => {
+        const { eventos, procesar } = crearProcesador({ lento: 60 });
+        const cola = new UserMessageQueue(procesar, { turnTimeoutMs: 20 });
+
+        const primero = cola.enqueue('u1', { text: 'lento' });
+        const segundo = cola.enqueue('u1', { text: 'b' });
+        await Promise.all([primero.done, segundo.done]);
+
+        expect(eventos).toEqual(['inicio u1:lento', 'fin u1:lento', 'inicio u1:b', 'fin u1:b']);
+        expect(cola.getStats()).toMatchObject({ timeouts: 1, processedBatches: 2 });
+    });
+
+    test('un lote con error no detiene la cola', async () => {
+        const { eventos, procesar } = crearProcesador();
+        const cola = new UserMessageQueue(procesar);
+
+        const tickets = [cola.enqueue('u1', { text: 'falla' }), cola.enqueue('u1', { text: 'b', kind: 'command' })];
+        await Promise.all(tickets.map(ticket => ticket.done));
+
+        expect(eventos).toEqual(['inicio u1:falla', 'inicio u1:b', 'fin u1:b']);
+        expect(cola.getStats().errors).toBe(1);
+    });
+
+    test('los usuarios no se esperan entre sí', async () => {
+        const { eventos, procesar } = crearProcesador({ a: 30 });
+        const cola = new UserMessageQueue(procesar);
+
+        const tickets = [cola.enqueue('u1', { text: 'a' }), cola.enqueue('u2', { text: 'b' })];
+        await Promise.all(tickets.map(ticket => ticket.done));
+
+        expect(eventos.indexOf('fin u2:b')).toBeLessThan(eventos.indexOf('fin u1:a'));
+    });
+
+    test('clear libera los turnos en espera', async () => {
+        const cola = new UserMessageQueue(() => esperar(30));
+
+        cola.enqueue('u1', { text: 'a' });
+        const enEspera = cola.enqueue('u1', { text: 'b' });
+
+        expect(cola.clear('u1')).toBe(true);
+        await expect(enEspera.done).resolves.toBeUndefined();
+        expect(cola.isBusy('u1')).toBe(false);
+    });
+});
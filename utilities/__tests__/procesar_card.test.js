@@ -0,0 +1,55 @@
+// procesar_card.test.js - Autorización masiva con límite de escrituras en SIRH
+/* eslint-env jest */
+
+process.env.BOT_STATE_STORAGE = 'memory';
+
+// conversationService deja un intervalo de limpieza que no permite terminar a jest
+jest.mock('../../services/conversationService', () => ({}));
+
+const { RateLimiter } = require('../rateLimiter');
+const { runWithContext } = require('../logger');
+const sirhClient = require('../../services/sirhClient');
+const { handleBulkDependentAction } = require('../procesar_card');
+
+const crearContexto = () => ({
+    activity: { from: { id: '29:jefe' } },
+    sendActivity: jest.fn(async () => ({}))
+});
+
+const seleccion = ids => ({
+    action: 'autorizar_seleccionadas',
+    nombres: Object.fromEntries(ids.map(id => [id, `Empleado ${id}`])),
+    ...Object.fromEntries(ids.map(id => [`seleccion_${id}`, 'true']))
+});
+
+const openaiService = { verificarCoberturaEquipo: async () => null };
+const getUserOAuthToken = async () => 'token';
+
+beforeEach(() => {
+    sirhClient.useRateLimiter(new RateLimiter({
+        enabled: true,
+        buckets: { sirh_write: { capacity: 2, refillPerMinute: 1 } }
+    }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    sirhClient.useRateLimiter(null);
+});
+
+describe('handleBulkDependentAction', () => {
+    test('cada solicitud consume una ficha; al agotarlas las demás no se envían', async () => {
+        const autorizar = jest.spyOn(sirhClient, 'request').mockResolvedValue({ statusCode: 200 });
+        const context = crearContexto();
+
+        await runWithContext({ userId: '29:jefe' }, () =>
+            handleBulkDependentAction(context, seleccion(['1', '2', '3', '4']), getUserOAuthToken, openaiService));
+
+        expect(autorizar).toHaveBeenCalledTimes(2);
+        const resumen = context.sendActivity.mock.calls.map(([mensaje]) => mensaje).pop();
+        expect(resumen).toContain('2 de 4 solicitud(es) procesadas');
+        expect(resumen).toContain('Empleado 3 (ID 3): no se envió');
+        expect(resumen).toContain('Empleado 4 (ID 4): no se envió');
+        expect(resumen).toContain('Intenta de nuevo en');
+    });
+});
@@ -0,0 +1,100 @@
+// rateLimiter.test.js - Token bucket por usuario y tipo de operación
+/* eslint-env jest */
+
+const { RateLimiter } = require('../rateLimiter');
+const { hashUserId } = require('../logger');
+
+const crearLimitador = (options = {}) => new RateLimiter({
+    enabled: true,
+    buckets: { llm: { capacity: 2, refillPerMinute: 6 } },
+    ...options
+});
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-10-19T15:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('permite una ráfaga de la capacidad y luego limita', () => {
+        const limitador = crearLimitador();
+
+        expect(limitador.consume('u1', 'llm')).toEqual({ allowed: true, remaining: 1, retryAfterSeconds: 0 });
+        expect(limitador.consume('u1', 'llm')).toEqual({ allowed: true, remaining: 0, retryAfterSeconds: 0 });
+        expect(limitador.consume('u1', 'llm')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 10 });
+    });
+
+    test('repone fichas de forma continua sin pasar de la capacidad', () => {
+        const limitador = crearLimitador();
+        limitador.consume('u1', 'llm');
+        limitador.consume('u1', 'llm');
+
+        jest.advanceTimersByTime(5000);
+        expect(limitador.consume('u1', 'llm')).toMatchObject({ allowed: false, retryAfterSeconds: 5 });
+
+        jest.advanceTimersByTime(5000);
+        expect(limitador.consume('u1', 'llm').allowed).toBe(true);
+
+        jest.advanceTimersByTime(10 * 60 * 1000);
+        expect(limitador.consume('u1', 'llm').remaining).toBe(1);
+    });
+
+    test('cada usuario y cada bucket tienen sus propias fichas', () => {
+        const limitador = crearLimitador({
+            buckets: { llm: { capacity: 1, refillPerMinute: 1 }, card: { capacity: 1, refillPerMinute: 1 } }
+        });
+
+        expect(limitador.consume('u1', 'llm').allowed).toBe(true);
+        expect(limitador.consume('u1', 'llm').allowed).toBe(false);
+        expect(limitador.consume('u2', 'llm').allowed).toBe(true);
+        expect(limitador.consume('u1', 'card').allowed).toBe(true);
+    });
+
+    test('consume varias fichas a la vez o ninguna', () => {
+        const limitador = crearLimitador({ buckets: { sirh_write: { capacity: 3, refillPerMinute: 6 } } });
+
+        expect(limitador.consume('u1', 'sirh_write', 2).allowed).toBe(true);
+        expect(limitador.consume('u1', 'sirh_write', 2)).toMatchObject({ allowed: false, retryAfterSeconds: 10 });
+        expect(limitador.consume('u1', 'sirh_write').allowed).toBe(true);
+    });
+
+    test('una operación mayor que la ráfaga consume la ráfaga completa', () => {
+        const limitador = crearLimitador({ buckets: { sirh_write: { capacity: 1, refillPerMinute: 6 } } });
+
+        expect(limitador.consume('u1', 'sirh_write', 2).allowed).toBe(true);
+        expect(limitador.consume('u1', 'sirh_write').allowed).toBe(false);
+    });
+
+    test('deshabilitado siempre permite', () => {
+        const limitador = crearLimitador({ enabled: false });
+
+        for (let i = 0; i < 5; i++) {
+            expect(limitador.consume('u1', 'llm').allowed).toBe(true);
+        }
+    });
+
+    test('un bucket desconocido es un error', () => {
+        expect(() => crearLimitador().consume('u1', 'otro')).toThrow('Bucket de rate limit desconocido: otro');
+    });
+
+    test('los eventos recientes guardan el hash del usuario, no su id', () => {
+        const limitador = crearLimitador({ buckets: { llm: { capacity: 1, refillPerMinute: 1 } } });
+        limitador.consume('29:usuario-teams', 'llm');
+        limitador.consume('29:usuario-teams', 'llm');
+
+        const [evento] = limitador.getStats().recentEvents;
+        expect(evento).toMatchObject({ bucket: 'llm', userHash: hashUserId('29:usuario-teams'), retryAfterSeconds: 60 });
+        expect(JSON.stringify(limitador.getStats())).not.toContain('usuario-teams');
+    });
+
+    test('el mensaje usa el idioma del cliente y español por defecto', () => {
+        const limitador = crearLimitador();
+
+        expect(limitador.getMessage('card', 3, 'en-US')).toContain('Please try again in 3 second(s)');
+        expect(limitador.getMessage('card', 3, 'fr-FR')).toContain('Intenta de nuevo en 3 segundo(s)');
+    });
+});
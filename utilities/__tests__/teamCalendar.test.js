@@ -0,0 +1,120 @@
+// teamCalendar.test.js - Conflictos de cobertura del equipo
+/* eslint-env jest */
+
+const { findHeadcountConflicts, buildWeeklyOverlaps, countTeamMembers } = require('../teamCalendar');
+
+const solicitud = (id, nombreSocio, fechaSalida, fechaRegreso, estatus = 'PENDIENTE') => ({
+    id,
+    nombreSocio,
+    fechaSalida,
+    fechaRegreso,
+    estatus
+});
+
+describe('findHeadcountConflicts', () => {
+    test('sin tamaño fijado lo toma de las personas en las solicitudes del jefe', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04', 'AUTORIZADA'),
+            solicitud(2, 'Luis', '2026-03-03', '2026-03-05'),
+            solicitud(3, 'Eva', '2026-01-12', '2026-01-13', 'RECHAZADA')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, 2, { minHeadcount: 2 })).toEqual([
+            { date: '2026-03-03', ausentes: ['Ana', 'Luis'], presentes: 1 }
+        ]);
+        expect(findHeadcountConflicts(solicitudes, 2, { teamSize: 10, minHeadcount: 2 })).toEqual([]);
+    });
+
+    test('con una sola solicitud y equipo configurado no hay conflicto', () => {
+        const solicitudes = [solicitud(1, 'Ana', '2026-03-02', '2026-03-04')];
+
+        expect(findHeadcountConflicts(solicitudes, 1, { teamSize: 4, minHeadcount: 1 })).toEqual([]);
+    });
+
+    test('cuenta las ausentes ya autorizadas más la candidata', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04', 'AUTORIZADA'),
+            solicitud(2, 'Luis', '2026-03-03', '2026-03-05')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, 2, { teamSize: 3, minHeadcount: 2 })).toEqual([
+            { date: '2026-03-03', ausentes: ['Ana', 'Luis'], presentes: 1 }
+        ]);
+    });
+
+    test('las solicitudes pendientes de otros no cuentan como ausencia', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04'),
+            solicitud(2, 'Luis', '2026-03-03', '2026-03-05')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, 2, { teamSize: 3, minHeadcount: 2 })).toEqual([]);
+    });
+
+    test('evalúa toda la selección en una autorización masiva', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04'),
+            solicitud(2, 'Luis', '2026-03-03', '2026-03-05')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, ['1', '2'], { teamSize: 3, minHeadcount: 2 })).toEqual([
+            { date: '2026-03-03', ausentes: ['Ana', 'Luis'], presentes: 1 }
+        ]);
+    });
+
+    test('el día de regreso y los festivos no cuentan como ausencia', () => {
+        // Regresa el miércoles 18 y el lunes 16 de marzo de 2026 es festivo
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-13', '2026-03-18', 'AUTORIZADA'),
+            solicitud(2, 'Luis', '2026-03-16', '2026-03-19')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, 2, { teamSize: 2, minHeadcount: 1 })).toEqual([
+            { date: '2026-03-17', ausentes: ['Ana', 'Luis'], presentes: 0 }
+        ]);
+    });
+
+    test('una persona con dos solicitudes el mismo día cuenta una vez', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04', 'AUTORIZADA'),
+            solicitud(2, 'Ana', '2026-03-03', '2026-03-04')
+        ];
+
+        expect(findHeadcountConflicts(solicitudes, 2, { teamSize: 2, minHeadcount: 1 })).toEqual([]);
+    });
+
+    test('minHeadcount 0 desactiva la advertencia', () => {
+        const solicitudes = [solicitud(1, 'Ana', '2026-03-02', '2026-03-04')];
+
+        expect(findHeadcountConflicts(solicitudes, 1, { teamSize: 1, minHeadcount: 0 })).toEqual([]);
+    });
+});
+
+describe('countTeamMembers', () => {
+    test('cuenta cada persona una vez sin importar el estatus', () => {
+        expect(countTeamMembers([
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04', 'CANCELADA'),
+            solicitud(2, 'Ana', '2026-04-06', '2026-04-08'),
+            solicitud(3, 'Luis', '2026-03-03', '2026-03-05', 'RECHAZADA')
+        ])).toBe(2);
+        expect(countTeamMembers(null)).toBe(0);
+    });
+});
+
+describe('buildWeeklyOverlaps', () => {
+    test('marca la semana con más de una persona fuera el mismo día', () => {
+        const solicitudes = [
+            solicitud(1, 'Ana', '2026-03-02', '2026-03-04', 'AUTORIZADA'),
+            solicitud(2, 'Luis', '2026-03-03', '2026-03-05'),
+            solicitud(3, 'Eva', '2026-03-09', '2026-03-10', 'RECHAZADA')
+        ];
+
+        const [primera, segunda] = buildWeeklyOverlaps(solicitudes, { from: '2026-03-02', weeks: 2 });
+
+        expect(primera.weekStart).toBe('2026-03-02');
+        expect(primera.maxAusentes).toBe(2);
+        expect(primera.hasOverlap).toBe(true);
+        expect(segunda.maxAusentes).toBe(0);
+        expect(segunda.hasOverlap).toBe(false);
+    });
+});
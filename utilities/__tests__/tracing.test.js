@@ -0,0 +1,169 @@
+// tracing.test.js - Spans anidados, propagación y exportación OTLP/JSON
+/* eslint-env jest */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+const { Tracer } = require('../tracing');
+const { runWithContext } = require('../logger');
+
+let directorio;
+
+/**
+ * Tracer con exportador a archivo en un directorio temporal
+ */
+const crearTracer = (config = {}) => new Tracer({
+    exporter: 'file',
+    file: path.join(directorio, 'traces.jsonl'),
+    otlpEndpoint: 'http://colector:4318/v1/traces',
+    serviceName: 'bot-pruebas',
+    flushIntervalMs: 60000,
+    maxQueue: 100,
+    batchSize: 200,
+    ...config
+});
+
+const leerLotes = () => fs.readFileSync(path.join(directorio, 'traces.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(linea => JSON.parse(linea));
+
+beforeEach(() => {
+    directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-'));
+});
+
+afterEach(() => {
+    fs.rmSync(directorio, { recursive: true, force: true });
+    jest.resetAllMocks();
+});
+
+describe('withSpan', () => {
+    test('los spans anidados comparten la traza y apuntan a su padre', async () => {
+        const tracer = crearTracer();
+        let padre;
+        let hijo;
+
+        await tracer.withSpan('POST /api/messages', { kind: 'server' }, async (span) => {
+            padre = span;
+            await tracer.withSpan('tool consultar_saldo', {}, async (span2) => {
+                hijo = span2;
+            });
+        });
+        await tracer.shutdown();
+
+        expect(hijo.traceId).toBe(padre.traceId);
+        expect(hijo.parentSpanId).toBe(padre.spanId);
+        expect(padre.parentSpanId).toBeNull();
+        expect(padre.status).toEqual({ code: 1 });
+    });
+
+    test('el span raíz lleva el id de correlación del turno', async () => {
+        const tracer = crearTracer();
+        let raiz;
+
+        await runWithContext({ correlationId: 'corr-7' }, () =>
+            tracer.withSpan('turno', {}, async (span) => { raiz = span; }));
+        await tracer.shutdown();
+
+        expect(raiz.attributes['correlation.id']).toBe('corr-7');
+    });
+
+    test('si fn lanza, registra la excepción, marca error y propaga', async () => {
+        const tracer = crearTracer();
+        let fallido;
+
+        await expect(tracer.withSpan('sirh.request', { kind: 'client' }, async (span) => {
+            fallido = span;
+            throw new Error('SIRH caído');
+        })).rejects.toThrow('SIRH caído');
+        await tracer.shutdown();
+
+        expect(fallido.status).toEqual({ code: 2, message: 'SIRH caído' });
+        expect(fallido.events[0].name).toBe('exception');
+        expect(fallido.endTime).not.toBeNull();
+    });
+});
+
+describe('getTraceHeaders', () => {
+    test('propaga traceparent W3C solo dentro de un span', async () => {
+        const tracer = crearTracer();
+
+        await tracer.withSpan('http', {}, async (span) => {
+            expect(tracer.getTraceHeaders()).toEqual({ traceparent: `00-${span.traceId}-${span.spanId}-01` });
+        });
+        await tracer.shutdown();
+
+        expect(tracer.getTraceHeaders()).toEqual({});
+    });
+
+    test('withActiveSpan retoma un span guardado (trabajo encolado)', async () => {
+        const tracer = crearTracer();
+        const span = tracer.startSpan('turno original');
+
+        tracer.withActiveSpan(span, () => {
+            expect(tracer.getActiveSpan()).toBe(span);
+        });
+        expect(tracer.withActiveSpan(null, () => tracer.getActiveSpan())).toBeNull();
+    });
+});
+
+describe('exportación', () => {
+    test('el exportador de archivo escribe un ExportTraceServiceRequest por lote', async () => {
+        const tracer = crearTracer();
+
+        await tracer.withSpan('openai.chat', {
+            kind: 'client',
+            attributes: { 'gen_ai.request.model': 'gpt-4o', 'tokens': 120, 'temperatura': 0.7, 'cache': true, 'vacio': null }
+        }, async () => {});
+        await tracer.shutdown();
+
+        const [lote] = leerLotes();
+        const [recurso] = lote.resourceSpans;
+        const [span] = recurso.scopeSpans[0].spans;
+
+        expect(recurso.resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'bot-pruebas' } });
+        expect(span).toMatchObject({ name: 'openai.chat', kind: 3, status: { code: 1 } });
+        expect(span.attributes).toEqual([
+            { key: 'gen_ai.request.model', value: { stringValue: 'gpt-4o' } },
+            { key: 'tokens', value: { intValue: '120' } },
+            { key: 'temperatura', value: { doubleValue: 0.7 } },
+            { key: 'cache', value: { boolValue: true } }
+        ]);
+        expect(BigInt(span.endTimeUnixNano) >= BigInt(span.startTimeUnixNano)).toBe(true);
+        expect(tracer.getStats()).toMatchObject({ exported: 1, pending: 0 });
+    });
+
+    test('el exportador OTLP envía el lote al colector y cuenta los errores', async () => {
+        const tracer = crearTracer({ exporter: 'otlp' });
+        axios.post.mockResolvedValueOnce({ status: 200 }).mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+        await tracer.withSpan('uno', {}, async () => {});
+        await tracer.flush();
+        await tracer.withSpan('dos', {}, async () => {});
+        await tracer.shutdown();
+
+        expect(axios.post).toHaveBeenCalledWith('http://colector:4318/v1/traces', expect.objectContaining({ resourceSpans: expect.any(Array) }), expect.any(Object));
+        expect(tracer.getStats()).toMatchObject({ exported: 1, exportErrors: 1, dropped: 1, lastError: 'ECONNREFUSED' });
+    });
+
+    test('con la cola llena descarta los spans nuevos', async () => {
+        const tracer = crearTracer({ maxQueue: 1 });
+
+        tracer.startSpan('a').end();
+        tracer.startSpan('b').end();
+
+        expect(tracer.getStats()).toMatchObject({ pending: 1, dropped: 1 });
+        await tracer.shutdown();
+    });
+
+    test('deshabilitado no acumula spans', async () => {
+        const tracer = crearTracer({ exporter: 'none' });
+
+        await tracer.withSpan('x', {}, async () => {});
+
+        expect(tracer.getStats()).toMatchObject({ enabled: false, pending: 0, started: 1 });
+    });
+});
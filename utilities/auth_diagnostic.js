@@ -159,7 +159,7 @@ class AuthDiagnostic {
                     activeDialogs: stats.activeDialogs,
                     activeProcesses: stats.activeProcesses,
                     authTimeouts: stats.authTimeouts,
-                    userHasActiveProcess: bot.activeProcesses ? bot.activeProcesses.has(userId) : false,
+                    userHasActiveProcess: bot.messageQueue ? bot.messageQueue.isBusy(userId) : false,
                     userHasActiveDialog: bot.activeDialogs ? bot.activeDialogs.has(`auth-${userId}`) : false
                 };
             }
@@ -381,8 +381,7 @@ class AuthDiagnostic {
             const bot = context.turnState.get('bot');
             if (bot) {
                 // Limpiar procesos específicos del usuario
-                if (bot.activeProcesses && bot.activeProcesses.has(userId)) {
-                    bot.activeProcesses.delete(userId);
+                if (bot.messageQueue && bot.messageQueue.clear(userId)) {
                     fixResults.actionsExecuted.push({
                         action: 'clear_user_active_process',
                         result: 'Proceso activo del usuario eliminado'
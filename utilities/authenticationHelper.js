@@ -1,18 +1,14 @@
 // authenticationHelper.js - Helper para autenticación bajo demanda
 
 const { CardFactory } = require('botbuilder');
+const toolRegistry = require('../services/tools');
+const { createLogger } = require('./logger');
+const logger = createLogger('authenticationHelper');
 
 /**
- * Herramientas que requieren token de autenticación
+ * Herramientas que requieren token de autenticación (declarado en cada módulo del registro)
  */
-const TOOLS_REQUIRING_AUTH = [
-    'consultar_mis_solicitudes',
-    'consultar_informacion_empleado',
-    'cancelar_solicitud_vacaciones',
-    'consultar_solicitudes_dependientes',
-    'autorizar_solicitud_dependiente',
-    'rechazar_solicitud_dependiente'
-];
+const TOOLS_REQUIRING_AUTH = toolRegistry.getToolsRequiringAuth();
 
 /**
  * Verifica si una herramienta requiere autenticación
@@ -20,7 +16,7 @@ const TOOLS_REQUIRING_AUTH = [
  * @returns {boolean} - true si requiere autenticación
  */
 function requiresAuthentication(toolName) {
-    return TOOLS_REQUIRING_AUTH.includes(toolName);
+    return toolRegistry.requiresAuth(toolName);
 }
 
 /**
@@ -33,13 +29,13 @@ function requiresAuthentication(toolName) {
  */
 async function validateUserToken(context, userId, getUserOAuthToken, isTokenValid) {
     try {
-        console.log(`🔐 Validando token para usuario ${userId}...`);
+        logger.info(`🔐 Validando token para usuario ${userId}...`);
         
         // Intentar obtener el token
         const token = await getUserOAuthToken(context, userId);
         
         if (!token) {
-            console.log(`❌ No se encontró token para usuario ${userId}`);
+            logger.info(`❌ No se encontró token para usuario ${userId}`);
             return {
                 isValid: false,
                 token: null,
@@ -51,7 +47,7 @@ async function validateUserToken(context, userId, getUserOAuthToken, isTokenVali
         const tokenIsValid = await isTokenValid(token);
         
         if (!tokenIsValid) {
-            console.log(`❌ Token inválido para usuario ${userId}`);
+            logger.info(`❌ Token inválido para usuario ${userId}`);
             return {
                 isValid: false,
                 token: null,
@@ -59,7 +55,7 @@ async function validateUserToken(context, userId, getUserOAuthToken, isTokenVali
             };
         }
         
-        console.log(`✅ Token válido para usuario ${userId}`);
+        logger.info(`✅ Token válido para usuario ${userId}`);
         return {
             isValid: true,
             token: token,
@@ -67,7 +63,7 @@ async function validateUserToken(context, userId, getUserOAuthToken, isTokenVali
         };
         
     } catch (error) {
-        console.error(`❌ Error validando token para usuario ${userId}:`, error);
+        logger.error(`❌ Error validando token para usuario ${userId}:`, error);
         return {
             isValid: false,
             token: null,
@@ -83,17 +79,8 @@ async function validateUserToken(context, userId, getUserOAuthToken, isTokenVali
  * @returns {Object} - Respuesta con tarjeta OAuth para el usuario
  */
 function generateLoginCard(toolName, toolDescription) {
-    // Mapeo de descripciones amigables para herramientas
-    const toolDescriptions = {
-        'consultar_mis_solicitudes': 'consultar tus solicitudes de vacaciones',
-        'consultar_informacion_empleado': 'obtener tu información como empleado',
-        'cancelar_solicitud_vacaciones': 'cancelar una solicitud de vacaciones',
-        'consultar_solicitudes_dependientes': 'consultar solicitudes de tus reportes directos',
-        'autorizar_solicitud_dependiente': 'autorizar solicitudes de tus empleados',
-        'rechazar_solicitud_dependiente': 'rechazar solicitudes de tus empleados'
-    };
-    
-    const friendlyDescription = toolDescriptions[toolName] || toolDescription || toolName;
+    // Descripción amigable declarada por la herramienta en el registro
+    const friendlyDescription = toolRegistry.getAuthDescription(toolName) || toolDescription || toolName;
     
     const loginCard = {
         type: 'AdaptiveCard',
@@ -218,7 +205,7 @@ async function checkAuthenticationForTool(toolName, context, userId, getUserOAut
         };
     }
     
-    console.log(`🔍 Herramienta ${toolName} requiere autenticación, validando...`);
+    logger.info(`🔍 Herramienta ${toolName} requiere autenticación, validando...`);
     
     // Validar token
     const validationResult = await validateUserToken(context, userId, getUserOAuthToken, isTokenValid);
@@ -0,0 +1,109 @@
+// backgroundJob.js - Tareas periódicas dentro del proceso del bot
+
+const { createLogger } = require('./logger');
+const logger = createLogger('backgroundJob');
+
+/**
+ * Ejecuta una tarea asíncrona cada intervalMs sin traslapes: si una ejecución
+ * sigue en curso la siguiente se omite. El timer no mantiene vivo el proceso.
+ */
+class BackgroundJob {
+    /**
+     * @param {string} name - Nombre para logs y estadísticas
+     * @param {number} intervalMs - Intervalo entre ejecuciones
+     * @param {Function} task - async () => void
+     */
+    constructor(name, intervalMs, task) {
+        if (typeof task !== 'function') {
+            throw new Error(`BackgroundJob '${name}' requiere una tarea`);
+        }
+
+        this.name = name;
+        this.intervalMs = intervalMs;
+        this.task = task;
+        this.timer = null;
+        this.running = false;
+        this.stats = {
+            runs: 0,
+            skipped: 0,
+            errors: 0,
+            lastRunAt: null,
+            lastDurationMs: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Inicia la ejecución periódica
+     * @param {boolean} runImmediately - Ejecutar también al iniciar
+     */
+    start(runImmediately = false) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+
+        logger.info(`⏱️ Tarea '${this.name}' iniciada (cada ${Math.round(this.intervalMs / 1000)}s)`);
+
+        if (runImmediately) {
+            this.runOnce();
+        }
+    }
+
+    /**
+     * Detiene la ejecución periódica
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info(`⏹️ Tarea '${this.name}' detenida`);
+        }
+    }
+
+    /**
+     * Ejecuta la tarea una vez (omitida si ya hay una ejecución en curso)
+     */
+    async runOnce() {
+        if (this.running) {
+            this.stats.skipped++;
+            return;
+        }
+
+        this.running = true;
+        const startedAt = Date.now();
+
+        try {
+            await this.task();
+            this.stats.lastError = null;
+        } catch (error) {
+            this.stats.errors++;
+            this.stats.lastError = error.message;
+            logger.error(`❌ Error en tarea '${this.name}':`, error.message);
+        } finally {
+            this.stats.runs++;
+            this.stats.lastRunAt = new Date(startedAt).toISOString();
+            this.stats.lastDurationMs = Date.now() - startedAt;
+            this.running = false;
+        }
+    }
+
+    /**
+     * Obtiene estadísticas de la tarea
+     */
+    getStats() {
+        return {
+            name: this.name,
+            active: !!this.timer,
+            running: this.running,
+            intervalMs: this.intervalMs,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { BackgroundJob };
@@ -1,5 +1,10 @@
 // utilities/date_utils.js - Utilidades para manejo de fechas
 
+const { DateTime } = require('luxon');
+const holidayConfig = require('../config/holidayConfig');
+
+const TIMEZONE = 'America/Mexico_City';
+
 /**
  * Convierte una fecha en diferentes formatos al formato ISO 8601
  * @param {string} dateString - Fecha en formato string
@@ -140,9 +145,572 @@ function calculateDaysDifference(startDate, endDate) {
   }
 }
 
+/**
+ * Convierte una fecha (Date, DateTime, ISO o YYYY-MM-DD) a DateTime al inicio del día en México
+ * @param {Date|DateTime|string} value - Fecha a convertir
+ * @returns {DateTime|null} - Fecha o null si no es válida
+ */
+function toMexicoDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  let date;
+  if (DateTime.isDateTime(value)) {
+    date = value.setZone(TIMEZONE);
+  } else if (value instanceof Date) {
+    date = DateTime.fromJSDate(value).setZone(TIMEZONE);
+  } else {
+    // Las fechas de SIRH y de las tarjetas son de calendario: se toma solo YYYY-MM-DD
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    const iso = match ? match[1] : convertToISODate(String(value));
+    date = iso ? DateTime.fromISO(iso.substring(0, 10), { zone: TIMEZONE }) : null;
+  }
+
+  return date && date.isValid ? date.startOf('day') : null;
+}
+
+/**
+ * Calcula el Domingo de Pascua (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} year - Año
+ * @returns {DateTime} - Domingo de Pascua
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return DateTime.fromObject({ year, month, day }, { zone: TIMEZONE });
+}
+
+/**
+ * Resuelve la fecha de una regla del calendario para un año
+ * @returns {DateTime|null} - Fecha o null si la regla no aplica ese año
+ */
+function resolveHolidayRule(rule, year) {
+  if (rule.every && (year < rule.since || (year - rule.since) % rule.every !== 0)) {
+    return null;
+  }
+
+  if (rule.type === 'fixed') {
+    return DateTime.fromObject({ year, month: rule.month, day: rule.day }, { zone: TIMEZONE });
+  }
+
+  if (rule.type === 'nthWeekday') {
+    const first = DateTime.fromObject({ year, month: rule.month, day: 1 }, { zone: TIMEZONE });
+    const offset = (rule.weekday - first.weekday + 7) % 7;
+    return first.plus({ days: offset + (rule.nth - 1) * 7 });
+  }
+
+  return null;
+}
+
+const holidayCache = new Map();
+
+/**
+ * Obtiene los días festivos de un año: reglas de la LFT de la versión configurada,
+ * menos los que la empresa retiró, más los que la empresa agregó
+ * @param {number} year - Año
+ * @returns {Array} - [{ fecha: 'YYYY-MM-DD', nombre, origen: 'ley'|'empresa' }] ordenados por fecha
+ */
+function getHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const removed = holidayConfig.removedDates;
+  const isRemoved = (date, id) => removed.includes(id) ||
+    removed.includes(date.toISODate()) ||
+    removed.includes(date.toFormat('MM-dd'));
+
+  const holidays = new Map();
+
+  holidayConfig.rules.forEach(rule => {
+    const date = resolveHolidayRule(rule, year);
+    if (date && !isRemoved(date, rule.id)) {
+      holidays.set(date.toISODate(), { fecha: date.toISODate(), nombre: rule.nombre, origen: 'ley' });
+    }
+  });
+
+  holidayConfig.extraDates.forEach(extra => {
+    let date = null;
+    if (extra.movable) {
+      date = getEasterSunday(year).plus({ days: holidayConfig.movableHolidays[extra.movable].easterOffset });
+    } else if (extra.date.length === 5) {
+      date = DateTime.fromISO(`${year}-${extra.date}`, { zone: TIMEZONE });
+    } else if (extra.date.startsWith(`${year}-`)) {
+      date = DateTime.fromISO(extra.date, { zone: TIMEZONE });
+    }
+
+    if (date && date.isValid && !holidays.has(date.toISODate())) {
+      holidays.set(date.toISODate(), { fecha: date.toISODate(), nombre: extra.nombre, origen: 'empresa' });
+    }
+  });
+
+  const result = Array.from(holidays.values()).sort((a, b) => a.fecha.localeCompare(b.fecha));
+  holidayCache.set(year, result);
+  return result;
+}
+
+/**
+ * Obtiene el festivo de una fecha
+ * @param {Date|DateTime|string} value - Fecha
+ * @returns {Object|null} - { fecha, nombre, origen } o null si no es festivo
+ */
+function getHoliday(value) {
+  const date = toMexicoDate(value);
+  if (!date) {
+    return null;
+  }
+  return getHolidays(date.year).find(holiday => holiday.fecha === date.toISODate()) || null;
+}
+
+/**
+ * Indica si una fecha es día hábil (lunes a viernes y no festivo)
+ * @param {Date|DateTime|string} value - Fecha
+ * @returns {boolean} - true si es día hábil
+ */
+function isBusinessDay(value) {
+  const date = toMexicoDate(value);
+  return !!date && date.weekday <= 5 && !getHoliday(date);
+}
+
+/**
+ * Lista los días hábiles de un rango
+ * @param {Date|DateTime|string} startDate - Primer día del rango
+ * @param {Date|DateTime|string} endDate - Último día del rango
+ * @param {Object} options - { endExclusive: true si endDate es el día de regreso }
+ * @returns {Array<string>} - Fechas YYYY-MM-DD
+ */
+function listBusinessDays(startDate, endDate, options = {}) {
+  const start = toMexicoDate(startDate);
+  let end = toMexicoDate(endDate) || start;
+  if (!start) {
+    return [];
+  }
+  if (options.endExclusive) {
+    end = end.minus({ days: 1 });
+  }
+
+  const days = [];
+  for (let current = start; current <= end; current = current.plus({ days: 1 })) {
+    if (isBusinessDay(current)) {
+      days.push(current.toISODate());
+    }
+  }
+  return days;
+}
+
+/**
+ * Calcula cuántos días hábiles consume un rango (ambos extremos incluidos)
+ * @param {Date|DateTime|string} startDate - Primer día del rango
+ * @param {Date|DateTime|string} endDate - Último día del rango
+ * @returns {Object|null} - { diasHabiles, diasNaturales, finesDeSemana, festivos } o null si las fechas no son válidas
+ */
+function countBusinessDays(startDate, endDate) {
+  const start = toMexicoDate(startDate);
+  const end = toMexicoDate(endDate);
+  if (!start || !end || end < start) {
+    return null;
+  }
+
+  let diasHabiles = 0;
+  let finesDeSemana = 0;
+  const festivos = [];
+
+  for (let current = start; current <= end; current = current.plus({ days: 1 })) {
+    if (current.weekday > 5) {
+      finesDeSemana++;
+      continue;
+    }
+    const holiday = getHoliday(current);
+    if (holiday) {
+      festivos.push(holiday);
+    } else {
+      diasHabiles++;
+    }
+  }
+
+  return {
+    diasHabiles,
+    diasNaturales: Math.round(end.diff(start, 'days').days) + 1,
+    finesDeSemana,
+    festivos
+  };
+}
+
+/**
+ * Suma días hábiles a una fecha
+ * @param {Date|DateTime|string} startDate - Fecha base
+ * @param {number} days - Días hábiles a sumar (negativo para restar)
+ * @returns {string|null} - Fecha resultante YYYY-MM-DD
+ */
+function addBusinessDays(startDate, days) {
+  let current = toMexicoDate(startDate);
+  if (!current) {
+    return null;
+  }
+
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+  while (remaining > 0) {
+    current = current.plus({ days: step });
+    if (isBusinessDay(current)) {
+      remaining--;
+    }
+  }
+  return current.toISODate();
+}
+
+/**
+ * Obtiene los próximos días festivos a partir de una fecha (incluida)
+ * @param {Date|DateTime|string} fromDate - Fecha de referencia (hoy por defecto)
+ * @param {number} count - Cantidad de festivos a devolver
+ * @returns {Array} - [{ fecha, nombre, origen, diaSemana, diasFaltantes }]
+ */
+function getNextHolidays(fromDate = null, count = 1) {
+  const from = toMexicoDate(fromDate) || DateTime.now().setZone(TIMEZONE).startOf('day');
+  const result = [];
+
+  // Se revisan hasta dos años adelante para cubrir el cambio de año
+  for (let year = from.year; year <= from.year + 2 && result.length < count; year++) {
+    getHolidays(year)
+      .filter(holiday => holiday.fecha >= from.toISODate())
+      .forEach(holiday => {
+        if (result.length < count) {
+          const date = DateTime.fromISO(holiday.fecha, { zone: TIMEZONE });
+          result.push({
+            ...holiday,
+            diaSemana: date.setLocale('es').toFormat('cccc'),
+            diasFaltantes: Math.round(date.diff(from, 'days').days)
+          });
+        }
+      });
+  }
+
+  return result;
+}
+
+const MONTHS = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+};
+
+const WEEKDAYS = {
+  lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+
+/**
+ * Normaliza una expresión: minúsculas, sin acentos ni signos y con espacios simples
+ */
+function normalizeExpression(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[º°ª]/g, '')
+    .replace(/[¿?¡!.,;]/g, ' ')
+    .replace(/\bprimero\b/g, '1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Crea una fecha validando que exista (ej. rechaza 31 de febrero)
+ */
+function buildDate(year, month, day) {
+  const date = DateTime.fromObject({ year, month, day }, { zone: TIMEZONE });
+  return date.isValid ? date : null;
+}
+
+/**
+ * Texto legible de una fecha ("lunes 3 de marzo de 2027")
+ */
+function describeDate(date) {
+  return date.setLocale('es').toFormat("cccc d 'de' LLLL 'de' yyyy");
+}
+
+/**
+ * Construye el resultado de una expresión resuelta
+ */
+function resolvedResult(start, end = null, notas = []) {
+  const fin = end || start;
+  return {
+    reconocida: true,
+    ambigua: false,
+    esRango: !fin.hasSame(start, 'day'),
+    inicio: start.toISODate(),
+    fin: fin.toISODate(),
+    descripcion: fin.hasSame(start, 'day')
+      ? describeDate(start)
+      : `del ${describeDate(start)} al ${describeDate(fin)}`,
+    notas,
+    alternativas: []
+  };
+}
+
+/**
+ * Construye el resultado de una expresión con varias interpretaciones
+ */
+function ambiguousResult(motivo, alternativas) {
+  return {
+    reconocida: true,
+    ambigua: true,
+    esRango: false,
+    inicio: null,
+    fin: null,
+    descripcion: null,
+    motivo,
+    notas: [],
+    alternativas: alternativas.map(({ start, end }) => resolvedResult(start, end))
+  };
+}
+
+/**
+ * Construye el resultado de una expresión que no se pudo resolver
+ */
+function unresolvedResult(motivo) {
+  return { reconocida: false, ambigua: false, motivo, alternativas: [] };
+}
+
+/**
+ * Interpreta el día/mes/año de una fecha explícita ("3", "3 de marzo", "3 de marzo de 2027", "3/3")
+ * @returns {Object|null} - { day, month, year } con month/year opcionales
+ */
+function parseDateParts(text) {
+  let match = text.match(new RegExp(`^(?:el )?(?:(?:${WEEKDAY_PATTERN}) )?(\\d{1,2}) de (${MONTH_PATTERN})(?: (?:de|del) (\\d{4}))?$`));
+  if (match) {
+    return { day: parseInt(match[1], 10), month: MONTHS[match[2]], year: match[3] ? parseInt(match[3], 10) : null };
+  }
+
+  match = text.match(/^(?:el )?(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{4}))?$/);
+  if (match) {
+    return { day: parseInt(match[1], 10), month: parseInt(match[2], 10), year: match[3] ? parseInt(match[3], 10) : null };
+  }
+
+  match = text.match(/^(?:el )?(\d{1,2})$/);
+  if (match) {
+    return { day: parseInt(match[1], 10), month: null, year: null };
+  }
+
+  return null;
+}
+
+/**
+ * Completa una fecha parcial: sin año se toma la siguiente ocurrencia (hoy incluido),
+ * sin mes se toma el mes actual o el siguiente
+ * @returns {Object|null} - { date, notas }
+ */
+function completeDateParts(parts, reference) {
+  const notas = [];
+
+  if (!parts.month) {
+    let date = buildDate(reference.year, reference.month, parts.day);
+    if (!date || date < reference) {
+      const next = reference.plus({ months: 1 });
+      date = buildDate(next.year, next.month, parts.day);
+    }
+    if (date) {
+      notas.push('Se asumió el mes más próximo');
+    }
+    return date ? { date, notas } : null;
+  }
+
+  if (!parts.year) {
+    let date = buildDate(reference.year, parts.month, parts.day);
+    if (date && date < reference) {
+      date = buildDate(reference.year + 1, parts.month, parts.day);
+      notas.push(`Se asumió el año ${reference.year + 1} porque la fecha ya pasó este año`);
+    }
+    return date ? { date, notas } : null;
+  }
+
+  const date = buildDate(parts.year, parts.month, parts.day);
+  return date ? { date, notas } : null;
+}
+
+/**
+ * Interpreta una expresión de una sola fecha o de un periodo con nombre
+ * @returns {Object|null} - Resultado o null si no se reconoce
+ */
+function parseSingleExpression(text, reference) {
+  const relativeDays = { hoy: 0, manana: 1, 'pasado manana': 2, ayer: -1, antier: -2, 'antes de ayer': -2 };
+  if (Object.prototype.hasOwnProperty.call(relativeDays, text)) {
+    return resolvedResult(reference.plus({ days: relativeDays[text] }));
+  }
+
+  let match = text.match(/^(?:en|dentro de) (\d+|un|una) (dia|dias|semana|semanas|mes|meses)$/);
+  if (match) {
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+    const unit = match[2].startsWith('dia') ? 'days' : match[2].startsWith('semana') ? 'weeks' : 'months';
+    return resolvedResult(reference.plus({ [unit]: amount }));
+  }
+
+  // Semanas: laborales de lunes a viernes
+  match = text.match(/^(?:la )?(esta|proxima|siguiente) semana$|^(?:la )?semana (que viene|entrante|proxima)$/);
+  if (match) {
+    const monday = reference.startOf('week').plus({ weeks: match[1] === 'esta' ? 0 : 1 });
+    return resolvedResult(monday, monday.plus({ days: 4 }), ['Se consideró la semana laboral (lunes a viernes)']);
+  }
+
+  // Semana Santa y semana de Pascua (lunes a viernes)
+  match = text.match(/^(?:la )?semana (santa|de pascua)(?: (?:de|del) (\d{4}))?$/);
+  if (match) {
+    const offset = match[1] === 'santa' ? -6 : 1;
+    let year = match[2] ? parseInt(match[2], 10) : reference.year;
+    let monday = getEasterSunday(year).plus({ days: offset });
+    if (!match[2] && monday.plus({ days: 4 }) < reference) {
+      year++;
+      monday = getEasterSunday(year).plus({ days: offset });
+    }
+    const nombre = match[1] === 'santa' ? 'Semana Santa' : 'semana de Pascua';
+    return resolvedResult(monday, monday.plus({ days: 4 }), [`${nombre} ${year} (lunes a viernes)`]);
+  }
+
+  // Días de la semana: "el lunes", "este lunes", "el próximo lunes", "el lunes que viene"
+  match = text.match(new RegExp(`^(?:el )?(?:(este|proximo|siguiente) )?(${WEEKDAY_PATTERN})(?: (que viene|proximo|siguiente))?$`));
+  if (match) {
+    const weekday = WEEKDAYS[match[2]];
+    const weekdayName = reference.set({ weekday }).setLocale('es').toFormat('cccc');
+    const isNext = (match[1] && match[1] !== 'este') || !!match[3];
+    const daysAhead = (weekday - reference.weekday + 7) % 7;
+    const first = reference.plus({ days: daysAhead });
+
+    if (!isNext) {
+      if (daysAhead === 0) {
+        return ambiguousResult(`Hoy es ${weekdayName}: puede referirse a hoy o al de la próxima semana`, [
+          { start: first },
+          { start: first.plus({ weeks: 1 }) }
+        ]);
+      }
+      return resolvedResult(first);
+    }
+
+    const candidate = daysAhead === 0 ? first.plus({ weeks: 1 }) : first;
+    if (candidate.hasSame(reference, 'week')) {
+      return ambiguousResult(`Puede referirse al ${weekdayName} de esta semana o al de la siguiente`, [
+        { start: candidate },
+        { start: candidate.plus({ weeks: 1 }) }
+      ]);
+    }
+    return resolvedResult(candidate);
+  }
+
+  // Fechas explícitas: "3 de marzo", "3/3/2027", "el 15"
+  const parts = parseDateParts(text);
+  if (parts) {
+    const completed = completeDateParts(parts, reference);
+    return completed
+      ? resolvedResult(completed.date, null, completed.notas)
+      : unresolvedResult(`La fecha "${text}" no existe`);
+  }
+
+  const iso = convertToISODate(text);
+  if (iso && /^\d/.test(text)) {
+    const date = toMexicoDate(iso);
+    return date ? resolvedResult(date) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Interpreta un rango "del 3 al 7 de marzo", "del 28 de febrero al 4 de marzo",
+ * "entre el 3 y el 7 de marzo" o "3-7 de marzo"; el inicio hereda mes/año del fin
+ * @returns {Object|null} - Resultado o null si no es un rango
+ */
+function parseRangeExpression(text, reference) {
+  let match = text.match(/^(?:del?|desde(?: el)?|entre(?: el)?) (.+?) (?:al|hasta(?: el)?|y(?: el)?) (.+)$/);
+  if (!match) {
+    match = text.match(new RegExp(`^(\\d{1,2}) ?(?:-|a|al) ?(\\d{1,2} de (?:${MONTH_PATTERN})(?: (?:de|del) \\d{4})?)$`));
+  }
+  if (!match) {
+    return null;
+  }
+
+  const endResult = parseSingleExpression(match[2], reference);
+  if (!endResult || endResult.ambigua || !endResult.reconocida) {
+    return endResult;
+  }
+
+  const end = toMexicoDate(endResult.fin);
+  const startParts = parseDateParts(match[1]);
+  let start;
+
+  if (startParts) {
+    const month = startParts.month || end.month;
+    let year = startParts.year || end.year;
+    // "del 23 de diciembre al 2 de enero": el inicio es del año anterior al fin
+    if (!startParts.year && month > end.month) {
+      year--;
+    }
+    start = buildDate(year, month, startParts.day);
+  } else {
+    const startResult = parseSingleExpression(match[1], reference);
+    if (startResult && (startResult.ambigua || !startResult.reconocida)) {
+      return startResult;
+    }
+    start = startResult ? toMexicoDate(startResult.inicio) : null;
+  }
+
+  if (!start) {
+    return unresolvedResult(`La fecha "${match[1]}" no existe`);
+  }
+  if (start > end) {
+    return unresolvedResult('La fecha de inicio es posterior a la fecha de fin');
+  }
+
+  return resolvedResult(start, end, endResult.notas);
+}
+
+/**
+ * Interpreta una expresión de fecha en español relativa a America/Mexico_City.
+ * Reconoce fechas numéricas e ISO, "hoy", "mañana", "el próximo lunes",
+ * "15 de marzo", "del 3 al 7 de marzo", "la próxima semana", "semana santa", etc.
+ * @param {string} text - Expresión escrita por el usuario
+ * @param {Object} options - { reference: fecha base (hoy por defecto) }
+ * @returns {Object} - { reconocida, ambigua, esRango, inicio, fin, descripcion, notas, alternativas, motivo }
+ *   Si ambigua=true, inicio/fin son null y alternativas contiene las interpretaciones posibles
+ */
+function parseSpanishDateExpression(text, options = {}) {
+  const reference = toMexicoDate(options.reference) || DateTime.now().setZone(TIMEZONE).startOf('day');
+  const normalized = normalizeExpression(text);
+
+  if (!normalized) {
+    return unresolvedResult('Expresión vacía');
+  }
+
+  const result = parseRangeExpression(normalized, reference) || parseSingleExpression(normalized, reference);
+  return result || unresolvedResult(`No se reconoce la fecha "${text}"`);
+}
+
 module.exports = {
   convertToISODate,
   isValidDateRange,
   formatDateForDisplay,
-  calculateDaysDifference
+  calculateDaysDifference,
+  toMexicoDate,
+  getEasterSunday,
+  getHolidays,
+  getHoliday,
+  isBusinessDay,
+  listBusinessDays,
+  countBusinessDays,
+  addBusinessDays,
+  getNextHolidays,
+  parseSpanishDateExpression
 };
\ No newline at end of file
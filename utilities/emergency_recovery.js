@@ -28,9 +28,8 @@ class EmergencyRecovery {
             if (bot) {
                 console.log(`[${userId}] Limpiando estados del bot...`);
                 
-                // Limpiar procesos activos
-                if (bot.activeProcesses && bot.activeProcesses.has(userId)) {
-                    bot.activeProcesses.delete(userId);
+                // Limpiar cola de mensajes del usuario
+                if (bot.messageQueue && bot.messageQueue.clear(userId)) {
                     recoveryResult.actionsExecuted.push('bot_active_process_cleared');
                 }
                 
@@ -133,10 +132,9 @@ class EmergencyRecovery {
             if (bot) {
                 console.log(`Limpiando todos los estados del bot...`);
                 
-                // Limpiar todos los procesos activos
-                if (bot.activeProcesses) {
-                    const processCount = bot.activeProcesses.size;
-                    bot.activeProcesses.clear();
+                // Limpiar todas las colas de mensajes
+                if (bot.messageQueue) {
+                    const processCount = bot.messageQueue.clearAll();
                     recoveryResult.actionsExecuted.push(`all_active_processes_cleared_${processCount}`);
                     recoveryResult.affectedUsers += processCount;
                 }
@@ -221,7 +219,7 @@ class EmergencyRecovery {
             if (bot) {
                 report.botInstance = {
                     exists: true,
-                    activeProcesses: bot.activeProcesses ? Array.from(bot.activeProcesses.keys()) : [],
+                    activeProcesses: bot.messageQueue ? bot.messageQueue.getActiveUsers() : [],
                     activeDialogs: bot.activeDialogs ? Array.from(bot.activeDialogs) : [],
                     authenticatedUsers: bot.authenticatedUsers ? Array.from(bot.authenticatedUsers.keys()) : [],
                     authTimeouts: bot.authTimeoutManager ? bot.authTimeoutManager.getActiveTimeouts() : null,
@@ -1,6 +1,10 @@
 // http_utils.js - Utilidades HTTP optimizadas con reintentos y manejo robusto
 
 const axios = require('axios');
+const sirhConfig = require('../config/sirhConfig');
+const { createLogger, getCorrelationHeaders } = require('./logger');
+const { tracer } = require('./tracing');
+const logger = createLogger('http_utils');
 
 /**
  * Configuración por defecto para peticiones HTTP
@@ -39,14 +43,17 @@ async function executeHttpRequest(method, url, oauthToken, data = {}) {
  */
 async function executeWithRetry(config, maxRetries = DEFAULT_CONFIG.maxRetries) {
     let lastError;
+
+    // Propagar el id de correlación del turno a SIRH
+    config.headers = { ...(config.headers || {}), ...getCorrelationHeaders() };
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            console.log(`HTTP Request (intento ${attempt}): ${config.method.toUpperCase()} ${config.url}`);
+            logger.info(`HTTP Request (intento ${attempt}): ${config.method.toUpperCase()} ${config.url}`);
             
-            const response = await axios(config);
+            const response = await tracedRequest(config, attempt);
             
-            console.log(`HTTP Response: ${response.status} ${response.statusText}`);
+            logger.info(`HTTP Response: ${response.status} ${response.statusText}`);
             return response.data;
             
         } catch (error) {
@@ -55,7 +62,7 @@ async function executeWithRetry(config, maxRetries = DEFAULT_CONFIG.maxRetries)
             // Log del error
             const status = error.response?.status || 'NO_RESPONSE';
             const message = error.response?.data?.message || error.message;
-            console.warn(`HTTP Error (intento ${attempt}/${maxRetries}): ${status} - ${message}`);
+            logger.warn(`HTTP Error (intento ${attempt}/${maxRetries}): ${status} - ${message}`);
             
             // Decidir si reintentar
             if (!shouldRetry(error, attempt, maxRetries)) {
@@ -65,7 +72,7 @@ async function executeWithRetry(config, maxRetries = DEFAULT_CONFIG.maxRetries)
             // Esperar antes del siguiente intento
             if (attempt < maxRetries) {
                 const delay = calculateRetryDelay(attempt);
-                console.log(`Reintentando en ${delay}ms...`);
+                logger.info(`Reintentando en ${delay}ms...`);
                 await sleep(delay);
             }
         }
@@ -124,75 +131,99 @@ function calculateRetryDelay(attempt) {
     return Math.min(exponentialDelay + jitter, 10000); // Máximo 10 segundos
 }
 
+/**
+ * Ejecuta la petición axios dentro de un span de cliente (un span por intento)
+ */
+async function tracedRequest(config, attempt) {
+    const method = config.method.toUpperCase();
+    const url = String(config.url || '').split('?')[0];
+
+    return await tracer.withSpan(`HTTP ${method}`, {
+        kind: 'client',
+        attributes: {
+            'http.method': method,
+            'http.url': url,
+            'http.attempt': attempt
+        }
+    }, async (span) => {
+        config.headers = { ...config.headers, ...tracer.getTraceHeaders() };
+        try {
+            const response = await axios(config);
+            span.setAttribute('http.status_code', response.status);
+            if (response.status >= 400) {
+                span.setStatus('error', `HTTP ${response.status}`);
+            }
+            return response;
+        } catch (error) {
+            if (error.response) {
+                span.setAttribute('http.status_code', error.response.status);
+            }
+            throw error;
+        }
+    });
+}
+
 /**
  * Verifica si un token OAuth es válido
  */
 async function isTokenValid(token) {
-    console.log('🔍 [isTokenValid] Iniciando validación de token...');
+    logger.info('🔍 [isTokenValid] Iniciando validación de token...');
     
     if (!token || typeof token !== 'string') {
-        console.log('❌ [isTokenValid] Token inválido: vacío o no es string');
+        logger.info('❌ [isTokenValid] Token inválido: vacío o no es string');
         return false;
     }
     
-    console.log(`📝 [isTokenValid] Token recibido: ${token.substring(0, 20)}...`);
-    
     try {
         const authHeader = formatAuthHeader(token);
-        console.log(`🔑 [isTokenValid] Authorization header: ${authHeader.substring(0, 30)}...`);
         
         const config = {
             headers: {
                 'Authorization': authHeader,
                 'Accept': 'application/json',
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...getCorrelationHeaders()
             },
             timeout: 10000,
             validateStatus: (status) => status < 500
         };
         
-        console.log('📡 [isTokenValid] Enviando petición GET a:', 'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado');
-        console.log('📋 [isTokenValid] Headers completos:', JSON.stringify(config.headers, null, 2));
+        const empleadoUrl = sirhConfig.buildUrl('/empleado');
+        logger.info('📡 [isTokenValid] Enviando petición GET a:', empleadoUrl);
         
-        const response = await axios.get(
-            'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado',
-            config
-        );
+        const response = await tracedRequest({ ...config, method: 'get', url: empleadoUrl }, 1);
         
         const isValid = response.status === 200;
-        console.log(`✅ [isTokenValid] Respuesta recibida - Status: ${response.status}`);
-        console.log(`📊 [isTokenValid] Headers de respuesta:`, JSON.stringify(response.headers, null, 2));
+        logger.info(`✅ [isTokenValid] Respuesta recibida - Status: ${response.status}`);
         
         if (!isValid) {
-            console.log(`❌ [isTokenValid] Token validation: INVALID (${response.status})`);
+            logger.info(`❌ [isTokenValid] Token validation: INVALID (${response.status})`);
             if (response.data) {
-                console.log(`💭 [isTokenValid] Respuesta del servidor:`, JSON.stringify(response.data, null, 2));
+                logger.debug(`💭 [isTokenValid] Respuesta del servidor:`, response.data);
             }
         } else {
-            console.log('✅ [isTokenValid] Token validation: VALID');
+            logger.info('✅ [isTokenValid] Token validation: VALID');
         }
         
         return isValid;
         
     } catch (error) {
-        console.log('🚨 [isTokenValid] Error en la petición:', error.message);
+        logger.info('🚨 [isTokenValid] Error en la petición:', error.message);
         
         if (error.response) {
-            console.log(`📝 [isTokenValid] Status de error: ${error.response.status}`);
-            console.log(`📋 [isTokenValid] Headers de error:`, JSON.stringify(error.response.headers, null, 2));
-            console.log(`💭 [isTokenValid] Data de error:`, JSON.stringify(error.response.data, null, 2));
+            logger.info(`📝 [isTokenValid] Status de error: ${error.response.status}`);
+            logger.debug(`💭 [isTokenValid] Data de error:`, error.response.data);
             
             if (error.response.status === 401) {
-                console.log('❌ [isTokenValid] Token validation: INVALID (401 Unauthorized)');
+                logger.info('❌ [isTokenValid] Token validation: INVALID (401 Unauthorized)');
                 return false;
             }
         } else if (error.request) {
-            console.log('🔌 [isTokenValid] No se recibió respuesta del servidor');
-            console.log(`📝 [isTokenValid] Request config:`, JSON.stringify(error.config, null, 2));
+            logger.info('🔌 [isTokenValid] No se recibió respuesta del servidor');
         }
         
         // Para otros errores, asumir que el token podría ser válido
-        console.warn('⚠️ [isTokenValid] Token validation error (assuming valid):', error.message);
+        logger.warn('⚠️ [isTokenValid] Token validation error (assuming valid):', error.message);
         return true;
     }
 }
@@ -239,6 +270,8 @@ function enhanceError(error) {
         enhancedError.statusText = error.response.statusText;
         enhancedError.data = error.response.data;
         enhancedError.headers = error.response.headers;
+        // Conservar la respuesta para quienes revisan error.response.status
+        enhancedError.response = error.response;
     } else if (error.request) {
         // Error de red
         enhancedError.name = 'NetworkError';
@@ -0,0 +1,130 @@
+// icsGenerator.js - Generación de archivos iCalendar (.ics) para vacaciones
+
+const { DateTime } = require('luxon');
+
+const TIMEZONE = 'America/Mexico_City';
+const UID_DOMAIN = 'alfa-bot';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapa texto según RFC 5545 (\\, ;, , y saltos de línea)
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Divide líneas de más de 75 octetos (RFC 5545 §3.1) sin cortar caracteres UTF-8
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Convierte una fecha de SIRH ('2024-05-06' o '2024-05-06T00:00:00') en YYYYMMDD
+ */
+function toIcsDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        return `${match[1]}${match[2]}${match[3]}`;
+    }
+
+    const parsed = DateTime.fromJSDate(new Date(value)).setZone(TIMEZONE);
+    if (!parsed.isValid) {
+        throw new Error(`Fecha inválida para calendario: ${value}`);
+    }
+    return parsed.toFormat('yyyyMMdd');
+}
+
+/**
+ * UID estable por solicitud: reimportar el archivo actualiza el evento en
+ * lugar de duplicarlo
+ */
+function buildVacationUid(idSolicitud) {
+    return `vacaciones-${idSolicitud}@${UID_DOMAIN}`;
+}
+
+/**
+ * Crea el VEVENT de día completo de una solicitud. DTEND es exclusivo en
+ * iCalendar, así que fechaRegreso (primer día de regreso) es el fin correcto.
+ */
+function buildVacationEvent(solicitud, dtstamp) {
+    const start = toIcsDate(solicitud.fechaSalida);
+    let end = toIcsDate(solicitud.fechaRegreso || solicitud.fechaSalida);
+    if (end <= start) {
+        // Solicitudes de un solo día (o medio día) sin regreso posterior
+        end = DateTime.fromFormat(start, 'yyyyMMdd').plus({ days: 1 }).toFormat('yyyyMMdd');
+    }
+
+    const tipo = solicitud.tipoSolicitud || 'Vacaciones';
+    const dias = solicitud.cantidadDias !== undefined ? `${solicitud.cantidadDias} día(s)` : '';
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${buildVacationUid(solicitud.id)}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${start}`,
+        `DTEND;VALUE=DATE:${end}`,
+        `SUMMARY:${escapeText(`🏖️ ${tipo}`)}`,
+        `DESCRIPTION:${escapeText(`${tipo} autorizadas en SIRH${dias ? ` - ${dias}` : ''} (solicitud ${solicitud.id})`)}`,
+        'TRANSP:OPAQUE',
+        'X-MICROSOFT-CDO-BUSYSTATUS:OOF',
+        'X-MICROSOFT-CDO-ALLDAYEVENT:TRUE',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Genera un calendario .ics con un evento por solicitud
+ * @param {Array} solicitudes - Solicitudes de SIRH (id, fechaSalida, fechaRegreso, tipoSolicitud, cantidadDias)
+ * @param {Object} options - { calendarName }
+ * @returns {string} - Contenido del archivo con saltos CRLF
+ */
+function generateVacationCalendar(solicitudes, options = {}) {
+    const dtstamp = DateTime.utc().toFormat("yyyyMMdd'T'HHmmss'Z'");
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Alfa//Alfa Teams Bot//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(options.calendarName || 'Mis vacaciones')}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`
+    ];
+
+    solicitudes.forEach(solicitud => {
+        lines.push(...buildVacationEvent(solicitud, dtstamp));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    generateVacationCalendar,
+    buildVacationUid,
+    escapeText,
+    foldLine,
+    toIcsDate
+};
@@ -0,0 +1,64 @@
+// internalAuth.js - Autenticación de endpoints internos con API key
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const logger = createLogger('internalAuth');
+
+/**
+ * Compara dos cadenas en tiempo constante
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a || '');
+    const bufferB = Buffer.from(b || '');
+    if (bufferA.length !== bufferB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Extrae la API key de la petición (header x-api-key o Authorization: Bearer)
+ */
+function getRequestKey(req) {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) {
+        return headerKey.trim();
+    }
+
+    const authorization = req.get('authorization') || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.substring(7).trim();
+    }
+
+    return null;
+}
+
+/**
+ * Middleware de Express para endpoints internos. Requiere INTERNAL_API_KEY;
+ * si no está configurada los endpoints quedan deshabilitados.
+ */
+function requireInternalAuth(req, res, next) {
+    const expectedKey = process.env.INTERNAL_API_KEY;
+
+    if (!expectedKey) {
+        return res.status(503).json({
+            error: 'Endpoint interno deshabilitado (INTERNAL_API_KEY no configurada)',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const providedKey = getRequestKey(req);
+    if (!providedKey || !safeEqual(providedKey, expectedKey)) {
+        logger.warn(`🔒 Acceso interno rechazado: ${req.method} ${req.path}`);
+        return res.status(401).json({
+            error: 'No autorizado',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireInternalAuth
+};
@@ -0,0 +1,233 @@
+// logger.js - Logs estructurados (JSON por línea) con correlación por turno y redacción
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Configuración leída de variables de entorno:
+ * - LOG_LEVEL: nivel global (info por defecto)
+ * - LOG_LEVELS: nivel por módulo, ej: 'openaiService=debug,http_utils=warn'
+ * - LOG_FORMAT: 'json' (por defecto) o 'pretty' para desarrollo local
+ * - LOG_HASH_SALT: sal para el hash de userId
+ */
+const DEFAULT_CONFIG = {
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    moduleLevels: parseModuleLevels(process.env.LOG_LEVELS),
+    format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    hashSalt: process.env.LOG_HASH_SALT || ''
+};
+
+/**
+ * Patrones que se redactan en cualquier texto del log
+ */
+const TEXT_REDACTIONS = [
+    { pattern: /Bearer\s+[A-Za-z0-9\-._~+/]+=*/gi, replacement: 'Bearer [REDACTED]' },
+    { pattern: /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, replacement: '[JWT]' },
+    { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[EMAIL]' },
+    { pattern: /((?:n[uú]mero\s*(?:de\s*)?(?:empleado|socio)|numeroSocio|numeroEmpleado|noEmpleado)["'\s]*[:=]\s*["']?)[A-Za-z0-9-]+/gi, replacement: '$1[REDACTED]' },
+    // Ids de usuario de Teams/Bot Framework ('29:1AbC...') dentro del mensaje
+    { pattern: /\b\d{1,2}:[A-Za-z0-9_-]{16,}/g, replacement: match => `user:${hashUserId(match)}` },
+    // Prefijo '[aadObjectId]' con el que los servicios proactivos identifican al usuario
+    { pattern: /^\[([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\]/i, replacement: (match, id) => `[user:${hashUserId(id)}]` }
+];
+
+/**
+ * Campos cuyo valor se redacta completo o se reemplaza por hash
+ */
+const SECRET_KEYS = /^(authorization|token|usertoken|oauthtoken|accesstoken|access_token|password|secret|apikey|api-key|api_key|cookie)$/i;
+const EMPLOYEE_NUMBER_KEYS = /^(numerosocio|numeroempleado|noempleado|employeenumber)$/i;
+const USER_ID_KEYS = /^(userid|aadobjectid)$/i;
+
+const MAX_DEPTH = 5;
+const MAX_STRING_LENGTH = 2000;
+
+const correlationStorage = new AsyncLocalStorage();
+
+function parseModuleLevels(value) {
+    const levels = {};
+    (value || '').split(',').forEach(entry => {
+        const [moduleName, level] = entry.split('=').map(part => (part || '').trim());
+        if (moduleName && LEVELS[(level || '').toLowerCase()] !== undefined) {
+            levels[moduleName] = level.toLowerCase();
+        }
+    });
+    return levels;
+}
+
+/**
+ * Hash corto y estable de un id de usuario (no reversible)
+ */
+function hashUserId(userId) {
+    if (!userId) {
+        return null;
+    }
+    return crypto.createHash('sha256')
+        .update(`${DEFAULT_CONFIG.hashSalt}${userId}`)
+        .digest('hex')
+        .substring(0, 16);
+}
+
+/**
+ * Redacta tokens, JWTs, correos y números de empleado de un texto
+ */
+function redactText(text) {
+    let result = text.length > MAX_STRING_LENGTH ? `${text.substring(0, MAX_STRING_LENGTH)}…` : text;
+    TEXT_REDACTIONS.forEach(({ pattern, replacement }) => {
+        result = result.replace(pattern, replacement);
+    });
+    return result;
+}
+
+/**
+ * Copia un valor redactando secretos e ids de usuario (recorre objetos y arreglos)
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+        return '[...]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (SECRET_KEYS.test(key) || EMPLOYEE_NUMBER_KEYS.test(key)) {
+            result[key] = '[REDACTED]';
+        } else if (USER_ID_KEYS.test(key) && typeof item === 'string') {
+            result[key] = hashUserId(item);
+        } else {
+            result[key] = redact(item, depth + 1, seen);
+        }
+    });
+    return result;
+}
+
+function serializeError(error) {
+    const serialized = {
+        name: error.name,
+        message: redactText(error.message || ''),
+        code: error.code,
+        status: error.response?.status
+    };
+    if (error.stack) {
+        serialized.stack = redactText(error.stack);
+    }
+    return serialized;
+}
+
+/**
+ * Ejecuta fn con el contexto de correlación del turno
+ * @param {Object} context - { correlationId, userId, ... } (userId se guarda como hash)
+ */
+function runWithContext(context, fn) {
+    const { userId, ...rest } = context || {};
+    const store = {
+        correlationId: rest.correlationId || crypto.randomUUID(),
+        ...rest,
+        ...(userId ? { userHash: hashUserId(userId) } : {})
+    };
+    return correlationStorage.run(store, fn);
+}
+
+/**
+ * Id de correlación del turno en curso (null fuera de un turno)
+ */
+function getCorrelationId() {
+    return correlationStorage.getStore()?.correlationId || null;
+}
+
+/**
+ * Hash del usuario del turno en curso (null fuera de un turno)
+ */
+function getUserHash() {
+    return correlationStorage.getStore()?.userHash || null;
+}
+
+/**
+ * Encabezados para propagar la correlación a servicios externos (OpenAI, SIRH)
+ */
+function getCorrelationHeaders() {
+    const correlationId = getCorrelationId();
+    return correlationId ? { 'X-Correlation-Id': correlationId } : {};
+}
+
+/**
+ * Crea el logger de un módulo. Acepta los mismos argumentos que console.log:
+ * el primer texto es el mensaje, los errores van a `error` y los demás
+ * valores a `data`
+ * @param {string} moduleName - Nombre del módulo (clave de LOG_LEVELS)
+ */
+function createLogger(moduleName) {
+    const threshold = () => LEVELS[DEFAULT_CONFIG.moduleLevels[moduleName] || DEFAULT_CONFIG.level] ?? LEVELS.info;
+
+    const write = (level, args) => {
+        if (LEVELS[level] < threshold()) {
+            return;
+        }
+
+        const [first, ...rest] = args;
+        const values = typeof first === 'string' ? rest : args;
+        const messageParts = typeof first === 'string' ? [first] : [];
+        const data = [];
+        let error = null;
+
+        values.forEach(value => {
+            if (value instanceof Error) {
+                error = serializeError(value);
+            } else if (value !== null && typeof value === 'object') {
+                data.push(redact(value));
+            } else {
+                messageParts.push(String(value));
+            }
+        });
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            module: moduleName,
+            msg: redactText(messageParts.join(' ')),
+            ...(correlationStorage.getStore() || {}),
+            ...(data.length > 0 ? { data: data.length === 1 ? data[0] : data } : {}),
+            ...(error ? { error } : {})
+        };
+
+        const line = DEFAULT_CONFIG.format === 'pretty'
+            ? `${record.time} ${level.toUpperCase()} [${moduleName}]${record.correlationId ? ` (${record.correlationId.substring(0, 8)})` : ''} ${record.msg}` +
+              (record.data ? ` ${JSON.stringify(record.data)}` : '') +
+              (record.error ? ` ${record.error.message}` : '')
+            : JSON.stringify(record);
+
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    };
+
+    return {
+        debug: (...args) => write('debug', args),
+        info: (...args) => write('info', args),
+        warn: (...args) => write('warn', args),
+        error: (...args) => write('error', args),
+        isLevelEnabled: level => LEVELS[level] >= threshold()
+    };
+}
+
+module.exports = {
+    createLogger,
+    runWithContext,
+    getCorrelationId,
+    getCorrelationHeaders,
+    getUserHash,
+    hashUserId,
+    redact
+};
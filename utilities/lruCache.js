@@ -0,0 +1,124 @@
+// lruCache.js - Caché en memoria con expiración (TTL) y desalojo LRU
+
+/**
+ * Caché clave/valor acotada. Map conserva el orden de inserción: al leer una
+ * entrada se reinserta al final, así la primera clave siempre es la menos
+ * usada recientemente y es la que se desaloja al llegar a maxEntries.
+ */
+class LruCache {
+    /**
+     * @param {Object} options - { name, maxEntries, ttlMs }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'cache';
+        this.maxEntries = options.maxEntries || 500;
+        this.ttlMs = options.ttlMs || 0;
+        this.entries = new Map();
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0,
+            expirations: 0
+        };
+    }
+
+    /**
+     * Obtiene un valor vigente
+     * @returns {*} - Valor o undefined si no existe o expiró
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Marcar como usada recientemente
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Guarda un valor
+     * @param {string} key - Clave
+     * @param {*} value - Valor
+     * @param {number} ttlMs - TTL específico (opcional)
+     */
+    set(key, value, ttlMs = this.ttlMs) {
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, {
+            value,
+            expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+        });
+        this.stats.sets++;
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Elimina una entrada
+     * @returns {boolean} - true si existía
+     */
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Elimina las entradas cuya clave cumpla la condición
+     * @param {Function} predicate - (key) => boolean
+     * @returns {number} - Entradas eliminadas
+     */
+    deleteWhere(predicate) {
+        let removed = 0;
+        for (const key of Array.from(this.entries.keys())) {
+            if (predicate(key)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Vacía la caché
+     * @returns {number} - Entradas eliminadas
+     */
+    clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        return removed;
+    }
+
+    /**
+     * Obtiene estadísticas de la caché
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            name: this.name,
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs
+        };
+    }
+}
+
+module.exports = { LruCache };
@@ -0,0 +1,253 @@
+// messageQueue.js - Cola ordenada de mensajes por usuario
+
+const { createLogger } = require('./logger');
+const logger = createLogger('messageQueue');
+
+/**
+ * Configuración por defecto (sobrescribible con variables de entorno)
+ */
+const DEFAULT_CONFIG = {
+    maxDepth: parseInt(process.env.MESSAGE_QUEUE_MAX_DEPTH, 10) || 5,
+    coalesceWindowMs: parseInt(process.env.MESSAGE_QUEUE_COALESCE_WINDOW_MS, 10) || 0,
+    turnTimeoutMs: parseInt(process.env.MESSAGE_QUEUE_TURN_TIMEOUT_MS, 10) || 120000
+};
+
+/**
+ * Cola de mensajes por usuario. Los mensajes de un mismo usuario se procesan
+ * en orden y uno a la vez; los mensajes de texto consecutivos que esperan en
+ * la cola se agrupan en un solo lote (un solo turno del LLM).
+ *
+ * Cada entrada conserva su propia promesa, que se resuelve cuando su lote
+ * terminó. Un lote que excede turnTimeoutMs se reporta, pero el usuario sigue
+ * bloqueado hasta que termine para no procesar dos lotes suyos a la vez.
+ */
+class UserMessageQueue {
+    /**
+     * @param {Function} processBatch - async (userId, entries) => void
+     * @param {Object} options - { maxDepth, coalesceWindowMs, turnTimeoutMs }
+     */
+    constructor(processBatch, options = {}) {
+        if (typeof processBatch !== 'function') {
+            throw new Error('UserMessageQueue requiere una función para procesar lotes');
+        }
+
+        this.processBatch = processBatch;
+        this.config = { ...DEFAULT_CONFIG, ...options };
+        this.queues = new Map();
+        this.stats = {
+            enqueued: 0,
+            processedBatches: 0,
+            coalescedMessages: 0,
+            rejected: 0,
+            timeouts: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Encola un mensaje del usuario
+     * @param {string} userId - Id del usuario
+     * @param {Object} entry - { kind: 'text'|'command', text, context }
+     * @returns {Object} - { accepted, position, waiting, done }
+     *   accepted=false si la cola está llena; waiting=true si hay trabajo previo;
+     *   done se resuelve cuando el lote que incluye la entrada terminó
+     */
+    enqueue(userId, entry) {
+        const queue = this.getQueue(userId);
+
+        if (queue.pending.length >= this.config.maxDepth) {
+            this.stats.rejected++;
+            logger.warn(`[${userId}] Cola llena (${queue.pending.length}/${this.config.maxDepth}), mensaje rechazado`);
+            return { accepted: false, position: queue.pending.length, waiting: true, done: Promise.resolve() };
+        }
+
+        const waiting = queue.running || queue.pending.length > 0;
+        let resolveEntry;
+        const done = new Promise(resolve => { resolveEntry = resolve; });
+
+        queue.pending.push({
+            ...entry,
+            kind: entry.kind || 'text',
+            receivedAt: Date.now(),
+            resolve: resolveEntry
+        });
+        this.stats.enqueued++;
+
+        const position = queue.pending.length;
+        if (waiting) {
+            logger.info(`[${userId}] Mensaje encolado (posición ${position})`);
+        }
+
+        this.drain(userId, queue);
+
+        return { accepted: true, position, waiting, done };
+    }
+
+    /**
+     * Obtiene (o crea) la cola de un usuario
+     */
+    getQueue(userId) {
+        if (!this.queues.has(userId)) {
+            this.queues.set(userId, { pending: [], running: false, startedAt: null });
+        }
+        return this.queues.get(userId);
+    }
+
+    /**
+     * Procesa los lotes pendientes de un usuario en orden
+     */
+    async drain(userId, queue) {
+        if (queue.running) {
+            return;
+        }
+        queue.running = true;
+
+        try {
+            while (queue.pending.length > 0) {
+                // Ventana opcional para agrupar mensajes escritos en ráfaga
+                if (this.config.coalesceWindowMs > 0 && queue.pending[0].kind === 'text') {
+                    await this.delay(this.config.coalesceWindowMs);
+                    if (queue.pending.length === 0) {
+                        break;
+                    }
+                }
+
+                const batch = this.takeBatch(queue);
+                queue.startedAt = Date.now();
+
+                const processing = Promise.resolve().then(() => this.processBatch(userId, batch));
+
+                try {
+                    await this.withTimeout(processing, this.config.turnTimeoutMs);
+                    this.stats.processedBatches++;
+                } catch (error) {
+                    if (error.code === 'QUEUE_TURN_TIMEOUT') {
+                        this.stats.timeouts++;
+                        logger.warn(`[${userId}] Turno excedió ${this.config.turnTimeoutMs}ms, esperando a que termine antes de continuar`);
+                        await processing.then(() => { this.stats.processedBatches++; }, lateError => {
+                            this.stats.errors++;
+                            logger.error(`[${userId}] Error procesando lote de la cola:`, lateError.message);
+                        });
+                    } else {
+                        this.stats.errors++;
+                        logger.error(`[${userId}] Error procesando lote de la cola:`, error.message);
+                    }
+                } finally {
+                    batch.forEach(entry => entry.resolve());
+                }
+
+                // La cola pudo limpiarse durante el lote (recuperación de emergencia)
+                if (this.queues.get(userId) !== queue) {
+                    break;
+                }
+            }
+        } finally {
+            queue.running = false;
+            queue.startedAt = null;
+            if (this.queues.get(userId) === queue && queue.pending.length === 0) {
+                this.queues.delete(userId);
+            }
+        }
+    }
+
+    /**
+     * Toma el siguiente lote: un comando solo, o todos los textos consecutivos
+     */
+    takeBatch(queue) {
+        const first = queue.pending.shift();
+        const batch = [first];
+
+        if (first.kind === 'text') {
+            while (queue.pending.length > 0 && queue.pending[0].kind === 'text') {
+                batch.push(queue.pending.shift());
+            }
+            this.stats.coalescedMessages += batch.length - 1;
+        }
+
+        return batch;
+    }
+
+    /**
+     * Rechaza con QUEUE_TURN_TIMEOUT si el lote excede timeoutMs (el lote no se cancela)
+     */
+    withTimeout(promise, timeoutMs) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Turno excedió ${timeoutMs}ms`);
+                error.code = 'QUEUE_TURN_TIMEOUT';
+                reject(error);
+            }, timeoutMs);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Indica si el usuario tiene mensajes en proceso o en espera
+     */
+    isBusy(userId) {
+        return this.queues.has(userId);
+    }
+
+    /**
+     * Descarta la cola de un usuario liberando los turnos en espera
+     * @returns {boolean} - true si había cola
+     */
+    clear(userId) {
+        const queue = this.queues.get(userId);
+        if (!queue) {
+            return false;
+        }
+
+        this.queues.delete(userId);
+        queue.pending.splice(0).forEach(entry => entry.resolve());
+        return true;
+    }
+
+    /**
+     * Descarta todas las colas
+     * @returns {number} - Usuarios afectados
+     */
+    clearAll() {
+        const users = Array.from(this.queues.keys());
+        users.forEach(userId => this.clear(userId));
+        return users.length;
+    }
+
+    /**
+     * Usuarios con mensajes en proceso o en espera
+     */
+    getActiveUsers() {
+        return Array.from(this.queues.keys());
+    }
+
+    /**
+     * Obtiene estadísticas de la cola
+     */
+    getStats() {
+        let pendingMessages = 0;
+        let runningUsers = 0;
+
+        for (const queue of this.queues.values()) {
+            pendingMessages += queue.pending.length;
+            if (queue.running) {
+                runningUsers++;
+            }
+        }
+
+        return {
+            ...this.stats,
+            activeUsers: this.queues.size,
+            runningUsers,
+            pendingMessages,
+            config: this.config
+        };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = { UserMessageQueue };
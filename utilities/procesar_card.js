@@ -1,7 +1,14 @@
 // procesar_card.js - Procesamiento optimizado de tarjetas adaptativas
 
-const axios = require('axios');
 const { executeHttpRequest } = require('./http_utils');
+const notificationPreferencesService = require('../services/notificationPreferencesService');
+const vacationStatusWatcher = require('../services/vacationStatusWatcher');
+const sirhClient = require('../services/sirhClient');
+const rejectionReasonService = require('../services/rejectionReasonService');
+const feedbackService = require('../services/feedbackService');
+const { countBusinessDays, parseSpanishDateExpression } = require('./date_utils');
+const { createLogger } = require('./logger');
+const logger = createLogger('procesar_card');
 
 /**
  * Maneja el submit de tarjetas adaptativas de forma optimizada
@@ -10,7 +17,7 @@ async function handleCardSubmit(context, submitData, getUserOAuthToken, handleTo
     const userId = context.activity.from.id;
     
     try {
-        console.log(`[${userId}] Procesando submit de tarjeta:`, Object.keys(submitData));
+        logger.info(`[${userId}] Procesando submit de tarjeta:`, Object.keys(submitData));
 
         // Verificar si es un submit de guía de vacaciones
         if (submitData.vacation_type) {
@@ -27,6 +34,31 @@ async function handleCardSubmit(context, submitData, getUserOAuthToken, handleTo
             return await handleDependentRequestAction(context, submitData, openaiService);
         }
 
+        // Verificar si es autorización o rechazo masivo de solicitudes dependientes
+        if (submitData.action === 'autorizar_seleccionadas' || submitData.action === 'rechazar_seleccionadas') {
+            return await handleBulkDependentAction(context, submitData, getUserOAuthToken, openaiService);
+        }
+
+        // Verificar si es confirmación o descarte de una reprogramación
+        if (submitData.action === 'reprogramar_confirmar' || submitData.action === 'reprogramar_cancelar') {
+            return await handleRescheduleConfirmation(context, submitData, openaiService, handleTokenExpiration);
+        }
+
+        // Verificar si es calificación de una respuesta (👍/👎)
+        if (submitData.action === 'calificar_respuesta') {
+            return await handleAnswerFeedback(context, submitData);
+        }
+
+        // Verificar si es baja del resumen de aprobaciones
+        if (submitData.action === 'digest_opt_out') {
+            return await handleDigestOptOut(context);
+        }
+
+        // Verificar si es alta/baja de avisos de cambio de estatus
+        if (submitData.action === 'watcher_opt_in' || submitData.action === 'watcher_opt_out') {
+            return await handleStatusWatcherAction(context, submitData, getUserOAuthToken);
+        }
+
         // Validar datos básicos
         const { action, method, url, ...fieldData } = submitData;
         
@@ -42,14 +74,14 @@ async function handleCardSubmit(context, submitData, getUserOAuthToken, handleTo
         // Obtener y validar token OAuth
         const oauthToken = await getUserOAuthToken(context, userId);
         if (!oauthToken) {
-            console.log(`[${userId}] Token OAuth no disponible`);
+            logger.info(`[${userId}] Token OAuth no disponible`);
             await handleTokenExpiration(context, userId);
             return;
         }
 
         const tokenIsValid = await isTokenValid(oauthToken);
         if (!tokenIsValid) {
-            console.log(`[${userId}] Token OAuth inválido`);
+            logger.info(`[${userId}] Token OAuth inválido`);
             await handleTokenExpiration(context, userId);
             return;
         }
@@ -67,6 +99,17 @@ async function handleCardSubmit(context, submitData, getUserOAuthToken, handleTo
         if (action === 'Solicitar Vacaciones' && url.includes('/vac/solicitudes/')) {
             // Siempre verificar disponibilidad primero
             finalUrl = processedUrl.replace(/{simular}/g, 'true').replace(/\/false$/g, '/true');
+
+            // Vista previa local de días hábiles antes de la simulación en SIRH
+            const preview = describeBusinessDaysPreview(fieldData);
+            if (preview) {
+                await context.sendActivity(preview);
+            }
+        }
+
+        // Las escrituras consumen una ficha de SIRH; la verificación de vacaciones es una simulación
+        if (isWriteMethod(method) && action !== 'Solicitar Vacaciones') {
+            sirhClient.consumeWriteTokens();
         }
 
         // Ejecutar petición HTTP
@@ -82,11 +125,39 @@ async function handleCardSubmit(context, submitData, getUserOAuthToken, handleTo
         await sendFormattedResponse(context, action, response, openaiService);
 
     } catch (error) {
-        console.error(`[${userId}] Error en handleCardSubmit:`, error.message);
+        logger.error(`[${userId}] Error en handleCardSubmit:`, error.message);
         await handleApiError(context, error, submitData.action || 'Desconocida');
     }
 }
 
+/**
+ * Indica si el método HTTP de un submit escribe en SIRH
+ */
+function isWriteMethod(method) {
+    return ['POST', 'PUT', 'PATCH', 'DELETE'].includes((method || '').toUpperCase());
+}
+
+/**
+ * Describe cuántos días hábiles consume el rango de la tarjeta de vacaciones
+ * @returns {string|null} - Mensaje de vista previa o null si las fechas no son válidas
+ */
+function describeBusinessDaysPreview(fieldData) {
+    const resultado = countBusinessDays(fieldData.fechaInicio, fieldData.fechaFin);
+    if (!resultado) {
+        return null;
+    }
+
+    const medioDia = fieldData.medioDia === true || fieldData.medioDia === 'true';
+    let mensaje = `📆 **Vista previa**: ${medioDia ? 'medio día' : `${resultado.diasHabiles} día(s) hábil(es)`} ` +
+                  `de ${resultado.diasNaturales} día(s) natural(es)`;
+
+    if (resultado.festivos.length > 0) {
+        mensaje += `\n\n🎉 No se descuentan: ${resultado.festivos.map(f => `${f.nombre} (${f.fecha})`).join(', ')}`;
+    }
+
+    return mensaje;
+}
+
 /**
  * Maneja submits de la tarjeta guía de vacaciones
  */
@@ -94,7 +165,7 @@ async function handleVacationGuideSubmit(context, submitData, openaiService) {
     const { vacation_type, action } = submitData;
     const userId = context.activity.from.id;
     
-    console.log(`[${userId}] Manejo de guía de vacaciones:`, vacation_type);
+    logger.info(`[${userId}] Manejo de guía de vacaciones:`, vacation_type);
     
     try {
         let prompt;
@@ -118,7 +189,7 @@ async function handleVacationGuideSubmit(context, submitData, openaiService) {
         await sendOpenAIResponse(context, response);
         
     } catch (error) {
-        console.error(`[${userId}] Error en vacation guide submit:`, error.message);
+        logger.error(`[${userId}] Error en vacation guide submit:`, error.message);
         await context.sendActivity('❌ Error procesando selección de vacaciones.');
     }
 }
@@ -156,7 +227,7 @@ function processDateFields(fieldData) {
                            dateFields.includes(key);
         
         if (isDateField && value && typeof value === 'string') {
-            const convertedDate = convertToISODate(value);
+            const convertedDate = convertToISODate(value) || convertSpanishDateExpression(value);
             if (convertedDate) {
                 processed[key] = convertedDate;
             }
@@ -199,12 +270,24 @@ function convertToISODate(dateString) {
             return date.toISOString();
         }
     } catch (error) {
-        console.warn('Error convirtiendo fecha:', dateString, error.message);
+        logger.warn('Error convirtiendo fecha:', dateString, error.message);
     }
 
     return null;
 }
 
+/**
+ * Convierte una expresión en español ("15 de marzo", "mañana") a formato ISO;
+ * solo si identifica una fecha única y sin ambigüedad
+ */
+function convertSpanishDateExpression(value) {
+    const fecha = parseSpanishDateExpression(value);
+    if (!fecha.reconocida || fecha.ambigua || fecha.esRango) {
+        return null;
+    }
+    return `${fecha.inicio}T00:00:00.000Z`;
+}
+
 /**
  * Procesa parámetros de URL reemplazando placeholders
  */
@@ -229,7 +312,7 @@ function processUrlParameters(url, fieldData) {
             processedUrl = processedUrl.replace(`{${paramName}}`, encodeURIComponent(value));
             delete remainingData[paramName];
         } else {
-            console.error(`Parámetro faltante en URL: ${paramName}`);
+            logger.error(`Parámetro faltante en URL: ${paramName}`);
             return { processedUrl: null, remainingData: null };
         }
     }
@@ -255,7 +338,7 @@ async function sendFormattedResponse(context, action, response, openaiService) {
         await context.sendActivity(formattedResponse);
         
     } catch (formatError) {
-        console.warn('Error formateando con OpenAI, usando formato manual:', formatError.message);
+        logger.warn('Error formateando con OpenAI, usando formato manual:', formatError.message);
         
         // Fallback a formato manual
         const fallbackMessage = typeof response === 'string' 
@@ -292,8 +375,13 @@ async function sendOpenAIResponse(context, response) {
  * Maneja errores de API
  */
 async function handleApiError(context, error, action) {
-    console.error(`Error en acción "${action}":`, error.message);
+    logger.error(`Error en acción "${action}":`, error.message);
     
+    if (error.code === 'SIRH_RATE_LIMITED') {
+        await context.sendActivity(error.message);
+        return;
+    }
+
     let errorMessage = `❌ **Error en ${action}**:\n\n`;
     
     if (error.response) {
@@ -397,7 +485,7 @@ async function handleVacationValidationResponse(context, response, originalUrl,
             if (response.statusCode !== undefined) {
                 // Si hay statusCode, usarlo como fuente de verdad
                 isSuccess = response.statusCode >= 200 && response.statusCode < 300;
-                console.log(`📊 StatusCode recibido: ${response.statusCode}, isSuccess: ${isSuccess}`);
+                logger.info(`📊 StatusCode recibido: ${response.statusCode}, isSuccess: ${isSuccess}`);
             } else {
                 // Fallback a lógica anterior para respuestas sin statusCode
                 isSuccess = response.success === true || 
@@ -477,7 +565,7 @@ async function handleVacationValidationResponse(context, response, originalUrl,
         });
         
     } catch (error) {
-        console.error('Error en handleVacationSimulationResponse:', error);
+        logger.error('Error en handleVacationSimulationResponse:', error);
         await context.sendActivity('❌ Error procesando respuesta de validación');
     }
 }
@@ -509,6 +597,7 @@ async function handleVacationConfirmation(context, submitData, getUserOAuthToken
         const { processedUrl, processedData } = processRequestData(submitData.url, submitData);
         const finalUrl = processedUrl.replace(/{simular}/g, 'false').replace(/\/true$/g, '/false');
         
+        sirhClient.consumeWriteTokens();
         await context.sendActivity('📤 **Enviando solicitud oficial...**');
         
         // Ejecutar petición real
@@ -545,13 +634,49 @@ async function handleVacationConfirmation(context, submitData, getUserOAuthToken
         
         if (isSuccess) {
             await context.sendActivity(`✅ **¡Solicitud enviada exitosamente!**\n\n${message}`);
+            await offerStatusWatcherOptIn(context);
         } else {
             await context.sendActivity(`❌ **Error al enviar solicitud**\n\n${message || 'Intenta nuevamente más tarde.'}`);
         }
         
     } catch (error) {
-        console.error('Error en handleVacationConfirmation:', error);
-        await context.sendActivity('❌ Error procesando confirmación de vacaciones');
+        logger.error('Error en handleVacationConfirmation:', error);
+        await context.sendActivity(error.code === 'SIRH_RATE_LIMITED'
+            ? error.message
+            : '❌ Error procesando confirmación de vacaciones');
+    }
+}
+
+/**
+ * Maneja la confirmación de la tarjeta de reprogramación
+ */
+async function handleRescheduleConfirmation(context, submitData, openaiService, handleTokenExpiration) {
+    const userId = context.activity.from.id;
+
+    try {
+        if (submitData.action === 'reprogramar_cancelar') {
+            await context.sendActivity('ℹ️ **Reprogramación descartada**\n\nTu solicitud conserva sus fechas actuales.');
+            return;
+        }
+
+        if (!submitData.idSolicitud || !submitData.nuevaFechaInicio || !submitData.nuevaFechaFin) {
+            await context.sendActivity('❌ **Error**: Datos incompletos para reprogramar la solicitud.');
+            return;
+        }
+
+        await context.sendActivity({ type: 'typing' });
+        await context.sendActivity('🔁 **Reprogramando solicitud...**');
+
+        const response = await openaiService.confirmarReprogramacion(submitData, context, userId);
+        await context.sendActivity(response);
+
+    } catch (error) {
+        logger.error(`[${userId}] Error en handleRescheduleConfirmation:`, error);
+        if (error.message === 'TOKEN_REQUIRED') {
+            await handleTokenExpiration(context, userId);
+            return;
+        }
+        await context.sendActivity('❌ Error procesando la reprogramación. Revisa tus solicitudes antes de intentar de nuevo.');
     }
 }
 
@@ -562,9 +687,9 @@ async function handleDependentRequestAction(context, submitData, openaiService)
     const userId = context.activity.from.id;
     
     try {
-        console.log(`[${userId}] Procesando acción de dependiente:`, submitData);
+        logger.info(`[${userId}] Procesando acción de dependiente: ${submitData.action} (solicitud ${submitData.idSolicitud})`);
         
-        const { action, idSolicitud, nombreEmpleado } = submitData;
+        const { action, idSolicitud, nombreEmpleado, forzar } = submitData;
         
         if (!idSolicitud) {
             await context.sendActivity('❌ **Error**: No se especificó el ID de la solicitud.');
@@ -577,14 +702,19 @@ async function handleDependentRequestAction(context, submitData, openaiService)
         if (action === 'autorizar_solicitud') {
             await context.sendActivity(`✅ **Autorizando solicitud de ${nombreEmpleado}...**`);
             response = await openaiService.autorizarSolicitudDependiente(
-                { idSolicitud, nombreEmpleado }, 
+                { idSolicitud, nombreEmpleado, forzar: forzar === true || forzar === 'true' }, 
                 context, 
                 userId
             );
         } else if (action === 'rechazar_solicitud') {
+            const motivo = rejectionReasonService.resolveFromSubmit(submitData, idSolicitud);
+            if (!motivo) {
+                await context.sendActivity('⚠️ **Falta el motivo del rechazo**\n\nSelecciona un motivo (o escribe un comentario si elegiste "Otro") y confirma nuevamente.');
+                return;
+            }
             await context.sendActivity(`❌ **Rechazando solicitud de ${nombreEmpleado}...**`);
             response = await openaiService.rechazarSolicitudDependiente(
-                { idSolicitud, nombreEmpleado }, 
+                { idSolicitud, nombreEmpleado, motivo }, 
                 context, 
                 userId
             );
@@ -596,6 +726,13 @@ async function handleDependentRequestAction(context, submitData, openaiService)
         // Enviar respuesta
         if (typeof response === 'string') {
             await context.sendActivity(response);
+        } else if (response && response.card) {
+            // Advertencia de cobertura: el gerente decide desde la tarjeta
+            await context.sendActivity({
+                text: response.textContent,
+                attachments: [response.card]
+            });
+            return;
         } else {
             await context.sendActivity('✅ Acción completada exitosamente.');
         }
@@ -604,11 +741,273 @@ async function handleDependentRequestAction(context, submitData, openaiService)
         await context.sendActivity('🔄 Puedes escribir "consultar solicitudes pendientes" para ver la lista actualizada.');
         
     } catch (error) {
-        console.error(`[${userId}] Error en handleDependentRequestAction:`, error);
+        logger.error(`[${userId}] Error en handleDependentRequestAction:`, error);
         await context.sendActivity('❌ Error procesando la acción. Intenta nuevamente.');
     }
 }
 
+/**
+ * Obtiene los ids marcados en los Input.Toggle "seleccion_<id>" de la tarjeta
+ */
+function getSelectedRequestIds(submitData) {
+    return Object.keys(submitData)
+        .filter(key => key.startsWith('seleccion_') && submitData[key] === 'true')
+        .map(key => key.substring('seleccion_'.length));
+}
+
+/**
+ * Motivo corto de falla de una solicitud para el resumen masivo
+ */
+function describeBulkItemError(error) {
+    const status = error.response?.status;
+    const apiMessage = error.response?.data?.message;
+
+    switch (status) {
+        case 400:
+            return apiMessage || 'ya fue procesada o no está pendiente';
+        case 401:
+            return 'sesión expirada';
+        case 403:
+            return 'sin permisos sobre esta solicitud';
+        case 404:
+            return 'no encontrada';
+        default:
+            return apiMessage || error.message;
+    }
+}
+
+/**
+ * Guarda el motivo de un rechazo sin interrumpir el flujo si falla el storage
+ */
+async function saveRejectionReason(idSolicitud, motivo, userId) {
+    try {
+        await rejectionReasonService.save(idSolicitud, motivo, userId);
+    } catch (error) {
+        logger.warn(`[${userId}] No se pudo guardar el motivo de rechazo de la solicitud ${idSolicitud}:`, error.message);
+    }
+}
+
+/**
+ * Autoriza o rechaza en lote las solicitudes seleccionadas. Cada solicitud se
+ * procesa por separado: una falla no detiene al resto y al final se envía un
+ * solo resumen con el resultado de cada una. Antes de autorizar se verifica la
+ * cobertura del equipo con toda la selección.
+ */
+async function handleBulkDependentAction(context, submitData, getUserOAuthToken, openaiService) {
+    const userId = context.activity.from.id;
+    const isApproval = submitData.action === 'autorizar_seleccionadas';
+    const verb = isApproval ? 'autorizar' : 'rechazar';
+
+    try {
+        const ids = getSelectedRequestIds(submitData);
+        if (ids.length === 0) {
+            await context.sendActivity(`⚠️ **No seleccionaste solicitudes**\n\nMarca las solicitudes que quieres ${verb} y vuelve a intentarlo.`);
+            return;
+        }
+
+        const motivo = isApproval ? null : rejectionReasonService.resolveFromSubmit(submitData, 'masivo');
+        if (!isApproval && !motivo) {
+            await context.sendActivity('⚠️ **Falta el motivo del rechazo**\n\nSelecciona un motivo (o escribe un comentario si elegiste "Otro") y confirma nuevamente.');
+            return;
+        }
+
+        const oauthToken = await getUserOAuthToken(context, userId);
+        if (!oauthToken) {
+            await context.sendActivity('❌ Error de autenticación. Escribe `login` e intenta nuevamente.');
+            return;
+        }
+
+        const nombres = submitData.nombres || {};
+        const forzar = submitData.forzar === true || submitData.forzar === 'true';
+
+        if (isApproval && !forzar) {
+            // "Aprobar de todos modos" reenvía la misma selección con forzar
+            const confirmarData = {
+                action: 'autorizar_seleccionadas',
+                nombres,
+                forzar: true,
+                ...Object.fromEntries(ids.map(id => [`seleccion_${id}`, 'true']))
+            };
+            const advertencia = await openaiService.verificarCoberturaEquipo(ids, null, oauthToken, confirmarData);
+            if (advertencia) {
+                await context.sendActivity({
+                    text: advertencia.textContent,
+                    attachments: [advertencia.card]
+                });
+                return;
+            }
+        }
+
+        await context.sendActivity(`⏳ **Procesando ${ids.length} solicitud(es)...**`);
+        await context.sendActivity({ type: 'typing' });
+
+        const results = [];
+        // Cada solicitud es una escritura: al agotar el límite las demás no se envían
+        let limited = null;
+
+        for (const idSolicitud of ids) {
+            const nombre = nombres[idSolicitud] || `Solicitud ${idSolicitud}`;
+            if (limited) {
+                results.push({ idSolicitud, nombre, ok: false, reason: 'no se envió' });
+                continue;
+            }
+            try {
+                if (isApproval) {
+                    await sirhClient.autorizarSolicitud(oauthToken, idSolicitud);
+                } else {
+                    await sirhClient.rechazarSolicitud(oauthToken, idSolicitud, motivo);
+                    await saveRejectionReason(idSolicitud, motivo, userId);
+                }
+                results.push({ idSolicitud, nombre, ok: true });
+            } catch (error) {
+                if (error.code === 'SIRH_RATE_LIMITED') {
+                    limited = error;
+                    results.push({ idSolicitud, nombre, ok: false, reason: 'no se envió' });
+                    continue;
+                }
+                logger.warn(`[${userId}] No se pudo ${verb} solicitud ${idSolicitud}:`, error.message);
+                results.push({ idSolicitud, nombre, ok: false, reason: describeBulkItemError(error) });
+            }
+        }
+
+        const succeeded = results.filter(r => r.ok).length;
+        const title = isApproval ? '✅ Autorización masiva' : '❌ Rechazo masivo';
+        const lines = results.map(r => r.ok
+            ? `• ✅ ${r.nombre} (ID ${r.idSolicitud})`
+            : `• ⚠️ ${r.nombre} (ID ${r.idSolicitud}): ${r.reason}`);
+
+        logger.info(`[${userId}] Acción masiva ${submitData.action}: ${succeeded}/${results.length} exitosas`);
+
+        await context.sendActivity(
+            `**${title}**: ${succeeded} de ${results.length} solicitud(es) procesadas correctamente\n\n` +
+            `${lines.join('\n')}\n\n` +
+            (limited ? `${limited.message}\n\n` : '') +
+            (motivo ? `💬 **Motivo**: ${motivo}\n\n` : '') +
+            '🔄 Puedes escribir "consultar solicitudes pendientes" para ver la lista actualizada.'
+        );
+
+    } catch (error) {
+        logger.error(`[${userId}] Error en handleBulkDependentAction:`, error);
+        await context.sendActivity('❌ Error procesando la acción masiva. Intenta nuevamente.');
+    }
+}
+
+/**
+ * Desactiva el resumen de aprobaciones pendientes para el usuario
+ */
+async function handleDigestOptOut(context) {
+    const userId = context.activity.from.id;
+    const aadObjectId = context.activity.from.aadObjectId;
+
+    try {
+        if (!aadObjectId) {
+            await context.sendActivity('❌ **Error**: No se pudo identificar tu usuario de Teams.');
+            return;
+        }
+
+        await notificationPreferencesService.update(aadObjectId, { digestOptOut: true });
+        await context.sendActivity(
+            '🔕 **Listo, ya no recibirás el resumen de aprobaciones.**\n\n' +
+            'Si quieres volver a recibirlo, escribe "activar resumen de aprobaciones".'
+        );
+    } catch (error) {
+        logger.error(`[${userId}] Error en handleDigestOptOut:`, error);
+        await context.sendActivity('❌ Error guardando tu preferencia. Intenta nuevamente.');
+    }
+}
+
+/**
+ * Guarda la calificación (👍/👎 y comentario opcional) de una respuesta del bot
+ */
+async function handleAnswerFeedback(context, submitData) {
+    const userId = context.activity.from.id;
+
+    try {
+        await feedbackService.saveFeedback({
+            messageId: submitData.messageId,
+            conversationId: context.activity.conversation.id,
+            userId,
+            rating: submitData.rating,
+            comentario: submitData.comentario
+        });
+
+        await context.sendActivity(submitData.rating === 'positivo'
+            ? '🙌 ¡Gracias por tu calificación!'
+            : '🙏 Gracias, tu comentario nos ayuda a mejorar las respuestas.');
+    } catch (error) {
+        logger.error(`[${userId}] Error en handleAnswerFeedback:`, error.message);
+        await context.sendActivity('❌ No se pudo guardar tu calificación. Intenta nuevamente.');
+    }
+}
+
+/**
+ * Ofrece activar los avisos de cambio de estatus (solo si no están activos)
+ */
+async function offerStatusWatcherOptIn(context) {
+    const { CardFactory } = require('botbuilder');
+    const aadObjectId = context.activity.from.aadObjectId;
+    if (!aadObjectId) {
+        return;
+    }
+
+    try {
+        const preferences = await notificationPreferencesService.get(aadObjectId);
+        if (preferences.statusWatcherOptIn) {
+            return;
+        }
+
+        await context.sendActivity({
+            attachments: [CardFactory.adaptiveCard({
+                type: 'AdaptiveCard',
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                version: '1.3',
+                body: [{
+                    type: 'TextBlock',
+                    text: '🔔 ¿Quieres que te avise cuando tu solicitud sea autorizada o rechazada?',
+                    wrap: true
+                }],
+                actions: [{
+                    type: 'Action.Submit',
+                    title: '🔔 Sí, avísame',
+                    data: { action: 'watcher_opt_in' }
+                }]
+            })]
+        });
+    } catch (error) {
+        logger.warn('Error ofreciendo avisos de estatus:', error.message);
+    }
+}
+
+/**
+ * Activa o desactiva los avisos de cambio de estatus para el usuario
+ */
+async function handleStatusWatcherAction(context, submitData, getUserOAuthToken) {
+    const userId = context.activity.from.id;
+    const aadObjectId = context.activity.from.aadObjectId;
+
+    try {
+        if (!aadObjectId) {
+            await context.sendActivity('❌ **Error**: No se pudo identificar tu usuario de Teams.');
+            return;
+        }
+
+        if (submitData.action === 'watcher_opt_in') {
+            const oauthToken = await getUserOAuthToken(context, userId);
+            await vacationStatusWatcher.optIn(aadObjectId, oauthToken);
+            await context.sendActivity(
+                '🔔 **Listo, te avisaré cuando cambie el estatus de tus solicitudes.**\n\n' +
+                'Puedes desactivarlo cuando quieras escribiendo "desactivar avisos de estatus".'
+            );
+        } else {
+            await vacationStatusWatcher.optOut(aadObjectId);
+            await context.sendActivity('🔕 **Listo, ya no recibirás avisos de cambio de estatus.**');
+        }
+    } catch (error) {
+        logger.error(`[${userId}] Error en handleStatusWatcherAction:`, error);
+        await context.sendActivity('❌ Error guardando tu preferencia. Intenta nuevamente.');
+    }
+}
+
 module.exports = {
     handleCardSubmit,
     handleVacationGuideSubmit,
@@ -617,5 +1016,10 @@ module.exports = {
     handleApiError,
     validateSubmitData,
     sanitizeInputData,
-    handleDependentRequestAction
+    handleDependentRequestAction,
+    handleRescheduleConfirmation,
+    handleBulkDependentAction,
+    handleDigestOptOut,
+    handleStatusWatcherAction,
+    handleAnswerFeedback
 };
\ No newline at end of file
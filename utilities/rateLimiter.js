@@ -0,0 +1,161 @@
+// rateLimiter.js - Límite de frecuencia por usuario (token bucket)
+
+const { createLogger, hashUserId } = require('./logger');
+const logger = createLogger('rateLimiter');
+
+/**
+ * Buckets por defecto (sobrescribibles con variables de entorno):
+ * - llm: turnos que llegan al LLM (RATE_LIMIT_LLM_BURST / RATE_LIMIT_LLM_PER_MINUTE)
+ * - card: submits de tarjetas (RATE_LIMIT_CARD_BURST / RATE_LIMIT_CARD_PER_MINUTE)
+ * - sirh_write: cada escritura en SIRH (RATE_LIMIT_SIRH_WRITE_BURST / RATE_LIMIT_SIRH_WRITE_PER_MINUTE)
+ */
+const DEFAULT_BUCKETS = {
+    llm: {
+        capacity: parseInt(process.env.RATE_LIMIT_LLM_BURST, 10) || 5,
+        refillPerMinute: parseInt(process.env.RATE_LIMIT_LLM_PER_MINUTE, 10) || 10
+    },
+    card: {
+        capacity: parseInt(process.env.RATE_LIMIT_CARD_BURST, 10) || 10,
+        refillPerMinute: parseInt(process.env.RATE_LIMIT_CARD_PER_MINUTE, 10) || 30
+    },
+    sirh_write: {
+        capacity: parseInt(process.env.RATE_LIMIT_SIRH_WRITE_BURST, 10) || 3,
+        refillPerMinute: parseInt(process.env.RATE_LIMIT_SIRH_WRITE_PER_MINUTE, 10) || 6
+    }
+};
+
+/**
+ * Mensajes para el usuario limitado, por idioma del cliente de Teams
+ */
+const MESSAGES = {
+    es: {
+        llm: seconds => `⏱️ Estás enviando mensajes muy rápido. Intenta de nuevo en ${seconds} segundo(s).`,
+        card: seconds => `⏱️ Demasiadas acciones en poco tiempo. Intenta de nuevo en ${seconds} segundo(s).`,
+        sirh_write: seconds => `⏱️ Ya enviaste varias operaciones a SIRH. Intenta de nuevo en ${seconds} segundo(s).`
+    },
+    en: {
+        llm: seconds => `⏱️ You're sending messages too quickly. Please try again in ${seconds} second(s).`,
+        card: seconds => `⏱️ Too many actions in a short time. Please try again in ${seconds} second(s).`,
+        sirh_write: seconds => `⏱️ You've sent several SIRH operations. Please try again in ${seconds} second(s).`
+    }
+};
+
+const MAX_RECENT_EVENTS = 20;
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+/**
+ * Limita la frecuencia de operaciones por usuario con un token bucket por
+ * tipo de operación: cada operación consume una ficha y las fichas se reponen
+ * de forma continua hasta la capacidad (ráfaga) del bucket.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options - { enabled, buckets: { nombre: { capacity, refillPerMinute } } }
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.RATE_LIMIT_ENABLED !== 'false';
+        this.buckets = { ...DEFAULT_BUCKETS, ...(options.buckets || {}) };
+        this.state = new Map();
+        this.stats = {
+            allowed: {},
+            throttled: {},
+            recentEvents: []
+        };
+
+        Object.keys(this.buckets).forEach(bucket => {
+            this.stats.allowed[bucket] = 0;
+            this.stats.throttled[bucket] = 0;
+        });
+
+        // Liberar buckets de usuarios inactivos
+        this.cleanupTimer = setInterval(() => this.cleanup(), IDLE_BUCKET_MS);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Consume fichas del bucket del usuario: todas o ninguna
+     * @param {string} userId - Id del usuario
+     * @param {string} bucket - 'llm' | 'card' | 'sirh_write'
+     * @param {number} cost - Fichas a consumir (1 por defecto)
+     * @returns {Object} - { allowed, remaining, retryAfterSeconds }
+     */
+    consume(userId, bucket, cost = 1) {
+        const config = this.buckets[bucket];
+        if (!config) {
+            throw new Error(`Bucket de rate limit desconocido: ${bucket}`);
+        }
+        if (!this.enabled) {
+            return { allowed: true, remaining: config.capacity, retryAfterSeconds: 0 };
+        }
+
+        // Una operación que pide más que la ráfaga la consume completa
+        const required = Math.min(cost, config.capacity);
+        const key = `${bucket}|${userId}`;
+        const now = Date.now();
+        const refillPerMs = config.refillPerMinute / 60000;
+        const entry = this.state.get(key) || { tokens: config.capacity, updatedAt: now };
+
+        entry.tokens = Math.min(config.capacity, entry.tokens + (now - entry.updatedAt) * refillPerMs);
+        entry.updatedAt = now;
+        this.state.set(key, entry);
+
+        if (entry.tokens >= required) {
+            entry.tokens -= required;
+            this.stats.allowed[bucket]++;
+            return { allowed: true, remaining: Math.floor(entry.tokens), retryAfterSeconds: 0 };
+        }
+
+        const retryAfterSeconds = Math.max(1, Math.ceil((required - entry.tokens) / refillPerMs / 1000));
+        this.stats.throttled[bucket]++;
+        this.stats.recentEvents = [
+            // Solo el hash: los eventos se exponen en /metrics sin autenticación
+            { bucket, userHash: hashUserId(userId), retryAfterSeconds, at: new Date(now).toISOString() },
+            ...this.stats.recentEvents
+        ].slice(0, MAX_RECENT_EVENTS);
+
+        logger.warn(`[${userId}] Rate limit '${bucket}' excedido, reintentar en ${retryAfterSeconds}s`);
+        return { allowed: false, remaining: 0, retryAfterSeconds };
+    }
+
+    /**
+     * Mensaje "intenta de nuevo en N segundos" en el idioma del usuario
+     * @param {string} bucket - Bucket que limitó la operación
+     * @param {number} retryAfterSeconds - Segundos de espera
+     * @param {string} locale - Locale de la actividad (ej: 'es-MX', 'en-US')
+     */
+    getMessage(bucket, retryAfterSeconds, locale = 'es') {
+        const language = (locale || 'es').toLowerCase().split('-')[0];
+        const messages = MESSAGES[language] || MESSAGES.es;
+        return (messages[bucket] || messages.llm)(retryAfterSeconds);
+    }
+
+    /**
+     * Elimina buckets inactivos (ya estarían llenos)
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.state.entries()) {
+            if (now - entry.updatedAt > IDLE_BUCKET_MS) {
+                this.state.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Obtiene estadísticas del limitador
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            buckets: this.buckets,
+            trackedBuckets: this.state.size,
+            allowed: this.stats.allowed,
+            throttled: this.stats.throttled,
+            recentEvents: this.stats.recentEvents
+        };
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,162 @@
+// teamCalendar.js - Ausencias del equipo por día hábil/semana y conflictos de cobertura
+
+const { DateTime } = require('luxon');
+const { toMexicoDate, isBusinessDay, listBusinessDays, getHoliday } = require('./date_utils');
+
+const TIMEZONE = 'America/Mexico_City';
+
+/**
+ * Configuración por defecto (sobrescribible con variables de entorno).
+ * TEAM_MIN_HEADCOUNT=0 desactiva la advertencia de cobertura.
+ */
+const DEFAULT_CONFIG = {
+    minHeadcount: Number.isNaN(parseInt(process.env.TEAM_MIN_HEADCOUNT, 10)) ? 1 : parseInt(process.env.TEAM_MIN_HEADCOUNT, 10)
+};
+
+/**
+ * Estatus que cuentan como ausencia (autorizada o por autorizar)
+ */
+const ABSENCE_STATUSES = ['AUTORIZADA', 'PENDIENTE'];
+
+/**
+ * Días hábiles de una ausencia: desde la salida hasta el día anterior al regreso
+ * @returns {string[]} - Fechas ISO (YYYY-MM-DD)
+ */
+function absenceBusinessDays(start, end) {
+    if (!end || end <= start) {
+        return isBusinessDay(start) ? [start.toISODate()] : [];
+    }
+    return listBusinessDays(start, end, { endExclusive: true });
+}
+
+/**
+ * Normaliza solicitudes de dependientes a ausencias
+ * @param {Array} solicitudes - Solicitudes de /vac/solicitudes/dependientes
+ * @returns {Array} - { id, empleado, estatus, days }
+ */
+function normalizeAbsences(solicitudes) {
+    return (solicitudes || [])
+        .filter(solicitud => ABSENCE_STATUSES.includes(solicitud.estatus))
+        .map(solicitud => {
+            const start = toMexicoDate(solicitud.fechaSalida);
+            const end = toMexicoDate(solicitud.fechaRegreso);
+            if (!start) {
+                return null;
+            }
+            return {
+                id: String(solicitud.id),
+                empleado: solicitud.nombreSocio || 'N/A',
+                estatus: solicitud.estatus,
+                days: absenceBusinessDays(start, end)
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Agrupa ausencias por día
+ * @returns {Map<string, Array>} - fecha ISO -> [{ empleado, estatus, id }]
+ */
+function buildDailyAbsences(absences) {
+    const byDay = new Map();
+    absences.forEach(absence => {
+        absence.days.forEach(day => {
+            if (!byDay.has(day)) {
+                byDay.set(day, []);
+            }
+            byDay.get(day).push({ empleado: absence.empleado, estatus: absence.estatus, id: absence.id });
+        });
+    });
+    return byDay;
+}
+
+/**
+ * Vista semanal de ausencias a partir de una fecha
+ * @param {Array} solicitudes - Solicitudes de dependientes
+ * @param {Object} options - { from (ISO), weeks }
+ * @returns {Array} - [{ weekStart, weekEnd, days: [{ date, festivo, ausentes }], maxAusentes, hasOverlap }]
+ */
+function buildWeeklyOverlaps(solicitudes, options = {}) {
+    const from = (toMexicoDate(options.from) || DateTime.now().setZone(TIMEZONE)).startOf('week');
+    const weeks = options.weeks || 4;
+    const byDay = buildDailyAbsences(normalizeAbsences(solicitudes));
+
+    const result = [];
+    for (let w = 0; w < weeks; w++) {
+        const weekStart = from.plus({ weeks: w });
+        const days = [];
+        for (let d = 0; d < 5; d++) {
+            const date = weekStart.plus({ days: d }).toISODate();
+            const festivo = getHoliday(date);
+            days.push({ date, festivo: festivo ? festivo.nombre : null, ausentes: byDay.get(date) || [] });
+        }
+
+        const maxAusentes = Math.max(...days.map(day => day.ausentes.length));
+        result.push({
+            weekStart: weekStart.toISODate(),
+            weekEnd: weekStart.plus({ days: 4 }).toISODate(),
+            days,
+            maxAusentes,
+            hasOverlap: maxAusentes > 1
+        });
+    }
+    return result;
+}
+
+/**
+ * Tamaño del equipo de un jefe: personas distintas en sus solicitudes de
+ * dependientes (cualquier estatus). SIRH no expone la lista de reportes, así que
+ * quien nunca ha pedido vacaciones no cuenta y la advertencia peca de cautelosa.
+ * @param {Array} solicitudes - Solicitudes de dependientes
+ * @returns {number}
+ */
+function countTeamMembers(solicitudes) {
+    return new Set((solicitudes || []).map(solicitud => solicitud.nombreSocio || 'N/A')).size;
+}
+
+/**
+ * Días en los que autorizar una o varias solicitudes dejaría al equipo por
+ * debajo del mínimo. Solo cuentan como ausentes las solicitudes ya AUTORIZADAS
+ * más las candidatas. El tamaño del equipo sale de las propias solicitudes del
+ * jefe salvo que options.teamSize lo fije.
+ * @param {Array} solicitudes - Solicitudes de dependientes
+ * @param {string|string[]} idSolicitud - Solicitud(es) a autorizar
+ * @param {Object} options - { teamSize, minHeadcount } (por defecto countTeamMembers y DEFAULT_CONFIG)
+ * @returns {Array} - [{ date, ausentes, presentes }]
+ */
+function findHeadcountConflicts(solicitudes, idSolicitud, options = {}) {
+    const teamSize = options.teamSize || countTeamMembers(solicitudes);
+    const minHeadcount = options.minHeadcount ?? DEFAULT_CONFIG.minHeadcount;
+    if (minHeadcount <= 0) {
+        return [];
+    }
+
+    const ids = (Array.isArray(idSolicitud) ? idSolicitud : [idSolicitud]).map(String);
+    const absences = normalizeAbsences(solicitudes);
+    const candidates = absences.filter(absence => ids.includes(absence.id));
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const approved = absences.filter(a => a.estatus === 'AUTORIZADA' && !ids.includes(a.id));
+    const byDay = buildDailyAbsences([...approved, ...candidates]);
+    const candidateDays = Array.from(new Set(candidates.flatMap(candidate => candidate.days))).sort();
+
+    return candidateDays
+        .map(date => {
+            const unique = Array.from(new Set(byDay.get(date).map(a => a.empleado)));
+            return { date, ausentes: unique, presentes: teamSize - unique.length };
+        })
+        .filter(day => day.presentes < minHeadcount);
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    ABSENCE_STATUSES,
+    absenceBusinessDays,
+    normalizeAbsences,
+    buildDailyAbsences,
+    buildWeeklyOverlaps,
+    countTeamMembers,
+    findHeadcountConflicts
+};
@@ -0,0 +1,340 @@
+// tracing.js - Trazas distribuidas (spans) con exportación en formato OTLP/JSON
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createLogger, getCorrelationId } = require('./logger');
+const logger = createLogger('tracing');
+
+/**
+ * Configuración leída de variables de entorno:
+ * - TRACING_EXPORTER: 'none' (por defecto), 'file' u 'otlp'
+ * - TRACING_FILE: archivo JSON lines para el exportador 'file' (./traces/traces.jsonl)
+ * - OTEL_EXPORTER_OTLP_ENDPOINT: colector OTLP/HTTP (http://localhost:4318)
+ * - OTEL_SERVICE_NAME: nombre del servicio en el recurso (bot-vacaciones)
+ * - TRACING_FLUSH_INTERVAL_MS / TRACING_MAX_QUEUE: envío por lotes
+ */
+const DEFAULT_CONFIG = {
+    exporter: ['file', 'otlp'].includes(process.env.TRACING_EXPORTER) ? process.env.TRACING_EXPORTER : 'none',
+    file: process.env.TRACING_FILE || path.join(process.cwd(), 'traces', 'traces.jsonl'),
+    otlpEndpoint: `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`,
+    serviceName: process.env.OTEL_SERVICE_NAME || 'bot-vacaciones',
+    flushIntervalMs: parseInt(process.env.TRACING_FLUSH_INTERVAL_MS, 10) || 5000,
+    maxQueue: parseInt(process.env.TRACING_MAX_QUEUE, 10) || 2000,
+    batchSize: 200
+};
+
+/**
+ * Tipos de span y códigos de estado de OTLP
+ */
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const STATUS_CODE = { unset: 0, ok: 1, error: 2 };
+
+const spanStorage = new AsyncLocalStorage();
+
+function nowUnixNano() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+/**
+ * Convierte un valor a AnyValue de OTLP/JSON
+ */
+function toAnyValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Span en curso. Se crea con startSpan/withSpan y se exporta al terminar
+ */
+class Span {
+    constructor(name, { kind = 'internal', attributes = {}, parent = null, tracer = null } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.attributes = { ...attributes };
+        this.status = { code: STATUS_CODE.unset };
+        this.events = [];
+        this.startTime = nowUnixNano();
+        this.endTime = null;
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * @param {string} code - 'ok' | 'error'
+     * @param {string} message - Descripción (solo para error)
+     */
+    setStatus(code, message) {
+        this.status = { code: STATUS_CODE[code] ?? STATUS_CODE.unset, ...(message ? { message } : {}) };
+        return this;
+    }
+
+    /**
+     * Registra una excepción como evento y marca el span con error
+     */
+    recordException(error) {
+        this.events.push({
+            timeUnixNano: nowUnixNano().toString(),
+            name: 'exception',
+            attributes: toAttributes({
+                'exception.type': error.name,
+                'exception.message': error.message
+            })
+        });
+        return this.setStatus('error', error.message);
+    }
+
+    end() {
+        if (this.endTime) {
+            return;
+        }
+        this.endTime = nowUnixNano();
+        if (this.tracer) {
+            this.tracer.enqueue(this);
+        }
+    }
+
+    /**
+     * Duración en milisegundos (hasta ahora si no ha terminado)
+     */
+    get durationMs() {
+        return Number((this.endTime || nowUnixNano()) - this.startTime) / 1e6;
+    }
+
+    toOtlp() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+            name: this.name,
+            kind: SPAN_KIND[this.kind] || SPAN_KIND.internal,
+            startTimeUnixNano: this.startTime.toString(),
+            endTimeUnixNano: this.endTime.toString(),
+            attributes: toAttributes(this.attributes),
+            events: this.events,
+            status: this.status
+        };
+    }
+}
+
+/**
+ * Acumula spans terminados y los exporta por lotes en OTLP/JSON, a un archivo
+ * (una línea ExportTraceServiceRequest por lote) o a un colector OTLP/HTTP
+ */
+class Tracer {
+    constructor(config = DEFAULT_CONFIG) {
+        this.config = config;
+        this.queue = [];
+        this.exporting = null;
+        this.stats = {
+            started: 0,
+            exported: 0,
+            dropped: 0,
+            exportErrors: 0,
+            lastExportAt: null,
+            lastError: null
+        };
+
+        if (this.isEnabled()) {
+            this.flushTimer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+            this.flushTimer.unref();
+            logger.info(`🛰️ Tracing habilitado (exportador: ${this.config.exporter})`);
+        }
+    }
+
+    isEnabled() {
+        return this.config.exporter !== 'none';
+    }
+
+    /**
+     * Crea un span hijo del span activo (o raíz si no hay uno)
+     * @param {string} name - Nombre del span
+     * @param {Object} options - { kind: 'internal'|'server'|'client', attributes }
+     */
+    startSpan(name, options = {}) {
+        this.stats.started++;
+        const parent = spanStorage.getStore() || null;
+        const span = new Span(name, { ...options, parent, tracer: this });
+        if (!parent) {
+            const correlationId = getCorrelationId();
+            if (correlationId) {
+                span.setAttribute('correlation.id', correlationId);
+            }
+        }
+        return span;
+    }
+
+    /**
+     * Ejecuta fn dentro de un span activo; lo cierra al terminar y marca el
+     * error si fn lanza
+     * @param {string} name - Nombre del span
+     * @param {Object} options - { kind, attributes }
+     * @param {Function} fn - (span) => Promise
+     */
+    async withSpan(name, options, fn) {
+        const span = this.startSpan(name, options);
+        try {
+            const result = await spanStorage.run(span, () => fn(span));
+            if (span.status.code === STATUS_CODE.unset) {
+                span.setStatus('ok');
+            }
+            return result;
+        } catch (error) {
+            span.recordException(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * Ejecuta fn con un span existente como activo (ej. al retomar trabajo encolado)
+     */
+    withActiveSpan(span, fn) {
+        return span ? spanStorage.run(span, fn) : fn();
+    }
+
+    /**
+     * Span activo en el contexto asíncrono actual
+     */
+    getActiveSpan() {
+        return spanStorage.getStore() || null;
+    }
+
+    /**
+     * Encabezado W3C traceparent del span activo para propagar la traza
+     */
+    getTraceHeaders() {
+        const span = this.getActiveSpan();
+        return span ? { traceparent: `00-${span.traceId}-${span.spanId}-01` } : {};
+    }
+
+    enqueue(span) {
+        if (!this.isEnabled()) {
+            return;
+        }
+        if (this.queue.length >= this.config.maxQueue) {
+            this.stats.dropped++;
+            return;
+        }
+        this.queue.push(span);
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        }
+    }
+
+    buildPayload(spans) {
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: toAttributes({
+                        'service.name': this.config.serviceName,
+                        'deployment.environment': process.env.NODE_ENV || 'development'
+                    })
+                },
+                scopeSpans: [{
+                    scope: { name: 'bot-vacaciones/tracing' },
+                    spans: spans.map(span => span.toOtlp())
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Exporta los spans pendientes (un lote a la vez)
+     */
+    async flush() {
+        if (this.exporting) {
+            return this.exporting;
+        }
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        const spans = this.queue.splice(0, this.config.batchSize);
+        const payload = this.buildPayload(spans);
+
+        this.exporting = (async () => {
+            try {
+                if (this.config.exporter === 'file') {
+                    await fs.promises.mkdir(path.dirname(this.config.file), { recursive: true });
+                    await fs.promises.appendFile(this.config.file, `${JSON.stringify(payload)}\n`);
+                } else {
+                    // axios directo: no pasar por http_utils para no trazar la propia exportación
+                    await axios.post(this.config.otlpEndpoint, payload, {
+                        headers: { 'Content-Type': 'application/json' },
+                        timeout: 5000
+                    });
+                }
+                this.stats.exported += spans.length;
+                this.stats.lastExportAt = new Date().toISOString();
+            } catch (error) {
+                this.stats.exportErrors++;
+                this.stats.dropped += spans.length;
+                this.stats.lastError = error.message;
+                logger.warn(`⚠️ Error exportando ${spans.length} span(s): ${error.message}`);
+            } finally {
+                this.exporting = null;
+            }
+        })();
+
+        return this.exporting;
+    }
+
+    /**
+     * Exporta todo lo pendiente (para el cierre del proceso)
+     */
+    async shutdown() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+        }
+        while (this.queue.length > 0 || this.exporting) {
+            await (this.exporting || this.flush());
+        }
+    }
+
+    /**
+     * Obtiene estadísticas del tracer
+     */
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            exporter: this.config.exporter,
+            pending: this.queue.length,
+            ...this.stats
+        };
+    }
+}
+
+const tracer = new Tracer();
+
+module.exports = {
+    tracer,
+    Tracer
+};
@@ -1,5 +1,6 @@
 // verify-oauth-config.js - Script para verificar configuración OAuth
 require('dotenv').config();
+const sirhConfig = require('./config/sirhConfig');
 
 console.log('🔍 VERIFICACIÓN DE CONFIGURACIÓN OAUTH');
 console.log('=====================================\n');
@@ -53,7 +54,7 @@ console.log(`Fuente: ${process.env.connectionName ? 'connectionName' : process.e
 console.log('\n🌐 URLs DE API:');
 console.log('---------------');
 const apiUrls = {
-    'SIRH API': 'https://botapiqas-alfacorp.msappproxy.net/api/externas/sirh2bot_qas/bot/empleado',
+    'SIRH API': sirhConfig.buildUrl('/empleado'),
     'TOKEN_SIRH': process.env.TOKEN_SIRH ? '✅ Configurado' : '❌ No configurado',
     'TOKEN_BUBBLE': process.env.TOKEN_BUBBLE ? '✅ Configurado' : '❌ No configurado'
 };